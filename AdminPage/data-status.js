@@ -0,0 +1,125 @@
+// Data Status - shows a "data unavailable" banner when a read endpoint answers
+// in degraded mode, listing each source and the age of the data still shown.
+(function() {
+    const unavailable = new Map();
+    let stylesAdded = false;
+
+    function addStyles() {
+        if (stylesAdded) return;
+        stylesAdded = true;
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .data-unavailable-banner {
+                display: flex;
+                gap: 12px;
+                align-items: flex-start;
+                margin: 16px 24px 0;
+                padding: 12px 16px;
+                border: 1px solid #fcd34d;
+                border-radius: 8px;
+                background: #fffbeb;
+                color: #92400e;
+                font-size: 14px;
+            }
+            .data-unavailable-banner > i {
+                margin-top: 2px;
+                color: #f59e0b;
+            }
+            .data-unavailable-banner strong {
+                display: block;
+                margin-bottom: 2px;
+            }
+            .data-unavailable-banner ul {
+                margin: 0;
+                padding-left: 18px;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    function formatAge(seconds) {
+        if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'} ago`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+        const hours = Math.floor(minutes / 60);
+        return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    }
+
+    function bannerElement() {
+        let banner = document.getElementById('dataUnavailableBanner');
+        if (banner) return banner;
+
+        const main = document.querySelector('.main-content');
+        if (!main) return null;
+
+        addStyles();
+        banner = document.createElement('div');
+        banner.id = 'dataUnavailableBanner';
+        banner.className = 'data-unavailable-banner';
+        banner.setAttribute('role', 'alert');
+
+        const header = main.querySelector('.header');
+        if (header) {
+            header.insertAdjacentElement('afterend', banner);
+        } else {
+            main.prepend(banner);
+        }
+        return banner;
+    }
+
+    function render() {
+        const banner = bannerElement();
+        if (!banner) return;
+
+        if (unavailable.size === 0) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        const items = [...unavailable.entries()].map(([source, data]) => {
+            const shown = data.cached
+                ? `showing data from ${formatAge(data.cacheAgeSeconds || 0)}`
+                : 'nothing to show yet';
+            return `<li>${escapeHtml(source)}: ${escapeHtml(data.message)} - ${shown}</li>`;
+        }).join('');
+
+        banner.innerHTML = `
+            <i class="fas fa-exclamation-triangle"></i>
+            <div>
+                <strong>Data unavailable</strong>
+                <ul>${items}</ul>
+            </div>
+        `;
+        banner.style.display = '';
+    }
+
+    // Reads an API reply for `source` (a label such as 'Orders'). A degraded
+    // reply shows the banner and returns its last-known-good payload (or null);
+    // a successful one clears that source and returns the body unchanged.
+    // Anything else returns null and leaves the error to the caller.
+    function read(source, response, data) {
+        if (data && data.degraded) {
+            unavailable.set(source, data);
+            render();
+            return data.cached;
+        }
+        if (response.ok && data && data.success !== false) {
+            if (unavailable.delete(source)) {
+                render();
+            }
+            return data;
+        }
+        return null;
+    }
+
+    window.dataStatus = {
+        read
+    };
+})();
@@ -0,0 +1,326 @@
+// Cash Reconciliation JavaScript
+let driverBalances = [];
+let dailyBalances = [];
+let driverNames = new Map();
+let handInDriver = null;
+
+// Initialize the page
+document.addEventListener('DOMContentLoaded', function() {
+    loadDrivers();
+    loadCashLedger();
+
+    const search = document.getElementById('cashSearch');
+    if (search) {
+        search.addEventListener('input', renderBalances);
+    }
+
+    // Close the modal when clicking outside it
+    document.getElementById('handInModal').addEventListener('click', function(event) {
+        if (event.target === this) {
+            closeHandInModal();
+        }
+    });
+});
+
+// Load drivers for the filter dropdown
+async function loadDrivers() {
+    try {
+        const response = await fetch('/api/drivers', {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+            }
+        });
+
+        const data = dataStatus.read('Drivers', response, await response.json().catch(() => null));
+        if (!data) {
+            throw new Error('Failed to fetch drivers');
+        }
+
+        const drivers = data.drivers || [];
+
+        const driverFilter = document.getElementById('driverFilter');
+        driverFilter.innerHTML = '<option value="">All Drivers</option>';
+        drivers.forEach(driver => {
+            driverNames.set(driver.id, driver.name);
+            const option = document.createElement('option');
+            option.value = driver.id;
+            option.textContent = driver.name;
+            driverFilter.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading drivers:', error);
+    }
+}
+
+// Query string for the current filters, shared by the table and the export
+function cashFilterQuery() {
+    const params = new URLSearchParams();
+    const from = document.getElementById('fromDate').value;
+    const to = document.getElementById('toDate').value;
+    const driverId = document.getElementById('driverFilter').value;
+
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (driverId) params.set('driverId', driverId);
+    return params.toString();
+}
+
+// Load balances per driver and per day
+async function loadCashLedger() {
+    try {
+        const query = cashFilterQuery();
+        const response = await fetch(`/api/cash-ledger${query ? `?${query}` : ''}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+            }
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to fetch cash ledger');
+        }
+
+        driverBalances = data.drivers || [];
+        dailyBalances = data.days || [];
+        driverBalances.forEach(row => {
+            if (row.driver_name) driverNames.set(row.driver_id, row.driver_name);
+        });
+
+        updateStats(data.totals || {});
+        renderBalances();
+    } catch (error) {
+        console.error('Error loading cash ledger:', error);
+        showNotification('Failed to load cash ledger: ' + error.message, 'error');
+        renderEmptyRow('driverBalancesBody', 7, 'Could not load balances');
+        renderEmptyRow('dailyBalancesBody', 5, 'Could not load balances');
+    }
+}
+
+function updateStats(totals) {
+    document.getElementById('cashOutstanding').textContent = formatMoney(totals.outstanding);
+    document.getElementById('cashCollected').textContent = formatMoney(totals.collected);
+    document.getElementById('cashHandedIn').textContent = formatMoney(totals.handedIn);
+}
+
+function renderBalances() {
+    const term = (document.getElementById('cashSearch')?.value || '').trim().toLowerCase();
+    const matches = row => !term || driverName(row.driver_id).toLowerCase().includes(term);
+
+    renderDriverBalances(driverBalances.filter(matches));
+    renderDailyBalances(dailyBalances.filter(matches));
+}
+
+function renderDriverBalances(rows) {
+    const tbody = document.getElementById('driverBalancesBody');
+    if (rows.length === 0) {
+        renderEmptyRow('driverBalancesBody', 7, 'No cash collected yet');
+        return;
+    }
+
+    tbody.innerHTML = rows.map(row => `
+        <tr>
+            <td>${escapeHtml(driverName(row.driver_id))}</td>
+            <td>${row.deliveries}</td>
+            <td>${formatMoney(row.collected)}</td>
+            <td>${formatMoney(row.handedIn)}</td>
+            <td><span class="cash-outstanding ${row.outstanding > 0 ? 'owing' : 'settled'}">${formatMoney(row.outstanding)}</span></td>
+            <td>${row.lastHandInAt ? formatDate(row.lastHandInAt) : '-'}</td>
+            <td>
+                <button class="btn btn-sm btn-primary" onclick="openHandInModal('${row.driver_id}')" ${row.outstanding > 0 ? '' : 'disabled'}>
+                    <i class="fas fa-hand-holding-usd"></i>
+                    Record Hand-in
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function renderDailyBalances(rows) {
+    const tbody = document.getElementById('dailyBalancesBody');
+    if (rows.length === 0) {
+        renderEmptyRow('dailyBalancesBody', 5, 'No cash activity in this period');
+        return;
+    }
+
+    tbody.innerHTML = rows.map(row => `
+        <tr>
+            <td>${formatDate(`${row.date}T00:00:00`)}</td>
+            <td>${escapeHtml(driverName(row.driver_id))}</td>
+            <td>${formatMoney(row.collected)}</td>
+            <td>${formatMoney(row.handedIn)}</td>
+            <td><span class="cash-outstanding ${row.outstanding > 0 ? 'owing' : 'settled'}">${formatMoney(row.outstanding)}</span></td>
+        </tr>
+    `).join('');
+}
+
+function renderEmptyRow(tbodyId, columns, message) {
+    document.getElementById(tbodyId).innerHTML = `
+        <tr>
+            <td colspan="${columns}" class="cash-empty">${message}</td>
+        </tr>
+    `;
+}
+
+// Record hand-in modal
+function openHandInModal(driverId) {
+    const balance = driverBalances.find(row => row.driver_id === driverId);
+    if (!balance) return;
+
+    handInDriver = balance;
+    document.getElementById('handInModalTitle').textContent = `Record Hand-in - ${driverName(driverId)}`;
+    document.getElementById('handInHolding').textContent = `Currently holding ${formatMoney(balance.outstanding)}`;
+    document.getElementById('handInAmount').value = balance.outstanding.toFixed(2);
+    document.getElementById('handInNote').value = '';
+    clearHandInErrors();
+
+    document.getElementById('handInModal').classList.add('active');
+}
+
+function closeHandInModal() {
+    document.getElementById('handInModal').classList.remove('active');
+    handInDriver = null;
+}
+
+function clearHandInErrors() {
+    document.getElementById('handInAmountError').textContent = '';
+    document.getElementById('handInNoteError').textContent = '';
+}
+
+async function confirmHandIn() {
+    if (!handInDriver) return;
+
+    const confirmBtn = document.getElementById('confirmHandInBtn');
+    clearHandInErrors();
+    confirmBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/cash-ledger/hand-ins', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                driver_id: handInDriver.driver_id,
+                amount: document.getElementById('handInAmount').value,
+                note: document.getElementById('handInNote').value
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok && data.errors) {
+            document.getElementById('handInAmountError').textContent = data.errors.amount || '';
+            document.getElementById('handInNoteError').textContent = data.errors.note || '';
+            return;
+        }
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to record hand-in');
+        }
+
+        showNotification(`Hand-in recorded. ${driverName(handInDriver.driver_id)} now holds ${formatMoney(data.outstanding)}`, 'success');
+        closeHandInModal();
+        loadCashLedger();
+    } catch (error) {
+        console.error('Error recording hand-in:', error);
+        showNotification('Failed to record hand-in: ' + error.message, 'error');
+    } finally {
+        confirmBtn.disabled = false;
+    }
+}
+
+// Export the daily reconciliation. Downloaded through fetch so the request
+// carries the session like every other API call.
+async function exportReconciliation() {
+    try {
+        const query = cashFilterQuery();
+        const response = await fetch(`/api/cash-ledger/export${query ? `?${query}` : ''}`);
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Failed to export');
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = match ? match[1] : `cash_reconciliation_${new Date().toISOString().split('T')[0]}.csv`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+
+        showNotification('Reconciliation exported successfully', 'success');
+    } catch (error) {
+        console.error('Error exporting reconciliation:', error);
+        showNotification('Failed to export reconciliation: ' + error.message, 'error');
+    }
+}
+
+// Utility functions
+function driverName(driverId) {
+    return driverNames.get(driverId) || 'Unknown Driver';
+}
+
+function formatMoney(value) {
+    return `€${(Number(value) || 0).toFixed(2)}`;
+}
+
+function formatDate(dateString) {
+    return new Date(dateString).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+
+    notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        padding: 12px 20px;
+        border-radius: 8px;
+        color: white;
+        font-weight: 500;
+        z-index: 10000;
+        animation: slideInRight 0.3s ease;
+        max-width: 300px;
+    `;
+
+    switch(type) {
+        case 'success':
+            notification.style.background = '#22c55e';
+            break;
+        case 'error':
+            notification.style.background = '#ef4444';
+            break;
+        case 'warning':
+            notification.style.background = '#f59e0b';
+            break;
+        default:
+            notification.style.background = '#3b82f6';
+    }
+
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        notification.style.animation = 'slideOutRight 0.3s ease';
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 300);
+    }, 3000);
+}
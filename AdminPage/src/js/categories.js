@@ -11,11 +11,13 @@ async function loadCategories() {
   try {
     const res = await fetch('/api/categories');
     const data = await res.json();
+    if (!res.ok || !data.success) throw new Error(data.message || 'Load failed');
     categories = data.categories || [];
     renderCategories(categories);
     updateCategoryStats();
   } catch (e) {
     console.error('Failed to load categories', e);
+    notify('Failed to load categories', 'error');
   }
 }
 
@@ -38,8 +40,8 @@ function renderCategories(list) {
       </td>
       <td>${formatDate(cat.created_at || new Date().toISOString())}</td>
       <td>
-        <button class="btn btn-sm btn-primary" onclick="saveCategory('${cat.id}')"><i class="fas fa-save"></i></button>
-        <button class="btn btn-sm btn-danger" onclick="deleteCategory('${cat.id}')"><i class="fas fa-trash"></i></button>
+        <button class="btn btn-sm btn-primary" data-permission="categories.update" onclick="saveCategory('${cat.id}')"><i class="fas fa-save"></i></button>
+        <button class="btn btn-sm btn-danger" data-permission="categories.delete" onclick="deleteCategory('${cat.id}')"><i class="fas fa-trash"></i></button>
       </td>
     `;
     tbody.appendChild(tr);
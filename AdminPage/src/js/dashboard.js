@@ -1,4 +1,17 @@
 // Dashboard JavaScript with WebSocket Real-time Updates
+
+// Order status chart colours
+const STATUS_COLORS = {
+    pending: '#F59E0B',
+    accepted: '#8B5CF6',
+    processing: '#3B82F6',
+    picked_up: '#06B6D4',
+    delivered: '#10B981',
+    cancelled: '#EF4444',
+    failed: '#F97316',
+    returned: '#6B7280'
+};
+
 class DashboardManager {
     constructor() {
         this.ws = null;
@@ -8,6 +21,7 @@ class DashboardManager {
         this.charts = {};
         this.isConnected = false;
         this.lastUpdateTime = null;
+        this.overviewRefreshTimer = null;
         
         console.log('🚀 Dashboard Manager initialized');
         this.init();
@@ -24,6 +38,9 @@ class DashboardManager {
         
         // Initialize UI components
         this.initializeCharts();
+        this.initializeOverviewRange();
+        this.loadDashboardData();
+        this.loadOverview();
         this.initializeSidebar();
         this.initializeSearch();
         this.initializeNotifications();
@@ -48,6 +65,10 @@ class DashboardManager {
             this.isConnected = true;
             this.reconnectAttempts = 0;
             this.showConnectionStatus('connected');
+            
+            // Authenticate the socket with the admin session token
+            const user = JSON.parse(localStorage.getItem('currentUser') || '{}');
+            this.sendWebSocketMessage('IDENTIFY', { role: 'admin', token: user.token });
         };
         
         this.ws.onmessage = (event) => {
@@ -65,6 +86,13 @@ class DashboardManager {
             this.isConnected = false;
             this.showConnectionStatus('disconnected');
             
+            // Session rejected by the server - reconnecting will not help
+            if (event.code === 4001) {
+                console.error('❌ WebSocket authentication failed:', event.reason);
+                this.showConnectionStatus('failed');
+                return;
+            }
+            
             if (this.reconnectAttempts < this.maxReconnectAttempts) {
                 this.scheduleReconnect();
             } else {
@@ -94,24 +122,13 @@ class DashboardManager {
         console.log(`📊 Processing message type: ${data.type}`);
         
         switch (data.type) {
-            case 'INIT_DATA':
-                console.log('📋 Received initial dashboard data');
-                this.updateDashboardData(data.data);
+            case 'IDENTIFIED':
+                console.log('🔐 WebSocket authenticated as admin');
                 break;
                 
-            case 'DATA_UPDATE':
-                console.log('🔄 Received data update');
-                this.updateDashboardData(data.data);
-                break;
-                
-            case 'NEW_ORDER':
-                console.log('🆕 New order received:', data.data.order);
-                this.handleNewOrder(data.data);
-                break;
-                
-            case 'ORDER_STATUS_UPDATED':
-                console.log('🔄 Order status updated:', data.data.order);
-                this.handleOrderStatusUpdate(data.data);
+            case 'OVERVIEW_UPDATE':
+                console.log('🔄 Order changed:', data.payload);
+                this.scheduleOverviewRefresh();
                 break;
                 
             default:
@@ -146,6 +163,21 @@ class DashboardManager {
         console.log(`🔗 Connection status: ${status}`);
     }
 
+    // Stats and recent orders from the database. When the server is degraded
+    // the banner says so and the last-known-good values it sent are shown.
+    async loadDashboardData() {
+        try {
+            const response = await fetch('/api/dashboard');
+            const data = dataStatus.read('Dashboard', response, await response.json().catch(() => null));
+            if (!data) {
+                throw new Error('Failed to fetch dashboard data');
+            }
+            this.updateDashboardData(data);
+        } catch (error) {
+            console.error('❌ Error loading dashboard data:', error);
+        }
+    }
+
     // Dashboard Data Management
     updateDashboardData(data) {
         console.log('📊 Updating dashboard with new data:', data);
@@ -206,13 +238,18 @@ class DashboardManager {
         
         tbody.innerHTML = '';
         
+        if (orders.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="loading-row">No orders yet</td></tr>';
+            return;
+        }
+        
         orders.forEach((order, index) => {
             const row = document.createElement('tr');
             row.innerHTML = `
                 <td>${order.id}</td>
                 <td>${order.customer}</td>
                 <td>${order.product}</td>
-                <td>${order.amount}</td>
+                <td>€${(Number(order.amount) || 0).toFixed(2)}</td>
                 <td><span class="status ${order.status}">${order.status.charAt(0).toUpperCase() + order.status.slice(1)}</span></td>
                 <td>${order.date}</td>
                 <td>
@@ -237,98 +274,82 @@ class DashboardManager {
         console.log('✅ Orders table updated successfully');
     }
 
-    handleNewOrder(data) {
-        console.log('🆕 Handling new order:', data.order);
-        
-        // Update stats
-        this.updateStats(data.stats);
-        
-        // Add notification
-        if (data.notification) {
-            this.addNotification(data.notification);
-        }
-        
-        // Show success message
-        this.showToast('New order received!', 'success');
-    }
-
-    handleOrderStatusUpdate(data) {
-        console.log('🔄 Handling order status update:', data.order);
-        
-        // Update stats
-        this.updateStats(data.stats);
-        
-        // Add notification
-        if (data.notification) {
-            this.addNotification(data.notification);
-        }
-        
-        // Show success message
-        this.showToast(`Order ${data.order.id} status updated to ${data.order.status}`, 'info');
-    }
-
     // UI Components
     initializeCharts() {
         console.log('📊 Initializing charts...');
         
-        // Sales Chart
+        // Orders and revenue per hour or day of the overview range
         const salesCtx = document.getElementById('salesChart');
         if (salesCtx) {
-            console.log('📈 Creating sales chart');
+            console.log('📈 Creating orders and revenue chart');
             this.charts.sales = new Chart(salesCtx, {
-                type: 'line',
                 data: {
-                    labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
-                    datasets: [{
-                        label: 'Sales',
-                        data: [65, 59, 80, 81, 56, 55, 40, 45, 60, 70, 85, 90],
-                        borderColor: '#00BCD4',
-                        backgroundColor: 'rgba(0, 188, 212, 0.1)',
-                        borderWidth: 3,
-                        fill: true,
-                        tension: 0.4,
-                        pointBackgroundColor: '#00BCD4',
-                        pointBorderColor: '#ffffff',
-                        pointBorderWidth: 2,
-                        pointRadius: 6,
-                        pointHoverRadius: 8
-                    }]
+                    labels: [],
+                    datasets: [
+                        {
+                            type: 'bar',
+                            label: 'Orders',
+                            data: [],
+                            backgroundColor: 'rgba(0, 188, 212, 0.35)',
+                            borderRadius: 4,
+                            yAxisID: 'y'
+                        },
+                        {
+                            type: 'line',
+                            label: 'Revenue (€)',
+                            data: [],
+                            borderColor: '#10B981',
+                            backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                            borderWidth: 3,
+                            fill: true,
+                            tension: 0.4,
+                            pointRadius: 3,
+                            yAxisID: 'revenue'
+                        }
+                    ]
                 },
                 options: {
                     responsive: true,
                     maintainAspectRatio: false,
                     plugins: {
-                        legend: { display: false }
+                        legend: {
+                            position: 'bottom',
+                            labels: { usePointStyle: true, font: { size: 12 } }
+                        }
                     },
                     scales: {
                         y: {
                             beginAtZero: true,
+                            position: 'left',
                             grid: { color: 'rgba(0, 0, 0, 0.05)' },
+                            ticks: { color: '#6B7280', font: { size: 12 }, precision: 0 }
+                        },
+                        revenue: {
+                            beginAtZero: true,
+                            position: 'right',
+                            grid: { display: false },
                             ticks: { color: '#6B7280', font: { size: 12 } }
                         },
                         x: {
                             grid: { display: false },
                             ticks: { color: '#6B7280', font: { size: 12 } }
                         }
-                    },
-                    elements: {
-                        point: { hoverBackgroundColor: '#00BCD4' }
                     }
                 }
             });
         }
 
-        // Order Status Chart
+        // Status of the orders created in the overview range
         const orderCtx = document.getElementById('orderChart');
         if (orderCtx) {
             console.log('🍩 Creating order status chart');
             this.charts.order = new Chart(orderCtx, {
                 type: 'doughnut',
                 data: {
-                    labels: ['Delivered', 'Pending', 'Processing', 'Cancelled'],
+                    labels: [],
                     datasets: [{
-                        data: [65, 20, 10, 5],
-                        backgroundColor: ['#10B981', '#F59E0B', '#3B82F6', '#EF4444'],
+                        data: [],
+                        backgroundColor: [],
                         borderWidth: 0,
                         hoverOffset: 4
                     }]
@@ -351,9 +372,169 @@ class DashboardManager {
             });
         }
         
+        this.loadCategoryBreakdown();
+        
         console.log('✅ Charts initialized successfully');
     }
 
+    initializeOverviewRange() {
+        const rangeSelect = document.getElementById('overviewRange');
+        if (rangeSelect) {
+            rangeSelect.addEventListener('change', () => this.loadOverview());
+        }
+    }
+
+    // KPIs and charts for the selected range (GET /api/admin/overview)
+    async loadOverview() {
+        const range = document.getElementById('overviewRange')?.value || '7d';
+        
+        try {
+            const response = await fetch(`/api/admin/overview?range=${encodeURIComponent(range)}`);
+            const data = dataStatus.read('Overview', response, await response.json().catch(() => null));
+            if (!data) {
+                throw new Error('Failed to fetch the overview');
+            }
+            this.renderOverview(data);
+        } catch (error) {
+            console.error('❌ Error loading overview:', error);
+        }
+    }
+
+    // Order changes arrive one by one; reload once they settle
+    scheduleOverviewRefresh() {
+        clearTimeout(this.overviewRefreshTimer);
+        this.overviewRefreshTimer = setTimeout(() => {
+            this.loadOverview();
+            this.loadDashboardData();
+            this.loadCategoryBreakdown();
+        }, 2000);
+    }
+
+    renderOverview(overview) {
+        const { kpis } = overview;
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+        
+        setText('kpiOrders', kpis.orders.toLocaleString());
+        setText('kpiOrdersNote', `${kpis.deliveries.toLocaleString()} delivered`);
+        setText('kpiRevenue', this.formatCurrency(kpis.revenue));
+        setText('kpiRevenueNote', 'from delivered orders');
+        setText('kpiAcceptTime', this.formatMinutes(kpis.avgAcceptMinutes));
+        setText('kpiAcceptTimeNote', 'order placed to driver accepted');
+        setText('kpiDeliveryTime', this.formatMinutes(kpis.avgDeliveryMinutes));
+        setText('kpiDeliveryTimeNote', 'accepted to delivered');
+        setText('kpiActiveDrivers', kpis.activeDrivers.toLocaleString());
+        setText('kpiActiveDriversNote', `${overview.onlineDrivers || 0} online now`);
+        
+        const hourly = overview.range.bucket === 'hour';
+        const labels = overview.series.map(point => new Date(point.start).toLocaleString('en-US', hourly
+            ? { hour: '2-digit', minute: '2-digit' }
+            : { month: 'short', day: 'numeric', timeZone: 'UTC' }));
+        
+        if (this.charts.sales) {
+            this.charts.sales.data.labels = labels;
+            this.charts.sales.data.datasets[0].data = overview.series.map(point => point.orders);
+            this.charts.sales.data.datasets[1].data = overview.series.map(point => point.revenue);
+            this.charts.sales.update();
+        }
+        
+        if (this.charts.order) {
+            const statuses = overview.statusDistribution.filter(row => row.count > 0);
+            this.charts.order.data.labels = statuses.map(row => this.formatStatus(row.status));
+            this.charts.order.data.datasets[0].data = statuses.map(row => row.count);
+            this.charts.order.data.datasets[0].backgroundColor = statuses.map(row => STATUS_COLORS[row.status] || '#9CA3AF');
+            this.charts.order.update();
+        }
+        
+        this.lastUpdateTime = new Date();
+        this.updateLastUpdateTime();
+    }
+
+    formatCurrency(value) {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(Number(value) || 0);
+    }
+
+    formatMinutes(minutes) {
+        if (minutes === null || minutes === undefined) return '-';
+        const rounded = Math.round(minutes);
+        if (rounded < 60) return `${rounded} min`;
+        return `${Math.floor(rounded / 60)} h ${rounded % 60} min`;
+    }
+
+    formatStatus(status) {
+        return status.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+
+    // Orders and delivered revenue per category, from the stored orders
+    async loadCategoryBreakdown() {
+        const categoryCtx = document.getElementById('categoryChart');
+        if (!categoryCtx) return;
+        
+        try {
+            const response = await fetch('/api/dashboard-stats');
+            const data = dataStatus.read('Dashboard stats', response, await response.json().catch(() => null));
+            if (!data) {
+                throw new Error('Failed to fetch dashboard stats');
+            }
+            
+            const rows = data.categoryBreakdown || [];
+            const chartData = {
+                labels: rows.map(row => row.name),
+                datasets: [
+                    {
+                        label: 'Orders',
+                        data: rows.map(row => row.orders),
+                        backgroundColor: '#00BCD4',
+                        borderRadius: 6
+                    },
+                    {
+                        label: 'Delivered revenue (€)',
+                        data: rows.map(row => row.revenue),
+                        backgroundColor: '#10B981',
+                        borderRadius: 6
+                    }
+                ]
+            };
+            
+            if (this.charts.category) {
+                this.charts.category.data = chartData;
+                this.charts.category.update();
+                return;
+            }
+            
+            console.log('📊 Creating category chart');
+            this.charts.category = new Chart(categoryCtx, {
+                type: 'bar',
+                data: chartData,
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            position: 'bottom',
+                            labels: { usePointStyle: true, font: { size: 12 } }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            grid: { color: 'rgba(0, 0, 0, 0.05)' },
+                            ticks: { color: '#6B7280', font: { size: 12 } }
+                        },
+                        x: {
+                            grid: { display: false },
+                            ticks: { color: '#6B7280', font: { size: 12 } }
+                        }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('❌ Error loading category breakdown:', error);
+        }
+    }
+
     initializeSidebar() {
         console.log('📱 Initializing sidebar...');
         
@@ -584,13 +765,13 @@ class DashboardManager {
             const current = start + (end - start) * this.easeOutQuart(progress);
             
             if (isCurrency) {
-                element.textContent = '$' + Math.floor(current).toLocaleString();
+                element.textContent = '€' + Math.floor(current).toLocaleString();
             } else {
                 element.textContent = Math.floor(current).toLocaleString();
             }
             
             if (progress < 1) {
-                requestAnimationFrame(updateValue);
+                requestAnimationFrame(updateValue.bind(this));
             }
         }
         
@@ -602,7 +783,7 @@ class DashboardManager {
     }
 
     parseNumber(str) {
-        return parseFloat(str.replace(/[$,]/g, '')) || 0;
+        return parseFloat(str.replace(/[$€,]/g, '')) || 0;
     }
 
     updateLastUpdateTime() {
@@ -1,40 +1,85 @@
 // Orders Management JavaScript
+// The list is paged on the server: filters go into the query string and
+// "Load more" follows nextCursor. allOrders holds the rows loaded so far.
 let allOrders = [];
-let filteredOrders = [];
 let currentFilters = {};
+let nextCursor = null;
+let ordersTotal = 0;
+let categoryNames = new Map();
+let driverOptions = [];
+
+// Filter value for orders without a category
+const UNCATEGORIZED = 'none';
+
+// Rows per page, and per request when exporting
+const PAGE_SIZE = 25;
+const EXPORT_PAGE_SIZE = 100;
+
+// Wait after the last keystroke before searching
+const SEARCH_DELAY_MS = 400;
+let searchTimer = null;
 
 // Initialize the page
 document.addEventListener('DOMContentLoaded', function() {
-    loadOrders();
     loadDrivers();
+    loadCategories();
     initializeFilters();
-    updateStats();
+    applyFilters();
 });
 
-// Load all orders from the database
-async function loadOrders() {
+// Query string for the current filters; cursor and limit pick the page
+function ordersQuery(cursor, limit = PAGE_SIZE) {
+    const params = new URLSearchParams();
+    Object.entries(currentFilters).forEach(([key, value]) => {
+        if (value !== '' && value !== null && value !== undefined) {
+            params.set(key, value);
+        }
+    });
+    params.set('limit', limit);
+    if (cursor) {
+        params.set('cursor', cursor);
+    }
+    return params.toString();
+}
+
+// Load the first page of orders, or the next one when append is set
+async function loadOrders(append = false) {
+    const loadMoreBtn = document.getElementById('loadMoreOrders');
     try {
-        const response = await fetch('/api/orders', {
+        if (loadMoreBtn) loadMoreBtn.disabled = true;
+        
+        const query = ordersQuery(append ? nextCursor : null);
+        const response = await fetch(`/api/orders?${query}&counts=pending,delivered`, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json',
             }
         });
 
-        if (!response.ok) {
-            throw new Error('Failed to fetch orders');
+        const body = await response.json().catch(() => null);
+        const data = dataStatus.read('Orders', response, body);
+        if (!data) {
+            throw new Error((body && body.errors && Object.values(body.errors)[0]) || 'Failed to load orders from database');
         }
 
-        const data = await response.json();
-        allOrders = data.orders || [];
-        filteredOrders = [...allOrders];
+        const orders = data.orders || [];
+        allOrders = append ? allOrders.concat(orders) : orders;
+        nextCursor = data.nextCursor || null;
+        ordersTotal = data.total || 0;
         
-        console.log('Orders loaded:', allOrders);
         renderOrdersTable();
-        updateStats();
+        updateStats(data.statusCounts || {});
     } catch (error) {
         console.error('Error loading orders:', error);
-        showNotification('Failed to load orders from database', 'error');
+        showNotification(error.message, 'error');
+    } finally {
+        if (loadMoreBtn) loadMoreBtn.disabled = false;
+    }
+}
+
+function loadMoreOrders() {
+    if (nextCursor) {
+        loadOrders(true);
     }
 }
 
@@ -48,12 +93,13 @@ async function loadDrivers() {
             }
         });
 
-        if (!response.ok) {
+        const data = dataStatus.read('Drivers', response, await response.json().catch(() => null));
+        if (!data) {
             throw new Error('Failed to fetch drivers');
         }
 
-        const data = await response.json();
         const drivers = data.drivers || [];
+        driverOptions = drivers;
         
         const driverFilter = document.getElementById('driverFilter');
         if (driverFilter) {
@@ -70,54 +116,72 @@ async function loadDrivers() {
     }
 }
 
+// Load categories for the filter dropdown and the table's category column
+async function loadCategories() {
+    try {
+        const response = await fetch('/api/categories');
+        if (!response.ok) {
+            throw new Error('Failed to fetch categories');
+        }
+        
+        const data = await response.json();
+        const categories = data.categories || [];
+        categoryNames = new Map(categories.map(category => [category.id, category.name]));
+        
+        const categoryFilter = document.getElementById('categoryFilter');
+        if (categoryFilter) {
+            categoryFilter.innerHTML = '<option value="">All Categories</option>' +
+                `<option value="${UNCATEGORIZED}">Uncategorized</option>`;
+            categories.forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.id;
+                option.textContent = category.name;
+                categoryFilter.appendChild(option);
+            });
+        }
+        
+        renderOrdersTable();
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+}
+
+// Name of an order's category; deleted categories read as uncategorized
+function categoryName(order) {
+    return (order.category_id && categoryNames.get(order.category_id)) || 'Uncategorized';
+}
+
 // Initialize filters
 function initializeFilters() {
-    // Set default date to today
-    const today = new Date().toISOString().split('T')[0];
-    const dateFilter = document.getElementById('dateFilter');
-    if (dateFilter) {
-        dateFilter.value = today;
+    // Search as the admin types, once they pause
+    const search = document.getElementById('orderSearch');
+    if (search) {
+        search.addEventListener('input', function() {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(applyFilters, SEARCH_DELAY_MS);
+        });
     }
 }
 
-// Apply filters to orders
+// Apply filters - reloads the list from its first page
 function applyFilters() {
-    const statusFilter = document.getElementById('statusFilter').value;
-    const dateFilter = document.getElementById('dateFilter').value;
-    const driverFilter = document.getElementById('driverFilter').value;
+    const [sort, order] = document.getElementById('sortOrder').value.split(':');
     
     currentFilters = {
-        status: statusFilter,
-        date: dateFilter,
-        driver: driverFilter
+        status: document.getElementById('statusFilter').value,
+        from: document.getElementById('fromDate').value,
+        to: document.getElementById('toDate').value,
+        driverId: document.getElementById('driverFilter').value,
+        category: document.getElementById('categoryFilter').value,
+        minAmount: document.getElementById('minAmount').value,
+        maxAmount: document.getElementById('maxAmount').value,
+        q: document.getElementById('orderSearch').value.trim(),
+        sort,
+        order
     };
     
-    filteredOrders = allOrders.filter(order => {
-        let matches = true;
-        
-        // Status filter
-        if (statusFilter && order.status.toLowerCase() !== statusFilter.toLowerCase()) {
-            matches = false;
-        }
-        
-        // Date filter
-        if (dateFilter) {
-            const orderDate = new Date(order.order_date).toISOString().split('T')[0];
-            if (orderDate !== dateFilter) {
-                matches = false;
-            }
-        }
-        
-        // Driver filter
-        if (driverFilter && order.driver_id !== driverFilter) {
-            matches = false;
-        }
-        
-        return matches;
-    });
-    
-    renderOrdersTable();
-    updateStats();
+    nextCursor = null;
+    loadOrders();
 }
 
 // Render orders table
@@ -125,10 +189,12 @@ function renderOrdersTable() {
     const tbody = document.getElementById('ordersTableBody');
     if (!tbody) return;
     
-    if (filteredOrders.length === 0) {
+    updatePaging();
+    
+    if (allOrders.length === 0) {
         tbody.innerHTML = `
             <tr>
-                <td colspan="7" class="no-orders">
+                <td colspan="8" class="no-orders">
                     <div class="empty-state">
                         <i class="fas fa-inbox"></i>
                         <p>No orders found</p>
@@ -140,13 +206,14 @@ function renderOrdersTable() {
     }
     
     tbody.innerHTML = '';
-    filteredOrders.forEach(order => {
+    allOrders.forEach(order => {
         const row = document.createElement('tr');
         row.innerHTML = `
             <td>#${order.order_id}</td>
             <td>${order.customer_name || 'Unknown'}</td>
             <td>${order.driver_name || 'Unassigned'}</td>
-            <td>$${parseFloat(order.amount).toFixed(2)}</td>
+            <td>${categoryName(order)}</td>
+            <td>${formatAmount(order.amount)}</td>
             <td>
                 <span class="status-badge ${order.status.toLowerCase()}">${order.status}</span>
             </td>
@@ -159,9 +226,14 @@ function renderOrdersTable() {
                     <button class="btn btn-sm btn-secondary" onclick="editOrder('${order.id}')">
                         <i class="fas fa-edit"></i>
                     </button>
-                    <button class="btn btn-sm btn-danger" onclick="deleteOrder('${order.id}')">
+                    ${CANCELLABLE_STATUSES.includes(order.status) ? `
+                    <button class="btn btn-sm btn-danger" title="Cancel order" onclick="cancelOrder('${order.id}')">
+                        <i class="fas fa-ban"></i>
+                    </button>` : ''}
+                    ${DELETABLE_STATUSES.includes(order.status) ? `
+                    <button class="btn btn-sm btn-danger" title="Delete order" onclick="deleteOrder('${order.id}')">
                         <i class="fas fa-trash"></i>
-                    </button>
+                    </button>` : ''}
                 </div>
             </td>
         `;
@@ -169,33 +241,69 @@ function renderOrdersTable() {
     });
 }
 
-// Update statistics
-function updateStats() {
-    const totalOrders = filteredOrders.length;
-    const pendingOrders = filteredOrders.filter(order => order.status.toLowerCase() === 'pending').length;
-    const completedOrders = filteredOrders.filter(order => order.status.toLowerCase() === 'delivered').length;
+// "Showing X of Y" and the Load more button
+function updatePaging() {
+    const showing = document.getElementById('ordersShowing');
+    if (showing) {
+        showing.textContent = ordersTotal > 0 ? `Showing ${allOrders.length} of ${ordersTotal} orders` : '';
+    }
     
-    document.getElementById('totalOrders').textContent = totalOrders;
-    document.getElementById('pendingOrders').textContent = pendingOrders;
-    document.getElementById('completedOrders').textContent = completedOrders;
+    const loadMoreBtn = document.getElementById('loadMoreOrders');
+    if (loadMoreBtn) {
+        loadMoreBtn.style.display = nextCursor ? '' : 'none';
+    }
+}
+
+// Update statistics - totals for the whole filtered list, not just the loaded pages
+function updateStats(statusCounts = {}) {
+    document.getElementById('totalOrders').textContent = ordersTotal;
+    document.getElementById('pendingOrders').textContent = statusCounts.pending || 0;
+    document.getElementById('completedOrders').textContent = statusCounts.delivered || 0;
 }
 
 // Refresh orders
 function refreshOrders() {
+    nextCursor = null;
     loadOrders();
     showNotification('Orders refreshed successfully', 'success');
 }
 
+// Every order matching the current filters, fetched page by page
+async function fetchAllFilteredOrders() {
+    const orders = [];
+    let cursor = null;
+    do {
+        const response = await fetch(`/api/orders?${ordersQuery(cursor, EXPORT_PAGE_SIZE)}`);
+        const data = await response.json().catch(() => null);
+        if (!response.ok || !data || !data.success) {
+            throw new Error((data && data.message) || 'Failed to fetch orders');
+        }
+        orders.push(...(data.orders || []));
+        cursor = data.nextCursor;
+    } while (cursor);
+    return orders;
+}
+
 // Export orders
-function exportOrders() {
+async function exportOrders() {
+    let orders;
+    try {
+        orders = await fetchAllFilteredOrders();
+    } catch (error) {
+        console.error('Error exporting orders:', error);
+        showNotification(`Export failed: ${error.message}`, 'error');
+        return;
+    }
+    
     // Create CSV content
-    const headers = ['Order ID', 'Customer', 'Driver', 'Amount', 'Status', 'Date'];
+    const headers = ['Order ID', 'Customer', 'Driver', 'Category', 'Amount', 'Status', 'Date'];
     const csvContent = [
         headers.join(','),
-        ...filteredOrders.map(order => [
+        ...orders.map(order => [
             order.order_id,
             order.customer_name || 'Unknown',
             order.driver_name || 'Unassigned',
+            categoryName(order),
             order.amount,
             order.status,
             formatDate(order.order_date)
@@ -214,30 +322,413 @@ function exportOrders() {
     showNotification('Orders exported successfully', 'success');
 }
 
-// View order details
-function viewOrder(orderId) {
-    const order = allOrders.find(o => o.id === orderId);
-    if (order) {
-        // You can implement a modal or redirect to order details page
-        showNotification(`Viewing order: ${order.order_id}`, 'info');
+// Order detail drawer - loads the order with its shop, driver, items and
+// payment from /api/orders/:id; Edit switches the drawer to a correction form
+let drawerOrderId = null;
+let drawerDetail = null;
+
+// Orders that are over; only these can be deleted
+const DELETABLE_STATUSES = ['delivered', 'cancelled', 'returned'];
+
+// Orders a driver is working on; only these can be given to another driver
+const REASSIGNABLE_STATUSES = ['accepted', 'processing', 'picked_up'];
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function formatAmount(value) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(Number(value) || 0);
+}
+
+function personLabel(person, fallback) {
+    if (!person) return fallback;
+    const name = person.name || 'Unknown';
+    return person.phone ? `${name} (${person.phone})` : name;
+}
+
+// View order details and timeline
+async function viewOrder(orderId, startEditing = false) {
+    drawerOrderId = orderId;
+    drawerDetail = null;
+    hideDrawerEdit();
+    
+    const listed = allOrders.find(o => o.id === orderId);
+    document.getElementById('drawerTitle').textContent = listed ? `Order #${listed.order_id}` : 'Order Details';
+    document.getElementById('drawerItems').innerHTML = '<tr><td colspan="3">Loading...</td></tr>';
+    document.getElementById('orderDrawer').classList.add('active');
+    
+    try {
+        const response = await fetch(`/api/orders/${orderId}`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to load order');
+        }
+        
+        drawerDetail = data;
+        renderOrderDrawer(data);
+        window.orderTimeline.load(document.getElementById('drawerTimeline'), orderId);
+        if (startEditing) {
+            showDrawerEdit();
+        }
+    } catch (error) {
+        console.error('Error loading order details:', error);
+        showNotification(error.message, 'error');
+        closeOrderDrawer();
     }
 }
 
-// Edit order
+function renderOrderDrawer({ order, shop, driver, category, items, payment }) {
+    document.getElementById('drawerTitle').textContent = `Order #${order.order_id}`;
+    const status = document.getElementById('drawerStatus');
+    status.className = `status-badge ${order.status}`;
+    status.textContent = order.status;
+    
+    document.getElementById('drawerCustomer').textContent = order.customer_name || 'Unknown';
+    document.getElementById('drawerPhone').textContent = order.customer_phone || '-';
+    document.getElementById('drawerAddress').textContent = order.delivery_address || '-';
+    document.getElementById('drawerNotes').textContent = order.notes || '-';
+    document.getElementById('drawerShop').textContent = personLabel(shop, 'No shop');
+    document.getElementById('drawerDriver').textContent = personLabel(driver, 'Unassigned');
+    document.getElementById('drawerCategory').textContent = category ? category.name : 'Uncategorized';
+    document.getElementById('drawerDate').textContent = formatDate(order.order_date);
+    
+    document.getElementById('drawerItems').innerHTML = items.length
+        ? items.map(item => `
+            <tr>
+                <td>${escapeHtml(item.name)}</td>
+                <td>${escapeHtml(item.qty)}</td>
+                <td>${formatAmount(item.price)}</td>
+            </tr>
+        `).join('')
+        : `<tr><td colspan="3">${escapeHtml(order.product_name || 'No items recorded')}</td></tr>`;
+    
+    document.getElementById('drawerPaymentMethod').textContent = payment.method ? payment.method.charAt(0).toUpperCase() + payment.method.slice(1) : '-';
+    document.getElementById('drawerAmount').textContent = formatAmount(payment.amount);
+    document.getElementById('drawerCollected').textContent = payment.method !== 'cash'
+        ? '-'
+        : payment.collected ? "Collected, in the driver's ledger" : 'Not collected yet';
+    
+    document.getElementById('drawerDeleteBtn').style.display = DELETABLE_STATUSES.includes(order.status) ? '' : 'none';
+}
+
+function closeOrderDrawer() {
+    document.getElementById('orderDrawer').classList.remove('active');
+    drawerOrderId = null;
+    drawerDetail = null;
+}
+
+// Close the drawer and dialogs when clicking outside them
+document.addEventListener('click', function(event) {
+    if (event.target.id === 'orderDrawer') {
+        closeOrderDrawer();
+    }
+    if (event.target.id === 'cancelOrderModal') {
+        closeCancelModal();
+    }
+    if (event.target.id === 'deleteOrderModal') {
+        closeDeleteModal();
+    }
+});
+
+// Edit order - opens the drawer on its correction form
 function editOrder(orderId) {
-    const order = allOrders.find(o => o.id === orderId);
-    if (order) {
-        // You can implement edit functionality
-        showNotification(`Editing order: ${order.order_id}`, 'info');
+    viewOrder(orderId, true);
+}
+
+function showDrawerEdit() {
+    if (!drawerDetail) return;
+    const { order } = drawerDetail;
+    
+    clearEditErrors();
+    document.getElementById('editCustomerName').value = order.customer_name || '';
+    document.getElementById('editCustomerPhone').value = order.customer_phone || '';
+    document.getElementById('editAddress').value = order.delivery_address || '';
+    document.getElementById('editNotes').value = order.notes || '';
+    document.getElementById('editPaymentMethod').value = order.payment_method || 'cash';
+    document.getElementById('editAmount').value = order.amount != null ? order.amount : '';
+    document.getElementById('editReason').value = '';
+    
+    const categorySelect = document.getElementById('editCategory');
+    categorySelect.innerHTML = '<option value="">Uncategorized</option>' +
+        [...categoryNames].map(([id, name]) => `<option value="${id}">${escapeHtml(name)}</option>`).join('');
+    categorySelect.value = order.category_id && categoryNames.has(order.category_id) ? order.category_id : '';
+    
+    // Only a driver still working on the order can be swapped
+    const driverField = document.getElementById('editDriverField');
+    driverField.style.display = REASSIGNABLE_STATUSES.includes(order.status) ? '' : 'none';
+    const driverSelect = document.getElementById('editDriver');
+    driverSelect.innerHTML = driverOptions.map(driver => `<option value="${driver.id}">${escapeHtml(driver.name)}</option>`).join('');
+    if (order.driver_id && !driverOptions.some(driver => driver.id === order.driver_id)) {
+        driverSelect.insertAdjacentHTML('afterbegin', `<option value="${order.driver_id}">${escapeHtml(personLabel(drawerDetail.driver, 'Current driver'))}</option>`);
+    }
+    driverSelect.value = order.driver_id || '';
+    
+    const itemsList = document.getElementById('editItems');
+    itemsList.innerHTML = '';
+    drawerDetail.items.forEach(item => addEditItemRow(item));
+    
+    document.getElementById('drawerDetails').style.display = 'none';
+    document.getElementById('drawerEdit').style.display = '';
+}
+
+function hideDrawerEdit() {
+    document.getElementById('drawerEdit').style.display = 'none';
+    document.getElementById('drawerDetails').style.display = '';
+}
+
+function addEditItemRow(item = {}) {
+    const row = document.createElement('div');
+    row.className = 'edit-item-row';
+    row.innerHTML = `
+        <input type="text" class="filter-input item-name" placeholder="Item" value="${escapeHtml(item.name || '')}">
+        <input type="number" class="filter-input item-qty" min="1" step="1" value="${escapeHtml(item.qty || 1)}">
+        <input type="number" class="filter-input item-price" min="0" step="0.01" placeholder="Price" value="${escapeHtml(item.price != null ? item.price : '')}">
+        <button type="button" class="btn btn-sm btn-secondary" title="Remove item">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    if (item.product_id) {
+        row.dataset.productId = item.product_id;
+    }
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    document.getElementById('editItems').appendChild(row);
+}
+
+function editedItems() {
+    return [...document.querySelectorAll('#editItems .edit-item-row')].map(row => {
+        const price = row.querySelector('.item-price').value;
+        return {
+            ...(row.dataset.productId ? { product_id: row.dataset.productId } : {}),
+            name: row.querySelector('.item-name').value,
+            qty: Number(row.querySelector('.item-qty').value),
+            price: price === '' ? 0 : Number(price)
+        };
+    });
+}
+
+function clearEditErrors() {
+    document.querySelectorAll('#drawerEdit .field-error').forEach(element => element.remove());
+    document.querySelectorAll('#drawerEdit .invalid').forEach(element => element.classList.remove('invalid'));
+}
+
+function showEditErrors(errors) {
+    Object.entries(errors).forEach(([field, message]) => {
+        const input = document.querySelector(`#drawerEdit [data-field="${field}"]`);
+        if (!input) return;
+        input.classList.add('invalid');
+        const error = document.createElement('span');
+        error.className = 'field-error';
+        error.textContent = message;
+        input.closest('.edit-field').appendChild(error);
+    });
+}
+
+// Sends every field; the server only writes and logs the ones that changed
+async function saveOrderEdit(event) {
+    event.preventDefault();
+    if (!drawerDetail) return;
+    
+    const { order } = drawerDetail;
+    const saveBtn = document.getElementById('saveEditBtn');
+    const body = {
+        customer_name: document.getElementById('editCustomerName').value,
+        customer_phone: document.getElementById('editCustomerPhone').value,
+        delivery_address: document.getElementById('editAddress').value,
+        notes: document.getElementById('editNotes').value,
+        category_id: document.getElementById('editCategory').value || null,
+        order_items: editedItems(),
+        payment_method: document.getElementById('editPaymentMethod').value,
+        amount: document.getElementById('editAmount').value,
+        reason: document.getElementById('editReason').value
+    };
+    if (REASSIGNABLE_STATUSES.includes(order.status)) {
+        body.driver_id = document.getElementById('editDriver').value;
+    }
+    
+    clearEditErrors();
+    try {
+        saveBtn.disabled = true;
+        
+        const response = await fetch(`/api/orders/${order.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            if (data.errors) {
+                showEditErrors(data.errors);
+            }
+            throw new Error(data.message || 'Failed to update order');
+        }
+        
+        showNotification('Order updated', 'success');
+        loadOrders();
+        viewOrder(order.id);
+    } catch (error) {
+        console.error('Error updating order:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        saveBtn.disabled = false;
     }
 }
 
-// Delete order
+// Delete order - hidden from every list, kept in the database and the audit log
+let deletingOrderId = null;
+
 function deleteOrder(orderId) {
-    if (confirm('Are you sure you want to delete this order?')) {
-        // You can implement delete functionality
-        showNotification('Order deleted successfully', 'success');
-        loadOrders(); // Refresh the list
+    const order = (drawerDetail && drawerDetail.order.id === orderId ? drawerDetail.order : null) || allOrders.find(o => o.id === orderId);
+    if (!order) {
+        showNotification('Order not found', 'error');
+        return;
+    }
+    
+    deletingOrderId = orderId;
+    document.getElementById('deleteModalTitle').textContent = `Delete Order #${order.order_id}`;
+    document.getElementById('deleteReason').value = '';
+    document.getElementById('deleteOrderModal').classList.add('active');
+}
+
+function closeDeleteModal() {
+    document.getElementById('deleteOrderModal').classList.remove('active');
+    deletingOrderId = null;
+}
+
+async function confirmDeleteOrder() {
+    const reason = document.getElementById('deleteReason').value.trim();
+    const confirmBtn = document.getElementById('confirmDeleteBtn');
+    
+    if (!reason) {
+        showNotification('Please give a reason', 'warning');
+        return;
+    }
+    
+    try {
+        confirmBtn.disabled = true;
+        
+        const response = await fetch(`/api/orders/${deletingOrderId}`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason })
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to delete order');
+        }
+        
+        showNotification('Order deleted', 'success');
+        if (drawerOrderId === deletingOrderId) {
+            closeOrderDrawer();
+        }
+        closeDeleteModal();
+        loadOrders();
+    } catch (error) {
+        console.error('Error deleting order:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        confirmBtn.disabled = false;
+    }
+}
+
+// Cancel order - the order stays in history with the reason
+const CANCELLABLE_STATUSES = ['pending', 'accepted', 'processing', 'failed'];
+let cancelReasons = null;
+let cancellingOrderId = null;
+
+async function loadCancelReasons() {
+    if (cancelReasons) return cancelReasons;
+    
+    const response = await fetch('/api/orders/cancel-reasons');
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load cancellation reasons');
+    }
+    
+    const select = document.getElementById('cancelReason');
+    data.reasons.forEach(reason => {
+        const option = document.createElement('option');
+        option.value = reason.code;
+        option.textContent = reason.label;
+        select.appendChild(option);
+    });
+    cancelReasons = data.reasons;
+    return cancelReasons;
+}
+
+async function cancelOrder(orderId) {
+    const order = allOrders.find(o => o.id === orderId);
+    if (!order) {
+        showNotification('Order not found', 'error');
+        return;
+    }
+    
+    try {
+        await loadCancelReasons();
+    } catch (error) {
+        console.error('Error loading cancellation reasons:', error);
+        showNotification('Failed to load cancellation reasons', 'error');
+        return;
+    }
+    
+    cancellingOrderId = orderId;
+    document.getElementById('cancelModalTitle').textContent = `Cancel Order #${order.order_id}`;
+    document.getElementById('cancelReason').value = order.cancellation_reason || '';
+    document.getElementById('cancelNote').value = order.cancellation_note || '';
+    
+    // Confirming a shop's request carries its reason over
+    const requestInfo = document.getElementById('cancelRequestInfo');
+    if (order.cancellation_requested_at) {
+        requestInfo.textContent = 'The shop asked to cancel this order. Cancelling confirms the request.';
+        requestInfo.style.display = 'block';
+    } else {
+        requestInfo.style.display = 'none';
+    }
+    
+    document.getElementById('cancelOrderModal').classList.add('active');
+}
+
+function closeCancelModal() {
+    document.getElementById('cancelOrderModal').classList.remove('active');
+    cancellingOrderId = null;
+}
+
+async function confirmCancelOrder() {
+    const reasonCode = document.getElementById('cancelReason').value;
+    const note = document.getElementById('cancelNote').value;
+    const confirmBtn = document.getElementById('confirmCancelBtn');
+    
+    if (!reasonCode) {
+        showNotification('Please choose a reason', 'warning');
+        return;
+    }
+    
+    try {
+        confirmBtn.disabled = true;
+        
+        const response = await fetch(`/api/orders/${cancellingOrderId}/cancel`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reasonCode, note })
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to cancel order');
+        }
+        
+        showNotification('Order cancelled', 'success');
+        closeCancelModal();
+        loadOrders();
+    } catch (error) {
+        console.error('Error cancelling order:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        confirmBtn.disabled = false;
     }
 }
 
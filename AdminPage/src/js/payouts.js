@@ -0,0 +1,422 @@
+// Driver Payouts JavaScript
+let payoutRows = [];
+let driverNames = new Map();
+let shops = [];
+let feeRules = { baseFee: 0, timezone: 'UTC', shopOverrides: [], surcharges: [] };
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Initialize the page
+document.addEventListener('DOMContentLoaded', function() {
+    initializeDateRange();
+    loadDrivers();
+    loadPayouts();
+    loadShops().then(loadFeeRules);
+
+    const search = document.getElementById('payoutSearch');
+    if (search) {
+        search.addEventListener('input', renderPayouts);
+    }
+});
+
+// Default to this week, Monday to today
+function initializeDateRange() {
+    const today = new Date();
+    const monday = new Date(today);
+    monday.setDate(today.getDate() - ((today.getDay() + 6) % 7));
+
+    document.getElementById('fromDate').value = formatDateForInput(monday);
+    document.getElementById('toDate').value = formatDateForInput(today);
+}
+
+// Load drivers for the filter dropdown
+async function loadDrivers() {
+    try {
+        const response = await fetch('/api/drivers', {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+            }
+        });
+
+        const data = dataStatus.read('Drivers', response, await response.json().catch(() => null));
+        if (!data) {
+            throw new Error('Failed to fetch drivers');
+        }
+
+        const driverFilter = document.getElementById('driverFilter');
+        driverFilter.innerHTML = '<option value="">All Drivers</option>';
+        (data.drivers || []).forEach(driver => {
+            driverNames.set(driver.id, driver.name);
+            const option = document.createElement('option');
+            option.value = driver.id;
+            option.textContent = driver.name;
+            driverFilter.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading drivers:', error);
+    }
+}
+
+// Shops to pick for the fee overrides
+async function loadShops() {
+    try {
+        const response = await fetch('/api/users');
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to fetch shops');
+        }
+        shops = (data.users || [])
+            .filter(user => user.role === 'shop' && user.user_id)
+            .map(user => ({ id: user.user_id, name: user.full_name || user.username }));
+    } catch (error) {
+        console.error('Error loading shops:', error);
+    }
+}
+
+// === Payout report ===
+
+async function loadPayouts() {
+    const from = document.getElementById('fromDate').value;
+    const to = document.getElementById('toDate').value;
+    const driverId = document.getElementById('driverFilter').value;
+
+    if (!from || !to) {
+        showNotification('Please choose a date range', 'warning');
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({ from, to });
+        if (driverId) params.set('driverId', driverId);
+
+        const response = await fetch(`/api/payouts?${params.toString()}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+            }
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to fetch payouts');
+        }
+
+        payoutRows = data.drivers || [];
+        payoutRows.forEach(row => {
+            if (row.driver_name) driverNames.set(row.driver_id, row.driver_name);
+        });
+
+        document.getElementById('payoutTotal').textContent = formatMoney(data.totals.total);
+        document.getElementById('payoutDeliveries').textContent = data.totals.deliveries;
+        document.getElementById('payoutDrivers').textContent = payoutRows.length;
+        renderPayouts();
+    } catch (error) {
+        console.error('Error loading payouts:', error);
+        showNotification('Failed to load payouts: ' + error.message, 'error');
+        document.getElementById('payoutsTableBody').innerHTML = `
+            <tr>
+                <td colspan="6" class="payout-empty">Could not load payouts</td>
+            </tr>
+        `;
+    }
+}
+
+function renderPayouts() {
+    const tbody = document.getElementById('payoutsTableBody');
+    const term = (document.getElementById('payoutSearch')?.value || '').trim().toLowerCase();
+    const rows = payoutRows.filter(row => !term || driverName(row.driver_id).toLowerCase().includes(term));
+
+    document.getElementById('estimatedNote').style.display = rows.some(row => row.estimated > 0) ? 'block' : 'none';
+
+    if (rows.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="payout-empty">No deliveries in this period</td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = rows.map(row => `
+        <tr>
+            <td>${escapeHtml(driverName(row.driver_id))}</td>
+            <td>${row.deliveries}${row.estimated > 0 ? ' *' : ''}</td>
+            <td>${formatMoney(row.baseFees)}</td>
+            <td>${formatMoney(row.distanceBonuses)}</td>
+            <td>${formatMoney(row.surcharges)}</td>
+            <td><strong>${formatMoney(row.total)}</strong></td>
+        </tr>
+    `).join('');
+}
+
+// Export the report as shown
+function exportPayouts() {
+    const headers = ['Driver', 'Deliveries', 'Base Fees', 'Distance Bonuses', 'Surcharges', 'Total'];
+    const csvField = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const csvContent = [
+        headers.join(','),
+        ...payoutRows.map(row => [
+            driverName(row.driver_id),
+            row.deliveries,
+            row.baseFees.toFixed(2),
+            row.distanceBonuses.toFixed(2),
+            row.surcharges.toFixed(2),
+            row.total.toFixed(2)
+        ].map(csvField).join(','))
+    ].join('\n');
+
+    const blob = new Blob([csvContent], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `payouts_${document.getElementById('fromDate').value}_${document.getElementById('toDate').value}.csv`;
+    a.click();
+    window.URL.revokeObjectURL(url);
+
+    showNotification('Payouts exported successfully', 'success');
+}
+
+// === Fee rules ===
+
+async function loadFeeRules() {
+    try {
+        const response = await fetch('/api/fee-rules');
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to fetch fee rules');
+        }
+
+        feeRules = data.rules;
+        document.getElementById('feeRulesUpdated').textContent = data.updatedAt
+            ? `Last changed by ${data.updatedBy || 'an admin'} on ${formatDate(data.updatedAt)}`
+            : 'Default rules - not saved yet';
+        renderFeeRules();
+    } catch (error) {
+        console.error('Error loading fee rules:', error);
+        showNotification('Failed to load fee rules: ' + error.message, 'error');
+    }
+}
+
+function renderFeeRules() {
+    document.getElementById('baseFee').value = feeRules.baseFee;
+    document.getElementById('feeTimezone').value = feeRules.timezone;
+    renderShopOverrides();
+    renderSurcharges();
+}
+
+function renderShopOverrides() {
+    const tbody = document.getElementById('shopOverridesBody');
+    if (feeRules.shopOverrides.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="payout-empty">No overrides - every shop pays the base fee</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = feeRules.shopOverrides.map((override, index) => {
+        const knownShop = shops.some(shop => shop.id === override.shop_id);
+        const options = shops.map(shop => `<option value="${shop.id}" ${shop.id === override.shop_id ? 'selected' : ''}>${escapeHtml(shop.name)}</option>`).join('');
+        return `
+            <tr data-index="${index}">
+                <td>
+                    <select class="filter-select override-shop">
+                        <option value="">Choose a shop</option>
+                        ${!knownShop && override.shop_id ? `<option value="${override.shop_id}" selected>Unknown shop</option>` : ''}
+                        ${options}
+                    </select>
+                </td>
+                <td><input type="number" class="filter-input override-base" min="0" step="0.01" placeholder="Default" value="${override.baseFee === null ? '' : override.baseFee}"></td>
+                <td><input type="number" class="filter-input override-bonus" min="0" step="0.01" value="${override.distanceBonus || 0}"></td>
+                <td><button class="btn btn-sm btn-secondary" onclick="removeShopOverride(${index})" title="Remove"><i class="fas fa-trash"></i></button></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function renderSurcharges() {
+    const tbody = document.getElementById('surchargesBody');
+    if (feeRules.surcharges.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="payout-empty">No surcharge windows</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = feeRules.surcharges.map((surcharge, index) => `
+        <tr data-index="${index}">
+            <td><input type="text" class="filter-input surcharge-label" placeholder="e.g. Late night" value="${escapeHtml(surcharge.label)}"></td>
+            <td><input type="time" class="filter-input surcharge-start" value="${surcharge.start}"></td>
+            <td><input type="time" class="filter-input surcharge-end" value="${surcharge.end}"></td>
+            <td>
+                <div class="weekday-picks">
+                    ${WEEKDAYS.map((day, dayIndex) => `
+                        <label class="weekday-pick">
+                            <input type="checkbox" class="surcharge-day" value="${dayIndex}" ${surcharge.days.includes(dayIndex) ? 'checked' : ''}>
+                            ${day}
+                        </label>
+                    `).join('')}
+                </div>
+            </td>
+            <td><input type="number" class="filter-input surcharge-amount" min="0" step="0.01" value="${surcharge.amount}"></td>
+            <td><button class="btn btn-sm btn-secondary" onclick="removeSurcharge(${index})" title="Remove"><i class="fas fa-trash"></i></button></td>
+        </tr>
+    `).join('');
+}
+
+// Rules as currently entered in the form
+function collectFeeRules() {
+    return {
+        baseFee: document.getElementById('baseFee').value,
+        timezone: document.getElementById('feeTimezone').value.trim(),
+        shopOverrides: [...document.querySelectorAll('#shopOverridesBody tr[data-index]')].map(row => ({
+            shop_id: row.querySelector('.override-shop').value,
+            baseFee: row.querySelector('.override-base').value === '' ? null : row.querySelector('.override-base').value,
+            distanceBonus: row.querySelector('.override-bonus').value
+        })),
+        surcharges: [...document.querySelectorAll('#surchargesBody tr[data-index]')].map(row => ({
+            label: row.querySelector('.surcharge-label').value,
+            start: row.querySelector('.surcharge-start').value,
+            end: row.querySelector('.surcharge-end').value,
+            days: [...row.querySelectorAll('.surcharge-day:checked')].map(input => Number(input.value)),
+            amount: row.querySelector('.surcharge-amount').value
+        }))
+    };
+}
+
+function addShopOverride() {
+    feeRules = collectFeeRules();
+    feeRules.shopOverrides.push({ shop_id: '', baseFee: null, distanceBonus: 0 });
+    renderShopOverrides();
+}
+
+function removeShopOverride(index) {
+    feeRules = collectFeeRules();
+    feeRules.shopOverrides.splice(index, 1);
+    renderShopOverrides();
+}
+
+function addSurcharge() {
+    feeRules = collectFeeRules();
+    feeRules.surcharges.push({ label: '', start: '22:00', end: '02:00', days: [], amount: 0 });
+    renderSurcharges();
+}
+
+function removeSurcharge(index) {
+    feeRules = collectFeeRules();
+    feeRules.surcharges.splice(index, 1);
+    renderSurcharges();
+}
+
+function clearFeeRuleErrors() {
+    document.querySelectorAll('.fee-rules .fee-error').forEach(error => error.textContent = '');
+}
+
+async function saveFeeRules() {
+    const saveBtn = document.getElementById('saveFeeRulesBtn');
+    clearFeeRuleErrors();
+    saveBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/fee-rules', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(collectFeeRules())
+        });
+        const data = await response.json();
+
+        if (!response.ok && data.errors) {
+            Object.entries(data.errors).forEach(([field, message]) => {
+                const error = document.getElementById(`${field}Error`);
+                if (error) error.textContent = message;
+            });
+            showNotification(data.message, 'error');
+            return;
+        }
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to save fee rules');
+        }
+
+        showNotification('Fee rules saved. They apply to deliveries from now on.', 'success');
+        loadFeeRules();
+    } catch (error) {
+        console.error('Error saving fee rules:', error);
+        showNotification('Failed to save fee rules: ' + error.message, 'error');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Utility functions
+function driverName(driverId) {
+    return driverNames.get(driverId) || 'Unknown Driver';
+}
+
+function formatMoney(value) {
+    return `€${(Number(value) || 0).toFixed(2)}`;
+}
+
+function formatDate(dateString) {
+    return new Date(dateString).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
+function formatDateForInput(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+
+    notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        padding: 12px 20px;
+        border-radius: 8px;
+        color: white;
+        font-weight: 500;
+        z-index: 10000;
+        animation: slideInRight 0.3s ease;
+        max-width: 300px;
+    `;
+
+    switch(type) {
+        case 'success':
+            notification.style.background = '#22c55e';
+            break;
+        case 'error':
+            notification.style.background = '#ef4444';
+            break;
+        case 'warning':
+            notification.style.background = '#f59e0b';
+            break;
+        default:
+            notification.style.background = '#3b82f6';
+    }
+
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        notification.style.animation = 'slideOutRight 0.3s ease';
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 300);
+    }, 3000);
+}
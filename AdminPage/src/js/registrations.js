@@ -148,10 +148,10 @@ function displayRegistrations(registrations) {
                 <td>
                     ${status === 'pending' ? `
                         <div style="display: flex; gap: 8px; justify-content: center;">
-                            <a href="#" onclick="acceptRegistration('${registration.id}'); return false;" style="background-color: #10b981; color: white; padding: 8px 16px; border-radius: 6px; text-decoration: none; font-weight: bold; display: inline-flex; align-items: center; gap: 6px;">
+                            <a href="#" data-permission="registrations.accept" onclick="acceptRegistration('${registration.id}'); return false;" style="background-color: #10b981; color: white; padding: 8px 16px; border-radius: 6px; text-decoration: none; font-weight: bold; display: inline-flex; align-items: center; gap: 6px;">
                                 <i class="fas fa-check"></i> Accept
                             </a>
-                            <a href="#" onclick="rejectRegistration('${registration.id}'); return false;" style="background-color: #ef4444; color: white; padding: 8px 16px; border-radius: 6px; text-decoration: none; font-weight: bold; display: inline-flex; align-items: center; gap: 6px;">
+                            <a href="#" data-permission="registrations.reject" onclick="rejectRegistration('${registration.id}'); return false;" style="background-color: #ef4444; color: white; padding: 8px 16px; border-radius: 6px; text-decoration: none; font-weight: bold; display: inline-flex; align-items: center; gap: 6px;">
                                 <i class="fas fa-times"></i> Reject
                             </a>
                         </div>
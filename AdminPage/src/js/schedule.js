@@ -2,6 +2,8 @@
 let currentWeek = new Date();
 let schedules = [];
 let drivers = [];
+let scheduleTimezone = 'UTC';
+let editingShiftId = null;
 
 // Initialize the page
 document.addEventListener('DOMContentLoaded', function() {
@@ -11,24 +13,80 @@ document.addEventListener('DOMContentLoaded', function() {
     updateStats();
 });
 
-// Load schedules from the database
+// YYYY-MM-DD of a local date, the form shifts are stored in
+function dayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function shiftTimes(schedule) {
+    return `${String(schedule.start_time).slice(0, 5)} - ${String(schedule.end_time).slice(0, 5)}`;
+}
+
+function shiftMinutes(time) {
+    const [hours, minutes] = String(time).slice(0, 5).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Whether a shift is running now, in the schedule's time zone
+function isOnShift(schedule, now = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: scheduleTimezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    const current = Date.parse(`${parts.year}-${parts.month}-${parts.day}T00:00:00Z`) / 60000
+        + Number(parts.hour) * 60 + Number(parts.minute);
+    
+    const start = Date.parse(`${schedule.date}T00:00:00Z`) / 60000 + shiftMinutes(schedule.start_time);
+    let end = Date.parse(`${schedule.date}T00:00:00Z`) / 60000 + shiftMinutes(schedule.end_time);
+    if (end <= start) {
+        end += 24 * 60;
+    }
+    return start <= current && current < end;
+}
+
+// Load the shown week's shifts from the database
 async function loadSchedules() {
+    const weekStart = getWeekStart(currentWeek);
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekEnd.getDate() + 6);
+    
+    const params = new URLSearchParams({ from: dayKey(weekStart), to: dayKey(weekEnd) });
+    const driverId = document.getElementById('driverSelector').value;
+    if (driverId) {
+        params.set('driverId', driverId);
+    }
+    
     try {
-        const response = await fetch('/api/schedules', {
+        const response = await fetch(`/api/schedules?${params}`, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json',
             }
         });
 
-        if (!response.ok) {
+        const data = dataStatus.read('Schedules', response, await response.json().catch(() => null));
+        if (!data) {
             throw new Error('Failed to fetch schedules');
         }
 
-        const data = await response.json();
         schedules = data.schedules || [];
+        scheduleTimezone = data.timezone || scheduleTimezone;
         
         console.log('Schedules loaded:', schedules);
+        renderCalendarDays();
         renderScheduleList();
         updateStats();
     } catch (error) {
@@ -47,11 +105,11 @@ async function loadDrivers() {
             }
         });
 
-        if (!response.ok) {
+        const data = dataStatus.read('Drivers', response, await response.json().catch(() => null));
+        if (!data) {
             throw new Error('Failed to fetch drivers');
         }
 
-        const data = await response.json();
         drivers = data.drivers || [];
         
         const driverSelector = document.getElementById('driverSelector');
@@ -101,6 +159,7 @@ function renderCalendarDays() {
     if (!calendarDays) return;
     
     const weekStart = getWeekStart(currentWeek);
+    const today = dayKey(new Date());
     calendarDays.innerHTML = '';
     
     for (let i = 0; i < 7; i++) {
@@ -108,7 +167,7 @@ function renderCalendarDays() {
         day.setDate(day.getDate() + i);
         
         const dayElement = document.createElement('div');
-        dayElement.className = 'calendar-day';
+        dayElement.className = dayKey(day) === today ? 'calendar-day today' : 'calendar-day';
         dayElement.innerHTML = `
             <div class="day-date">${day.getDate()}</div>
             <div class="day-schedules">
@@ -121,19 +180,18 @@ function renderCalendarDays() {
 
 // Get schedules for a specific day
 function getSchedulesForDay(date) {
-    const daySchedules = schedules.filter(schedule => {
-        const scheduleDate = new Date(schedule.date);
-        return scheduleDate.toDateString() === date.toDateString();
-    });
+    const key = dayKey(date);
+    const daySchedules = schedules.filter(schedule => schedule.date === key);
     
     if (daySchedules.length === 0) {
-        return '<div class="no-schedules">No schedules</div>';
+        return '<div class="no-schedules">No shifts</div>';
     }
     
     return daySchedules.map(schedule => `
-        <div class="schedule-item" onclick="viewSchedule('${schedule.id}')">
-            <div class="schedule-driver">${schedule.driver_name}</div>
-            <div class="schedule-orders">${schedule.order_count} orders</div>
+        <div class="shift-item${isOnShift(schedule) ? ' active' : ''}" onclick="editSchedule('${schedule.id}')">
+            <div class="shift-time">${shiftTimes(schedule)}</div>
+            <div class="shift-driver">${escapeHtml(schedule.driver_name || 'Unknown driver')}</div>
+            ${schedule.zone ? `<div class="shift-zone">${escapeHtml(schedule.zone)}</div>` : ''}
         </div>
     `).join('');
 }
@@ -147,7 +205,7 @@ function renderScheduleList() {
         scheduleList.innerHTML = `
             <div class="empty-state">
                 <i class="fas fa-calendar-times"></i>
-                <p>No schedules found</p>
+                <p>No shifts this week</p>
             </div>
         `;
         return;
@@ -158,32 +216,31 @@ function renderScheduleList() {
         const scheduleElement = document.createElement('div');
         scheduleElement.className = 'schedule-card';
         scheduleElement.innerHTML = `
-            <div class="schedule-header">
+            <div class="schedule-content">
                 <div class="schedule-date">${formatDate(schedule.date)}</div>
-                <div class="schedule-actions">
-                    <button class="btn btn-sm btn-primary" onclick="viewSchedule('${schedule.id}')">
-                        <i class="fas fa-eye"></i>
-                    </button>
-                    <button class="btn btn-sm btn-secondary" onclick="editSchedule('${schedule.id}')">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="btn btn-sm btn-danger" onclick="deleteSchedule('${schedule.id}')">
-                        <i class="fas fa-trash"></i>
-                    </button>
+                <div class="schedule-time">
+                    <i class="fas fa-clock"></i>
+                    <span>${shiftTimes(schedule)}</span>
                 </div>
-            </div>
-            <div class="schedule-content">
                 <div class="schedule-driver">
                     <i class="fas fa-user"></i>
-                    <span>${schedule.driver_name}</span>
-                </div>
-                <div class="schedule-orders">
-                    <i class="fas fa-shopping-cart"></i>
-                    <span>${schedule.order_count} orders</span>
-                </div>
-                <div class="schedule-status">
-                    <span class="status-badge ${schedule.status.toLowerCase()}">${schedule.status}</span>
+                    <span>${escapeHtml(schedule.driver_name || 'Unknown driver')}</span>
                 </div>
+                ${schedule.zone ? `
+                <div class="schedule-zone">
+                    <i class="fas fa-map-marker-alt"></i>
+                    <span>${escapeHtml(schedule.zone)}</span>
+                </div>` : ''}
+                ${isOnShift(schedule) ? '<span class="shift-live">On shift</span>' : ''}
+                ${schedule.notes ? `<div class="shift-notes">${escapeHtml(schedule.notes)}</div>` : ''}
+            </div>
+            <div class="schedule-actions">
+                <button class="btn btn-sm btn-secondary" onclick="editSchedule('${schedule.id}')">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button class="btn btn-sm btn-danger" onclick="deleteSchedule('${schedule.id}')">
+                    <i class="fas fa-trash"></i>
+                </button>
             </div>
         `;
         scheduleList.appendChild(scheduleElement);
@@ -194,44 +251,168 @@ function renderScheduleList() {
 function updateStats() {
     const totalSchedules = schedules.length;
     const activeDrivers = new Set(schedules.map(s => s.driver_id)).size;
-    const totalRoutes = schedules.reduce((sum, s) => sum + s.order_count, 0);
+    const onShiftNow = new Set(schedules.filter(s => isOnShift(s)).map(s => s.driver_id)).size;
     
     document.getElementById('totalSchedules').textContent = totalSchedules;
     document.getElementById('activeDrivers').textContent = activeDrivers;
-    document.getElementById('totalRoutes').textContent = totalRoutes;
+    document.getElementById('onShiftNow').textContent = onShiftNow;
 }
 
 // Navigation functions
-function previousWeek() {
-    currentWeek.setDate(currentWeek.getDate() - 7);
+function showWeek() {
     updateCalendarDisplay();
     renderCalendarDays();
+    loadSchedules();
+}
+
+function previousWeek() {
+    currentWeek.setDate(currentWeek.getDate() - 7);
+    showWeek();
 }
 
 function nextWeek() {
     currentWeek.setDate(currentWeek.getDate() + 7);
-    updateCalendarDisplay();
-    renderCalendarDays();
+    showWeek();
+}
+
+function goToDate() {
+    const value = document.getElementById('dateSelector').value;
+    if (!value) return;
+    currentWeek = new Date(`${value}T00:00:00`);
+    showWeek();
+}
+
+// Shift modal - shared by create and edit
+function openShiftModal(schedule) {
+    editingShiftId = schedule ? schedule.id : null;
+    
+    const driverSelect = document.getElementById('shiftDriver');
+    driverSelect.innerHTML = '<option value="">Choose a driver</option>' + drivers.map(driver =>
+        `<option value="${escapeHtml(driver.id)}">${escapeHtml(driver.name)}</option>`
+    ).join('');
+    
+    const defaults = schedule || {
+        driver_id: document.getElementById('driverSelector').value,
+        date: document.getElementById('dateSelector').value || dayKey(new Date()),
+        start_time: '09:00',
+        end_time: '17:00'
+    };
+    driverSelect.value = defaults.driver_id || '';
+    document.getElementById('shiftDate').value = defaults.date || '';
+    document.getElementById('shiftStart').value = String(defaults.start_time || '').slice(0, 5);
+    document.getElementById('shiftEnd').value = String(defaults.end_time || '').slice(0, 5);
+    document.getElementById('shiftZone').value = defaults.zone || '';
+    document.getElementById('shiftNotes').value = defaults.notes || '';
+    document.getElementById('shiftTimezone').textContent = scheduleTimezone;
+    document.getElementById('shiftModalTitle').textContent = schedule ? 'Edit Shift' : 'Add Shift';
+    
+    clearShiftErrors();
+    document.getElementById('shiftModal').classList.add('active');
+}
+
+function closeShiftModal() {
+    document.getElementById('shiftModal').classList.remove('active');
+    editingShiftId = null;
+}
+
+function clearShiftErrors() {
+    document.querySelectorAll('#shiftForm .field-error').forEach(error => error.remove());
+    document.querySelectorAll('#shiftForm .invalid').forEach(input => input.classList.remove('invalid'));
+}
+
+function showShiftErrors(errors) {
+    Object.entries(errors).forEach(([field, message]) => {
+        const input = document.querySelector(`#shiftForm [data-field="${field}"]`);
+        if (!input) return;
+        input.classList.add('invalid');
+        const error = document.createElement('span');
+        error.className = 'field-error';
+        error.textContent = message;
+        input.closest('.edit-field').appendChild(error);
+    });
 }
 
 // Create new schedule
 function createSchedule() {
-    const dateSelector = document.getElementById('dateSelector');
-    const driverSelector = document.getElementById('driverSelector');
-    
-    if (!dateSelector.value) {
-        showNotification('Please select a date', 'warning');
+    openShiftModal(null);
+}
+
+// Edit schedule
+function editSchedule(scheduleId) {
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule) {
+        showNotification('Shift not found', 'error');
         return;
     }
+    openShiftModal(schedule);
+}
+
+// Saves the modal as a new shift or over the one being edited; the server
+// refuses shifts that overlap another of the driver's
+async function saveShift(event) {
+    event.preventDefault();
+    
+    const saveBtn = document.getElementById('saveShiftBtn');
+    const body = {
+        driver_id: document.getElementById('shiftDriver').value,
+        date: document.getElementById('shiftDate').value,
+        start_time: document.getElementById('shiftStart').value,
+        end_time: document.getElementById('shiftEnd').value,
+        zone: document.getElementById('shiftZone').value,
+        notes: document.getElementById('shiftNotes').value
+    };
     
-    if (!driverSelector.value) {
-        showNotification('Please select a driver', 'warning');
+    clearShiftErrors();
+    try {
+        saveBtn.disabled = true;
+        
+        const response = await fetch(editingShiftId ? `/api/schedules/${editingShiftId}` : '/api/schedules', {
+            method: editingShiftId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            if (data.errors) {
+                showShiftErrors(data.errors);
+            }
+            throw new Error(data.message || 'Failed to save shift');
+        }
+        
+        showNotification(editingShiftId ? 'Shift updated' : 'Shift added', 'success');
+        closeShiftModal();
+        loadSchedules();
+    } catch (error) {
+        console.error('Error saving shift:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Delete schedule
+async function deleteSchedule(scheduleId) {
+    const schedule = schedules.find(s => s.id === scheduleId);
+    const label = schedule ? `${schedule.driver_name || 'this driver'}'s shift on ${formatDate(schedule.date)}` : 'this shift';
+    if (!confirm(`Are you sure you want to delete ${label}?`)) {
         return;
     }
     
-    // You can implement schedule creation logic here
-    showNotification('Schedule created successfully', 'success');
-    loadSchedules(); // Refresh the list
+    try {
+        const response = await fetch(`/api/schedules/${scheduleId}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to delete shift');
+        }
+        
+        showNotification('Shift deleted', 'success');
+        loadSchedules();
+    } catch (error) {
+        console.error('Error deleting shift:', error);
+        showNotification(error.message, 'error');
+    }
 }
 
 // Optimize routes
@@ -252,15 +433,18 @@ function refreshSchedule() {
 // Export schedule
 function exportSchedule() {
     // Create CSV content
-    const headers = ['Date', 'Driver', 'Orders', 'Status'];
+    const headers = ['Date', 'Start', 'End', 'Driver', 'Zone', 'Notes'];
+    const csvField = value => `"${String(value == null ? '' : value).replace(/"/g, '""')}"`;
     const csvContent = [
         headers.join(','),
         ...schedules.map(schedule => [
-            formatDate(schedule.date),
+            schedule.date,
+            String(schedule.start_time).slice(0, 5),
+            String(schedule.end_time).slice(0, 5),
             schedule.driver_name,
-            schedule.order_count,
-            schedule.status
-        ].join(','))
+            schedule.zone,
+            schedule.notes
+        ].map(csvField).join(','))
     ].join('\n');
     
     // Download CSV file
@@ -275,34 +459,10 @@ function exportSchedule() {
     showNotification('Schedule exported successfully', 'success');
 }
 
-// View schedule details
-function viewSchedule(scheduleId) {
-    const schedule = schedules.find(s => s.id === scheduleId);
-    if (schedule) {
-        showNotification(`Viewing schedule for ${schedule.driver_name}`, 'info');
-    }
-}
-
-// Edit schedule
-function editSchedule(scheduleId) {
-    const schedule = schedules.find(s => s.id === scheduleId);
-    if (schedule) {
-        showNotification(`Editing schedule for ${schedule.driver_name}`, 'info');
-    }
-}
-
-// Delete schedule
-function deleteSchedule(scheduleId) {
-    if (confirm('Are you sure you want to delete this schedule?')) {
-        showNotification('Schedule deleted successfully', 'success');
-        loadSchedules(); // Refresh the list
-    }
-}
-
-// Format date for display
+// Format date for display - shift days are local calendar days
 function formatDate(dateString) {
     if (!dateString) return 'Unknown';
-    const date = new Date(dateString);
+    const date = new Date(`${dateString}T00:00:00`);
     return date.toLocaleDateString();
 }
 
@@ -39,11 +39,11 @@ async function loadDrivers() {
             }
         });
 
-        if (!response.ok) {
+        const data = dataStatus.read('Drivers', response, await response.json().catch(() => null));
+        if (!data) {
             throw new Error('Failed to fetch drivers');
         }
 
-        const data = await response.json();
         allDrivers = data.drivers || [];
         
         console.log('Drivers loaded:', allDrivers);
@@ -63,11 +63,10 @@ async function loadHeaderStats() {
             }
         });
 
-        if (!response.ok) {
+        const data = dataStatus.read('Dashboard stats', response, await response.json().catch(() => null));
+        if (!data) {
             throw new Error('Failed to fetch dashboard stats');
         }
-
-        const data = await response.json();
         
         // Update header stats
         document.getElementById('totalDrivers').textContent = data.totalDrivers || 0;
@@ -76,6 +75,9 @@ async function loadHeaderStats() {
         
     } catch (error) {
         console.error('Error loading header stats:', error);
+        ['totalDrivers', 'totalOrders', 'totalTransfers'].forEach(id => {
+            document.getElementById(id).textContent = '-';
+        });
         showNotification('Failed to load dashboard statistics', 'error');
     }
 }
@@ -252,11 +254,10 @@ async function updateDriverStats(driverId, driver) {
             }
         });
 
-        if (!response.ok) {
+        const data = dataStatus.read('Driver stats', response, await response.json().catch(() => null));
+        if (!data) {
             throw new Error('Failed to fetch driver stats');
         }
-
-        const data = await response.json();
         
         // Update driver stats
         document.getElementById(`driverTotalOrders${driverId}`).textContent = data.totalOrders || 0;
@@ -264,9 +265,9 @@ async function updateDriverStats(driverId, driver) {
         
     } catch (error) {
         console.error('Error loading driver stats:', error);
-        // Set default values
-        document.getElementById(`driverTotalOrders${driverId}`).textContent = '0';
-        document.getElementById(`driverCompletedOrders${driverId}`).textContent = '0';
+        // Unknown rather than zero
+        document.getElementById(`driverTotalOrders${driverId}`).textContent = '-';
+        document.getElementById(`driverCompletedOrders${driverId}`).textContent = '-';
     }
 }
 
@@ -337,33 +338,38 @@ async function loadDriverOrders(driverId) {
             controller.abort();
         }, 15000); // 15 second timeout
         
-        // Fetch orders from database for specific driver and date
+        // Fetch orders from database for specific driver and date, a page at a time
         // Use UUID when present (server expects UUID driver_id)
         const driverIdentifier = driver.user_id || driver.id;
-        const url = `/api/driver-orders?driverId=${encodeURIComponent(driverIdentifier)}&date=${encodeURIComponent(selectedDate)}`;
-        console.log('Making request to:', url);
+        const orders = [];
+        let cursor = null;
+        do {
+            let url = `/api/driver-orders?driverId=${encodeURIComponent(driverIdentifier)}&date=${encodeURIComponent(selectedDate)}&limit=100`;
+            if (cursor) {
+                url += `&cursor=${encodeURIComponent(cursor)}`;
+            }
+            console.log('Making request to:', url);
+            
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                signal: controller.signal
+            });
+            console.log('Response received:', { status: response.status, ok: response.ok, statusText: response.statusText });
+            
+            const data = await response.json().catch(() => null);
+            if (!response.ok || !data || !data.success) {
+                console.error('Response not ok:', { status: response.status, statusText: response.statusText, data });
+                throw new Error((data && data.message) || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            orders.push(...(data.orders || []));
+            cursor = data.nextCursor;
+        } while (cursor);
         
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            signal: controller.signal
-        });
-
         clearTimeout(timeoutId);
-        console.log('Response received:', { status: response.status, ok: response.ok, statusText: response.statusText });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Response not ok:', { status: response.status, statusText: response.statusText, errorText });
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        console.log('API response data:', data);
-        
-        const orders = data.orders || [];
         console.log('Orders array:', orders);
         
         // Check if no orders exist for this date and driver
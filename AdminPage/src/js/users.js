@@ -62,6 +62,8 @@ function updateUserInfo() {
 // Initialize Users
 function initializeUsers() {
     loadUsers();
+    loadLockouts();
+    loadSessions();
     initializeFilterTabs();
     updateStats();
 }
@@ -159,6 +161,166 @@ function displayUsers(users) {
     }).join('');
 }
 
+// Load accounts locked out after repeated failed logins
+async function loadLockouts() {
+    const tableBody = document.getElementById('lockoutsTableBody');
+    
+    try {
+        const response = await fetch('/api/auth/lockouts');
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.message);
+        }
+        
+        if (data.lockouts.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="empty-state">
+                        <i class="fas fa-lock-open"></i>
+                        <h3>No locked accounts</h3>
+                        <p>Accounts are locked temporarily after repeated failed logins</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+        
+        tableBody.innerHTML = data.lockouts.map(lockout => `
+            <tr>
+                <td>${lockout.username}</td>
+                <td>${lockout.failures}</td>
+                <td>${new Date(lockout.lastFailureAt).toLocaleString()}</td>
+                <td>${lockout.lastIp || 'N/A'}</td>
+                <td>${new Date(lockout.lockedUntil).toLocaleTimeString()}</td>
+                <td>
+                    <div style="display: flex; gap: 8px; justify-content: center;">
+                        <a href="#" data-permission="auth.lockouts.unlock" onclick="unlockAccount('${lockout.username}'); return false;" style="background-color: #10b981; color: white; padding: 8px 16px; border-radius: 6px; text-decoration: none; font-weight: bold; display: inline-flex; align-items: center; gap: 6px;">
+                            <i class="fas fa-unlock"></i> Unlock
+                        </a>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading locked accounts:', error);
+        showNotification('Error loading locked accounts: ' + error.message, 'error');
+    }
+}
+
+// Lift a lockout early
+async function unlockAccount(username) {
+    if (!confirm(`Unlock "${username}"? They will be able to log in again immediately.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/auth/lockouts/${encodeURIComponent(username)}/unlock`, {
+            method: 'POST'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showNotification(`${username} unlocked`, 'success');
+        } else {
+            showNotification('Failed to unlock account: ' + data.message, 'error');
+        }
+    } catch (error) {
+        console.error('Error unlocking account:', error);
+        showNotification('Error unlocking account: ' + error.message, 'error');
+    }
+    
+    loadLockouts();
+}
+
+// Load the devices currently signed in, grouped by login session
+async function loadSessions() {
+    const tableBody = document.getElementById('sessionsTableBody');
+    
+    try {
+        const response = await fetch('/api/sessions');
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.message);
+        }
+        
+        const describePolicy = policy => policy === 'multi' ? 'multiple devices' : 'one device';
+        document.getElementById('devicePolicy').textContent =
+            `Drivers: ${describePolicy(data.policy.driver)} · Shops: ${describePolicy(data.policy.shop)}`;
+        
+        if (data.sessions.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="empty-state">
+                        <i class="fas fa-plug"></i>
+                        <h3>No active sessions</h3>
+                        <p>Signed-in devices appear here while they are connected</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+        
+        tableBody.innerHTML = data.sessions.map(session => {
+            const role = session.role || 'unknown';
+            
+            return `
+                <tr>
+                    <td>${escapeHtml(session.username || session.userId)}</td>
+                    <td>
+                        <span class="status ${role}">
+                            ${role.charAt(0).toUpperCase() + role.slice(1)}
+                        </span>
+                    </td>
+                    <td>${session.connections}</td>
+                    <td>${new Date(session.connectedAt).toLocaleString()}</td>
+                    <td>${session.ip || 'N/A'}</td>
+                    <td class="device-cell" title="${escapeHtml(session.userAgent || '')}">${escapeHtml(session.userAgent || 'Unknown')}</td>
+                    <td>
+                        <div style="display: flex; gap: 8px; justify-content: center;">
+                            ${session.revocable ? `
+                            <a href="#" data-permission="sessions.revoke" onclick="revokeSession('${session.sessionId}', '${session.username || ''}'); return false;" style="background-color: #ef4444; color: white; padding: 8px 16px; border-radius: 6px; text-decoration: none; font-weight: bold; display: inline-flex; align-items: center; gap: 6px;">
+                                <i class="fas fa-sign-out-alt"></i> Revoke
+                            </a>` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        showNotification('Error loading sessions: ' + error.message, 'error');
+    }
+}
+
+// Sign one session out on all of its devices
+async function revokeSession(sessionId, username) {
+    if (!confirm(`Sign out this session${username ? ` of "${username}"` : ''}? The device will have to log in again.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}`, {
+            method: 'DELETE'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showNotification(data.message, 'success');
+        } else {
+            showNotification('Failed to revoke session: ' + data.message, 'error');
+        }
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        showNotification('Error revoking session: ' + error.message, 'error');
+    }
+    
+    loadSessions();
+}
+
 // Initialize Filter Tabs
 function initializeFilterTabs() {
     const filterTabs = document.querySelectorAll('.filter-tab');
@@ -236,6 +398,8 @@ async function updateStats() {
 function refreshUsers() {
     console.log('Refreshing users...');
     loadUsers();
+    loadLockouts();
+    loadSessions();
     showNotification('Users refreshed!', 'info');
 }
 
@@ -311,6 +475,12 @@ function showUserModal(user) {
         modalNotes.textContent = 'No notes available';
     }
     
+    // Password reset status - a fresh code is only shown right after generating it
+    document.getElementById('modalResetStatus').textContent = user.password_reset_requested_at
+        ? `User requested a reset on ${formatDate(user.password_reset_requested_at)}`
+        : 'No reset requested';
+    document.getElementById('resetCodeDisplay').style.display = 'none';
+    
     // Also populate edit form fields
     document.getElementById('editUserId').value = user.id;
     document.getElementById('editFullName').value = user.full_name || '';
@@ -432,6 +602,38 @@ async function saveUserChanges() {
     }
 }
 
+// Generate a single-use password reset code for the user in the modal
+async function generatePasswordResetCode() {
+    const userId = document.getElementById('editUserId').value;
+    const username = document.getElementById('editUsername').value;
+    
+    if (!confirm(`Generate a new password reset code for "${username}"? Any earlier code stops working.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/users/${userId}/password-reset`, {
+            method: 'POST'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            document.getElementById('resetCodeValue').textContent = data.code;
+            document.getElementById('resetCodeExpiry').textContent =
+                `Valid until ${new Date(data.expiresAt).toLocaleTimeString()}. Give this code to the user, it is shown only once.`;
+            document.getElementById('resetCodeDisplay').style.display = 'flex';
+            document.getElementById('modalResetStatus').textContent = 'Reset code generated';
+            showNotification('Reset code generated', 'success');
+        } else {
+            showNotification('Failed to generate reset code: ' + data.message, 'error');
+        }
+    } catch (error) {
+        console.error('Error generating reset code:', error);
+        showNotification('Error generating reset code: ' + error.message, 'error');
+    }
+}
+
 // Confirm Delete User
 function confirmDeleteUser() {
     const userId = document.getElementById('editUserId').value;
@@ -541,6 +743,10 @@ function initializeSearch() {
 }
 
 // Helper Functions
+function escapeHtml(str) {
+    return String(str || '').replace(/[&<>"']/g, s => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[s]));
+}
+
 function formatDate(dateString) {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -148,19 +148,17 @@ async function completeOrder(orderId) {
         
         const user = JSON.parse(currentUser);
         
-        // Update order status to delivered
-        const { error } = await supabase
-            .from('orders')
-            .update({ 
-                status: 'delivered',
-                delivery_date: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', orderId)
-            .eq('driver_id', user.user_id || user.id);
+        // Mark the order delivered on the server
+        const response = await fetch(`/api/driver/orders/${orderId}/complete`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ driverId: user.user_id || user.id, reason: 'ETA elapsed' })
+        });
+        const result = await response.json();
             
-        if (error) {
-            console.error('Error auto-completing order:', error);
+        // Already delivered (e.g. the shop's countdown got there first) counts as done
+        if (!result.success && result.currentStatus !== 'delivered') {
+            console.error('Error auto-completing order:', result.message);
             return;
         }
         
@@ -423,6 +421,8 @@ function showNewOrderNotification(notification) {
         
         <div class="simple-order-shop">From: Shop</div>
         
+        ${orderCategoryTag(orderData.category_id, 'simple-order-category')}
+        
         <div class="simple-order-address">
                     <i class="fas fa-map-marker-alt"></i>
             ${orderData.delivery_address || 'No address provided'}
@@ -535,6 +535,69 @@ function rejectOrder(orderId) {
     showNotification('Order declined', 'info');
 }
 
+// Another driver claimed an order - drop it from the available list
+function handleOrderTaken(payload) {
+    const orderCard = document.querySelector(`.simple-order-card[data-order-id="${payload.order_id}"]`);
+    if (!orderCard) return;
+    
+    orderCard.style.animation = 'slideOutUp 0.3s ease';
+    setTimeout(() => {
+        if (document.body.contains(orderCard)) {
+            orderCard.remove();
+        }
+    }, 300);
+    
+    showNotification(`Order #${payload.order_number || ''} was taken by ${payload.driver_name || 'another driver'}`, 'info');
+}
+
+// An order this driver holds or could take was cancelled
+function handleOrderCancelled(payload) {
+    showNotification(`Order #${payload.order_number} was cancelled: ${payload.reason}`, 'warning');
+    localStorage.removeItem('lastDriverDataLoad');
+    loadDriverData();
+    loadDriverOrders();
+}
+
+// === Helper Modal for a shop asking to cancel one of my orders ===
+function showCancelRequestModal(payload) {
+    const existing = document.getElementById('cancelRequestModal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'cancelRequestModal';
+    modal.className = 'simple-modal';
+    modal.innerHTML = `
+        <div class="simple-modal-content">
+            <h3>Cancel Order #${payload.order_number}?</h3>
+            <p>The shop wants to cancel this order: ${payload.reason}${payload.note ? ` (${payload.note})` : ''}</p>
+            <div class="simple-modal-actions">
+                <button class="modal-btn cancel" id="keepCancelledOrder">Keep Order</button>
+                <button class="modal-btn confirm" id="confirmCancelRequest">Confirm Cancel</button>
+            </div>
+        </div>`;
+    document.body.appendChild(modal);
+
+    // Without the driver's confirmation an admin decides
+    document.getElementById('keepCancelledOrder').onclick = () => modal.remove();
+    document.getElementById('confirmCancelRequest').onclick = async () => {
+        try {
+            const response = await fetch(`/api/orders/${payload.order_id}/cancel`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reasonCode: payload.reason_code, note: payload.note })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                showNotification(result.message || 'Could not cancel the order', 'error');
+            }
+        } catch (error) {
+            console.error('Error confirming cancellation:', error);
+            showNotification('Could not cancel the order', 'error');
+        }
+        modal.remove();
+    };
+}
+
 // Accept Order with fixed redirect and localStorage persistence
 async function acceptOrder(orderId) {
     try {
@@ -555,40 +618,27 @@ async function acceptOrder(orderId) {
             acceptBtn.disabled = true;
         }
         
-        // First, fetch the order details to make sure it's still available
-        const { data: orderData, error: fetchError } = await supabase
-            .from('orders')
-            .select('*')
-            .eq('id', orderId)
-            .is('driver_id', null)
-            .maybeSingle();
+        // The server only assigns the order if it is still pending and unassigned
+        const response = await fetch(`/api/driver/orders/${orderId}/accept`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ driverId: user.user_id || user.id })
+        });
+        const result = await response.json();
         
-        if (fetchError) {
-            console.error('Error fetching order details:', fetchError);
-            
-            // Check if this is an RLS error
-            if (fetchError.code === '42501' || fetchError.message?.includes('policy')) {
-                showNotification('You do not have permission to accept orders.', 'warning');
-            } else {
-                showNotification('Error fetching order details: ' + fetchError.message, 'error');
-            }
+        if (!response.ok || !result.success) {
+            console.error('Error accepting order:', result.message);
+            showNotification(result.message || 'Order is no longer available', 'warning');
             
             // Reset button state
             if (acceptBtn) {
-                acceptBtn.innerHTML = originalText;
+                acceptBtn.innerHTML = '<i class="fas fa-check"></i> Accept Order';
                 acceptBtn.disabled = false;
             }
             
-            return;
-        }
-        
-        if (!orderData) {
-            showNotification('Order is no longer available', 'warning');
-            
-            // Reset button state
-            if (acceptBtn) {
-                acceptBtn.innerHTML = originalText;
-                acceptBtn.disabled = false;
+            // Lost the race to another driver - reload the list right away
+            if (response.status === 409) {
+                localStorage.removeItem('lastDriverDataLoad');
             }
             
             // Refresh the orders list
@@ -596,51 +646,7 @@ async function acceptOrder(orderId) {
             return;
         }
         
-        // Update the order to assign it to this driver
-        const { data, error } = await supabase
-            .from('orders')
-            .update({ 
-                driver_id: user.user_id || user.id,
-                status: 'accepted',
-                assigned_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', orderId)
-            .is('driver_id', null) // Double-check it's still unassigned
-            .select();
-        
-        if (error) {
-            console.error('Error accepting order:', error);
-            
-            // Check if this is an RLS error
-            if (error.code === '42501' || error.message?.includes('policy')) {
-                showNotification('You do not have permission to accept orders.', 'warning');
-            } else {
-                showNotification('Error accepting order: ' + error.message, 'error');
-            }
-            
-            // Reset button state
-            if (acceptBtn) {
-                acceptBtn.innerHTML = originalText;
-                acceptBtn.disabled = false;
-            }
-            
-            return;
-        }
-        
-        if (!data || data.length === 0) {
-            showNotification('Order was already accepted by another driver', 'warning');
-            
-            // Reset button state
-            if (acceptBtn) {
-                acceptBtn.innerHTML = originalText;
-                acceptBtn.disabled = false;
-            }
-            
-            // Refresh the orders list
-            loadDriverData();
-            return;
-        }
+        const orderData = result.order;
         
         // Create history entry
         const historyEntry = {
@@ -858,6 +864,9 @@ function initializeNavigation() {
                     }, 100);
                 } else if (targetScreen === 'home-screen') {
                     loadDriverData();
+                } else if (targetScreen === 'profile-screen') {
+                    loadDriverEarnings();
+                    loadDriverShifts();
                 }
             } else {
                 // For screens that don't exist yet, show a notification
@@ -907,7 +916,6 @@ function showSetTimeModal(orderId) {
 async function setDeliveryTime(orderId, minutes) {
     try {
         if (!minutes) return;
-        const completionTimestamp = new Date(Date.now() + minutes * 60000);
 
         const currentUser = localStorage.getItem('currentUser');
         if (!currentUser) { 
@@ -917,35 +925,22 @@ async function setDeliveryTime(orderId, minutes) {
         const user = JSON.parse(currentUser);
         const driverId = user.user_id || user.id;
 
-        // First get the order details to have all required info
-        const { data: orderData, error: orderError } = await supabase
-            .from('orders')
-            .select('*')
-            .eq('id', orderId)
-            .single();
+        // Start the delivery with this ETA; the server checks the order can move on
+        const response = await fetch(`/api/driver/orders/${orderId}/start`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ driverId, minutes })
+        });
+        const result = await response.json();
 
-        if (orderError || !orderData) {
-            console.error('Error fetching order:', orderError);
-            showNotification('Failed to fetch order details', 'error');
+        if (!response.ok || !result.success) {
+            console.error('Error updating order:', result.message);
+            showNotification(result.message || 'Failed to update order', 'error');
             return;
         }
 
-        // Update order status
-        const { error: updateError } = await supabase
-            .from('orders')
-            .update({ 
-                delivery_date: completionTimestamp.toISOString(),
-                status: 'processing',
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', orderId)
-            .eq('driver_id', driverId);
-
-        if (updateError) {
-            console.error('Error updating order:', updateError);
-            showNotification('Failed to update order', 'error');
-            return;
-        }
+        const orderData = result.order;
+        const completionTimestamp = new Date(orderData.delivery_date);
 
         // Create/update history entry with all required fields
         const historyEntry = {
@@ -1001,106 +996,218 @@ async function setDeliveryTime(orderId, minutes) {
     }
 }
 
-// Load driver history (only completed orders)
-async function loadDriverHistory() {
+// Failure reasons and outcomes come from the server, loaded once
+let failureOptionsCache = null;
+
+async function loadFailureOptions() {
+    if (failureOptionsCache) return failureOptionsCache;
+    const response = await fetch('/api/driver/failure-reasons');
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Could not load failure reasons');
+    }
+    failureOptionsCache = { reasons: data.reasons || [], outcomes: data.outcomes || [] };
+    return failureOptionsCache;
+}
+
+// === Helper Modal to report a failed delivery ===
+async function showFailDeliveryModal(orderId, orderNumber) {
+    const existing = document.getElementById('failDeliveryModal');
+    if (existing) existing.remove();
+
+    let options;
+    try {
+        options = await loadFailureOptions();
+    } catch (error) {
+        console.error('Error loading failure reasons:', error);
+        showNotification('Could not load failure reasons', 'error');
+        return;
+    }
+
+    const modal = document.createElement('div');
+    modal.id = 'failDeliveryModal';
+    modal.className = 'simple-modal';
+    modal.innerHTML = `
+        <div class="simple-modal-content">
+            <h3>Delivery Failed #${orderNumber}</h3>
+            <p>What went wrong?</p>
+            <select id="failReasonSelect" class="fail-delivery-field">
+                ${options.reasons.map(reason => `<option value="${reason.code}">${reason.label}</option>`).join('')}
+            </select>
+            <textarea id="failNoteInput" class="fail-delivery-field" rows="2" placeholder="Note (optional)"></textarea>
+            <div class="fail-outcomes">
+                ${options.outcomes.map((outcome, index) => `
+                <label class="fail-outcome">
+                    <input type="radio" name="failOutcome" value="${outcome.code}" ${index === 0 ? 'checked' : ''} />
+                    ${outcome.label}
+                </label>`).join('')}
+            </div>
+            <div class="simple-modal-actions">
+                <button class="modal-btn cancel" id="cancelFailDelivery">Back</button>
+                <button class="modal-btn confirm danger" id="confirmFailDelivery">Report</button>
+            </div>
+        </div>`;
+    document.body.appendChild(modal);
+
+    const reasonSelect = document.getElementById('failReasonSelect');
+    const noteInput = document.getElementById('failNoteInput');
+    reasonSelect.onchange = () => {
+        const reason = options.reasons.find(r => r.code === reasonSelect.value);
+        noteInput.placeholder = reason && reason.noteRequired ? 'Note (required)' : 'Note (optional)';
+    };
+
+    document.getElementById('cancelFailDelivery').onclick = () => modal.remove();
+    document.getElementById('confirmFailDelivery').onclick = async () => {
+        const outcome = modal.querySelector('input[name="failOutcome"]:checked');
+        const sent = await failDelivery(orderId, reasonSelect.value, noteInput.value, outcome ? outcome.value : null);
+        if (sent) modal.remove();
+    };
+}
+
+// Report a failed delivery; returns true once the server took it
+async function failDelivery(orderId, reasonCode, note, outcome) {
     try {
         const currentUser = localStorage.getItem('currentUser');
         if (!currentUser) {
-            console.log('No user session found for history');
-            return;
+            showNotification('Session expired', 'error');
+            return false;
         }
-
         const user = JSON.parse(currentUser);
-        const driverId = user.user_id || user.id;
-        
-        if (!driverId) {
-            console.error('No valid driver ID found');
-            return;
-        }
 
-        console.log('[History] Loading for driver:', driverId);
+        const response = await fetch(`/api/driver/orders/${orderId}/fail`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ driverId: user.user_id || user.id, reasonCode, note, outcome })
+        });
+        const result = await response.json();
 
-        // First try driver_history table with strict filtering
-        const { data: historyData, error } = await supabase
-            .from('driver_history')
-            .select('*')
-            .eq('driver_id', driverId)
-            .eq('status', 'completed')
-            .order('created_at', { ascending: false });
+        if (!response.ok || !result.success) {
+            showNotification(result.message || 'Could not report the failed delivery', 'error');
+            return false;
+        }
 
-        if (error) {
-            // Fallback to orders table with strict filtering
-            const { data: completedOrders, error: ordersError } = await supabase
-                .from('orders')
-                .select('*')
-                .eq('driver_id', driverId)
-                .eq('status', 'delivered')
-                .order('created_at', { ascending: false });
+        showNotification(outcome === 'return_to_shop'
+            ? 'Delivery failed. Take the order back to the shop.'
+            : 'Delivery failed. Retry it when you can.', 'warning');
+        loadDriverOrders();
+        return true;
+    } catch (error) {
+        console.error('Error reporting failed delivery:', error);
+        showNotification('Could not report the failed delivery', 'error');
+        return false;
+    }
+}
 
-            if (ordersError) {
-                console.error('Error loading history:', ordersError);
-                showNotification('Error loading history', 'error');
-                return;
-            }
+// Mark a failed order as brought back to the shop
+async function returnOrderToShop(orderId) {
+    try {
+        const currentUser = localStorage.getItem('currentUser');
+        if (!currentUser) {
+            showNotification('Session expired', 'error');
+            return;
+        }
+        const user = JSON.parse(currentUser);
 
-            // Extra safety check - ensure orders belong to this driver
-            const myHistory = completedOrders?.filter(order => 
-                order.driver_id && order.driver_id.toString() === driverId.toString()
-            ) || [];
+        const response = await fetch(`/api/driver/orders/${orderId}/return`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ driverId: user.user_id || user.id })
+        });
+        const result = await response.json();
 
-            console.log(`[History] Orders fallback count for driver ${driverId}:`, myHistory.length);
-            displayCompletedOrders(myHistory);
+        if (!response.ok || !result.success) {
+            showNotification(result.message || 'Could not mark the order as returned', 'error');
             return;
         }
 
-        // Extra safety check - ensure history records belong to this driver
-        let myHistory = historyData?.filter(record => 
-            record.driver_id && record.driver_id.toString() === driverId.toString()
-        ) || [];
+        showNotification('Order returned to the shop', 'success');
+        loadDriverOrders();
+    } catch (error) {
+        console.error('Error returning order to shop:', error);
+        showNotification('Could not mark the order as returned', 'error');
+    }
+}
 
-        console.log(`[History] driver_history count for driver ${driverId}:`, myHistory.length);
+// Load driver history (only completed orders)
+// History is the driver's delivered orders from /api/driver-orders, newest
+// first, a page at a time; "Load more" follows the cursor
+const HISTORY_PAGE_SIZE = 20;
+let historyCursor = null;
+
+// A delivered order in the shape the history list and details modal use
+function historyItemFromOrder(order) {
+    return {
+        order_id: order.id,
+        order_number: order.order_id,
+        customer_name: order.customer_name,
+        delivery_address: order.delivery_address,
+        amount: order.amount,
+        completed_at: order.delivery_date || order.updated_at || order.order_date,
+        status: 'completed',
+        driver_id: order.driver_id
+    };
+}
 
-        // Merge in delivered orders from orders table that may not have a driver_history row yet
-        try {
-            const { data: deliveredOrders, error: deliveredErr } = await supabase
-                .from('orders')
-                .select('*')
-                .eq('driver_id', driverId)
-                .eq('status', 'delivered')
-                .order('delivery_date', { ascending: false });
-            if (!deliveredErr && deliveredOrders) {
-                console.log('[History Merge] Delivered orders from orders table:', deliveredOrders.length);
-                const existingIds = new Set(myHistory.map(h => h.order_id));
-                const mapped = deliveredOrders.map(o => ({
-                    order_id: o.id,
-                    order_number: o.order_id,
-                    customer_name: o.customer_name,
-                    delivery_address: o.delivery_address,
-                    amount: o.amount,
-                    completed_at: o.delivery_date || o.updated_at || o.order_date,
-                    status: 'completed',
-                    driver_id: o.driver_id
-                }));
-                const additions = mapped.filter(m => !existingIds.has(m.order_id));
-                if (additions.length) {
-                    console.log(`[History Merge] Adding ${additions.length} delivered orders from orders table.`);
-                    myHistory = [...additions, ...myHistory];
-                }
-            } else if (deliveredErr) {
-                console.warn('[History Merge] orders fallback error:', deliveredErr);
-            }
-        } catch (mergeErr) {
-            console.warn('[History Merge] merge exception:', mergeErr);
-        }
+async function fetchHistoryPage(cursor) {
+    let url = `/api/driver-orders?status=delivered&limit=${HISTORY_PAGE_SIZE}`;
+    if (cursor) {
+        url += `&cursor=${encodeURIComponent(cursor)}`;
+    }
+    
+    const response = await fetch(url);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load history');
+    }
+    historyCursor = data.nextCursor || null;
+    return (data.orders || []).map(historyItemFromOrder);
+}
 
-        // Sort combined list by completed date desc
-        myHistory.sort((a,b) => new Date(b.completed_at || b.updated_at || b.order_date).getTime() - new Date(a.completed_at || a.updated_at || a.order_date).getTime());
-        console.log('[History] Final list size after merge:', myHistory.length);
-        displayCompletedOrders(myHistory);
+function updateHistoryLoadMore() {
+    const button = document.getElementById('historyLoadMore');
+    if (!button) return;
+    button.style.display = historyCursor ? '' : 'none';
+    button.disabled = false;
+    button.textContent = 'Load more';
+}
 
+async function loadDriverHistory() {
+    try {
+        const currentUser = localStorage.getItem('currentUser');
+        if (!currentUser) {
+            console.log('No user session found for history');
+            return;
+        }
+
+        const history = await fetchHistoryPage(null);
+        console.log('[History] Loaded page of', history.length);
+        displayCompletedOrders(history);
+        applyHistoryFilters();
     } catch (error) {
         console.error('Error loading driver history:', error);
         showNotification('Error loading history', 'error');
+    } finally {
+        updateHistoryLoadMore();
+    }
+}
+
+async function loadMoreDriverHistory() {
+    if (!historyCursor) return;
+    
+    const button = document.getElementById('historyLoadMore');
+    if (button) {
+        button.disabled = true;
+        button.textContent = 'Loading...';
+    }
+    try {
+        const more = await fetchHistoryPage(historyCursor);
+        window.currentHistoryData = (window.currentHistoryData || []).concat(more);
+        applyHistoryFilters();
+    } catch (error) {
+        console.error('Error loading more history:', error);
+        showNotification('Error loading history', 'error');
+    } finally {
+        updateHistoryLoadMore();
     }
 }
 
@@ -1466,6 +1573,7 @@ async function loadAllCompletedOrders() {
                 .from('orders')
                 .select('*')
                 .eq('status', 'delivered')
+                .is('deleted_at', null)
                 .order('delivery_date', { ascending: false })
                 .limit(20);
 
@@ -1765,6 +1873,7 @@ async function loadDriverData() {
             .select('*')
             .is('driver_id', null)
             .eq('status', 'pending')
+            .is('deleted_at', null)
             .order('created_at', { ascending: false });
 
         if (availableError) {
@@ -1778,6 +1887,7 @@ async function loadDriverData() {
                         .select('*')
                         .is('driver_id', null)
                         .eq('status', 'pending')
+                        .is('deleted_at', null)
                         .order('created_at', { ascending: false }));
                 }
             }
@@ -1792,6 +1902,7 @@ async function loadDriverData() {
         console.log('Number of available orders:', availableOrders ? availableOrders.length : 0);
         
         // Display available orders
+        await loadOrderCategories();
         displayOrders(availableOrders || []);
 
     } catch (error) {
@@ -1800,6 +1911,32 @@ async function loadDriverData() {
     }
 }
 
+// Category names for the order cards, loaded once
+let orderCategoryNames = null;
+
+async function loadOrderCategories() {
+    if (orderCategoryNames) return orderCategoryNames;
+    try {
+        const response = await fetch('/api/categories');
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Could not load categories');
+        }
+        orderCategoryNames = new Map((data.categories || []).map(category => [category.id, category.name]));
+    } catch (error) {
+        // Cards go without categories; the next load tries again
+        console.error('Error loading categories:', error);
+        return new Map();
+    }
+    return orderCategoryNames;
+}
+
+// Category line for an order card; uncategorized orders get none
+function orderCategoryTag(categoryId, className) {
+    const name = categoryId && orderCategoryNames && orderCategoryNames.get(categoryId);
+    return name ? `<div class="${className}"><i class="fas fa-tag"></i> ${name}</div>` : '';
+}
+
 // Display orders with improved price formatting
 function displayOrders(orders) {
     console.log('Displaying orders:', orders);
@@ -1867,6 +2004,7 @@ function displayOrders(orders) {
                 </div>
                 <div class="simple-order-time">${timeText}</div>
                 <div class="simple-order-shop">From: Shop</div>
+                ${orderCategoryTag(order.category_id, 'simple-order-category')}
                 <div class="simple-order-address">
                     <i class="fas fa-map-marker-alt"></i>
                     ${order.delivery_address || 'No address provided'}
@@ -1976,25 +2114,16 @@ async function startDelivery(orderId) {
         
         const user = JSON.parse(currentUser);
         
-        // Update order status to processing
-        const { data, error } = await supabase
-            .from('orders')
-            .update({ 
-                status: 'processing',
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', orderId)
-            .eq('driver_id', user.user_id || user.id) // Only if assigned to this driver
-            .select();
-        
-        if (error) {
-            console.error('Error starting delivery:', error);
-            showNotification('Failed to start delivery: ' + error.message, 'error');
-            return;
-        }
+        // Move the order to processing (only if it is assigned to this driver)
+        const response = await fetch(`/api/driver/orders/${orderId}/start`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ driverId: user.user_id || user.id })
+        });
+        const result = await response.json();
         
-        if (!data || data.length === 0) {
-            showNotification('Cannot start this delivery', 'warning');
+        if (!response.ok || !result.success) {
+            showNotification(result.message || 'Cannot start this delivery', 'warning');
             loadDriverData(); // Refresh the list
             return;
         }
@@ -2008,6 +2137,39 @@ async function startDelivery(orderId) {
     }
 }
 
+// Confirm the order has been collected from the shop
+async function pickupOrder(orderId) {
+    try {
+        const currentUser = localStorage.getItem('currentUser');
+        if (!currentUser) {
+            showNotification('Please log in to update orders', 'error');
+            return;
+        }
+        
+        const user = JSON.parse(currentUser);
+        
+        const response = await fetch(`/api/driver/orders/${orderId}/pickup`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ driverId: user.user_id || user.id })
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            showNotification(result.message || 'Cannot mark this order picked up', 'warning');
+            loadDriverData(); // Refresh the list
+            return;
+        }
+        
+        showNotification('Order picked up', 'success');
+        loadDriverData(); // Refresh the order list
+        
+    } catch (error) {
+        console.error('Error confirming pickup:', error);
+        showNotification('Failed to confirm pickup', 'error');
+    }
+}
+
 // Complete delivery and update history
 async function completeDelivery(orderId) {
     try {
@@ -2029,39 +2191,17 @@ async function completeDelivery(orderId) {
             completeBtn.disabled = true;
         }
         
-        // Update the order status to delivered
-        const { data, error } = await supabase
-            .from('orders')
-            .update({ 
-                status: 'delivered',
-                delivery_date: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', orderId)
-            .eq('driver_id', user.user_id || user.id)
-            .select();
-        
-        if (error) {
-            console.error('Error completing delivery:', error);
-            
-            // Check if this is an RLS error
-            if (error.code === '42501' || error.message?.includes('policy')) {
-                showNotification('You do not have permission to update this order.', 'warning');
-            } else {
-            showNotification('Failed to complete delivery: ' + error.message, 'error');
-            }
-            
-            // Reset button state
-            if (completeBtn) {
-                completeBtn.innerHTML = '<i class="fas fa-check"></i> Complete';
-                completeBtn.disabled = false;
-            }
-            
-            return;
-        }
+        // Mark the order delivered; the server rejects it if the order can't be completed now
+        const response = await fetch(`/api/driver/orders/${orderId}/complete`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ driverId: user.user_id || user.id })
+        });
+        const result = await response.json();
         
-        if (!data || data.length === 0) {
-            showNotification('Order not found or not assigned to you', 'warning');
+        if (!response.ok || !result.success) {
+            console.error('Error completing delivery:', result.message);
+            showNotification(result.message || 'Failed to complete delivery', 'warning');
             
             // Reset button state
             if (completeBtn) {
@@ -2188,12 +2328,13 @@ function initWebSocket() {
                 const identifyMessage = {
                     type: 'IDENTIFY',
                     payload: {
-                        user_id: user.user_id || user.id,
-                        role: 'driver'
+                        userId: user.user_id || user.id,
+                        role: 'driver',
+                        token: user.token
                     }
                 };
                 socket.send(JSON.stringify(identifyMessage));
-                console.log('Sent identification message:', identifyMessage);
+                console.log('Sent identification message for driver:', identifyMessage.payload.userId);
             }
         });
         
@@ -2217,6 +2358,12 @@ function initWebSocket() {
         socket.addEventListener('close', (event) => {
             console.log('WebSocket connection closed:', event.code, event.reason);
             
+            // Session rejected by the server - log in again instead of reconnecting
+            if (event.code === 4001) {
+                handleForceLogout('Your session has expired. Please log in again.');
+                return;
+            }
+            
             // Attempt to reconnect after a delay
             setTimeout(() => {
                 console.log('Attempting to reconnect WebSocket...');
@@ -2273,6 +2420,7 @@ function handleWebSocketMessage(data) {
                 order_number: message.payload.order_number,
                 amount: message.payload.amount,
                 delivery_address: message.payload.delivery_address || 'No address provided',
+                category_id: message.payload.category_id || null,
                 status: 'pending',
                 created_at: new Date().toISOString()
             };
@@ -2304,6 +2452,15 @@ function handleWebSocketMessage(data) {
         } else if (message.type === 'ORDER_UPDATED' && message.payload) {
             handleOrderUpdate(message.payload);
             return;
+        } else if (message.type === 'ORDER_TAKEN' && message.payload) {
+            handleOrderTaken(message.payload);
+            return;
+        } else if (message.type === 'ORDER_CANCELLED' && message.payload) {
+            handleOrderCancelled(message.payload);
+            return;
+        } else if (message.type === 'CANCEL_REQUESTED' && message.payload) {
+            showCancelRequestModal(message.payload);
+            return;
         } else if (message.type === 'COUNTDOWN_STARTED' && message.payload) {
             handleCountdownStarted(message.payload);
             return;
@@ -2657,7 +2814,8 @@ async function loadDriverOrders() {
             .from('orders')
             .select('*')
             .eq('driver_id', driverId) // Only this driver's orders
-            .in('status', ['accepted', 'processing']) // Only active orders
+            .in('status', ['accepted', 'processing', 'picked_up', 'failed']) // Active orders, including failed ones still to retry or return
+            .is('deleted_at', null) // Not deleted by an admin
             .order('created_at', { ascending: false });
 
         if (error) {
@@ -2672,6 +2830,7 @@ async function loadDriverOrders() {
         ) || [];
 
         console.log(`Found ${myOrders.length} active orders for driver ${driverId}`);
+        await loadOrderCategories();
         displayDriverOrders(myOrders);
 
     } catch (error) {
@@ -2725,13 +2884,17 @@ function displayDriverOrders(ordersData) {
         }
 
         // Get status badge class
-        const statusClass = item.status === 'processing' ? 'warning' : 'success';
+        const failed = item.status === 'failed';
+        const returning = failed && item.failure_outcome === 'return_to_shop';
+        const onTheWay = item.status === 'processing' || item.status === 'picked_up';
+        const statusClass = failed ? 'error' : onTheWay ? 'warning' : 'success';
                           
         // Format status text with proper capitalization
-        const statusText = item.status ? item.status.charAt(0).toUpperCase() + item.status.slice(1) : 'Processing';
+        const statusText = returning ? 'Returning to shop'
+            : item.status ? item.status.charAt(0).toUpperCase() + item.status.slice(1).replace('_', ' ') : 'Processing';
 
-        // Check if order has countdown (processing status with delivery_date)
-        const hasCountdown = item.status === 'processing' && item.delivery_date;
+        // Check if order has countdown (on its way with a delivery_date)
+        const hasCountdown = onTheWay && item.delivery_date;
         
         // Create countdown display if applicable
         const countdownDisplay = hasCountdown ? 
@@ -2740,17 +2903,50 @@ function displayDriverOrders(ordersData) {
                 <span id="countdown-${item.id}">--:--</span>
             </div>` : '';
 
-        // Create action buttons (only show if no countdown)
-        const actionButtons = !hasCountdown ? `
+        // Create action buttons. A running countdown completes the order by
+        // itself, so only the pickup and a failed delivery can be reported then.
+        // Once picked up the ETA can no longer be changed.
+        const pickupButton = item.status === 'processing' ? `
+                <button class="history-action-btn set-time-btn" onclick="pickupOrder('${item.id}')">
+                    <i class="fas fa-box"></i> Picked Up
+                </button>` : '';
+        const failButton = `
+                <button class="history-action-btn fail-btn" onclick="showFailDeliveryModal('${item.id}', '${item.order_id}')">
+                    <i class="fas fa-exclamation-triangle"></i> Failed
+                </button>`;
+        let actionButtons;
+        if (returning) {
+            actionButtons = `
             <div class="order-actions">
+                <button class="history-action-btn complete-btn" onclick="returnOrderToShop('${item.id}')">
+                    <i class="fas fa-undo"></i> Returned to Shop
+                </button>
+            </div>
+        `;
+        } else if (failed) {
+            actionButtons = `
+            <div class="order-actions">
+                <button class="history-action-btn set-time-btn" onclick="showSetTimeModal('${item.id}')">
+                    <i class="fas fa-redo"></i> Retry
+                </button>
+                <button class="history-action-btn fail-btn" onclick="returnOrderToShop('${item.id}')">
+                    <i class="fas fa-undo"></i> Return to Shop
+                </button>
+            </div>
+        `;
+        } else {
+            actionButtons = `
+            <div class="order-actions">
+                ${pickupButton}${!hasCountdown ? `
                 <button class="history-action-btn complete-btn" onclick="completeDelivery('${item.id}')">
                     <i class="fas fa-check"></i> Complete
-                </button>
+                </button>${item.status !== 'picked_up' ? `
                 <button class="history-action-btn set-time-btn" onclick="showSetTimeModal('${item.id}')">
                     <i class="fas fa-clock"></i> Set Time
-                </button>
+                </button>` : ''}` : ''}${failButton}
             </div>
-        ` : '';
+        `;
+        }
 
         ordersHTML += `
             <div class="order-item ${hasCountdown ? 'countdown-active' : ''}">
@@ -2762,6 +2958,7 @@ function displayDriverOrders(ordersData) {
                     <i class="fas fa-user"></i>
                     ${item.customer_name}
                 </div>
+                ${orderCategoryTag(item.category_id, 'order-customer')}
                 <div class="order-address">
                     <i class="fas fa-map-marker-alt"></i>
                     ${item.delivery_address}
@@ -2786,7 +2983,7 @@ function displayDriverOrders(ordersData) {
     
     // Start countdowns for orders that have delivery_date
     ordersData.forEach(item => {
-        if (item.status === 'processing' && item.delivery_date) {
+        if ((item.status === 'processing' || item.status === 'picked_up') && item.delivery_date) {
             startCountdownForOrder(item);
         }
     });
@@ -2810,6 +3007,8 @@ function displayDriverOrders(ordersData) {
     .form-grid{display:grid;grid-template-columns:1fr 1fr;gap:12px}
     .form-grid .full{grid-column:1/-1}
     .form-control{width:100%;padding:10px 12px;border:1px solid #e5e7eb;border-radius:10px}
+    .form-control.error-input{border-color:#ef4444}
+    .add-order-field-error{margin-top:4px;color:#b91c1c;font-size:12px}
   `;
   document.head.appendChild(s);
 })();
@@ -2821,17 +3020,20 @@ async function openAddOrderCategoryModal(){
   const modal = document.getElementById('addOrderCategoryModal');
   const list = document.getElementById('driverAddCategoryList');
   document.getElementById('proceedAddOrderDetailsBtn').disabled = true;
+  pendingAddOrder.categoryId = null;
   list.innerHTML = '<div class="loading-orders"><i class="fas fa-spinner fa-spin"></i> Loading...</div>';
   modal.style.display = 'block';
   try{
     const res = await fetch('/api/categories');
     const data = await res.json();
-    const cats = (data && data.categories) ? data.categories : [];
+    if(!res.ok || !data.success) throw new Error(data.message || 'Failed to load categories');
+    // The order is stored with the chosen category; "No category" leaves it uncategorized
+    const cats = [{ id: null, name: 'No category' }, ...(data.categories || [])];
     list.innerHTML = '';
     cats.forEach(c=>{
       const chip = document.createElement('div');
       chip.className = 'chip';
-      chip.innerHTML = `<i class="fas fa-tag"></i><span>${c.name}</span>`;
+      chip.innerHTML = `<i class="fas ${c.id ? 'fa-tag' : 'fa-ban'}"></i><span>${c.name}</span>`;
       chip.onclick = ()=>{
         pendingAddOrder.categoryId = c.id;
         [...list.children].forEach(n=>n.classList.remove('selected'));
@@ -2857,6 +3059,7 @@ function closeAddOrderCategoryModal(){
 function openAddOrderDetailsModal(){
   closeAddOrderCategoryModal();
   const modal = document.getElementById('addOrderDetailsModal');
+  clearAddOrderErrors();
   modal.style.display='block';
   loadShopsForAddOrder();
 }
@@ -2885,6 +3088,35 @@ async function loadShopsForAddOrder(){
   }catch(e){ select.innerHTML = '<option value="">Failed to load shops</option>'; }
 }
 
+// Add order form inputs for the order fields the server validates
+const ADD_ORDER_FIELD_IDS = {
+  customer_name: 'addOrderCustomer',
+  customer_phone: 'addOrderPhone',
+  amount: 'addOrderAmount',
+  delivery_address: 'addOrderAddress',
+  notes: 'addOrderNotes'
+};
+
+function clearAddOrderErrors(){
+  document.querySelectorAll('#addOrderDetailsModal .add-order-field-error').forEach(el => el.remove());
+  document.querySelectorAll('#addOrderDetailsModal .error-input').forEach(el => el.classList.remove('error-input'));
+}
+
+// Show { field: message } errors under the add order inputs
+function showAddOrderErrors(errors){
+  const unplaced = [];
+  Object.entries(errors).forEach(([field, message]) => {
+    const input = document.getElementById(ADD_ORDER_FIELD_IDS[field]);
+    if (!input) { unplaced.push(message); return; }
+    input.classList.add('error-input');
+    const error = document.createElement('div');
+    error.className = 'add-order-field-error';
+    error.textContent = message;
+    input.insertAdjacentElement('afterend', error);
+  });
+  if (unplaced.length) showNotification(unplaced.join(', '), 'error');
+}
+
 async function submitDriverCreatedOrder(){
   try{
     const currentUser = JSON.parse(localStorage.getItem('currentUser')||'{}');
@@ -2897,47 +3129,39 @@ async function submitDriverCreatedOrder(){
     shopId = null;
   }
     const nowIso = new Date().toISOString();
-      const rawPhone = (document.getElementById('addOrderPhone').value||'').toString().replace(/\D/g,'').slice(0,10);
       const payload = {
       order_id: `DRV-${Date.now()}`,
       customer_name: document.getElementById('addOrderCustomer').value || null,
-        customer_phone: rawPhone || null,
+        customer_phone: document.getElementById('addOrderPhone').value || '',
         amount: document.getElementById('addOrderAmount').value || null,
       delivery_address: document.getElementById('addOrderAddress').value || '',
       order_date: nowIso,
-        status: 'delivered',
-        delivery_date: nowIso,
+        // Completed from the orders list like any other order
+        status: 'processing',
       driver_id: driverId,
       shop_id: shopId,
-        // Do not send category_id because orders table does not have that column
+      category_id: pendingAddOrder.categoryId,
       notes: document.getElementById('addOrderNotes').value || null,
       assigned_at: nowIso
     };
+    // Same rules the server applies (order-schema.js)
+    clearAddOrderErrors();
+    const check = window.orderSchema.validateNewOrder(payload);
+    if (check.errors) { showAddOrderErrors(check.errors); return; }
     console.log('[AddOrder] Submitting payload:', payload);
     const res = await fetch('/api/orders', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload) });
     const data = await res.json();
     console.log('[AddOrder] Response:', { status: res.status, ok: res.ok, body: data });
+    if(!res.ok && data.errors){ showAddOrderErrors(data.errors); return; }
     if(!res.ok || !data.success){ throw new Error(data.message||('Failed (HTTP '+res.status+')')); }
-    // If server returned history row, prepend it immediately
-    try {
-      if (data.history) {
-        console.log('[AddOrder] Server returned driver_history row; prepending to UI.');
-        const current = document.querySelector('.nav-item[data-screen="history-screen"]');
-        if (current) current.click();
-      }
-    } catch(_) {}
-    showNotification('Order saved', 'success');
+    showNotification('Order saved - complete it once delivered', 'success');
     closeAddOrderDetailsModal();
-    const historyNavItem = document.querySelector('.nav-item[data-screen="history-screen"]');
-    console.log('[AddOrder] Navigating to History ...');
-    if (historyNavItem) { 
-      historyNavItem.click();
-      setTimeout(() => { 
-        console.log('[AddOrder] Forcing history reload after navigation...');
-        loadDriverHistory();
-      }, 300);
+    const ordersNavItem = document.querySelector('.nav-item[data-screen="orders-screen"]');
+    console.log('[AddOrder] Navigating to Orders ...');
+    if (ordersNavItem) { 
+      ordersNavItem.click();
     } else { 
-      await loadDriverHistory(); 
+      await loadDriverOrders(); 
     }
   }catch(e){ console.error(e); showNotification('Failed to save order', 'error'); }
 }
@@ -3790,6 +4014,10 @@ function showOrderDetailsModal(orderData) {
         notesGroup.style.display = 'none';
     }
     
+    // History rows carry the order's UUID in order_id, plain order rows in id
+    const orderUuid = orderData.order_number ? orderData.order_id : orderData.id;
+    window.orderTimeline.load(document.getElementById('modalTimeline'), orderUuid);
+    
     // Show modal
     document.getElementById('orderDetailsModal').style.display = 'block';
 }
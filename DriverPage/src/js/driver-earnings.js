@@ -0,0 +1,64 @@
+// Driver Earnings - today's and this week's earnings on the profile screen,
+// with the last seven days and the breakdown of recent deliveries
+
+function formatEarnings(value) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(Number(value) || 0);
+}
+
+function deliveriesLabel(count) {
+    return `${count} ${count === 1 ? 'delivery' : 'deliveries'}`;
+}
+
+async function loadDriverEarnings() {
+    const linesList = document.getElementById('earningsLines');
+    if (!linesList) return;
+
+    try {
+        const response = await fetch('/api/driver-earnings');
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to load earnings');
+        }
+        displayDriverEarnings(data);
+    } catch (error) {
+        console.error('Error loading earnings:', error);
+        linesList.innerHTML = `<p class="earnings-empty">Could not load earnings: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function displayDriverEarnings(data) {
+    document.getElementById('earningsToday').textContent = formatEarnings(data.today.earnings);
+    document.getElementById('earningsTodayCount').textContent = deliveriesLabel(data.today.deliveries);
+    document.getElementById('earningsWeek').textContent = formatEarnings(data.week.earnings);
+    document.getElementById('earningsWeekCount').textContent = deliveriesLabel(data.week.deliveries);
+
+    // Bars relative to the best of the seven days
+    const best = Math.max(...data.days.map(day => day.earnings), 0);
+    document.getElementById('earningsDays').innerHTML = data.days.map(day => `
+        <div class="earnings-day" title="${deliveriesLabel(day.deliveries)}">
+            <span class="earnings-day-amount">${day.earnings > 0 ? formatEarnings(day.earnings) : ''}</span>
+            <div class="earnings-day-bar"><span style="height: ${best > 0 ? Math.round(day.earnings / best * 100) : 0}%"></span></div>
+            <span class="earnings-day-label">${new Date(`${day.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short' })}</span>
+        </div>
+    `).join('');
+
+    const linesList = document.getElementById('earningsLines');
+    if (!data.lines || data.lines.length === 0) {
+        linesList.innerHTML = '<p class="earnings-empty">No deliveries yet</p>';
+        return;
+    }
+    linesList.innerHTML = data.lines.map(line => {
+        const parts = [`Base ${formatEarnings(line.base_fee)}`];
+        if (line.distance_bonus > 0) parts.push(`Distance ${formatEarnings(line.distance_bonus)}`);
+        (line.surcharges || []).forEach(item => parts.push(`${escapeHtml(item.label)} ${formatEarnings(item.amount)}`));
+        return `
+            <div class="link-row earnings-line">
+                <div class="earnings-line-main">
+                    <span>#${escapeHtml(line.order_number || '')}</span>
+                    <span class="earnings-line-meta">${new Date(line.delivered_at).toLocaleString('en-US', { weekday: 'short', hour: '2-digit', minute: '2-digit' })} · ${parts.join(' + ')}</span>
+                </div>
+                <span class="earnings-line-total">${formatEarnings(line.total)}</span>
+            </div>
+        `;
+    }).join('');
+}
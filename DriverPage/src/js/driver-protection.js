@@ -12,7 +12,8 @@
     try {
         const user = JSON.parse(currentUser);
         
-        if (user.role !== 'driver') {
+        // The page requires a signed, unexpired session token from /api/login
+        if (user.role !== 'driver' || !user.token || (user.expiresAt && Date.now() >= user.expiresAt)) {
             // Clear invalid session and redirect
             localStorage.removeItem('currentUser');
             window.location.href = '/LoginPage/index.html';
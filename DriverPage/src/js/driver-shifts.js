@@ -0,0 +1,39 @@
+// Driver Shifts - the driver's running and upcoming shifts on the profile screen
+
+function shiftDayLabel(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+async function loadDriverShifts() {
+    const shiftsList = document.getElementById('upcomingShifts');
+    if (!shiftsList) return;
+
+    try {
+        const response = await fetch('/api/driver/shifts');
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to load shifts');
+        }
+        displayDriverShifts(data.shifts || []);
+    } catch (error) {
+        console.error('Error loading shifts:', error);
+        shiftsList.innerHTML = `<p class="earnings-empty">Could not load shifts: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function displayDriverShifts(shifts) {
+    const shiftsList = document.getElementById('upcomingShifts');
+    if (shifts.length === 0) {
+        shiftsList.innerHTML = '<p class="earnings-empty">No shifts planned</p>';
+        return;
+    }
+    shiftsList.innerHTML = shifts.map(shift => `
+        <div class="link-row shift-row${shift.active ? ' active' : ''}">
+            <div class="shift-main">
+                <span>${shiftDayLabel(shift.date)}</span>
+                <span class="shift-meta">${[shift.zone, shift.notes].filter(Boolean).map(escapeHtml).join(' · ')}</span>
+            </div>
+            <span class="shift-hours">${shift.active ? 'Now · ' : ''}${String(shift.start_time).slice(0, 5)} - ${String(shift.end_time).slice(0, 5)}</span>
+        </div>
+    `).join('');
+}
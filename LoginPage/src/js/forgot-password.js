@@ -1,6 +1,12 @@
 // DOM Elements
 const contactCards = document.querySelectorAll('.contact-card');
 const returnButton = document.querySelector('.return-button');
+const requestStep = document.getElementById('requestStep');
+const confirmStep = document.getElementById('confirmStep');
+const doneStep = document.getElementById('doneStep');
+
+// Same minimum the signup form enforces
+const MIN_PASSWORD_LENGTH = 8;
 
 // Initialize page
 document.addEventListener('DOMContentLoaded', function() {
@@ -45,6 +51,8 @@ document.addEventListener('DOMContentLoaded', function() {
     };
     window.addEventListener('resize', appHeight);
     appHeight();
+
+    initResetFlow();
     
     // Add CSS for ripple effect and animations
     const style = document.createElement('style');
@@ -88,6 +96,160 @@ document.addEventListener('DOMContentLoaded', function() {
     document.head.appendChild(style);
 });
 
+function initResetFlow() {
+    requestStep.addEventListener('submit', handleResetRequest);
+    confirmStep.addEventListener('submit', handleResetConfirm);
+
+    document.getElementById('haveCodeLink').addEventListener('click', () => {
+        document.getElementById('confirmUsername').value = document.getElementById('requestUsername').value.trim();
+        showStep(confirmStep);
+    });
+    document.getElementById('backToRequestLink').addEventListener('click', () => showStep(requestStep));
+}
+
+function showStep(step) {
+    [requestStep, confirmStep, doneStep].forEach(element => {
+        element.style.display = element === step ? '' : 'none';
+    });
+    clearFormErrors();
+}
+
+async function handleResetRequest(e) {
+    e.preventDefault();
+    clearFormErrors();
+
+    const usernameInput = document.getElementById('requestUsername');
+    const username = usernameInput.value.trim();
+
+    if (!username) {
+        showFieldError(usernameInput, 'Username is required');
+        return;
+    }
+
+    const button = requestStep.querySelector('.login-button');
+    setButtonLoading(button, true, 'Sending request...');
+
+    try {
+        const response = await fetch('/api/password-reset/request', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username })
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Could not send the reset request');
+        }
+
+        showResetFeedback(data.message || 'Request sent. An admin will give you a reset code.');
+        document.getElementById('confirmUsername').value = username;
+        showStep(confirmStep);
+    } catch (error) {
+        console.error('Password reset request failed:', error);
+        showFieldError(usernameInput, error.message);
+    } finally {
+        setButtonLoading(button, false);
+    }
+}
+
+async function handleResetConfirm(e) {
+    e.preventDefault();
+    clearFormErrors();
+
+    const usernameInput = document.getElementById('confirmUsername');
+    const codeInput = document.getElementById('resetCode');
+    const passwordInput = document.getElementById('newPassword');
+    const confirmInput = document.getElementById('confirmNewPassword');
+
+    let valid = true;
+    if (!usernameInput.value.trim()) {
+        showFieldError(usernameInput, 'Username is required');
+        valid = false;
+    }
+    if (!codeInput.value.trim()) {
+        showFieldError(codeInput, 'Reset code is required');
+        valid = false;
+    }
+    if (passwordInput.value.length < MIN_PASSWORD_LENGTH) {
+        showFieldError(passwordInput, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        valid = false;
+    }
+    if (confirmInput.value !== passwordInput.value) {
+        showFieldError(confirmInput, 'Passwords do not match');
+        valid = false;
+    }
+    if (!valid) return;
+
+    const button = confirmStep.querySelector('.login-button');
+    setButtonLoading(button, true, 'Resetting password...');
+
+    try {
+        const response = await fetch('/api/password-reset/confirm', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: usernameInput.value.trim(),
+                code: codeInput.value.trim(),
+                newPassword: passwordInput.value
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Could not reset the password');
+        }
+
+        confirmStep.reset();
+        showStep(doneStep);
+    } catch (error) {
+        console.error('Password reset failed:', error);
+        showFieldError(codeInput, error.message);
+    } finally {
+        setButtonLoading(button, false);
+    }
+}
+
+function setButtonLoading(button, loading, text) {
+    if (loading) {
+        button.dataset.label = button.textContent;
+        button.textContent = text;
+        button.disabled = true;
+    } else {
+        button.textContent = button.dataset.label || button.textContent;
+        button.disabled = false;
+    }
+}
+
+function showFieldError(input, message) {
+    input.classList.add('error');
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'error-message';
+    errorDiv.textContent = message;
+    input.parentNode.appendChild(errorDiv);
+}
+
+function clearFormErrors() {
+    document.querySelectorAll('.forgot-content .error-message').forEach(element => element.remove());
+    document.querySelectorAll('.forgot-content .error').forEach(element => element.classList.remove('error'));
+}
+
+function showResetFeedback(message) {
+    const existingFeedback = document.querySelector('.contact-feedback');
+    if (existingFeedback) {
+        existingFeedback.remove();
+    }
+
+    const feedbackDiv = document.createElement('div');
+    feedbackDiv.className = 'contact-feedback';
+    feedbackDiv.textContent = message;
+    document.body.appendChild(feedbackDiv);
+
+    setTimeout(() => {
+        feedbackDiv.classList.add('fade-out');
+        setTimeout(() => feedbackDiv.remove(), 500);
+    }, 3000);
+}
+
 function showContactFeedback(method) {
     // Remove any existing feedback
     const existingFeedback = document.querySelector('.contact-feedback');
@@ -10,6 +10,9 @@ const roleTabs = document.querySelectorAll('.role-tab');
 // Role selection functionality
 let selectedRole = null;
 
+// Countdown while the server makes us wait after failed attempts
+let cooldownTimer = null;
+
 roleTabs.forEach(tab => {
     tab.addEventListener('click', function() {
         // Remove selected class from all tabs
@@ -43,6 +46,39 @@ function clearAllErrors() {
     errorMessages.forEach(error => error.remove());
 }
 
+function formatWaitTime(seconds) {
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+    const minutes = Math.floor(seconds / 60);
+    const remainder = seconds % 60;
+    return `${minutes}:${String(remainder).padStart(2, '0')}`;
+}
+
+// Keep the login button disabled and show the remaining wait on it
+function startLoginCooldown(seconds) {
+    clearInterval(cooldownTimer);
+    
+    const endsAt = Date.now() + seconds * 1000;
+    const tick = () => {
+        const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+        
+        if (remaining <= 0) {
+            clearInterval(cooldownTimer);
+            cooldownTimer = null;
+            loginButton.disabled = false;
+            loginButton.innerHTML = 'Log In';
+            return;
+        }
+        
+        loginButton.disabled = true;
+        loginButton.innerHTML = `<i class="fas fa-hourglass-half"></i> Try again in ${formatWaitTime(remaining)}`;
+    };
+    
+    tick();
+    cooldownTimer = setInterval(tick, 1000);
+}
+
 function showError(input, message) {
     // Check if input is null or undefined
     if (!input) {
@@ -205,47 +241,12 @@ loginForm.addEventListener('submit', function(e) {
     }
 });
 
-// Admin credentials (in a real app, this would be in a database)
-const ADMIN_CREDENTIALS = {
-    'Admin1234': {
-        password: '!1234',
-        role: 'admin',
-        fullName: 'Admin User',
-        email: 'admin@teamdelivery.com'
-    }
-};
-
 function authenticateUser(username, password, role) {
     loginButton.disabled = true;
     loginButton.innerHTML = '<i class="fas fa-circle-notch fa-spin"></i> Logging in...';
     document.body.classList.add('logging-in');
     
-    // First check if it's the admin user (hardcoded)
-    const adminUser = ADMIN_CREDENTIALS[username];
-    if (adminUser && adminUser.password === password && adminUser.role === role) {
-        // Admin login successful
-        loginButton.disabled = false;
-        loginButton.innerHTML = 'Log In';
-        document.body.classList.remove('logging-in');
-        
-        // Store user session
-        localStorage.setItem('currentUser', JSON.stringify({
-            username: username,
-            role: adminUser.role,
-            fullName: adminUser.fullName,
-            email: adminUser.email
-        }));
-        
-        showSuccessMessage(`Welcome back, ${adminUser.fullName}!`);
-        
-        // Redirect to admin dashboard
-        setTimeout(() => {
-            window.location.href = '/AdminPage/index.html';
-        }, 2000);
-        return;
-    }
-    
-    // If not admin, check database users
+    // Authenticate against the server, which issues the session token
     console.log('Attempting login with:', { username, role });
     console.log('Password length:', password.length);
     
@@ -276,7 +277,9 @@ function authenticateUser(username, password, role) {
                 user_id: data.user.user_id, // Save the UUID
                 username: data.user.username,
                 role: data.user.role,
-                fullName: data.user.full_name
+                fullName: data.user.full_name,
+                token: data.token, // Signed session token sent with every API call
+                expiresAt: data.expiresAt
             }));
             
             showSuccessMessage(`Welcome back, ${data.user.full_name}!`);
@@ -299,7 +302,13 @@ function authenticateUser(username, password, role) {
             // Login failed
             console.error('Login failed:', data.message);
             
-            if (data.message.includes('role')) {
+            if (data.retryAfter > 0) {
+                const wait = formatWaitTime(data.retryAfter);
+                showError(passwordInput, data.locked
+                    ? `Too many failed attempts. Account locked, try again in ${wait}.`
+                    : `${data.message} Please wait ${wait} before trying again.`);
+                startLoginCooldown(data.retryAfter);
+            } else if (data.message.includes('role')) {
                 const roleSelectionElement = document.querySelector('.role-selection');
                 if (roleSelectionElement) {
                     showError(roleSelectionElement, data.message);
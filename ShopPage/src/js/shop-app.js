@@ -71,19 +71,16 @@ async function completeShopOrder(orderId) {
         
         const user = JSON.parse(currentUser);
         
-        // Update order status to delivered
-        const { error } = await supabase
-            .from('orders')
-            .update({ 
-                status: 'delivered',
-                delivery_date: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', orderId)
-            .eq('shop_id', user.user_id || user.id);
+        // The server marks it delivered once the driver's ETA has passed
+        const response = await fetch(`/api/shop/orders/${orderId}/complete`, {
+            method: 'POST',
+            headers: { 'X-User-ID': user.user_id || user.id }
+        });
+        const result = await response.json();
             
-        if (error) {
-            console.error('Error auto-completing shop order:', error);
+        // Already delivered (e.g. the driver's app got there first) counts as done
+        if (!result.success && result.currentStatus !== 'delivered') {
+            console.error('Error auto-completing shop order:', result.message);
             return;
         }
         
@@ -197,12 +194,16 @@ function initializeNavigation() {
 function initializeModal() {
     const modal = document.getElementById('createOrderModal');
     const editModal = document.getElementById('editOrderModal');
-    const deleteModal = document.getElementById('deleteConfirmModal');
+    const cancelModal = document.getElementById('cancelOrderModal');
+    const detailsModal = document.getElementById('orderDetailsModal');
     const createOrderBtn = document.getElementById('createOrderBtn');
     const closeModalBtn = document.getElementById('closeModal');
     const closeEditModalBtn = document.getElementById('closeEditModal');
-    const cancelDeleteBtn = document.getElementById('cancelDeleteBtn');
-    const confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
+    const keepOrderBtn = document.getElementById('keepOrderBtn');
+    const closeDetailsModalBtn = document.getElementById('closeDetailsModal');
+    const detailsEditBtn = document.getElementById('detailsEditBtn');
+    const detailsCancelBtn = document.getElementById('detailsCancelBtn');
+    const confirmCancelBtn = document.getElementById('confirmCancelBtn');
     const orderForm = document.getElementById('orderForm');
     const editOrderForm = document.getElementById('editOrderForm');
     const priorityBtns = document.querySelectorAll('.option-btn[data-priority]');
@@ -227,6 +228,10 @@ function initializeModal() {
                 paymentBtns.forEach(btn => btn.classList.remove('active'));
                 paymentBtns[0].classList.add('active'); // Default to Cash
             }
+            
+            // Offer the shop's products to pick from, and known customers as the phone is typed
+            loadOrderFormProducts();
+            resetCustomerLookup();
         });
     }
     
@@ -244,19 +249,56 @@ function initializeModal() {
         });
     }
     
-    // Close delete modal
-    if (cancelDeleteBtn) {
-        cancelDeleteBtn.addEventListener('click', function() {
-            closeModal(deleteModal);
+    // Close order details modal
+    if (closeDetailsModalBtn) {
+        closeDetailsModalBtn.addEventListener('click', function() {
+            closeModal(detailsModal);
         });
     }
     
-    // Confirm delete
-    if (confirmDeleteBtn) {
-        confirmDeleteBtn.addEventListener('click', function() {
-            const orderId = confirmDeleteBtn.getAttribute('data-order-id');
+    // Pending orders can be edited from their details
+    if (detailsEditBtn) {
+        detailsEditBtn.addEventListener('click', function() {
+            const orderId = detailsEditBtn.getAttribute('data-order-id');
+            closeModal(detailsModal);
             if (orderId) {
-                deleteOrder(orderId);
+                openEditModal(orderId);
+            }
+        });
+    }
+    
+    // Cancel from the order details
+    if (detailsCancelBtn) {
+        detailsCancelBtn.addEventListener('click', function() {
+            const orderId = detailsCancelBtn.getAttribute('data-order-id');
+            closeModal(detailsModal);
+            if (orderId) {
+                openCancelModal(orderId, detailsCancelBtn.getAttribute('data-order-number'), detailsCancelBtn.getAttribute('data-status'));
+            }
+        });
+    }
+    
+    // Open order details from any order list
+    document.addEventListener('click', function(event) {
+        const orderItem = event.target.closest('.order-item[data-order-id]');
+        if (orderItem) {
+            openOrderDetailsModal(orderItem.getAttribute('data-order-id'));
+        }
+    });
+    
+    // Close cancel modal
+    if (keepOrderBtn) {
+        keepOrderBtn.addEventListener('click', function() {
+            closeModal(cancelModal);
+        });
+    }
+    
+    // Confirm cancel
+    if (confirmCancelBtn) {
+        confirmCancelBtn.addEventListener('click', function() {
+            const orderId = confirmCancelBtn.getAttribute('data-order-id');
+            if (orderId) {
+                cancelOrder(orderId);
             }
         });
     }
@@ -269,8 +311,11 @@ function initializeModal() {
         if (event.target === editModal) {
             closeModal(editModal);
         }
-        if (event.target === deleteModal) {
-            closeModal(deleteModal);
+        if (event.target === cancelModal) {
+            closeModal(cancelModal);
+        }
+        if (event.target === detailsModal) {
+            closeModal(detailsModal);
         }
     });
     
@@ -309,6 +354,10 @@ function initializeModal() {
                     if (costGroup) costGroup.style.display = 'none';
                     if (editCostGroup) editCostGroup.style.display = 'none';
                 }
+                
+                // Picked products set the amount, so keep the cost field hidden
+                updateOrderTotal();
+                updateOrderTotal('edit');
             });
         });
     }
@@ -320,6 +369,7 @@ function initializeModal() {
             
             // Get form data
             const phoneNumber = document.getElementById('phoneNumber').value.trim();
+            const customerName = document.getElementById('customerName').value.trim();
             const deliveryAddress = document.getElementById('deliveryAddress').value.trim();
             const orderCost = document.getElementById('orderCost').value.trim();
             const notes = document.getElementById('notes')?.value.trim() || '';
@@ -332,56 +382,6 @@ function initializeModal() {
             document.querySelectorAll('.form-error').forEach(error => error.style.display = 'none');
             document.querySelectorAll('.error-input').forEach(input => input.classList.remove('error-input'));
             
-            let hasErrors = false;
-            
-            // Validate phone number (Greek format: exactly 10 digits, only numbers)
-            const phoneRegex = /^[0-9]{10}$/;
-            if (!phoneNumber) {
-                showFieldError('phoneNumber', 'Phone number is required');
-                hasErrors = true;
-            } else if (!phoneRegex.test(phoneNumber)) {
-                showFieldError('phoneNumber', 'Please enter exactly 10 digits (e.g., 6912345678)');
-                hasErrors = true;
-            } else if (phoneNumber.length !== 10) {
-                showFieldError('phoneNumber', 'Phone number must be exactly 10 digits');
-                hasErrors = true;
-            }
-            
-            // Validate delivery address (Greek only, no English characters)
-            const greekAddressRegex = /^[Α-Ωα-ωάέήίόύώΆΈΉΊΌΎΏ\s\d\.,\-\(\)]+$/;
-            if (!deliveryAddress) {
-                showFieldError('deliveryAddress', 'Delivery address is required');
-                hasErrors = true;
-            } else if (!greekAddressRegex.test(deliveryAddress)) {
-                showFieldError('deliveryAddress', 'Please enter address in Greek only (no English characters)');
-                hasErrors = true;
-            } else if (deliveryAddress.length < 5) {
-                showFieldError('deliveryAddress', 'Address must be at least 5 characters long');
-                hasErrors = true;
-            }
-            
-            // Validate cost if payment method is cash
-            if (paymentMethod === 'cash') {
-                if (!orderCost) {
-                    showFieldError('orderCost', 'Cost is required for cash payments');
-                    hasErrors = true;
-                } else if (isNaN(orderCost) || parseFloat(orderCost) <= 0) {
-                    showFieldError('orderCost', 'Please enter a valid cost amount');
-                    hasErrors = true;
-                }
-            }
-            
-            if (hasErrors) {
-                return;
-            }
-            
-            // Set a default item for the order
-            const items = [{
-                name: "Delivery Item",
-                qty: 1,
-                price: paymentMethod === 'cash' ? parseFloat(orderCost) : 0
-            }];
-            
             // Generate order ID
             const randomID = Math.floor(1000 + Math.random() * 9000);
             const orderID = `ORD-${new Date().getFullYear()}-${randomID}`;
@@ -390,14 +390,33 @@ function initializeModal() {
             const orderData = {
                 order_id: orderID,
                 customer_phone: phoneNumber,
+                customer_name: customerName,
                 delivery_address: deliveryAddress,
-                amount: paymentMethod === 'cash' ? parseFloat(orderCost) : 0,
                 payment_method: paymentMethod,
-                order_items: JSON.stringify(items),
                 notes: notes,
                 status: 'pending'
             };
             
+            // Picked products are priced by the server; otherwise the typed cost
+            // goes in as a single default item
+            const lineItems = selectedLineItems();
+            if (lineItems.length > 0) {
+                orderData.line_items = lineItems;
+            } else {
+                orderData.amount = paymentMethod === 'cash' ? orderCost : 0;
+                orderData.order_items = JSON.stringify([{
+                    name: "Delivery Item",
+                    qty: 1,
+                    price: paymentMethod === 'cash' ? parseFloat(orderCost) || 0 : 0
+                }]);
+            }
+            
+            const fieldErrors = validateShopOrderForm(window.orderSchema.validateNewOrder(orderData), deliveryAddress);
+            if (fieldErrors) {
+                showOrderFieldErrors(fieldErrors, NEW_ORDER_FIELD_IDS);
+                return;
+            }
+            
             // Show loading state
             const submitBtn = orderForm.querySelector('button[type="submit"]');
             const originalText = submitBtn.textContent;
@@ -422,6 +441,11 @@ function initializeModal() {
                 
                 const data = await response.json();
                 
+                if (!response.ok && data.errors) {
+                    showOrderFieldErrors(data.errors, NEW_ORDER_FIELD_IDS);
+                    return;
+                }
+                
                 if (!response.ok) {
                     throw new Error(data.message || 'Failed to create order');
                 }
@@ -472,59 +496,29 @@ function initializeModal() {
             document.querySelectorAll('.form-error').forEach(error => error.style.display = 'none');
             document.querySelectorAll('.error-input').forEach(input => input.classList.remove('error-input'));
             
-            let hasErrors = false;
-            
-            // Validate phone number (Greek format: exactly 10 digits, only numbers)
-            const phoneRegex = /^[0-9]{10}$/;
-            if (!phoneNumber) {
-                showFieldError('editPhoneNumber', 'Phone number is required');
-                hasErrors = true;
-            } else if (!phoneRegex.test(phoneNumber)) {
-                showFieldError('editPhoneNumber', 'Please enter exactly 10 digits (e.g., 6912345678)');
-                hasErrors = true;
-            } else if (phoneNumber.length !== 10) {
-                showFieldError('editPhoneNumber', 'Phone number must be exactly 10 digits');
-                hasErrors = true;
-            }
-            
-            // Validate delivery address (Greek only, no English characters)
-            const greekAddressRegex = /^[Α-Ωα-ωάέήίόύώΆΈΉΊΌΎΏ\s\d\.,\-\(\)]+$/;
-            if (!deliveryAddress) {
-                showFieldError('editDeliveryAddress', 'Delivery address is required');
-                hasErrors = true;
-            } else if (!greekAddressRegex.test(deliveryAddress)) {
-                showFieldError('editDeliveryAddress', 'Please enter address in Greek only (no English characters)');
-                hasErrors = true;
-            } else if (deliveryAddress.length < 5) {
-                showFieldError('editDeliveryAddress', 'Address must be at least 5 characters long');
-                hasErrors = true;
-            }
-            
-            // Validate cost if payment method is cash
-            if (paymentMethod === 'cash') {
-                if (!orderCost) {
-                    showFieldError('editOrderCost', 'Cost is required for cash payments');
-                    hasErrors = true;
-                } else if (isNaN(orderCost) || parseFloat(orderCost) <= 0) {
-                    showFieldError('editOrderCost', 'Please enter a valid cost amount');
-                    hasErrors = true;
-                }
-            }
-            
-            if (hasErrors) {
-                return;
-            }
-            
             // Create order object
             const orderData = {
                 customer_phone: phoneNumber,
                 delivery_address: deliveryAddress,
-                amount: paymentMethod === 'cash' ? parseFloat(orderCost) : 0,
                 payment_method: paymentMethod,
-                notes: notes,
-                updated_at: new Date().toISOString()
+                notes: notes
             };
             
+            // Orders priced from the catalog change through their products;
+            // the server prices them again
+            const lineItems = selectedLineItems('edit');
+            if (lineItems.length > 0) {
+                orderData.line_items = lineItems;
+            } else {
+                orderData.amount = paymentMethod === 'cash' ? orderCost : 0;
+            }
+            
+            const fieldErrors = validateShopOrderForm(window.orderSchema.validateShopOrderUpdate(orderData, null), deliveryAddress);
+            if (fieldErrors) {
+                showOrderFieldErrors(fieldErrors, EDIT_ORDER_FIELD_IDS);
+                return;
+            }
+            
             // Show loading state
             const submitBtn = editOrderForm.querySelector('button[type="submit"]');
             const originalText = submitBtn.textContent;
@@ -549,6 +543,12 @@ function initializeModal() {
                 
                 const data = await response.json();
                 
+                // The server re-checks every field; show what it rejected next to the field
+                if (!response.ok && data.errors) {
+                    showOrderFieldErrors(data.errors, EDIT_ORDER_FIELD_IDS);
+                    return;
+                }
+                
                 if (!response.ok) {
                     throw new Error(data.message || 'Failed to update order');
                 }
@@ -652,9 +652,17 @@ async function openEditModal(orderId) {
         const paymentMethod = order.payment_method || 'cash';
         const editCostGroup = document.getElementById('editCostGroup');
         if (editCostGroup) {
+            delete editCostGroup.dataset.hiddenByProducts;
             editCostGroup.style.display = paymentMethod === 'cash' ? 'block' : 'none';
         }
         
+        // Catalog orders are edited through their products, not the amount
+        if (window.orderSchema.isCatalogPriced(order)) {
+            loadOrderFormProducts('edit', orderItemQuantities(order));
+        } else {
+            resetProductPicker('edit');
+        }
+        
         // Show modal
         const editModal = document.getElementById('editOrderModal');
         if (editModal) {
@@ -668,44 +676,22 @@ async function openEditModal(orderId) {
     }
 }
 
-// Open Delete Modal
-function openDeleteModal(orderId, orderNumber) {
-    const deleteModal = document.getElementById('deleteConfirmModal');
-    const confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
-    const orderIdDisplay = document.getElementById('deleteOrderId');
+// Open Order Details Modal - summary plus the order's timeline
+async function openOrderDetailsModal(orderId) {
+    const detailsModal = document.getElementById('orderDetailsModal');
+    if (!detailsModal) return;
     
-    if (deleteModal && confirmDeleteBtn && orderIdDisplay) {
-        // Set order ID
-        confirmDeleteBtn.setAttribute('data-order-id', orderId);
-        orderIdDisplay.textContent = `#${orderNumber}`;
-        
-        // Show modal
-        deleteModal.classList.add('show');
-        document.body.style.overflow = 'hidden'; // Prevent scrolling
-    }
-}
-
-// Delete Order
-async function deleteOrder(orderId) {
     try {
         const currentUser = localStorage.getItem('currentUser');
         if (!currentUser) {
-            showNotification('Please log in to delete orders', 'error');
+            showNotification('Please log in to view orders', 'error');
             return;
         }
         
         const user = JSON.parse(currentUser);
         
-        // Show loading state
-        const confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
-        if (confirmDeleteBtn) {
-            confirmDeleteBtn.textContent = 'Deleting...';
-            confirmDeleteBtn.disabled = true;
-        }
-        
-        // Delete order using API endpoint
         const response = await fetch(`/api/shop/orders/${orderId}`, {
-            method: 'DELETE',
+            method: 'GET',
             headers: {
                 'Content-Type': 'application/json',
                 'X-User-ID': user.user_id || user.id
@@ -714,44 +700,135 @@ async function deleteOrder(orderId) {
         
         const data = await response.json();
         
-        if (!response.ok) {
-            throw new Error(data.message || 'Failed to delete order');
+        if (!response.ok || !data.order) {
+            throw new Error(data.message || 'Order not found');
         }
         
-        console.log('Order deleted:', data);
+        const order = data.order;
+        await ensureDriversDirectory();
+        
+        document.getElementById('detailsOrderNumber').textContent = `#${order.order_id}`;
+        document.getElementById('detailsStatus').textContent = order.status.charAt(0).toUpperCase() + order.status.slice(1);
+        document.getElementById('detailsAddress').textContent = order.delivery_address || 'No address provided';
+        document.getElementById('detailsAmount').textContent = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(order.amount || 0);
+        document.getElementById('detailsDriver').textContent = resolveDriverName(order.driver_id, order) || 'Not assigned yet';
+        document.getElementById('detailsCustomer').textContent = order.customer_name || order.customer_phone || '-';
+        document.getElementById('detailsCustomerBtn').setAttribute('data-phone', order.customer_phone || '');
+        document.getElementById('detailsCustomerBtn').style.display = order.customer_phone ? 'inline-flex' : 'none';
+        
+        const detailsEditBtn = document.getElementById('detailsEditBtn');
+        detailsEditBtn.setAttribute('data-order-id', order.id);
+        detailsEditBtn.style.display = order.status === 'pending' ? 'block' : 'none';
         
-        // Show success message
-        showNotification('Order deleted successfully!', 'success');
+        // Orders can be cancelled until pickup; after acceptance it waits for confirmation.
+        // A failed delivery has nobody on the way and can be cancelled directly.
+        const cancellable = ['pending', 'accepted', 'processing', 'failed'].includes(order.status);
+        const detailsCancelBtn = document.getElementById('detailsCancelBtn');
+        detailsCancelBtn.setAttribute('data-order-id', order.id);
+        detailsCancelBtn.setAttribute('data-order-number', order.order_id);
+        detailsCancelBtn.setAttribute('data-status', order.status);
+        detailsCancelBtn.style.display = cancellable && !order.cancellation_requested_at ? 'block' : 'none';
+        document.getElementById('detailsCancelPending').style.display = cancellable && order.cancellation_requested_at ? 'block' : 'none';
         
-        // Close modal
-        const deleteModal = document.getElementById('deleteConfirmModal');
-        if (deleteModal) {
-            closeModal(deleteModal);
+        window.orderTimeline.load(document.getElementById('detailsTimeline'), order.id);
+        
+        detailsModal.classList.add('show');
+        document.body.style.overflow = 'hidden'; // Prevent scrolling
+    } catch (error) {
+        console.error('Error opening order details:', error);
+        showNotification('Failed to load order details: ' + error.message, 'error');
+    }
+}
+
+// Cancellation reasons come from the server, loaded once
+let cancelReasonsLoaded = false;
+
+async function loadCancelReasons() {
+    if (cancelReasonsLoaded) return;
+    
+    const response = await fetch('/api/orders/cancel-reasons');
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load cancellation reasons');
+    }
+    
+    const select = document.getElementById('cancelReason');
+    data.reasons.forEach(reason => {
+        const option = document.createElement('option');
+        option.value = reason.code;
+        option.textContent = reason.label;
+        select.appendChild(option);
+    });
+    cancelReasonsLoaded = true;
+}
+
+// Open Cancel Modal
+async function openCancelModal(orderId, orderNumber, status) {
+    const cancelModal = document.getElementById('cancelOrderModal');
+    const confirmCancelBtn = document.getElementById('confirmCancelBtn');
+    if (!cancelModal || !confirmCancelBtn) return;
+    
+    try {
+        await loadCancelReasons();
+    } catch (error) {
+        console.error('Error loading cancellation reasons:', error);
+        showNotification('Failed to load cancellation reasons', 'error');
+        return;
+    }
+    
+    confirmCancelBtn.setAttribute('data-order-id', orderId);
+    document.getElementById('cancelOrderNumber').textContent = `#${orderNumber}`;
+    document.getElementById('cancelReason').value = '';
+    document.getElementById('cancelNote').value = '';
+    document.getElementById('cancelOrderHint').textContent = status === 'pending' || status === 'failed'
+        ? 'The order stays in your history as cancelled.'
+        : 'A driver already has this order. The driver or an admin has to confirm the cancellation.';
+    
+    cancelModal.classList.add('show');
+    document.body.style.overflow = 'hidden'; // Prevent scrolling
+}
+
+// Cancel Order - kept in history, never deleted
+async function cancelOrder(orderId) {
+    const confirmCancelBtn = document.getElementById('confirmCancelBtn');
+    const reasonCode = document.getElementById('cancelReason').value;
+    const note = document.getElementById('cancelNote').value;
+    
+    if (!reasonCode) {
+        showNotification('Please choose a reason', 'warning');
+        return;
+    }
+    
+    try {
+        if (confirmCancelBtn) {
+            confirmCancelBtn.textContent = 'Cancelling...';
+            confirmCancelBtn.disabled = true;
         }
         
-        // Remove order from UI
-        const orderElement = document.querySelector(`.order-item[data-order-id="${orderId}"]`);
-        if (orderElement) {
-            orderElement.style.animation = 'fadeOut 0.3s ease';
-            setTimeout(() => {
-                orderElement.remove();
-            }, 300);
+        const response = await fetch(`/api/orders/${orderId}/cancel`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reasonCode, note })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to cancel order');
         }
         
-        // Refresh orders after a delay
-        setTimeout(() => {
-            refreshAllOrders();
-        }, 500);
+        showNotification(data.pendingConfirmation ? data.message : 'Order cancelled', data.pendingConfirmation ? 'info' : 'success');
         
+        closeModal(document.getElementById('cancelOrderModal'));
+        refreshOrders();
+        refreshAllOrders();
     } catch (error) {
-        console.error('Error deleting order:', error);
-        showNotification('Failed to delete order: ' + error.message, 'error');
-        
-        // Reset button
-        const confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
-        if (confirmDeleteBtn) {
-            confirmDeleteBtn.textContent = 'Delete';
-            confirmDeleteBtn.disabled = false;
+        console.error('Error cancelling order:', error);
+        showNotification('Failed to cancel order: ' + error.message, 'error');
+    } finally {
+        if (confirmCancelBtn) {
+            confirmCancelBtn.textContent = 'Cancel Order';
+            confirmCancelBtn.disabled = false;
         }
     }
 }
@@ -815,6 +892,15 @@ function handleWebSocketMessage(data) {
             handleOrderUpdate(data.payload);
             break;
             
+        case 'ORDER_CANCELLED':
+            handleOrderCancelled(data.payload);
+            break;
+            
+        case 'DELIVERY_FAILED':
+        case 'ORDER_RETURNED':
+            handleDeliveryFailed(data.type, data.payload);
+            break;
+            
         case 'COUNTDOWN_STARTED':
             handleShopCountdownStarted(data.payload);
             break;
@@ -857,6 +943,33 @@ function handleOrderCreated(orderData) {
     refreshOrders();
 }
 
+// Handle order cancelled (by this shop on another device, a driver or an admin)
+function handleOrderCancelled(payload) {
+    console.log('Order cancelled:', payload);
+    const by = payload.cancelled_by && payload.cancelled_by.role !== 'shop' ? ` by the ${payload.cancelled_by.role}` : '';
+    showNotification(`Order ${payload.order_number} was cancelled${by}: ${payload.reason}`, 'warning');
+    refreshOrders();
+    refreshAllOrders();
+}
+
+// Handle a failed delivery reported by the driver, and the order coming back
+function handleDeliveryFailed(type, payload) {
+    console.log('Delivery failed:', type, payload);
+    const reason = payload.note ? `${payload.reason} (${payload.note})` : payload.reason;
+    let message;
+    if (type === 'ORDER_RETURNED') {
+        message = `Order ${payload.order_number} was returned to the shop by ${payload.driver_name}`;
+    } else if (payload.outcome === 'return_to_shop') {
+        message = `Delivery of order ${payload.order_number} failed: ${reason}. ${payload.driver_name} is bringing it back.`;
+    } else {
+        message = `Delivery of order ${payload.order_number} failed: ${reason}. ${payload.driver_name} will try again later.`;
+    }
+    showNotification(message, type === 'ORDER_RETURNED' ? 'info' : 'warning');
+    refreshOrders();
+    refreshAllOrders();
+    loadShopHistory();
+}
+
 // Handle order update
 function handleOrderUpdate(orderData) {
     console.log('Order updated:', orderData);
@@ -1018,38 +1131,20 @@ async function refreshOrders() {
     }
     
     try {
-        // Fetch orders from API
-        const currentUser = localStorage.getItem('currentUser');
-        if (!currentUser) return;
-        
-        const user = JSON.parse(currentUser);
-        
-        const response = await fetch('/api/shop/orders', {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-User-ID': user.user_id || user.id
-            }
-        });
-        
-        const data = await response.json();
-        
-        if (!response.ok) {
-            throw new Error(data.message || 'Failed to fetch orders');
-        }
+        // The five latest orders, with status totals for the stats
+        const data = await fetchShopOrders('limit=5&counts=pending,accepted,delivered');
+        if (!data) return;
         
         console.log('Orders fetched:', data.orders);
         
         // Update stats
-        const orders = data.orders || [];
-        const activeOrders = orders.filter(order => order.status === 'pending' || order.status === 'accepted');
-        const completedOrders = orders.filter(order => order.status === 'delivered');
-        
-        document.querySelector('.active-orders .stat-number').textContent = activeOrders.length;
-        document.querySelector('.completed-orders .stat-number').textContent = completedOrders.length;
+        const counts = data.statusCounts || {};
+        document.querySelector('.active-orders .stat-number').textContent = (counts.pending || 0) + (counts.accepted || 0);
+        document.querySelector('.completed-orders .stat-number').textContent = counts.delivered || 0;
         
         // Update recent orders list
-        updateRecentOrders(orders.slice(0, 5)); // Show last 5 orders
+        await loadShopCategories();
+        updateRecentOrders(data.orders || []);
         
     } catch (error) {
         console.error('Error refreshing orders:', error);
@@ -1120,6 +1215,10 @@ function updateRecentOrders(orders) {
                 statusClass = 'cancelled';
                 statusText = 'Cancelled';
                 break;
+            case 'failed':
+                statusClass = 'failed';
+                statusText = order.failure_outcome === 'return_to_shop' ? 'Returning' : 'Delivery Failed';
+                break;
             default:
                 statusClass = 'pending';
                 statusText = 'Pending';
@@ -1143,6 +1242,7 @@ function updateRecentOrders(orders) {
                     <i class="fas fa-user"></i>
                     ${order.customer_name}
                 </div>
+                ${orderCategoryLine(order)}
                 <div class="order-address">
                     <i class="fas fa-map-marker-alt"></i>
                     ${order.delivery_address || 'No address provided'}
@@ -1166,8 +1266,8 @@ function updateRecentOrders(orders) {
 // Show field error
 function showFieldError(fieldId, message) {
     const field = document.getElementById(fieldId);
-    const errorElement = document.getElementById(fieldId.replace('edit', 'edit') + 'Error') || 
-                        document.getElementById(fieldId + 'Error');
+    const formGroup = field && field.closest('.form-group');
+    const errorElement = formGroup && formGroup.querySelector('.form-error');
     
     if (field && errorElement) {
         field.classList.add('error-input');
@@ -1176,6 +1276,54 @@ function showFieldError(fieldId, message) {
     }
 }
 
+// Form inputs for the order fields the server validates (order-schema.js)
+const NEW_ORDER_FIELD_IDS = {
+    customer_phone: 'phoneNumber',
+    customer_name: 'customerName',
+    delivery_address: 'deliveryAddress',
+    amount: 'orderCost',
+    payment_method: 'paymentMethod',
+    notes: 'notes',
+    line_items: 'productPicker'
+};
+
+const EDIT_ORDER_FIELD_IDS = {
+    customer_phone: 'editPhoneNumber',
+    delivery_address: 'editDeliveryAddress',
+    amount: 'editOrderCost',
+    payment_method: 'editPaymentMethod',
+    notes: 'editNotes',
+    line_items: 'editProductPicker'
+};
+
+// Shared order rules plus this page's own: addresses are written in Greek.
+// Returns { field: message } or null when the form is fine.
+function validateShopOrderForm(result, deliveryAddress) {
+    const errors = { ...(result.errors || {}) };
+    const greekAddressRegex = /^[Α-Ωα-ωάέήίόύώΆΈΉΊΌΎΏ\s\d\.,\-\(\)]+$/;
+    if (!errors.delivery_address && !greekAddressRegex.test(deliveryAddress)) {
+        errors.delivery_address = 'Please enter address in Greek only (no English characters)';
+    }
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+// Show { field: message } errors next to the form's inputs
+function showOrderFieldErrors(errors, fieldIds) {
+    const unplaced = [];
+    Object.entries(errors).forEach(([field, message]) => {
+        const fieldId = fieldIds[field];
+        if (fieldId && document.getElementById(fieldId)) {
+            showFieldError(fieldId, message);
+        } else {
+            unplaced.push(message);
+        }
+    });
+    
+    if (unplaced.length > 0) {
+        showNotification(unplaced.join(', '), 'error');
+    }
+}
+
 // Show Notification
 function showNotification(message, type = 'info') {
     // Create notification element
@@ -1238,6 +1386,54 @@ style.textContent = `
 document.head.appendChild(style); 
 
 // Refresh All Orders (for Orders page)
+// Orders screen lists the shop's open orders, a page at a time
+const OPEN_ORDER_STATUSES = 'pending,accepted,processing,failed';
+const SHOP_ORDERS_PAGE_SIZE = 20;
+
+// One page of the shop's orders; query is a query string for /api/shop/orders
+async function fetchShopOrders(query) {
+    const currentUser = localStorage.getItem('currentUser');
+    if (!currentUser) return null;
+    
+    const user = JSON.parse(currentUser);
+    
+    const response = await fetch(`/api/shop/orders?${query}`, {
+        method: 'GET',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-User-ID': user.user_id || user.id
+        }
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch orders');
+    }
+    return data;
+}
+
+async function loadMoreShopOrders(button) {
+    if (!window.allOrdersCursor) return;
+    
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading...';
+    try {
+        const data = await fetchShopOrders(`status=${OPEN_ORDER_STATUSES}&limit=${SHOP_ORDERS_PAGE_SIZE}&cursor=${encodeURIComponent(window.allOrdersCursor)}`);
+        if (!data) return;
+        
+        window.allOrders = window.allOrders.concat(data.orders || []);
+        window.allOrdersCursor = data.nextCursor || null;
+        window.allOrdersTotal = data.total || 0;
+        displayAllOrders(window.allOrders);
+    } catch (error) {
+        console.error('Error loading more orders:', error);
+        showNotification('Failed to load more orders: ' + error.message, 'error');
+        button.disabled = false;
+        button.innerHTML = 'Load more';
+    }
+}
+
 async function refreshAllOrders() {
     const refreshBtn = document.querySelector('#orders-screen .refresh-btn');
     if (refreshBtn) {
@@ -1246,32 +1442,19 @@ async function refreshAllOrders() {
     }
     
     try {
-        // Fetch orders from API
-        const currentUser = localStorage.getItem('currentUser');
-        if (!currentUser) return;
-        
-        const user = JSON.parse(currentUser);
-        
-        const response = await fetch('/api/shop/orders', {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-User-ID': user.user_id || user.id
-            }
-        });
-        
-        const data = await response.json();
-        
-        if (!response.ok) {
-            throw new Error(data.message || 'Failed to fetch orders');
-        }
+        // First page of the open orders; loadMoreShopOrders() follows the cursor
+        const data = await fetchShopOrders(`status=${OPEN_ORDER_STATUSES}&limit=${SHOP_ORDERS_PAGE_SIZE}`);
+        if (!data) return;
         
         console.log('All orders fetched:', data.orders);
         
         // Store orders globally for filtering
-        window.allOrders = (data.orders || []).filter(order => order.status === 'pending' || order.status === 'accepted' || order.status === 'processing');
+        window.allOrders = data.orders || [];
+        window.allOrdersCursor = data.nextCursor || null;
+        window.allOrdersTotal = data.total || 0;
         
         // Display all orders
+        await loadShopCategories();
         displayAllOrders(window.allOrders);
         
     } catch (error) {
@@ -1354,13 +1537,13 @@ async function completeOrder(orderId) {
         const currentUser = localStorage.getItem('currentUser');
         if (!currentUser) return;
         const user = JSON.parse(currentUser);
-        const { error } = await supabase
-            .from('orders')
-            .update({ status: 'delivered', updated_at: new Date().toISOString(), delivery_date: new Date().toISOString() })
-            .eq('id', orderId)
-            .eq('shop_id', user.user_id || user.id);
-        if (error) {
-            console.error('Error auto-completing order:', error);
+        const response = await fetch(`/api/shop/orders/${orderId}/complete`, {
+            method: 'POST',
+            headers: { 'X-User-ID': user.user_id || user.id }
+        });
+        const result = await response.json();
+        if (!result.success && result.currentStatus !== 'delivered') {
+            console.error('Error auto-completing order:', result.message);
             return;
         }
         showNotification('Order completed!', 'success');
@@ -1381,13 +1564,15 @@ async function loadShopHistory() {
             .from('orders')
             .select('*')
             .eq('shop_id', user.user_id || user.id)
-            .eq('status','delivered')
+            .in('status',['delivered','cancelled','returned'])
+            .is('deleted_at',null)
             .order('updated_at',{ascending:false});
         if (error) { console.error('History load error', error); return; }
         // keep a copy for filtering
         window.shopHistoryOrders = data || [];
         // ensure driver directory so we can show proper names
         await ensureDriversDirectory();
+        await loadShopCategories();
         populateHistoryDrivers(window.shopHistoryOrders);
         applyHistoryFilters();
     } catch(err){console.error(err);}
@@ -1403,11 +1588,16 @@ function displayShopHistory(orders) {
     let html='';
     orders.forEach(o=>{
         const amount = new Intl.NumberFormat('en-US',{style:'currency',currency:'USD'}).format(o.amount||0);
-        const deliveredDate = new Date(o.delivery_date||o.updated_at).toLocaleDateString('en-US',{month:'short',day:'numeric',year:'numeric'});
+        const cancelled = o.status === 'cancelled';
+        const returned = o.status === 'returned';
+        const deliveredDate = new Date(cancelled ? (o.cancelled_at||o.updated_at) : returned ? (o.returned_at||o.updated_at) : (o.delivery_date||o.updated_at)).toLocaleDateString('en-US',{month:'short',day:'numeric',year:'numeric'});
+        const statusBadge = cancelled ? '<span class="order-status cancelled">Cancelled</span>'
+            : returned ? '<span class="order-status failed">Returned</span>'
+            : '<span class="order-status delivered">Delivered</span>';
         const driverId = o.driver_id || o.assigned_driver_id || o.assigned_driver || o.driver_uuid || null;
         const driverName = resolveDriverName(driverId, o);
         const driverLine = driverName ? `<div class=\"order-customer\"><i class=\"fas fa-id-card\"></i> ${driverName}</div>` : '';
-        html += `<div class=\"order-item\"><div class=\"order-header\"><div class=\"order-id\">#${o.order_id}</div><div class=\"order-amount\">${amount}</div></div>${driverLine}<div class=\"order-address\"><i class=\"fas fa-map-marker-alt\"></i> ${o.delivery_address}</div><div class=\"order-meta\"><div class=\"order-date\"><i class=\"fas fa-calendar\"></i> ${deliveredDate}</div><div class=\"order-status-container\"><span class=\"order-status delivered\">Delivered</span></div></div></div>`;
+        html += `<div class=\"order-item\" data-order-id=\"${o.id}\"><div class=\"order-header\"><div class=\"order-id\">#${o.order_id}</div><div class=\"order-amount\">${amount}</div></div>${driverLine}${orderCategoryLine(o)}<div class=\"order-address\"><i class=\"fas fa-map-marker-alt\"></i> ${o.delivery_address}</div><div class=\"order-meta\"><div class=\"order-date\"><i class=\"fas fa-calendar\"></i> ${deliveredDate}</div><div class=\"order-status-container\">${statusBadge}</div></div></div>`;
     });
     list.innerHTML = html;
 }
@@ -1662,6 +1852,12 @@ function resolveDriverName(driverId, order) {
     return fromMap || order?.driver_name || order?.driver_username || null;
 }
 
+// Category line for an order card; uncategorized orders get none
+function orderCategoryLine(order) {
+    const category = order.category_id && (shopCategories || []).find(c => c.id === order.category_id);
+    return category ? `<div class="order-customer"><i class="fas fa-tag"></i> ${category.name}</div>` : '';
+}
+
 // ---- Active orders display with countdown ----
 function displayAllOrders(orders) {
     const ordersList = document.getElementById('allOrdersList');
@@ -1688,8 +1884,12 @@ function displayAllOrders(orders) {
                 <span id="shop-countdown-${order.id}">--:--</span>
             </div>` : '';
         
-        html += `<div class="order-item ${hasCountdown ? 'countdown-active' : ''}" data-order-id="${order.id}"><div class="order-header"><div class="order-id">#${order.order_id}</div><div class="order-amount">${amount}</div></div><div class="order-customer"><i class="fas fa-user"></i> ${order.customer_name}</div><div class="order-address"><i class="fas fa-map-marker-alt"></i> ${order.delivery_address||'No address provided'}</div><div class="order-meta"><div class="order-date"><i class="fas fa-calendar"></i> ${orderDate}</div><div class="order-status-container"><span class="order-status ${statusClass}">${statusText}</span>${countdownDisplay}</div></div></div>`;
+        html += `<div class="order-item ${hasCountdown ? 'countdown-active' : ''}" data-order-id="${order.id}"><div class="order-header"><div class="order-id">#${order.order_id}</div><div class="order-amount">${amount}</div></div><div class="order-customer"><i class="fas fa-user"></i> ${order.customer_name}</div>${orderCategoryLine(order)}<div class="order-address"><i class="fas fa-map-marker-alt"></i> ${order.delivery_address||'No address provided'}</div><div class="order-meta"><div class="order-date"><i class="fas fa-calendar"></i> ${orderDate}</div><div class="order-status-container"><span class="order-status ${statusClass}">${statusText}</span>${countdownDisplay}</div></div></div>`;
     });
+    // More pages left on the server
+    if (window.allOrdersCursor) {
+        html += `<button class="load-more-btn" onclick="loadMoreShopOrders(this)">Load more (${orders.length} of ${window.allOrdersTotal})</button>`;
+    }
     ordersList.innerHTML = html;
     orders.forEach(order=>{
         if ((order.status === 'accepted' || order.status === 'processing') && order.delivery_date) {
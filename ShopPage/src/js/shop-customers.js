@@ -0,0 +1,235 @@
+// Shop Customers - phone autocomplete and saved addresses in the create order
+// form, and the customer view with past orders and totals
+
+const CUSTOMER_LOOKUP_DELAY = 250;
+let customerLookupTimer = null;
+let customerLookupResults = [];
+
+// Customer shown in the customer modal
+let viewedCustomer = null;
+
+// === Order form autocomplete ===
+
+// Called when the create order modal opens
+function resetCustomerLookup() {
+    clearTimeout(customerLookupTimer);
+    customerLookupResults = [];
+    hideCustomerSuggestions();
+    renderSavedAddresses([]);
+}
+
+function hideCustomerSuggestions() {
+    const suggestions = document.getElementById('phoneSuggestions');
+    if (suggestions) {
+        suggestions.innerHTML = '';
+        suggestions.style.display = 'none';
+    }
+}
+
+async function lookupCustomers(phone) {
+    try {
+        const response = await fetch(`/api/shop/customers?phone=${encodeURIComponent(phone)}`, {
+            headers: shopRequestHeaders()
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Customer lookup failed');
+        }
+        // Ignore answers for a number the shop has since changed
+        if (document.getElementById('phoneNumber').value !== phone) return;
+        customerLookupResults = data.customers || [];
+        renderCustomerSuggestions();
+    } catch (error) {
+        // Autocomplete is a convenience; the form works without it
+        console.error('Error looking up customers:', error);
+    }
+}
+
+function renderCustomerSuggestions() {
+    const suggestions = document.getElementById('phoneSuggestions');
+    if (!suggestions) return;
+
+    if (customerLookupResults.length === 0) {
+        hideCustomerSuggestions();
+        return;
+    }
+
+    suggestions.innerHTML = customerLookupResults.map((customer, index) => `
+        <button type="button" class="customer-suggestion" onclick="selectCustomerSuggestion(${index})">
+            <span class="customer-suggestion-phone">${escapeHtml(customer.phone)}</span>
+            <span class="customer-suggestion-meta">${escapeHtml(customer.name || (customer.addresses || [])[0] || '')}</span>
+        </button>
+    `).join('');
+    suggestions.style.display = 'block';
+}
+
+// Fill the form from a known customer; their latest address goes in first
+function selectCustomerSuggestion(index) {
+    const customer = customerLookupResults[index];
+    if (!customer) return;
+
+    const addresses = customer.addresses || [];
+    document.getElementById('phoneNumber').value = customer.phone;
+    document.getElementById('customerName').value = customer.name || '';
+    document.getElementById('deliveryAddress').value = addresses[0] || '';
+
+    hideCustomerSuggestions();
+    renderSavedAddresses(addresses);
+}
+
+function renderSavedAddresses(addresses) {
+    const container = document.getElementById('savedAddresses');
+    if (!container) return;
+
+    // Only worth offering when there is a choice
+    if (!addresses || addresses.length < 2) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    container.innerHTML = addresses.map(address => `
+        <button type="button" class="saved-address-chip" data-address="${escapeHtml(address)}">
+            <i class="fas fa-map-marker-alt"></i> ${escapeHtml(address)}
+        </button>
+    `).join('');
+    container.querySelectorAll('.saved-address-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            document.getElementById('deliveryAddress').value = chip.getAttribute('data-address');
+        });
+    });
+    container.style.display = 'flex';
+}
+
+// === Customer view ===
+
+async function openCustomerModal(phone) {
+    const modal = document.getElementById('customerModal');
+    if (!modal) return;
+
+    try {
+        const response = await fetch(`/api/shop/customers/${encodeURIComponent(phone)}`, {
+            headers: shopRequestHeaders()
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Customer not found');
+        }
+
+        viewedCustomer = data.customer;
+        displayCustomer(data.customer, data.orders || [], data.totals || {});
+        modal.classList.add('show');
+        document.body.style.overflow = 'hidden'; // Prevent scrolling
+    } catch (error) {
+        console.error('Error loading customer:', error);
+        showNotification('Failed to load customer: ' + error.message, 'error');
+    }
+}
+
+function displayCustomer(customer, orders, totals) {
+    document.getElementById('customerModalName').textContent = customer.name || 'Customer';
+    document.getElementById('customerModalPhone').textContent = customer.phone;
+    document.getElementById('customerTotalOrders').textContent = totals.orders || 0;
+    document.getElementById('customerDelivered').textContent = totals.delivered || 0;
+    document.getElementById('customerTotalSpent').textContent = formatProductPrice(totals.totalSpent);
+    document.getElementById('customerLastOrder').textContent = totals.lastOrderAt
+        ? new Date(totals.lastOrderAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+        : '-';
+
+    displayCustomerAddresses(customer.addresses || []);
+
+    const ordersList = document.getElementById('customerOrdersList');
+    if (orders.length === 0) {
+        ordersList.innerHTML = '<p class="customer-empty">No orders yet</p>';
+        return;
+    }
+    ordersList.innerHTML = orders.map(order => `
+        <div class="customer-order-row">
+            <div class="customer-order-main">
+                <span class="customer-order-id">#${escapeHtml(order.order_id)}</span>
+                <span class="customer-order-meta">${new Date(order.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })} · ${escapeHtml(order.product_name || order.delivery_address || '')}</span>
+            </div>
+            <div class="customer-order-side">
+                <span class="customer-order-amount">${formatProductPrice(order.amount)}</span>
+                <span class="order-status ${escapeHtml(order.status)}">${escapeHtml(order.status)}</span>
+            </div>
+        </div>
+    `).join('');
+}
+
+function displayCustomerAddresses(addresses) {
+    const list = document.getElementById('customerAddressesList');
+    if (addresses.length === 0) {
+        list.innerHTML = '<p class="customer-empty">No saved addresses</p>';
+        return;
+    }
+    list.innerHTML = addresses.map((address, index) => `
+        <div class="link-row">
+            <span><i class="fas fa-map-marker-alt"></i> ${escapeHtml(address)}</span>
+            <button type="button" class="pill-btn tiny ghost" onclick="removeCustomerAddress(${index})" title="Forget address">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+// Stops suggesting an address, e.g. after the customer moved
+async function removeCustomerAddress(index) {
+    if (!viewedCustomer) return;
+    const addresses = (viewedCustomer.addresses || []).filter((_, i) => i !== index);
+
+    try {
+        const response = await fetch(`/api/shop/customers/${encodeURIComponent(viewedCustomer.phone)}`, {
+            method: 'PATCH',
+            headers: shopRequestHeaders(),
+            body: JSON.stringify({ addresses })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to update customer');
+        }
+        viewedCustomer = data.customer;
+        displayCustomerAddresses(viewedCustomer.addresses || []);
+    } catch (error) {
+        console.error('Error updating customer:', error);
+        showNotification('Failed to update customer: ' + error.message, 'error');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    const phoneInput = document.getElementById('phoneNumber');
+    const customerModal = document.getElementById('customerModal');
+    const closeCustomerModalBtn = document.getElementById('closeCustomerModal');
+    const detailsCustomerBtn = document.getElementById('detailsCustomerBtn');
+
+    if (phoneInput) {
+        phoneInput.addEventListener('input', function() {
+            clearTimeout(customerLookupTimer);
+            renderSavedAddresses([]);
+            const phone = this.value;
+            if (phone.length < 3) {
+                hideCustomerSuggestions();
+                return;
+            }
+            customerLookupTimer = setTimeout(() => lookupCustomers(phone), CUSTOMER_LOOKUP_DELAY);
+        });
+        // Let a click on a suggestion land before the list goes away
+        phoneInput.addEventListener('blur', () => setTimeout(hideCustomerSuggestions, 200));
+    }
+
+    if (detailsCustomerBtn) {
+        detailsCustomerBtn.addEventListener('click', function() {
+            const phone = this.getAttribute('data-phone');
+            if (phone) openCustomerModal(phone);
+        });
+    }
+
+    if (closeCustomerModalBtn) closeCustomerModalBtn.addEventListener('click', () => closeModal(customerModal));
+
+    // Close when clicking outside
+    window.addEventListener('click', function(event) {
+        if (event.target === customerModal) {
+            closeModal(customerModal);
+        }
+    });
+});
@@ -0,0 +1,384 @@
+// Shop Products - the shop's catalog: the Products screen, and the product
+// picker in the create and edit order forms whose lines the server prices
+
+// The picker in each order form. The edit form only shows it for orders
+// priced from the catalog, which change through their products.
+const PRODUCT_PICKERS = {
+    create: { group: 'productPickerGroup', picker: 'productPicker', total: 'productTotal', costGroup: 'costGroup', form: 'orderForm' },
+    edit: { group: 'editProductPickerGroup', picker: 'editProductPicker', total: 'editProductTotal', costGroup: 'editCostGroup', form: 'editOrderForm' }
+};
+
+// Active products offered in the order forms, and the quantity picked of each per form
+let orderFormProducts = [];
+let orderFormQuantities = { create: {}, edit: {} };
+
+// Every product, for the Products screen
+let catalogProducts = [];
+
+// Categories for products and order cards, loaded once
+let shopCategories = null;
+
+function shopRequestHeaders() {
+    const user = JSON.parse(localStorage.getItem('currentUser') || '{}');
+    return {
+        'Content-Type': 'application/json',
+        'X-User-ID': user.user_id || user.id
+    };
+}
+
+function formatProductPrice(value) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(Number(value) || 0);
+}
+
+async function fetchProducts(activeOnly) {
+    const response = await fetch(`/api/shop/products${activeOnly ? '?active=true' : ''}`, {
+        headers: shopRequestHeaders()
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load products');
+    }
+    return data.products || [];
+}
+
+// === Order form picker ===
+
+// Called when an order modal opens; the edit form passes the order's quantities
+async function loadOrderFormProducts(form = 'create', quantities = {}) {
+    const ids = PRODUCT_PICKERS[form];
+    const group = document.getElementById(ids.group);
+    orderFormQuantities[form] = { ...quantities };
+    updateOrderTotal(form);
+    if (!group) return;
+
+    try {
+        orderFormProducts = await fetchProducts(true);
+    } catch (error) {
+        console.error('Error loading products for the order form:', error);
+        orderFormProducts = [];
+    }
+
+    // Shops without a catalog keep typing the amount
+    group.style.display = orderFormProducts.length > 0 ? 'block' : 'none';
+    renderProductPicker(form);
+    updateOrderTotal(form);
+}
+
+// Hides the picker, for edits of orders whose amount was typed
+function resetProductPicker(form) {
+    const ids = PRODUCT_PICKERS[form];
+    const group = document.getElementById(ids.group);
+    orderFormQuantities[form] = {};
+    if (group) group.style.display = 'none';
+    updateOrderTotal(form);
+}
+
+// { product_id: qty } of a catalog order's items
+function orderItemQuantities(order) {
+    let items = order.order_items || [];
+    if (typeof items === 'string') {
+        try {
+            items = JSON.parse(items);
+        } catch (error) {
+            items = [];
+        }
+    }
+    const quantities = {};
+    (Array.isArray(items) ? items : []).forEach(item => {
+        if (item && item.product_id) {
+            quantities[item.product_id] = (quantities[item.product_id] || 0) + (Number(item.qty) || 0);
+        }
+    });
+    return quantities;
+}
+
+function renderProductPicker(form = 'create') {
+    const picker = document.getElementById(PRODUCT_PICKERS[form].picker);
+    if (!picker) return;
+
+    picker.innerHTML = orderFormProducts.map(product => {
+        const qty = orderFormQuantities[form][product.id] || 0;
+        return `
+            <div class="product-pick-row ${qty > 0 ? 'picked' : ''}">
+                <div class="product-pick-info">
+                    <span class="product-pick-name">${escapeHtml(product.name)}</span>
+                    <span class="product-pick-price">${formatProductPrice(product.price)}</span>
+                </div>
+                <div class="qty-stepper">
+                    <button type="button" class="qty-btn" onclick="changeProductQuantity('${product.id}', -1, '${form}')" ${qty === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-minus"></i>
+                    </button>
+                    <span class="qty-value">${qty}</span>
+                    <button type="button" class="qty-btn" onclick="changeProductQuantity('${product.id}', 1, '${form}')">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function changeProductQuantity(productId, delta, form = 'create') {
+    const quantities = orderFormQuantities[form];
+    const qty = Math.max(0, Math.min(99, (quantities[productId] || 0) + delta));
+    if (qty === 0) {
+        delete quantities[productId];
+    } else {
+        quantities[productId] = qty;
+    }
+    renderProductPicker(form);
+    updateOrderTotal(form);
+}
+
+// Line items for the request; empty when the shop typed the amount instead
+function selectedLineItems(form = 'create') {
+    return Object.entries(orderFormQuantities[form]).map(([product_id, qty]) => ({ product_id, qty }));
+}
+
+// The server works the total out again from its own prices; this is the preview
+function updateOrderTotal(form = 'create') {
+    const ids = PRODUCT_PICKERS[form];
+    const lineItems = selectedLineItems(form);
+    const totalElement = document.getElementById(ids.total);
+    const costGroup = document.getElementById(ids.costGroup);
+
+    if (lineItems.length === 0) {
+        if (totalElement) totalElement.textContent = formatProductPrice(0);
+        if (costGroup && costGroup.dataset.hiddenByProducts) {
+            delete costGroup.dataset.hiddenByProducts;
+            const paymentBtn = document.querySelector(`#${ids.form} .option-btn[data-payment].active`);
+            costGroup.style.display = !paymentBtn || paymentBtn.getAttribute('data-payment') === 'cash' ? 'block' : 'none';
+        }
+        return;
+    }
+
+    const priced = window.orderSchema.priceLineItems(lineItems, orderFormProducts);
+    if (totalElement) totalElement.textContent = formatProductPrice(priced.total || 0);
+    if (costGroup) {
+        costGroup.dataset.hiddenByProducts = 'true';
+        costGroup.style.display = 'none';
+    }
+}
+
+// === Products screen ===
+
+function showProductsScreen() {
+    document.querySelectorAll('.screen').forEach(screen => screen.classList.remove('active'));
+    const screen = document.getElementById('products-screen');
+    if (screen) {
+        screen.classList.add('active');
+        loadProductsScreen();
+    }
+}
+
+async function loadShopCategories() {
+    if (shopCategories) return shopCategories;
+    try {
+        const response = await fetch('/api/categories');
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to load categories');
+        }
+        shopCategories = data.categories || [];
+    } catch (error) {
+        // Go without categories for now; the next load tries again
+        console.error('Error loading categories:', error);
+        return [];
+    }
+    return shopCategories;
+}
+
+async function loadProductsScreen() {
+    const list = document.getElementById('productsList');
+    if (!list) return;
+    list.innerHTML = '<div class="empty-state"><i class="fas fa-spinner fa-spin"></i><p>Loading products...</p></div>';
+
+    try {
+        const [products] = await Promise.all([fetchProducts(false), loadShopCategories()]);
+        catalogProducts = products;
+        displayProducts();
+    } catch (error) {
+        console.error('Error loading products:', error);
+        list.innerHTML = `<div class="empty-state"><i class="fas fa-exclamation-circle"></i><h3>Could not load products</h3><p>${escapeHtml(error.message)}</p></div>`;
+    }
+}
+
+function displayProducts() {
+    const list = document.getElementById('productsList');
+    if (!list) return;
+
+    if (catalogProducts.length === 0) {
+        list.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-box-open"></i>
+                <h3>No Products Yet</h3>
+                <p>Add the products you sell to pick them when creating orders.</p>
+            </div>
+        `;
+        return;
+    }
+
+    const categoryNames = new Map((shopCategories || []).map(category => [category.id, category.name]));
+    list.innerHTML = catalogProducts.map(product => `
+        <div class="product-item ${product.active ? '' : 'inactive'}">
+            <div class="product-item-main">
+                <div class="product-item-name">${escapeHtml(product.name)}</div>
+                <div class="product-item-meta">
+                    ${product.category_id && categoryNames.has(product.category_id) ? `<span><i class="fas fa-tag"></i> ${escapeHtml(categoryNames.get(product.category_id))}</span>` : ''}
+                    ${product.active ? '' : '<span class="product-inactive-badge">Inactive</span>'}
+                </div>
+            </div>
+            <div class="product-item-price">${formatProductPrice(product.price)}</div>
+            <div class="product-item-actions">
+                <button class="pill-btn tiny ghost" onclick="openProductModal('${product.id}')" title="Edit"><i class="fas fa-pen"></i></button>
+                <button class="pill-btn tiny ghost" onclick="toggleProductActive('${product.id}')" title="${product.active ? 'Deactivate' : 'Activate'}">
+                    <i class="fas ${product.active ? 'fa-eye-slash' : 'fa-eye'}"></i>
+                </button>
+                <button class="pill-btn tiny ghost" onclick="deleteProduct('${product.id}')" title="Delete"><i class="fas fa-trash"></i></button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Add (no id) or edit a product
+async function openProductModal(productId) {
+    const modal = document.getElementById('productModal');
+    if (!modal) return;
+
+    const product = productId ? catalogProducts.find(p => p.id === productId) : null;
+    const categories = await loadShopCategories();
+
+    document.getElementById('productModalTitle').textContent = product ? 'Edit Product' : 'Add Product';
+    document.getElementById('productId').value = product ? product.id : '';
+    document.getElementById('productName').value = product ? product.name : '';
+    document.getElementById('productPrice').value = product ? product.price : '';
+    document.getElementById('productActive').checked = product ? !!product.active : true;
+
+    const categorySelect = document.getElementById('productCategory');
+    categorySelect.innerHTML = '<option value="">No category</option>' + categories
+        .map(category => `<option value="${category.id}">${escapeHtml(category.name)}</option>`)
+        .join('');
+    categorySelect.value = product && product.category_id ? product.category_id : '';
+
+    clearProductErrors();
+    modal.classList.add('show');
+    document.body.style.overflow = 'hidden'; // Prevent scrolling
+}
+
+function clearProductErrors() {
+    document.querySelectorAll('#productForm .form-error').forEach(error => error.style.display = 'none');
+    document.querySelectorAll('#productForm .error-input').forEach(input => input.classList.remove('error-input'));
+}
+
+const PRODUCT_FIELD_IDS = {
+    name: 'productName',
+    price: 'productPrice',
+    category_id: 'productCategory',
+    active: 'productActive'
+};
+
+async function saveProduct(event) {
+    event.preventDefault();
+    clearProductErrors();
+
+    const productId = document.getElementById('productId').value;
+    const body = {
+        name: document.getElementById('productName').value.trim(),
+        price: document.getElementById('productPrice').value.trim(),
+        category_id: document.getElementById('productCategory').value || null,
+        active: document.getElementById('productActive').checked
+    };
+
+    const submitBtn = document.querySelector('#productForm button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+        const response = await fetch(productId ? `/api/shop/products/${productId}` : '/api/shop/products', {
+            method: productId ? 'PATCH' : 'POST',
+            headers: shopRequestHeaders(),
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (!response.ok && data.errors) {
+            showOrderFieldErrors(data.errors, PRODUCT_FIELD_IDS);
+            return;
+        }
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to save product');
+        }
+
+        showNotification(productId ? 'Product updated' : 'Product added', 'success');
+        closeModal(document.getElementById('productModal'));
+        loadProductsScreen();
+    } catch (error) {
+        console.error('Error saving product:', error);
+        showNotification('Failed to save product: ' + error.message, 'error');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// Inactive products stay in the catalog but are no longer offered for new orders
+async function toggleProductActive(productId) {
+    const product = catalogProducts.find(p => p.id === productId);
+    if (!product) return;
+
+    try {
+        const response = await fetch(`/api/shop/products/${productId}`, {
+            method: 'PATCH',
+            headers: shopRequestHeaders(),
+            body: JSON.stringify({ active: !product.active })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to update product');
+        }
+        loadProductsScreen();
+    } catch (error) {
+        console.error('Error updating product:', error);
+        showNotification('Failed to update product: ' + error.message, 'error');
+    }
+}
+
+// Orders already placed keep their own copy of the product name and price
+async function deleteProduct(productId) {
+    const product = catalogProducts.find(p => p.id === productId);
+    if (!product || !confirm(`Delete "${product.name}"? Existing orders are not affected.`)) return;
+
+    try {
+        const response = await fetch(`/api/shop/products/${productId}`, {
+            method: 'DELETE',
+            headers: shopRequestHeaders()
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to delete product');
+        }
+        showNotification('Product deleted', 'success');
+        loadProductsScreen();
+    } catch (error) {
+        console.error('Error deleting product:', error);
+        showNotification('Failed to delete product: ' + error.message, 'error');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    const manageProductsBtn = document.getElementById('manageProductsBtn');
+    const addProductBtn = document.getElementById('addProductBtn');
+    const productForm = document.getElementById('productForm');
+    const productModal = document.getElementById('productModal');
+    const closeProductModalBtn = document.getElementById('closeProductModal');
+
+    if (manageProductsBtn) manageProductsBtn.addEventListener('click', showProductsScreen);
+    if (addProductBtn) addProductBtn.addEventListener('click', () => openProductModal(null));
+    if (productForm) productForm.addEventListener('submit', saveProduct);
+    if (closeProductModalBtn) closeProductModalBtn.addEventListener('click', () => closeModal(productModal));
+
+    // Close when clicking outside
+    window.addEventListener('click', function(event) {
+        if (event.target === productModal) {
+            closeModal(productModal);
+        }
+    });
+});
@@ -24,6 +24,14 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
         
+        // The page requires a signed, unexpired session token from /api/login
+        if (!user.token || (user.expiresAt && Date.now() >= user.expiresAt)) {
+            console.log('Session token missing or expired, redirecting to login');
+            localStorage.removeItem('currentUser');
+            window.location.href = '/LoginPage/index.html';
+            return;
+        }
+        
         console.log('Shop session validated successfully');
     } catch (error) {
         // Handle JSON parse error
@@ -0,0 +1,130 @@
+// Auth Session Utility - attaches the signed session token to API requests
+(function() {
+    const LOGIN_PAGE = '/LoginPage/index.html';
+
+    function getUser() {
+        try {
+            return JSON.parse(localStorage.getItem('currentUser') || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function getToken() {
+        const user = getUser();
+        return user && user.token ? user.token : null;
+    }
+
+    // A session is valid while it carries a token that has not expired yet
+    function isValid(user = getUser()) {
+        return !!(user && user.token && (!user.expiresAt || Date.now() < user.expiresAt));
+    }
+
+    function clear() {
+        localStorage.removeItem('currentUser');
+    }
+
+    function redirectToLogin() {
+        clear();
+        if (window.location.pathname !== LOGIN_PAGE) {
+            window.location.href = LOGIN_PAGE;
+        }
+    }
+
+    function isApiRequest(url) {
+        try {
+            const target = new URL(url, window.location.origin);
+            return target.origin === window.location.origin && target.pathname.startsWith('/api/');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Wrap fetch so every same-origin /api/ call carries the session token
+    const nativeFetch = window.fetch.bind(window);
+
+    window.fetch = function(input, init = {}) {
+        const url = typeof input === 'string' ? input : input.url;
+        const token = getToken();
+
+        if (!token || !isApiRequest(url)) {
+            return nativeFetch(input, init);
+        }
+
+        const headers = new Headers(init.headers || (typeof input !== 'string' ? input.headers : undefined));
+        if (!headers.has('Authorization')) {
+            headers.set('Authorization', `Bearer ${token}`);
+        }
+
+        return nativeFetch(input, { ...init, headers }).then(response => {
+            // Expired or revoked session - send the user back to log in
+            if (response.status === 401 && !url.includes('/api/login')) {
+                console.warn('Session rejected by server, redirecting to login');
+                redirectToLogin();
+            }
+            return response;
+        });
+    };
+
+    // Permissions - controls tagged with data-permission="<action>" are hidden
+    // when the server's permission table does not grant that action
+    let allowedActions = null;
+
+    function can(action) {
+        // Until permissions load, leave controls visible; the server still enforces
+        return !allowedActions || allowedActions.has(action);
+    }
+
+    function applyPermissions(root = document) {
+        if (!allowedActions || !root.querySelectorAll) return;
+        root.querySelectorAll('[data-permission]').forEach(element => {
+            if (!can(element.getAttribute('data-permission'))) {
+                element.style.display = 'none';
+            }
+        });
+    }
+
+    async function loadPermissions() {
+        try {
+            const response = await fetch('/api/me/permissions');
+            const data = await response.json();
+            if (!data.success) return;
+
+            allowedActions = new Set(data.actions || []);
+            applyPermissions();
+
+            // Rows and cards are rendered after load, so keep hiding new controls
+            new MutationObserver(mutations => {
+                mutations.forEach(mutation => {
+                    mutation.addedNodes.forEach(node => {
+                        if (node.nodeType !== 1) return;
+                        if (node.hasAttribute('data-permission') && !can(node.getAttribute('data-permission'))) {
+                            node.style.display = 'none';
+                        }
+                        applyPermissions(node);
+                    });
+                });
+            }).observe(document.body, { childList: true, subtree: true });
+        } catch (error) {
+            console.error('Error loading permissions:', error);
+        }
+    }
+
+    if (isValid()) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', loadPermissions);
+        } else {
+            loadPermissions();
+        }
+    }
+
+    window.authSession = {
+        getUser,
+        getToken,
+        isValid,
+        clear,
+        redirectToLogin,
+        can,
+        applyPermissions
+    };
+})();
@@ -0,0 +1,11 @@
+// Escape HTML - makes text safe to put into innerHTML, inside elements and
+// quoted attributes alike. Shared by the shop and driver pages.
+(function() {
+    const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    function escapeHtml(value) {
+        return (value == null ? '' : String(value)).replace(/[&<>"']/g, char => ENTITIES[char]);
+    }
+
+    window.escapeHtml = escapeHtml;
+})();
@@ -0,0 +1,219 @@
+// Admin overview - the dashboard's KPIs over a range of orders: orders and
+// revenue per hour or day, the status mix, how long orders wait for a driver
+// and then for delivery, and how many drivers worked. Days are calendar days
+// in UTC, the same as the dates stored on orders.
+const { ORDER_STATUSES } = require('./order-state');
+const { selectAll } = require('./select-all');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 366;
+
+// Order ids per order_events query, to keep the request URL short
+const EVENT_QUERY_CHUNK = 200;
+
+// Preset ranges, all ending now. The 24h range is charted per hour, the rest per day.
+const RANGES = {
+    '24h': { days: 1, bucket: 'hour' },
+    '7d': { days: 7, bucket: 'day' },
+    '30d': { days: 30, bucket: 'day' },
+    '90d': { days: 90, bucket: 'day' }
+};
+const DEFAULT_RANGE = '7d';
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function startOfDay(time) {
+    return Math.floor(time / DAY_MS) * DAY_MS;
+}
+
+function bucketStart(time, bucket) {
+    return bucket === 'hour' ? Math.floor(time / HOUR_MS) * HOUR_MS : startOfDay(time);
+}
+
+function timeOf(value) {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isFinite(time) ? time : null;
+}
+
+// The range the overview covers, from ?range= (a preset) or ?from=&to=
+// (YYYY-MM-DD, both days included). Returns { range, from, to, bucket } with
+// from/to in milliseconds (to exclusive), or { error }
+function overviewRange(query = {}, now = Date.now()) {
+    if (query.from || query.to) {
+        if (!DATE_PATTERN.test(query.from || '') || Number.isNaN(Date.parse(query.from))) {
+            return { error: 'Start date must be a date (YYYY-MM-DD)' };
+        }
+        if (query.to && (!DATE_PATTERN.test(query.to) || Number.isNaN(Date.parse(query.to)))) {
+            return { error: 'End date must be a date (YYYY-MM-DD)' };
+        }
+
+        const from = Date.parse(`${query.from}T00:00:00Z`);
+        const to = query.to ? Date.parse(`${query.to}T00:00:00Z`) + DAY_MS : startOfDay(now) + DAY_MS;
+        if (to <= from) {
+            return { error: 'End date must not be before the start date' };
+        }
+        if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+            return { error: `The range can cover at most ${MAX_RANGE_DAYS} days` };
+        }
+        return { range: 'custom', from, to, bucket: to - from <= 2 * DAY_MS ? 'hour' : 'day' };
+    }
+
+    const key = query.range || DEFAULT_RANGE;
+    const preset = RANGES[key];
+    if (!preset) {
+        return { error: `Unknown range "${key}" (use ${Object.keys(RANGES).join(', ')})` };
+    }
+    const from = preset.bucket === 'hour'
+        ? now - preset.days * DAY_MS
+        : startOfDay(now) - (preset.days - 1) * DAY_MS;
+    return { range: key, from, to: now, bucket: preset.bucket };
+}
+
+function average(values) {
+    if (values.length === 0) return null;
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10;
+}
+
+// KPIs for the orders created or delivered within the range.
+//   orders     - rows with id, status, amount, driver_id, order_date, delivery_date
+//   acceptedAt - Map of order id -> when a driver accepted it (from order_events);
+//                orders drivers created themselves were never waiting and are left out
+function computeOverview(orders, { from, to, bucket }, acceptedAt = new Map()) {
+    const inRange = time => time !== null && time >= from && time < to;
+    const series = new Map();
+    for (let start = bucketStart(from, bucket); start < to; start += bucket === 'hour' ? HOUR_MS : DAY_MS) {
+        series.set(start, { start: new Date(start).toISOString(), orders: 0, deliveries: 0, revenue: 0 });
+    }
+
+    const statusCounts = Object.fromEntries(ORDER_STATUSES.map(status => [status, 0]));
+    const drivers = new Set();
+    const acceptMinutes = [];
+    const deliveryMinutes = [];
+    let created = 0;
+    let delivered = 0;
+    let revenue = 0;
+
+    (orders || []).forEach(order => {
+        const orderedAt = timeOf(order.order_date);
+        const deliveredAt = order.status === 'delivered' ? timeOf(order.delivery_date) : null;
+        const accepted = timeOf(acceptedAt.get(order.id));
+
+        if (inRange(orderedAt)) {
+            created += 1;
+            series.get(bucketStart(orderedAt, bucket)).orders += 1;
+            if (order.status in statusCounts) {
+                statusCounts[order.status] += 1;
+            }
+            if (accepted !== null && accepted >= orderedAt) {
+                acceptMinutes.push((accepted - orderedAt) / 60000);
+            }
+        }
+
+        if (inRange(deliveredAt)) {
+            const amount = Number(order.amount) || 0;
+            const point = series.get(bucketStart(deliveredAt, bucket));
+            delivered += 1;
+            revenue += amount;
+            point.deliveries += 1;
+            point.revenue += amount;
+            if (accepted !== null && deliveredAt >= accepted) {
+                deliveryMinutes.push((deliveredAt - accepted) / 60000);
+            }
+        }
+
+        if (order.driver_id && (inRange(orderedAt) || inRange(deliveredAt))) {
+            drivers.add(order.driver_id);
+        }
+    });
+
+    return {
+        range: { from: new Date(from).toISOString(), to: new Date(to).toISOString(), bucket },
+        kpis: {
+            orders: created,
+            deliveries: delivered,
+            revenue: roundMoney(revenue),
+            avgAcceptMinutes: average(acceptMinutes),
+            avgDeliveryMinutes: average(deliveryMinutes),
+            activeDrivers: drivers.size
+        },
+        series: [...series.values()].map(point => ({ ...point, revenue: roundMoney(point.revenue) })),
+        statusDistribution: ORDER_STATUSES.map(status => ({ status, count: statusCounts[status] }))
+    };
+}
+
+// What admin sockets are told when an order changes, enough for the dashboard
+// to decide whether the range it shows is affected
+function overviewChange(order, previousStatus) {
+    return {
+        order_id: order.id,
+        order_number: order.order_id || null,
+        status: order.status,
+        previous_status: previousStatus || null,
+        order_date: order.order_date || null,
+        delivery_date: order.delivery_date || null
+    };
+}
+
+function createAdminOverview({ supabaseAdmin }) {
+    // When each order was first accepted, from the pending -> accepted events
+    async function loadAcceptTimes(orderIds) {
+        const acceptedAt = new Map();
+
+        for (let i = 0; i < orderIds.length; i += EVENT_QUERY_CHUNK) {
+            const chunk = orderIds.slice(i, i + EVENT_QUERY_CHUNK);
+            const { data, error } = await selectAll(() => supabaseAdmin
+                .from('order_events')
+                .select('order_id, created_at')
+                .eq('to_status', 'accepted')
+                .in('order_id', chunk)
+                .order('id', { ascending: true }));
+
+            if (error) {
+                throw new Error(error.message);
+            }
+            (data || []).forEach(event => {
+                const current = acceptedAt.get(event.order_id);
+                if (!current || event.created_at < current) {
+                    acceptedAt.set(event.order_id, event.created_at);
+                }
+            });
+        }
+        return acceptedAt;
+    }
+
+    // range: from overviewRange(). Every order in the range is read, a page
+    // at a time, so busy ranges aren't cut off at the server's row cap.
+    async function loadOverview(range) {
+        const from = new Date(range.from).toISOString();
+        const to = new Date(range.to).toISOString();
+
+        const { data, error } = await selectAll(() => supabaseAdmin
+            .from('orders')
+            .select('id, order_id, status, amount, driver_id, order_date, delivery_date')
+            .is('deleted_at', null)
+            .or(`and(order_date.gte.${from},order_date.lt.${to}),and(delivery_date.gte.${from},delivery_date.lt.${to})`)
+            .order('id', { ascending: true }));
+
+        if (error) {
+            throw new Error(error.message);
+        }
+
+        const orders = data || [];
+        const acceptedAt = await loadAcceptTimes(orders.map(order => order.id));
+        return computeOverview(orders, range, acceptedAt);
+    }
+
+    return { loadOverview };
+}
+
+module.exports = {
+    RANGES,
+    overviewRange,
+    computeOverview,
+    overviewChange,
+    createAdminOverview
+};
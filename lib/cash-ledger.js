@@ -0,0 +1,290 @@
+// Driver cash ledger - cash a driver collects from cash-on-delivery orders and
+// hands in to the office. Deliveries credit the driver, hand-ins debit them;
+// the difference is the cash the driver is still holding.
+const { selectAll } = require('./select-all');
+
+const MAX_NOTE_LENGTH = 300;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Ledger days are calendar days in UTC, the same as the dates stored on orders
+function entryDay(entry) {
+    return String(entry.created_at || '').slice(0, 10);
+}
+
+// The credit a delivered order puts on its driver's ledger, or null when the
+// driver took no cash for it (card orders, free orders, no driver)
+function deliveryEntry(order) {
+    if (!order || order.payment_method !== 'cash' || !order.driver_id) {
+        return null;
+    }
+    const amount = roundMoney(Number(order.amount) || 0);
+    if (amount <= 0) {
+        return null;
+    }
+    return {
+        driver_id: order.driver_id,
+        entry_type: 'delivery',
+        order_id: order.id,
+        order_number: order.order_id || null,
+        amount,
+        created_at: order.delivery_date && new Date(order.delivery_date).getTime() <= Date.now()
+            ? order.delivery_date
+            : new Date().toISOString()
+    };
+}
+
+// An admin recording cash a driver handed in.
+// Returns { handIn } with normalized values, or { errors: { field: message } }
+function validateHandIn(body) {
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const errors = {};
+    const amount = input.amount === '' || input.amount === null || input.amount === undefined ? NaN : Number(input.amount);
+    const note = typeof input.note === 'string' ? input.note.trim() : '';
+
+    if (!input.driver_id || !UUID_PATTERN.test(String(input.driver_id))) {
+        errors.driver_id = 'Choose a driver';
+    }
+    if (!Number.isFinite(amount)) {
+        errors.amount = 'Amount must be a number';
+    } else if (amount <= 0) {
+        errors.amount = 'Amount must be more than zero';
+    }
+    if (input.note !== undefined && input.note !== null && typeof input.note !== 'string') {
+        errors.note = 'Note must be text';
+    } else if (note.length > MAX_NOTE_LENGTH) {
+        errors.note = `Note must be at most ${MAX_NOTE_LENGTH} characters`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { errors };
+    }
+    return { handIn: { driver_id: String(input.driver_id), amount: roundMoney(amount), note: note || null } };
+}
+
+// Collected, handed in and outstanding cash per driver, biggest balance first
+function ledgerBalances(entries) {
+    const rows = new Map();
+
+    (entries || []).forEach(entry => {
+        if (!rows.has(entry.driver_id)) {
+            rows.set(entry.driver_id, {
+                driver_id: entry.driver_id,
+                collected: 0,
+                handedIn: 0,
+                deliveries: 0,
+                lastHandInAt: null
+            });
+        }
+        const row = rows.get(entry.driver_id);
+        const amount = Number(entry.amount) || 0;
+        if (entry.entry_type === 'hand_in') {
+            row.handedIn += amount;
+            if (!row.lastHandInAt || entry.created_at > row.lastHandInAt) {
+                row.lastHandInAt = entry.created_at;
+            }
+        } else {
+            row.collected += amount;
+            row.deliveries += 1;
+        }
+    });
+
+    return [...rows.values()]
+        .map(row => ({
+            ...row,
+            collected: roundMoney(row.collected),
+            handedIn: roundMoney(row.handedIn),
+            outstanding: roundMoney(row.collected - row.handedIn)
+        }))
+        .sort((a, b) => b.outstanding - a.outstanding);
+}
+
+// One row per driver per day with activity, newest day first. `outstanding` is
+// what the driver still held at the end of that day, so entries must go back
+// to the driver's first one; pass `from` to drop the earlier rows afterwards.
+function dailyBalances(entries, { from } = {}) {
+    const sorted = [...(entries || [])].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    const running = new Map();
+    const rows = new Map();
+
+    sorted.forEach(entry => {
+        const date = entryDay(entry);
+        const key = `${date}|${entry.driver_id}`;
+        if (!rows.has(key)) {
+            rows.set(key, { date, driver_id: entry.driver_id, collected: 0, handedIn: 0, outstanding: 0 });
+        }
+        const row = rows.get(key);
+        const amount = Number(entry.amount) || 0;
+        const balance = (running.get(entry.driver_id) || 0) + (entry.entry_type === 'hand_in' ? -amount : amount);
+
+        if (entry.entry_type === 'hand_in') {
+            row.handedIn += amount;
+        } else {
+            row.collected += amount;
+        }
+        running.set(entry.driver_id, balance);
+        row.outstanding = balance;
+    });
+
+    return [...rows.values()]
+        .filter(row => !from || row.date >= from)
+        .map(row => ({
+            ...row,
+            collected: roundMoney(row.collected),
+            handedIn: roundMoney(row.handedIn),
+            outstanding: roundMoney(row.outstanding)
+        }))
+        .sort((a, b) => b.date.localeCompare(a.date) || a.driver_id.localeCompare(b.driver_id));
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The per-day reconciliation as CSV. driverNames: Map of driver id -> name
+function reconciliationCsv(days, driverNames) {
+    const names = driverNames || new Map();
+    const lines = [['Date', 'Driver', 'Cash Collected', 'Handed In', 'Outstanding']];
+
+    (days || []).forEach(row => {
+        lines.push([
+            row.date,
+            names.get(row.driver_id) || row.driver_id,
+            row.collected.toFixed(2),
+            row.handedIn.toFixed(2),
+            row.outstanding.toFixed(2)
+        ]);
+    });
+
+    return lines.map(line => line.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function createCashLedger({ supabaseAdmin, logger }) {
+    // Best-effort - the delivery stands even when its ledger row can't be written.
+    // Keyed on the order, so crediting the same delivery twice changes nothing.
+    async function creditDelivery(order) {
+        const entry = deliveryEntry(order);
+        if (!entry) return;
+
+        try {
+            const { error } = await supabaseAdmin
+                .from('cash_ledger')
+                .upsert(entry, { onConflict: 'order_id,entry_type' });
+
+            if (error) {
+                logger.warn('⚠️ Failed to credit cash delivery:', error.message);
+                return;
+            }
+            logger.info('💶 Cash delivery credited', { orderId: order.id, driverId: entry.driver_id, amount: entry.amount });
+        } catch (error) {
+            logger.warn('⚠️ Failed to credit cash delivery:', error?.message || error);
+        }
+    }
+
+    // Every ledger entry up to the end of `to` (YYYY-MM-DD), oldest first
+    async function loadEntries({ driverId, to } = {}) {
+        const { data, error } = await selectAll(() => {
+            let query = supabaseAdmin
+                .from('cash_ledger')
+                .select('id, driver_id, entry_type, order_id, order_number, amount, note, recorded_by, created_at')
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true });
+
+            if (driverId) {
+                query = query.eq('driver_id', driverId);
+            }
+            if (to) {
+                query = query.lte('created_at', `${to}T23:59:59.999Z`);
+            }
+            return query;
+        });
+
+        if (error) {
+            throw new Error(error.message);
+        }
+        return data;
+    }
+
+    async function outstandingFor(driverId) {
+        const balance = ledgerBalances(await loadEntries({ driverId }))[0];
+        return balance ? balance.outstanding : 0;
+    }
+
+    function overdrawn(outstanding) {
+        return {
+            success: false,
+            httpStatus: 409,
+            message: `The driver only holds €${Math.max(outstanding, 0).toFixed(2)}`
+        };
+    }
+
+    // The hand-in is written first and the balance checked afterwards, with the
+    // entry taken back if it overdrew the driver. Of two hand-ins racing each
+    // other the later check sees both entries, so they can't both get through.
+    // Returns { success: true, entry, outstanding } or { success: false, httpStatus, message }
+    async function recordHandIn({ handIn, actor }) {
+        const before = await outstandingFor(handIn.driver_id);
+        if (handIn.amount > before) {
+            return overdrawn(before);
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('cash_ledger')
+            .insert({
+                driver_id: handIn.driver_id,
+                entry_type: 'hand_in',
+                amount: handIn.amount,
+                note: handIn.note,
+                recorded_by: actor.name,
+                created_at: new Date().toISOString()
+            })
+            .select();
+
+        if (error || !data || !data.length) {
+            throw new Error(error?.message || 'Failed to record hand-in');
+        }
+        const entry = data[0];
+
+        const takeBack = async () => {
+            const { error: undoError } = await supabaseAdmin
+                .from('cash_ledger')
+                .delete()
+                .eq('id', entry.id);
+
+            if (undoError) {
+                throw new Error(undoError.message);
+            }
+        };
+
+        // An entry that couldn't be checked doesn't stay either
+        let after;
+        try {
+            after = await outstandingFor(handIn.driver_id);
+        } catch (checkError) {
+            await takeBack();
+            throw checkError;
+        }
+
+        if (after < 0) {
+            await takeBack();
+            logger.warn('⚠️ Hand-in taken back, it would have overdrawn the driver', { driverId: handIn.driver_id, amount: handIn.amount });
+            return overdrawn(roundMoney(after + handIn.amount));
+        }
+        return { success: true, entry, outstanding: after };
+    }
+
+    return { creditDelivery, loadEntries, recordHandIn };
+}
+
+module.exports = {
+    deliveryEntry,
+    validateHandIn,
+    ledgerBalances,
+    dailyBalances,
+    reconciliationCsv,
+    createCashLedger
+};
@@ -0,0 +1,58 @@
+// Order categories - kept in the categories table; orders, products and shops
+// point at them through category_id
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+// Returns { category } with normalized values, or { errors: { field: message } }
+function validateCategory(body) {
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const description = typeof input.description === 'string' ? input.description.trim() : '';
+    const errors = {};
+
+    if (!name) {
+        errors.name = 'Name is required';
+    } else if (name.length > MAX_NAME_LENGTH) {
+        errors.name = `Name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+        errors.description = `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+
+    return Object.keys(errors).length > 0 ? { errors } : { category: { name, description } };
+}
+
+// Orders, delivered orders and delivered revenue per category, busiest first.
+// Orders without a category (or whose category was deleted) count as Uncategorized.
+function categoryBreakdown(orders, categories) {
+    const names = new Map((categories || []).map(category => [category.id, category.name]));
+    const rows = new Map();
+
+    (orders || []).forEach(order => {
+        const categoryId = order.category_id && names.has(order.category_id) ? order.category_id : null;
+        if (!rows.has(categoryId)) {
+            rows.set(categoryId, {
+                category_id: categoryId,
+                name: categoryId ? names.get(categoryId) : 'Uncategorized',
+                orders: 0,
+                delivered: 0,
+                revenue: 0
+            });
+        }
+        const row = rows.get(categoryId);
+        row.orders += 1;
+        if (order.status === 'delivered') {
+            row.delivered += 1;
+            row.revenue += Number(order.amount) || 0;
+        }
+    });
+
+    return [...rows.values()]
+        .map(row => ({ ...row, revenue: Math.round(row.revenue * 100) / 100 }))
+        .sort((a, b) => b.orders - a.orders);
+}
+
+module.exports = {
+    validateCategory,
+    categoryBreakdown
+};
@@ -0,0 +1,98 @@
+// Credential helpers - password hashing and verification
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N=2^15 keeps a single hash around 50-100ms)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const HASH_PREFIX = 'scrypt';
+
+// Stored format: scrypt$N$r$p$<salt base64>$<hash base64>
+function isHashed(stored) {
+    return typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+}
+
+async function hashPassword(password) {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new Error('Password is required');
+    }
+
+    const { N, r, p } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const derived = await scrypt(password, salt, KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 });
+
+    return [HASH_PREFIX, N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+}
+
+// Compare two strings without leaking timing information about where they differ
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+// Returns { valid, needsRehash }. Legacy rows still hold the plaintext password,
+// those verify once and are flagged so the caller can replace them with a hash.
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string' || stored.length === 0) {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (!isHashed(stored)) {
+        const valid = safeEqual(password, stored);
+        return { valid, needsRehash: valid };
+    }
+
+    const parts = stored.split('$');
+    if (parts.length !== 6) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const [, n, r, p, saltB64, hashB64] = parts;
+    const N = parseInt(n, 10);
+    const R = parseInt(r, 10);
+    const P = parseInt(p, 10);
+    const expected = Buffer.from(hashB64, 'base64');
+
+    let derived;
+    try {
+        derived = await scrypt(password, Buffer.from(saltB64, 'base64'), expected.length, {
+            N, r: R, p: P, maxmem: 128 * N * R * 2
+        });
+    } catch (error) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const valid = derived.length === expected.length && crypto.timingSafeEqual(derived, expected);
+    const outdated = N !== SCRYPT_PARAMS.N || R !== SCRYPT_PARAMS.r || P !== SCRYPT_PARAMS.p;
+
+    return { valid, needsRehash: valid && outdated };
+}
+
+// Reset codes are short enough to read out over the phone; only a digest is stored
+const RESET_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateResetCode(length = 8) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += RESET_CODE_ALPHABET[crypto.randomInt(RESET_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+function hashResetCode(code) {
+    const normalized = String(code || '').replace(/[\s-]/g, '').toUpperCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    isHashed,
+    safeEqual,
+    generateResetCode,
+    hashResetCode
+};
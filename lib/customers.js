@@ -0,0 +1,99 @@
+// Shop customers - one record per phone number per shop, with the addresses the
+// shop has delivered to, most recent first
+const { validatePhone, validateAddress, validateCustomerName } = require('../order-schema');
+
+const MAX_SAVED_ADDRESSES = 10;
+// Shorter prefixes match too many customers to be worth suggesting
+const MIN_LOOKUP_DIGITS = 3;
+
+// Digits only, the same form orders keep in customer_phone.
+// Returns the phone, or null when it isn't a valid number
+function normalizePhone(input) {
+    const result = validatePhone(input);
+    return result.error ? null : result.value;
+}
+
+// Digits typed so far in the order form, or null when too few to look up
+function lookupPrefix(input) {
+    const digits = (input === undefined || input === null ? '' : String(input)).replace(/\D/g, '').slice(0, 10);
+    return digits.length >= MIN_LOOKUP_DIGITS ? digits : null;
+}
+
+// Saved addresses with `address` moved to the front. The same address typed
+// with different case or spacing is kept once.
+function rememberAddress(addresses, address) {
+    const key = value => value.trim().replace(/\s+/g, ' ').toLowerCase();
+    const saved = Array.isArray(addresses) ? addresses.filter(item => typeof item === 'string' && item.trim()) : [];
+    if (!address || !address.trim()) {
+        return saved.slice(0, MAX_SAVED_ADDRESSES);
+    }
+    return [address.trim(), ...saved.filter(item => key(item) !== key(address))].slice(0, MAX_SAVED_ADDRESSES);
+}
+
+// A shop's edit of a customer: the name and the saved addresses.
+// Returns { changes } with normalized values, or { errors: { field: message } }
+function validateCustomerUpdate(body) {
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const changes = {};
+    const errors = {};
+
+    Object.keys(input).forEach(field => {
+        if (field !== 'name' && field !== 'addresses') {
+            errors[field] = 'This field cannot be changed';
+        }
+    });
+
+    if (input.name !== undefined) {
+        const result = validateCustomerName(input.name);
+        if (result.error) {
+            errors.name = result.error;
+        } else {
+            changes.name = result.value;
+        }
+    }
+
+    if (input.addresses !== undefined) {
+        if (!Array.isArray(input.addresses)) {
+            errors.addresses = 'Addresses must be a list';
+        } else if (input.addresses.length > MAX_SAVED_ADDRESSES) {
+            errors.addresses = `At most ${MAX_SAVED_ADDRESSES} addresses can be saved`;
+        } else {
+            const invalid = input.addresses.map(validateAddress).find(result => result.error);
+            if (invalid) {
+                errors.addresses = invalid.error;
+            } else {
+                changes.addresses = input.addresses.reduceRight((saved, address) => rememberAddress(saved, address), []);
+            }
+        }
+    }
+
+    return Object.keys(errors).length > 0 ? { errors } : { changes };
+}
+
+// Order counts and spend over a customer's orders. Only delivered orders count
+// towards the money totals.
+function customerTotals(orders) {
+    const list = orders || [];
+    const delivered = list.filter(order => order.status === 'delivered');
+    const totalSpent = delivered.reduce((sum, order) => sum + (Number(order.amount) || 0), 0);
+    const dates = list.map(order => order.created_at || order.order_date).filter(Boolean).sort();
+
+    return {
+        orders: list.length,
+        delivered: delivered.length,
+        cancelled: list.filter(order => order.status === 'cancelled').length,
+        totalSpent: Math.round(totalSpent * 100) / 100,
+        averageOrder: delivered.length > 0 ? Math.round(totalSpent / delivered.length * 100) / 100 : 0,
+        firstOrderAt: dates[0] || null,
+        lastOrderAt: dates[dates.length - 1] || null
+    };
+}
+
+module.exports = {
+    MAX_SAVED_ADDRESSES,
+    normalizePhone,
+    lookupPrefix,
+    rememberAddress,
+    validateCustomerUpdate,
+    customerTotals
+};
@@ -0,0 +1,82 @@
+// Failed deliveries - why a driver couldn't deliver and what happens to the order next
+const FAILURE_REASONS = {
+    customer_not_home: 'Customer not at home',
+    customer_unreachable: 'Customer unreachable by phone',
+    wrong_address: 'Wrong or incomplete address',
+    customer_refused: 'Customer refused the order',
+    damaged: 'Order damaged on the way',
+    other: 'Other'
+};
+
+// retry: the driver keeps the order and tries again later
+// return_to_shop: the driver takes the order back and marks it returned
+const FAILURE_OUTCOMES = {
+    retry: 'Retry later',
+    return_to_shop: 'Return to shop'
+};
+
+// Reasons that don't explain themselves need a note
+const NOTE_REQUIRED = ['other'];
+
+function listFailureReasons() {
+    return Object.entries(FAILURE_REASONS).map(([code, label]) => ({
+        code,
+        label,
+        noteRequired: NOTE_REQUIRED.includes(code)
+    }));
+}
+
+function listFailureOutcomes() {
+    return Object.entries(FAILURE_OUTCOMES).map(([code, label]) => ({ code, label }));
+}
+
+// The note as stored: trimmed text, or null when there is none
+function cleanFailureNote(note) {
+    return typeof note === 'string' && note.trim() ? note.trim() : null;
+}
+
+// Returns an error message, or null when the report is usable
+function validateFailure(reasonCode, note, outcome) {
+    if (!reasonCode) {
+        return 'A failure reason is required';
+    }
+    if (typeof reasonCode !== 'string' || !Object.hasOwn(FAILURE_REASONS, reasonCode)) {
+        return `Unknown failure reason "${reasonCode}"`;
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+        return 'The note must be text';
+    }
+    if (NOTE_REQUIRED.includes(reasonCode) && !cleanFailureNote(note)) {
+        return 'Please describe what happened in a note';
+    }
+    if (typeof outcome !== 'string' || !Object.hasOwn(FAILURE_OUTCOMES, outcome)) {
+        return 'Choose whether to retry later or return the order to the shop';
+    }
+    return null;
+}
+
+// Text stored as the order event reason
+function describeFailure(reasonCode, note) {
+    const label = Object.hasOwn(FAILURE_REASONS, reasonCode) ? FAILURE_REASONS[reasonCode] : reasonCode;
+    const cleanNote = cleanFailureNote(note);
+    return cleanNote ? `${label}: ${cleanNote}` : label;
+}
+
+// Transition guard for restarting a failed delivery: only the orders the
+// driver chose to keep can go out again
+function retryAllowed(order) {
+    return order.status === 'failed' && order.failure_outcome === 'return_to_shop'
+        ? { httpStatus: 409, message: 'This order is being returned to the shop' }
+        : null;
+}
+
+module.exports = {
+    FAILURE_REASONS,
+    FAILURE_OUTCOMES,
+    listFailureReasons,
+    listFailureOutcomes,
+    validateFailure,
+    cleanFailureNote,
+    describeFailure,
+    retryAllowed
+};
@@ -0,0 +1,279 @@
+// Diagnostics - read-only views of order and driver state for troubleshooting.
+// Mounted at /api/diagnostics. Open in development; otherwise admins only.
+const express = require('express');
+const { isHashed } = require('./credentials');
+
+// Fields that must never leave the server, whatever table they come from
+const SENSITIVE_FIELD = /password|hash|secret|token|api_?key/i;
+
+function isDevelopment() {
+    return process.env.NODE_ENV === 'development';
+}
+
+function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value)
+                .filter(([key]) => !SENSITIVE_FIELD.test(key))
+                .map(([key, inner]) => [key, redact(inner)])
+        );
+    }
+    return value;
+}
+
+// Which kind of credential an account has, without revealing it
+function describeCredential(stored) {
+    if (!stored) return 'none';
+    return isHashed(stored) ? 'scrypt' : 'legacy-plaintext';
+}
+
+function requireDiagnosticsAccess(req, res, next) {
+    if (isDevelopment() || (req.user && req.user.role === 'admin')) {
+        return next();
+    }
+    res.status(404).json({ success: false, message: 'Not found' });
+}
+
+function createDiagnosticsRouter({ supabaseAdmin, logger }) {
+    const router = express.Router();
+
+    router.use(requireDiagnosticsAccess);
+
+    // Can we reach the tables the app depends on?
+    router.get('/db', async (req, res) => {
+        const tables = ['orders', 'users', 'user_registrations', 'categories', 'admin_actions', 'auth_events'];
+
+        try {
+            const results = await Promise.all(tables.map(async table => {
+                const { count, error } = await supabaseAdmin
+                    .from(table)
+                    .select('*', { count: 'exact', head: true });
+                return [table, { accessible: !error, rows: error ? null : count, error: error?.message || null }];
+            }));
+
+            res.json({ success: true, tables: Object.fromEntries(results), timestamp: new Date().toISOString() });
+        } catch (error) {
+            logger.error('❌ Diagnostics database check failed:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Recent orders alongside the active drivers they should belong to
+    router.get('/orders', async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+        try {
+            const { data: orders, error: ordersError } = await supabaseAdmin
+                .from('orders')
+                .select('id, order_id, driver_id, shop_id, order_date, customer_name, status, amount')
+                .order('order_date', { ascending: false })
+                .limit(limit);
+
+            const { data: drivers, error: driversError } = await supabaseAdmin
+                .from('users')
+                .select('id, user_id, full_name, username')
+                .eq('role', 'driver')
+                .eq('status', 'active');
+
+            const driverIds = new Set((drivers || []).map(d => d.user_id));
+            const recent = (orders || []).map(order => ({
+                ...order,
+                order_date_string: order.order_date ? order.order_date.split('T')[0] : null,
+                driver_known: order.driver_id ? driverIds.has(order.driver_id) : null
+            }));
+
+            res.json({
+                success: true,
+                orders: recent,
+                drivers: redact(drivers || []),
+                errors: {
+                    orders: ordersError?.message || null,
+                    drivers: driversError?.message || null
+                },
+                summary: {
+                    totalOrders: recent.length,
+                    totalDrivers: drivers?.length || 0,
+                    ordersWithDrivers: recent.filter(o => o.driver_id).length,
+                    ordersWithoutDrivers: recent.filter(o => !o.driver_id).length,
+                    ordersWithUnknownDriver: recent.filter(o => o.driver_known === false).length,
+                    byStatus: recent.reduce((counts, o) => ({ ...counts, [o.status]: (counts[o.status] || 0) + 1 }), {}),
+                    uniqueDates: [...new Set(recent.map(o => o.order_date_string))].filter(Boolean)
+                }
+            });
+        } catch (error) {
+            logger.error('❌ Diagnostics orders check failed:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // All drivers with both of their IDs, to untangle id / user_id mix-ups
+    router.get('/drivers', async (req, res) => {
+        try {
+            const { data: drivers, error } = await supabaseAdmin
+                .from('users')
+                .select('id, user_id, full_name, username, phone, status')
+                .eq('role', 'driver');
+
+            if (error) {
+                return res.status(500).json({ success: false, message: error.message });
+            }
+
+            res.json({ success: true, totalDrivers: drivers.length, drivers: redact(drivers) });
+        } catch (error) {
+            logger.error('❌ Diagnostics drivers check failed:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Why can't this user log in? Shows the account records and credential kind only
+    router.get('/users/:username', async (req, res) => {
+        const { username } = req.params;
+
+        try {
+            const { data: user, error: userError } = await supabaseAdmin
+                .from('users')
+                .select('*')
+                .eq('username', username)
+                .maybeSingle();
+
+            const { data: registration, error: regError } = await supabaseAdmin
+                .from('user_registrations')
+                .select('*')
+                .eq('username', username)
+                .maybeSingle();
+
+            res.json({
+                success: true,
+                user: user ? { ...redact(user), credential: describeCredential(user.password_hash) } : null,
+                registration: registration ? { ...redact(registration), credential: describeCredential(registration.password_hash) } : null,
+                errors: {
+                    user: userError?.message || null,
+                    registration: regError?.message || null
+                }
+            });
+        } catch (error) {
+            logger.error('❌ Diagnostics user check failed:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Break down what the driver history query sees for one driver and day
+    router.get('/order-fetch', async (req, res) => {
+        const { driverId, date } = req.query;
+
+        if (!driverId || !date) {
+            return res.status(400).json({
+                success: false,
+                message: 'Driver ID and date are required',
+                example: '/api/diagnostics/order-fetch?driverId=<uuid>&date=2025-01-15'
+            });
+        }
+
+        try {
+            // Accept either the numeric id or the UUID; orders reference the UUID
+            const { data: driver } = await supabaseAdmin
+                .from('users')
+                .select('id, user_id')
+                .eq('role', 'driver')
+                .eq(/^\d+$/.test(driverId) ? 'id' : 'user_id', driverId)
+                .maybeSingle();
+
+            const resolvedId = driver ? (driver.user_id || driver.id) : driverId;
+            const dayStart = `${date}T00:00:00`;
+            const dayEnd = `${date}T23:59:59.999`;
+
+            const [forDriver, forDate, forBoth] = await Promise.all([
+                supabaseAdmin.from('orders').select('id, driver_id, order_date, status').eq('driver_id', resolvedId),
+                supabaseAdmin.from('orders').select('id, driver_id, order_date, status').gte('order_date', dayStart).lt('order_date', dayEnd),
+                supabaseAdmin.from('orders').select('id, driver_id, order_date, status').eq('driver_id', resolvedId).gte('order_date', dayStart).lt('order_date', dayEnd)
+            ]);
+
+            res.json({
+                success: true,
+                driverId,
+                resolvedDriverId: resolvedId,
+                driverFound: !!driver,
+                date,
+                counts: {
+                    driverOrders: forDriver.data?.length || 0,
+                    dateOrders: forDate.data?.length || 0,
+                    driverOrdersOnDate: forBoth.data?.length || 0
+                },
+                errors: {
+                    driverOrders: forDriver.error?.message || null,
+                    dateOrders: forDate.error?.message || null,
+                    driverOrdersOnDate: forBoth.error?.message || null
+                },
+                sampleDriverOrders: (forDriver.data || []).slice(0, 3),
+                sampleDateOrders: (forDate.data || []).slice(0, 3)
+            });
+        } catch (error) {
+            logger.error('❌ Diagnostics order fetch failed:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Seed a few orders for the first active drivers. Writes data, so development only.
+    router.post('/sample-orders', async (req, res) => {
+        if (!isDevelopment()) {
+            return res.status(403).json({ success: false, message: 'Sample data can only be inserted in development' });
+        }
+
+        try {
+            const { data: drivers, error: driversError } = await supabaseAdmin
+                .from('users')
+                .select('id, user_id')
+                .eq('role', 'driver')
+                .eq('status', 'active')
+                .limit(2);
+
+            if (driversError || !drivers || drivers.length === 0) {
+                return res.status(400).json({ success: false, message: 'No drivers found in database' });
+            }
+
+            const today = new Date();
+            const tomorrow = new Date(today);
+            tomorrow.setDate(tomorrow.getDate() + 1);
+
+            const driverId1 = drivers[0].user_id || drivers[0].id;
+            const driverId2 = drivers.length > 1 ? (drivers[1].user_id || drivers[1].id) : driverId1;
+
+            const sampleOrders = [
+                { customer_name: 'John Doe', customer_phone: '1234567890', product_name: 'Pizza', amount: 25.50, status: 'pending', delivery_date: tomorrow, driver_id: driverId1, delivery_address: '123 Main St, City, State', payment_method: 'cash' },
+                { customer_name: 'Jane Smith', customer_phone: '0987654321', product_name: 'Burger', amount: 18.75, status: 'delivered', delivery_date: today, driver_id: driverId1, delivery_address: '456 Oak Ave, City, State', payment_method: 'card' },
+                { customer_name: 'Mike Johnson', customer_phone: '5551234567', product_name: 'Sushi', amount: 32.00, status: 'processing', delivery_date: tomorrow, driver_id: driverId2, delivery_address: '789 Pine Rd, City, State', payment_method: 'cash' }
+            ].map((order, index) => ({
+                ...order,
+                order_id: `ORD-SAMPLE-${Date.now()}-${index + 1}`,
+                order_date: today.toISOString(),
+                delivery_date: order.delivery_date.toISOString()
+            }));
+
+            const { data, error } = await supabaseAdmin
+                .from('orders')
+                .insert(sampleOrders)
+                .select();
+
+            if (error) {
+                logger.error('❌ Error inserting sample orders:', error);
+                return res.status(500).json({ success: false, message: 'Failed to insert sample orders', error: error.message });
+            }
+
+            logger.info('✅ Sample orders inserted', { count: data.length });
+            res.json({ success: true, message: 'Sample orders inserted successfully', orders: data });
+        } catch (error) {
+            logger.error('❌ Error inserting sample orders:', error);
+            res.status(500).json({ success: false, message: 'Error inserting sample orders' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createDiagnosticsRouter,
+    redact
+};
@@ -0,0 +1,402 @@
+// Driver earnings - drivers are paid per delivery. The fee rules set a base
+// fee, per-shop overrides (a different base fee, and a bonus for shops far from
+// the usual area) and surcharge windows by time of day. Each delivered order
+// gets an earnings line worked out from the rules in force when it was delivered.
+const { selectAll } = require('./select-all');
+
+const MAX_LABEL_LENGTH = 60;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used until an admin saves rules of their own
+const DEFAULT_FEE_RULES = {
+    baseFee: 3,
+    timezone: 'UTC',
+    shopOverrides: [],
+    surcharges: []
+};
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Day (YYYY-MM-DD), weekday (0 = Sunday) and minutes past midnight of a moment
+// in the rules' time zone
+function localTime(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+        weekday: 'short'
+    }).formatToParts(new Date(date)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    return {
+        day: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+// Calendar arithmetic on YYYY-MM-DD days
+function addDays(day, count) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function money(input, { allowEmpty = false } = {}) {
+    if (input === '' || input === null || input === undefined) {
+        return allowEmpty ? { value: null } : { error: 'is required' };
+    }
+    const amount = Number(input);
+    if (!Number.isFinite(amount)) return { error: 'must be a number' };
+    if (amount < 0) return { error: 'cannot be negative' };
+    return { value: roundMoney(amount) };
+}
+
+// Returns { rules } with normalized values, or { errors: { field: message } }.
+// List errors name the row, e.g. "Row 2: start must be HH:MM".
+function validateFeeRules(body) {
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const errors = {};
+    const rules = {};
+
+    const baseFee = money(input.baseFee);
+    if (baseFee.error) {
+        errors.baseFee = `Base fee ${baseFee.error}`;
+    } else {
+        rules.baseFee = baseFee.value;
+    }
+
+    const timezone = typeof input.timezone === 'string' && input.timezone.trim() ? input.timezone.trim() : DEFAULT_FEE_RULES.timezone;
+    if (!isTimezone(timezone)) {
+        errors.timezone = 'Unknown time zone';
+    } else {
+        rules.timezone = timezone;
+    }
+
+    const overrides = input.shopOverrides === undefined ? [] : input.shopOverrides;
+    if (!Array.isArray(overrides)) {
+        errors.shopOverrides = 'Shop overrides must be a list';
+    } else {
+        const seen = new Set();
+        rules.shopOverrides = [];
+        overrides.some((override, index) => {
+            const row = override || {};
+            const fee = money(row.baseFee, { allowEmpty: true });
+            const bonus = money(row.distanceBonus, { allowEmpty: true });
+            let error = null;
+
+            if (!row.shop_id || !UUID_PATTERN.test(String(row.shop_id))) {
+                error = 'choose a shop';
+            } else if (seen.has(String(row.shop_id))) {
+                error = 'the shop already has an override';
+            } else if (fee.error) {
+                error = `base fee ${fee.error}`;
+            } else if (bonus.error) {
+                error = `distance bonus ${bonus.error}`;
+            }
+            if (error) {
+                errors.shopOverrides = `Row ${index + 1}: ${error}`;
+                return true;
+            }
+
+            seen.add(String(row.shop_id));
+            rules.shopOverrides.push({ shop_id: String(row.shop_id), baseFee: fee.value, distanceBonus: bonus.value || 0 });
+            return false;
+        });
+    }
+
+    const surcharges = input.surcharges === undefined ? [] : input.surcharges;
+    if (!Array.isArray(surcharges)) {
+        errors.surcharges = 'Surcharges must be a list';
+    } else {
+        rules.surcharges = [];
+        surcharges.some((surcharge, index) => {
+            const row = surcharge || {};
+            const label = typeof row.label === 'string' ? row.label.trim() : '';
+            const amount = money(row.amount);
+            const days = row.days === undefined || row.days === null ? [] : row.days;
+            let error = null;
+
+            if (!label) {
+                error = 'a label is required';
+            } else if (label.length > MAX_LABEL_LENGTH) {
+                error = `the label must be at most ${MAX_LABEL_LENGTH} characters`;
+            } else if (!TIME_PATTERN.test(row.start || '') || !TIME_PATTERN.test(row.end || '')) {
+                error = 'start and end must be HH:MM';
+            } else if (row.start === row.end) {
+                error = 'start and end must differ';
+            } else if (!Array.isArray(days) || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+                error = 'days must be weekday numbers from 0 (Sunday) to 6';
+            } else if (amount.error) {
+                error = `amount ${amount.error}`;
+            }
+            if (error) {
+                errors.surcharges = `Row ${index + 1}: ${error}`;
+                return true;
+            }
+
+            rules.surcharges.push({ label, start: row.start, end: row.end, days: [...new Set(days)].sort(), amount: amount.value });
+            return false;
+        });
+    }
+
+    return Object.keys(errors).length > 0 ? { errors } : { rules };
+}
+
+// Whether a moment falls in a surcharge window. Windows may run past midnight
+// (22:00-02:00); the early-morning part counts as the day the window started.
+function inWindow(window, local) {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    let weekday = local.weekday;
+
+    if (start < end) {
+        if (local.minutes < start || local.minutes >= end) return false;
+    } else if (local.minutes >= start) {
+        // Evening part of an overnight window
+    } else if (local.minutes < end) {
+        weekday = (weekday + 6) % 7;
+    } else {
+        return false;
+    }
+    return window.days.length === 0 || window.days.includes(weekday);
+}
+
+function deliveredAt(order) {
+    return order.delivery_date || order.updated_at || order.created_at || new Date().toISOString();
+}
+
+// What the driver earns for one delivered order under the given rules
+function earningsLine(order, rules) {
+    const override = (rules.shopOverrides || []).find(item => item.shop_id === order.shop_id);
+    const baseFee = override && override.baseFee !== null ? override.baseFee : rules.baseFee;
+    const distanceBonus = override ? override.distanceBonus || 0 : 0;
+    const at = deliveredAt(order);
+    const local = localTime(at, rules.timezone);
+    const surcharges = (rules.surcharges || [])
+        .filter(window => inWindow(window, local))
+        .map(window => ({ label: window.label, amount: window.amount }));
+    const surchargeTotal = surcharges.reduce((sum, item) => sum + item.amount, 0);
+
+    return {
+        order_id: order.id,
+        order_number: order.order_id || null,
+        driver_id: order.driver_id,
+        shop_id: order.shop_id || null,
+        delivered_at: at,
+        base_fee: roundMoney(baseFee),
+        distance_bonus: roundMoney(distanceBonus),
+        surcharges,
+        total: roundMoney(baseFee + distanceBonus + surchargeTotal)
+    };
+}
+
+function sumLines(lines) {
+    return {
+        deliveries: lines.length,
+        earnings: roundMoney(lines.reduce((sum, line) => sum + (Number(line.total) || 0), 0))
+    };
+}
+
+// A driver's earnings today, this week (from Monday) and on each of the last
+// seven days, in the rules' time zone
+function earningsSummary(lines, { timezone, now = new Date() }) {
+    const today = localTime(now, timezone);
+    const weekStart = addDays(today.day, -((today.weekday + 6) % 7));
+    const dayOf = line => localTime(line.delivered_at, timezone).day;
+    const withDays = (lines || []).map(line => ({ line, day: dayOf(line) }));
+
+    const days = [];
+    for (let offset = 6; offset >= 0; offset--) {
+        const day = addDays(today.day, -offset);
+        days.push({ date: day, ...sumLines(withDays.filter(item => item.day === day).map(item => item.line)) });
+    }
+
+    return {
+        today: sumLines(withDays.filter(item => item.day === today.day).map(item => item.line)),
+        week: { from: weekStart, ...sumLines(withDays.filter(item => item.day >= weekStart && item.day <= today.day).map(item => item.line)) },
+        days
+    };
+}
+
+// First day earnings summaries need lines from
+function summaryStartDay(timezone, now = new Date()) {
+    const today = localTime(now, timezone);
+    const weekStart = addDays(today.day, -((today.weekday + 6) % 7));
+    const lastSevenDays = addDays(today.day, -6);
+    return weekStart < lastSevenDays ? weekStart : lastSevenDays;
+}
+
+// Earnings per driver for the payout report, highest total first
+function payoutReport(lines) {
+    const rows = new Map();
+
+    (lines || []).forEach(line => {
+        if (!rows.has(line.driver_id)) {
+            rows.set(line.driver_id, {
+                driver_id: line.driver_id,
+                deliveries: 0,
+                baseFees: 0,
+                distanceBonuses: 0,
+                surcharges: 0,
+                total: 0,
+                estimated: 0
+            });
+        }
+        const row = rows.get(line.driver_id);
+        row.deliveries += 1;
+        row.baseFees += Number(line.base_fee) || 0;
+        row.distanceBonuses += Number(line.distance_bonus) || 0;
+        row.surcharges += (line.surcharges || []).reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+        row.total += Number(line.total) || 0;
+        if (line.estimated) row.estimated += 1;
+    });
+
+    return [...rows.values()]
+        .map(row => ({
+            ...row,
+            baseFees: roundMoney(row.baseFees),
+            distanceBonuses: roundMoney(row.distanceBonuses),
+            surcharges: roundMoney(row.surcharges),
+            total: roundMoney(row.total)
+        }))
+        .sort((a, b) => b.total - a.total);
+}
+
+function createDriverEarnings({ supabaseAdmin, logger }) {
+    async function loadRules() {
+        const { data, error } = await supabaseAdmin
+            .from('fee_settings')
+            .select('rules, updated_at, updated_by')
+            .eq('id', 'default')
+            .maybeSingle();
+
+        if (error) {
+            throw new Error(error.message);
+        }
+        return {
+            rules: { ...DEFAULT_FEE_RULES, ...(data ? data.rules : {}) },
+            updatedAt: data ? data.updated_at : null,
+            updatedBy: data ? data.updated_by : null
+        };
+    }
+
+    async function saveRules(rules, actor) {
+        const { error } = await supabaseAdmin
+            .from('fee_settings')
+            .upsert({ id: 'default', rules, updated_by: actor.name, updated_at: new Date().toISOString() }, { onConflict: 'id' });
+
+        if (error) {
+            throw new Error(error.message);
+        }
+    }
+
+    // Best-effort - the delivery stands even when its earnings line can't be
+    // written; reports estimate missing lines from the current rules.
+    async function recordDelivery(order) {
+        if (!order || !order.driver_id) return;
+
+        try {
+            const { rules } = await loadRules();
+            const line = earningsLine(order, rules);
+            const { error } = await supabaseAdmin
+                .from('driver_earnings')
+                .upsert({ ...line, created_at: new Date().toISOString() }, { onConflict: 'order_id' });
+
+            if (error) {
+                logger.warn('⚠️ Failed to record delivery earnings:', error.message);
+                return;
+            }
+            logger.info('💰 Delivery earnings recorded', { orderId: order.id, driverId: line.driver_id, total: line.total });
+        } catch (error) {
+            logger.warn('⚠️ Failed to record delivery earnings:', error?.message || error);
+        }
+    }
+
+    // Earnings lines for orders delivered between two days (YYYY-MM-DD, both
+    // included, in the rules' time zone). Delivered orders without a stored
+    // line get one from the current rules, marked estimated. Stored lines of
+    // deleted orders stay (the delivery was made); deleted orders aren't estimated.
+    async function loadLines({ driverId, from, to, rules }) {
+        // A day either side covers any time zone; the exact cut is made below
+        const since = `${addDays(from, -1)}T00:00:00Z`;
+        const until = `${addDays(to, 1)}T23:59:59.999Z`;
+
+        const storedQuery = () => {
+            const query = supabaseAdmin
+                .from('driver_earnings')
+                .select('order_id, order_number, driver_id, shop_id, delivered_at, base_fee, distance_bonus, surcharges, total')
+                .gte('delivered_at', since)
+                .lte('delivered_at', until)
+                .order('order_id', { ascending: true });
+            return driverId ? query.eq('driver_id', driverId) : query;
+        };
+        const ordersQuery = () => {
+            const query = supabaseAdmin
+                .from('orders')
+                .select('id, order_id, driver_id, shop_id, delivery_date, updated_at, created_at')
+                .eq('status', 'delivered')
+                .not('driver_id', 'is', null)
+                .is('deleted_at', null)
+                .gte('updated_at', since)
+                .order('id', { ascending: true });
+            return driverId ? query.eq('driver_id', driverId) : query;
+        };
+
+        const [storedResult, ordersResult] = await Promise.all([selectAll(storedQuery), selectAll(ordersQuery)]);
+        if (storedResult.error) {
+            throw new Error(storedResult.error.message);
+        }
+        if (ordersResult.error) {
+            throw new Error(ordersResult.error.message);
+        }
+
+        const stored = storedResult.data || [];
+        const recorded = new Set(stored.map(line => line.order_id));
+        const estimated = (ordersResult.data || [])
+            .filter(order => !recorded.has(order.id))
+            .map(order => ({ ...earningsLine(order, rules), estimated: true }));
+
+        return [...stored, ...estimated]
+            .filter(line => {
+                const day = localTime(line.delivered_at, rules.timezone).day;
+                return day >= from && day <= to;
+            })
+            .sort((a, b) => String(b.delivered_at).localeCompare(String(a.delivered_at)));
+    }
+
+    return { loadRules, saveRules, recordDelivery, loadLines };
+}
+
+module.exports = {
+    DEFAULT_FEE_RULES,
+    localTime,
+    validateFeeRules,
+    earningsLine,
+    earningsSummary,
+    summaryStartDay,
+    payoutReport,
+    createDriverEarnings
+};
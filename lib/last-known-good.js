@@ -0,0 +1,52 @@
+// Last-known-good responses for read endpoints. When the database can't be
+// reached the endpoint answers with an explicit degraded error instead of
+// made-up data, carrying the last payload it served and how old it is.
+const MAX_ENTRIES = 200;
+
+// Holds at most maxEntries keys; remembering a new key past that forgets the
+// one least recently remembered
+function createLastKnownGood({ now = () => Date.now(), maxEntries = MAX_ENTRIES } = {}) {
+    const entries = new Map();
+
+    function remember(key, value) {
+        entries.delete(key);
+        entries.set(key, { value, cachedAt: now() });
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    // { value, cachedAt, ageSeconds } or null when nothing was served yet
+    function recall(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        return {
+            value: entry.value,
+            cachedAt: new Date(entry.cachedAt).toISOString(),
+            ageSeconds: Math.max(0, Math.round((now() - entry.cachedAt) / 1000))
+        };
+    }
+
+    return { remember, recall };
+}
+
+// The body every degraded read endpoint answers with. `cached` is the
+// last-known-good payload (without `success`), or null.
+function degradedEnvelope(message, cached) {
+    return {
+        success: false,
+        degraded: true,
+        message,
+        cached: cached ? cached.value : null,
+        cachedAt: cached ? cached.cachedAt : null,
+        cacheAgeSeconds: cached ? cached.ageSeconds : null
+    };
+}
+
+module.exports = {
+    MAX_ENTRIES,
+    createLastKnownGood,
+    degradedEnvelope
+};
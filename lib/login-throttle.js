@@ -0,0 +1,193 @@
+// Login throttling - per-IP and per-username failure tracking with exponential backoff.
+// An attempt is reserved before the password is checked and settled after,
+// so requests sent in parallel can't all get in before the first failure counts.
+const FREE_ATTEMPTS = 3;                  // failures allowed before backoff starts
+const BASE_DELAY_MS = 1000;               // first backoff step, doubled per further failure
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const ATTEMPT_WINDOW_MS = 30 * 60 * 1000; // failures older than this are forgotten
+
+const USERNAME_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10);
+// One address may legitimately serve several users (shop wifi), so it gets more room
+const IP_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD || '20', 10);
+const LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10) * 60 * 1000;
+
+// key -> { failures, pending, lastFailureAt, blockedUntil, lockedUntil, lastIp }
+const usernameAttempts = new Map();
+const ipAttempts = new Map();
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+function currentEntry(map, key, now) {
+    const entry = map.get(key);
+    if (!entry) return null;
+
+    // Forget stale failures once any lockout has run out and nothing is in flight
+    const expired = now - entry.lastFailureAt > ATTEMPT_WINDOW_MS && (!entry.lockedUntil || entry.lockedUntil <= now) && !entry.pending;
+    if (expired) {
+        map.delete(key);
+        return null;
+    }
+    return entry;
+}
+
+function waitUntil(entry) {
+    return Math.max(entry.blockedUntil || 0, entry.lockedUntil || 0);
+}
+
+function newEntry(now) {
+    return { failures: 0, pending: 0, lastFailureAt: now, blockedUntil: 0, lockedUntil: 0 };
+}
+
+// Why an entry refuses another attempt right now, or null. Attempts still in
+// flight count as failures until they settle: within the free attempts a few
+// may run side by side, past them only one at a time.
+function refusal(entry, threshold, now) {
+    const until = waitUntil(entry);
+    if (until > now) {
+        return { locked: !!entry.lockedUntil && entry.lockedUntil > now, retryAfterMs: until - now };
+    }
+    const pending = entry.pending || 0;
+    if (pending > 0 && (entry.failures + pending >= FREE_ATTEMPTS || entry.failures + pending >= threshold)) {
+        return { locked: false, retryAfterMs: BASE_DELAY_MS };
+    }
+    return null;
+}
+
+function bumpEntry(entry, threshold, now, ip) {
+    entry.failures += 1;
+    entry.lastFailureAt = now;
+    entry.lastIp = ip;
+
+    if (entry.failures > FREE_ATTEMPTS) {
+        const delay = BASE_DELAY_MS * Math.pow(2, entry.failures - FREE_ATTEMPTS - 1);
+        entry.blockedUntil = now + Math.min(delay, MAX_DELAY_MS);
+    }
+
+    let newlyLocked = false;
+    if (entry.failures >= threshold && !(entry.lockedUntil > now)) {
+        entry.lockedUntil = now + LOCKOUT_MS;
+        newlyLocked = true;
+    }
+    return newlyLocked;
+}
+
+// Reserves a login attempt before the credentials are checked.
+// Returns { allowed: false, retryAfterMs, locked, scope } when this account or
+// address must wait, or { allowed: true, attempt } where attempt is settled
+// exactly once with:
+//   fail()    - a bad credential; returns the wait before the next attempt and
+//               which scopes it locked, for the caller to log
+//   succeed() - clears the account's history; the address keeps its own
+//   release() - neither (e.g. a server error); a no-op once settled
+function beginLogin(ip, username, now = Date.now()) {
+    const userKey = normalizeUsername(username);
+    const scopes = [
+        { scope: 'username', map: usernameAttempts, key: userKey, threshold: USERNAME_LOCKOUT_THRESHOLD },
+        { scope: 'ip', map: ipAttempts, key: ip, threshold: IP_LOCKOUT_THRESHOLD }
+    ];
+
+    for (const { scope, map, key, threshold } of scopes) {
+        const entry = currentEntry(map, key, now);
+        const refused = entry && refusal(entry, threshold, now);
+        if (refused) {
+            return { allowed: false, scope, ...refused };
+        }
+    }
+
+    const entries = scopes.map(({ map, key }) => {
+        const entry = currentEntry(map, key, now) || newEntry(now);
+        entry.pending = (entry.pending || 0) + 1;
+        map.set(key, entry);
+        return entry;
+    });
+
+    let settled = false;
+    const settle = () => {
+        if (settled) return false;
+        settled = true;
+        entries.forEach(entry => { entry.pending -= 1; });
+        return true;
+    };
+
+    const attempt = {
+        fail(at = Date.now()) {
+            if (!settle()) return null;
+            const [user, address] = entries;
+            const userLocked = bumpEntry(user, USERNAME_LOCKOUT_THRESHOLD, at, ip);
+            const addressLocked = bumpEntry(address, IP_LOCKOUT_THRESHOLD, at, ip);
+            usernameAttempts.set(userKey, user);
+            ipAttempts.set(ip, address);
+
+            const until = Math.max(waitUntil(user), waitUntil(address));
+            return {
+                failures: user.failures,
+                retryAfterMs: Math.max(until - at, 0),
+                usernameLocked: userLocked ? { username: userKey, lockedUntil: user.lockedUntil } : null,
+                ipLocked: addressLocked ? { ip, lockedUntil: address.lockedUntil } : null
+            };
+        },
+        succeed() {
+            if (!settle()) return;
+            if (usernameAttempts.get(userKey) === entries[0] && !entries[0].pending) {
+                usernameAttempts.delete(userKey);
+            } else {
+                entries[0].failures = 0;
+                entries[0].blockedUntil = 0;
+            }
+        },
+        release() {
+            settle();
+        }
+    };
+
+    return { allowed: true, attempt };
+}
+
+// Accounts currently locked out, for the admin users page
+function listLockouts(now = Date.now()) {
+    const lockouts = [];
+    for (const [username, entry] of usernameAttempts) {
+        if (entry.lockedUntil > now) {
+            lockouts.push({
+                username,
+                failures: entry.failures,
+                lastFailureAt: new Date(entry.lastFailureAt).toISOString(),
+                lockedUntil: new Date(entry.lockedUntil).toISOString(),
+                lastIp: entry.lastIp
+            });
+        }
+    }
+    return lockouts.sort((a, b) => a.lockedUntil.localeCompare(b.lockedUntil));
+}
+
+// Clears the account and the address it was last attacked from
+function unlockUsername(username) {
+    const key = normalizeUsername(username);
+    const entry = usernameAttempts.get(key);
+    if (!entry) return false;
+
+    usernameAttempts.delete(key);
+    if (entry.lastIp) {
+        ipAttempts.delete(entry.lastIp);
+    }
+    return true;
+}
+
+// Keep the maps from growing without bound
+setInterval(() => {
+    const now = Date.now();
+    [usernameAttempts, ipAttempts].forEach(map => {
+        for (const key of map.keys()) {
+            currentEntry(map, key, now);
+        }
+    });
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+    beginLogin,
+    listLockouts,
+    unlockUsername,
+    normalizeUsername
+};
@@ -0,0 +1,106 @@
+// Order cancellation - reason codes and who may cancel an order at each stage
+const { canTransition, describeTransitionError } = require('./order-state');
+
+const CANCEL_REASONS = {
+    customer_request: 'Customer asked to cancel',
+    duplicate: 'Duplicate order',
+    items_unavailable: 'Items unavailable',
+    wrong_details: 'Wrong address or phone number',
+    customer_unreachable: 'Customer unreachable',
+    driver_unavailable: 'Driver cannot make the delivery',
+    other: 'Other'
+};
+
+// Reasons that don't explain themselves need a note
+const NOTE_REQUIRED = ['other'];
+
+function listCancelReasons() {
+    return Object.entries(CANCEL_REASONS).map(([code, label]) => ({
+        code,
+        label,
+        noteRequired: NOTE_REQUIRED.includes(code)
+    }));
+}
+
+// The note as stored: trimmed text, or null when there is none
+function cleanCancelNote(note) {
+    return typeof note === 'string' && note.trim() ? note.trim() : null;
+}
+
+// Returns an error message, or null when the reason is usable
+function validateCancelReason(reasonCode, note) {
+    if (!reasonCode) {
+        return 'A cancellation reason is required';
+    }
+    if (typeof reasonCode !== 'string' || !Object.hasOwn(CANCEL_REASONS, reasonCode)) {
+        return `Unknown cancellation reason "${reasonCode}"`;
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+        return 'The note must be text';
+    }
+    if (NOTE_REQUIRED.includes(reasonCode) && !cleanCancelNote(note)) {
+        return 'Please describe the reason in a note';
+    }
+    return null;
+}
+
+// Text stored as the order event reason
+function describeCancelReason(reasonCode, note) {
+    const label = Object.hasOwn(CANCEL_REASONS, reasonCode) ? CANCEL_REASONS[reasonCode] : reasonCode;
+    const cleanNote = cleanCancelNote(note);
+    return cleanNote ? `${label}: ${cleanNote}` : label;
+}
+
+// What a cancel by this user does to the order:
+//   { action: 'cancel' }  - cancel it now
+//   { action: 'request' } - ask the driver or an admin to confirm
+//   { action: 'release' } - hand it back to pending for another driver
+//   { httpStatus, message } - not allowed
+// Until a driver takes the order the shop may cancel it alone. Once accepted,
+// the driver is on the way, so the shop's cancel waits for the driver or an
+// admin. After pickup the order can't be cancelled; the delivery fails instead.
+// A failed delivery has nobody on the way, so the shop may cancel it directly.
+// Cancelling for the customer is up to the shop or an admin: a driver only
+// confirms a shop's request, otherwise their cancel gives the order back.
+function cancellationDecision(user, order) {
+    if (!canTransition(order.status, 'cancelled')) {
+        return { httpStatus: 409, message: describeTransitionError(order.status, 'cancelled') };
+    }
+
+    switch (user.role) {
+        case 'admin':
+            return { action: 'cancel' };
+        case 'driver':
+            if (order.driver_id !== user.userId) {
+                return { httpStatus: 403, message: 'This order is not assigned to you' };
+            }
+            if (order.cancellation_requested_at) {
+                return { action: 'cancel' };
+            }
+            return canTransition(order.status, 'pending')
+                ? { action: 'release' }
+                : { httpStatus: 409, message: describeTransitionError(order.status, 'pending') };
+        case 'shop':
+            if (order.shop_id !== user.userId) {
+                return { httpStatus: 403, message: 'You do not have access to this order' };
+            }
+            if ((order.status === 'pending' && !order.driver_id) || order.status === 'failed') {
+                return { action: 'cancel' };
+            }
+            if (order.cancellation_requested_at) {
+                return { httpStatus: 409, message: 'Cancellation already requested, waiting for the driver or an admin to confirm' };
+            }
+            return { action: 'request' };
+        default:
+            return { httpStatus: 403, message: 'You do not have permission to cancel this order' };
+    }
+}
+
+module.exports = {
+    CANCEL_REASONS,
+    listCancelReasons,
+    validateCancelReason,
+    cleanCancelNote,
+    describeCancelReason,
+    cancellationDecision
+};
@@ -0,0 +1,75 @@
+// Order corrections - what an admin edit actually changes on an order, and
+// which changes the order's stage still allows. Each correction is kept in
+// order_events and admin_actions with the old and new values; deleting an
+// order only hides it (deleted_at), so its history stays.
+const { isFinalStatus } = require('./order-state');
+
+// Orders a driver is still working on - the only ones that can move to
+// another driver, by transfer or by an admin edit
+const TRANSFERABLE_STATUSES = ['accepted', 'processing', 'picked_up'];
+
+// Settled once a delivered cash order is credited to the driver's cash ledger
+const SETTLED_FIELDS = ['amount', 'payment_method'];
+
+// order_items is JSON text or an array, depending on how the row was written
+function itemsText(value) {
+    if (typeof value !== 'string') {
+        return JSON.stringify(value || []);
+    }
+    try {
+        return JSON.stringify(JSON.parse(value || '[]'));
+    } catch (error) {
+        return value;
+    }
+}
+
+function sameValue(field, before, after) {
+    if (field === 'amount') {
+        return Number(before || 0) === Number(after || 0);
+    }
+    if (field === 'order_items') {
+        return itemsText(before) === itemsText(after);
+    }
+    return (before === undefined ? null : before) === (after === undefined ? null : after);
+}
+
+// Validated changes (order-schema.js) that differ from the order, as
+// { field: { from, to } }
+function correctionDiff(order, changes) {
+    const diff = {};
+    Object.keys(changes).forEach(field => {
+        if (!sameValue(field, order[field], changes[field])) {
+            diff[field] = { from: order[field] === undefined ? null : order[field], to: changes[field] };
+        }
+    });
+    return diff;
+}
+
+// Returns an { httpStatus, message } failure, or null when the order can take the diff
+function correctionConflict(order, diff) {
+    if (diff.driver_id && !TRANSFERABLE_STATUSES.includes(order.status)) {
+        return { httpStatus: 409, message: `A ${order.status} order cannot be given to another driver` };
+    }
+
+    const settled = SETTLED_FIELDS.some(field => diff[field]);
+    const paidInCash = order.payment_method === 'cash' || (diff.payment_method && diff.payment_method.to === 'cash');
+    if (settled && order.status === 'delivered' && paidInCash) {
+        return { httpStatus: 409, message: "This order's cash is already in the driver's ledger, so its amount and payment can no longer change" };
+    }
+    return null;
+}
+
+// Only orders that are over can be deleted; live ones are cancelled first
+function deletionConflict(order) {
+    if (!isFinalStatus(order.status)) {
+        return { httpStatus: 409, message: `A ${order.status} order must be cancelled before it can be deleted` };
+    }
+    return null;
+}
+
+module.exports = {
+    TRANSFERABLE_STATUSES,
+    correctionDiff,
+    correctionConflict,
+    deletionConflict
+};
@@ -0,0 +1,238 @@
+// Order listings - cursor pagination, sorting and filters shared by the admin,
+// shop and driver order lists. A cursor holds the sort value and id of the last
+// row of the previous page, so pages stay stable while new orders come in.
+const { ORDER_STATUSES } = require('./order-state');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const MAX_SEARCH_LENGTH = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Columns a listing can be sorted on; both are set on every order
+const SORT_FIELDS = ['order_date', 'amount'];
+
+// Columns the free-text search looks in
+const SEARCH_COLUMNS = ['order_id', 'customer_name', 'customer_phone', 'delivery_address'];
+
+// Category filter value for orders without a category
+const UNCATEGORIZED = 'none';
+
+function parseList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseAmount(value) {
+    if (value === undefined || value === '') return { value: null };
+    const amount = Number(value);
+    return Number.isFinite(amount) && amount >= 0 ? { value: amount } : { error: 'Amount must be a number of zero or more' };
+}
+
+function nextDay(day) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function encodeCursor(row, sort) {
+    return Buffer.from(JSON.stringify({ v: row[sort.field], id: row.id })).toString('base64url');
+}
+
+function decodeCursor(text) {
+    try {
+        const cursor = JSON.parse(Buffer.from(String(text), 'base64url').toString('utf8'));
+        if (cursor && cursor.v !== undefined && cursor.v !== null && UUID_PATTERN.test(String(cursor.id))) {
+            return cursor;
+        }
+    } catch (error) {
+        // Falls through to null
+    }
+    return null;
+}
+
+// PostgREST reserves these inside or() filters; search terms are plain text
+function cleanSearch(value) {
+    return String(value || '').replace(/[,()*%:"\\]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Reads a listing from the query string:
+//   status, counts       - comma-separated statuses; counts asks for a per-status total
+//   driverId, shopId     - UUIDs
+//   category             - category UUID, or 'none' for uncategorized orders
+//   from, to             - order date, YYYY-MM-DD (UTC days, both included)
+//   minAmount, maxAmount - order amount
+//   q                    - free text matched against order number, customer, phone and address
+//   sort, order          - sort column (order_date, amount) and asc/desc, newest first by default
+//   limit, cursor        - page size and the nextCursor of the previous page
+// Returns { listing } or { errors: { field: message } }
+function parseOrderListing(query = {}) {
+    const errors = {};
+    const statuses = parseList(query.status);
+    const counts = parseList(query.counts);
+
+    const unknownStatus = statuses.find(status => !ORDER_STATUSES.includes(status));
+    if (unknownStatus) {
+        errors.status = `Unknown status "${unknownStatus}"`;
+    }
+    const unknownCount = counts.find(status => !ORDER_STATUSES.includes(status));
+    if (unknownCount) {
+        errors.counts = `Unknown status "${unknownCount}"`;
+    }
+
+    ['driverId', 'shopId'].forEach(field => {
+        if (query[field] && !UUID_PATTERN.test(String(query[field]))) {
+            errors[field] = field === 'driverId' ? 'Unknown driver' : 'Unknown shop';
+        }
+    });
+    if (query.category && query.category !== UNCATEGORIZED && !UUID_PATTERN.test(String(query.category))) {
+        errors.category = 'Unknown category';
+    }
+
+    ['from', 'to'].forEach(field => {
+        if (query[field] && (!DATE_PATTERN.test(query[field]) || Number.isNaN(Date.parse(query[field])))) {
+            errors[field] = 'Must be a date (YYYY-MM-DD)';
+        }
+    });
+    if (!errors.from && !errors.to && query.from && query.to && query.to < query.from) {
+        errors.to = 'End date must not be before the start date';
+    }
+
+    const minAmount = parseAmount(query.minAmount);
+    const maxAmount = parseAmount(query.maxAmount);
+    if (minAmount.error) errors.minAmount = minAmount.error;
+    if (maxAmount.error) errors.maxAmount = maxAmount.error;
+    if (!minAmount.error && !maxAmount.error && minAmount.value !== null && maxAmount.value !== null && maxAmount.value < minAmount.value) {
+        errors.maxAmount = 'Maximum must not be below the minimum';
+    }
+
+    const search = cleanSearch(query.q);
+    if (search.length > MAX_SEARCH_LENGTH) {
+        errors.q = `Search must be at most ${MAX_SEARCH_LENGTH} characters`;
+    }
+
+    const field = query.sort || 'order_date';
+    if (!SORT_FIELDS.includes(field)) {
+        errors.sort = `Orders can be sorted by ${SORT_FIELDS.join(' or ')}`;
+    }
+    if (query.order && !['asc', 'desc'].includes(query.order)) {
+        errors.order = 'Order must be asc or desc';
+    }
+
+    const limit = query.limit === undefined || query.limit === '' ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.limit = `Limit must be a whole number from 1 to ${MAX_LIMIT}`;
+    }
+
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+    if (query.cursor && !cursor) {
+        errors.cursor = 'Invalid cursor - reload the list';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { errors };
+    }
+    return {
+        listing: {
+            filters: {
+                statuses,
+                driverId: query.driverId || null,
+                shopId: query.shopId || null,
+                category: query.category || null,
+                from: query.from || null,
+                to: query.to || null,
+                minAmount: minAmount.value,
+                maxAmount: maxAmount.value,
+                search
+            },
+            sort: { field, ascending: query.order === 'asc' },
+            limit,
+            cursor,
+            counts
+        }
+    };
+}
+
+// Deleted orders (soft-deleted by an admin) are never listed
+function applyOrderFilters(query, filters) {
+    query = query.is('deleted_at', null);
+    if (filters.statuses.length) query = query.in('status', filters.statuses);
+    if (filters.driverId) query = query.eq('driver_id', filters.driverId);
+    if (filters.shopId) query = query.eq('shop_id', filters.shopId);
+    if (filters.category === UNCATEGORIZED) {
+        query = query.is('category_id', null);
+    } else if (filters.category) {
+        query = query.eq('category_id', filters.category);
+    }
+    if (filters.from) query = query.gte('order_date', `${filters.from}T00:00:00.000Z`);
+    if (filters.to) query = query.lt('order_date', `${nextDay(filters.to)}T00:00:00.000Z`);
+    if (filters.minAmount !== null) query = query.gte('amount', filters.minAmount);
+    if (filters.maxAmount !== null) query = query.lte('amount', filters.maxAmount);
+    return query;
+}
+
+// Any search column containing the text, as the conditions of an or()
+function searchConditions(search) {
+    return SEARCH_COLUMNS.map(column => `${column}.ilike.*${search}*`).join(',');
+}
+
+// Rows after the cursor in sort order, ties broken by id
+function cursorClause(cursor, sort) {
+    const op = sort.ascending ? 'gt' : 'lt';
+    const value = `"${String(cursor.v).replace(/"/g, '')}"`;
+    return `or(${sort.field}.${op}.${value},and(${sort.field}.eq.${value},id.${op}.${cursor.id}))`;
+}
+
+function createOrderListing({ supabaseAdmin }) {
+    // scope - filters the caller is held to whatever the query says,
+    // e.g. { shopId } for a shop's own orders
+    // Returns { orders, nextCursor, total, statusCounts }
+    async function loadOrderPage(listing, scope = {}) {
+        const filters = { ...listing.filters, ...scope };
+        const { sort, limit, cursor } = listing;
+
+        let pageQuery = applyOrderFilters(supabaseAdmin.from('orders').select('*'), filters);
+        const clauses = [];
+        if (filters.search) clauses.push(`or(${searchConditions(filters.search)})`);
+        if (cursor) clauses.push(cursorClause(cursor, sort));
+        if (clauses.length) {
+            pageQuery = pageQuery.or(`and(${clauses.join(',')})`);
+        }
+        pageQuery = pageQuery
+            .order(sort.field, { ascending: sort.ascending })
+            .order('id', { ascending: sort.ascending })
+            .limit(limit + 1);
+
+        // Totals cover the whole filtered list, not just what is left after the cursor
+        const countQuery = status => {
+            let query = applyOrderFilters(supabaseAdmin.from('orders').select('id', { count: 'exact', head: true }), filters);
+            if (filters.search) query = query.or(searchConditions(filters.search));
+            return status ? query.eq('status', status) : query;
+        };
+
+        const [page, total, ...statusTotals] = await Promise.all([
+            pageQuery,
+            countQuery(null),
+            ...listing.counts.map(status => countQuery(status))
+        ]);
+
+        const failed = [page, total, ...statusTotals].find(result => result.error);
+        if (failed) {
+            throw new Error(failed.error.message);
+        }
+
+        const rows = page.data || [];
+        const orders = rows.slice(0, limit);
+        return {
+            orders,
+            nextCursor: rows.length > limit ? encodeCursor(orders[orders.length - 1], sort) : null,
+            total: total.count || 0,
+            statusCounts: Object.fromEntries(listing.counts.map((status, index) => [status, statusTotals[index].count || 0]))
+        };
+    }
+
+    return { loadOrderPage };
+}
+
+module.exports = {
+    UNCATEGORIZED,
+    parseOrderListing,
+    createOrderListing
+};
@@ -0,0 +1,201 @@
+// Order state machine - every order status change goes through here and is
+// written to order_events with who made it and why
+const ORDER_STATUSES = ['pending', 'accepted', 'processing', 'picked_up', 'delivered', 'cancelled', 'failed', 'returned'];
+
+// status -> statuses it may move to. Drivers who don't confirm the pickup as a
+// separate step go straight from processing to delivered. A failed delivery is
+// either retried (back to processing) or the order goes back to the shop.
+// A driver who can't take an order after all hands it back (to pending, with
+// no driver) before collecting it.
+const TRANSITIONS = {
+    pending: ['accepted', 'cancelled'],
+    accepted: ['pending', 'processing', 'cancelled'],
+    processing: ['pending', 'picked_up', 'delivered', 'cancelled', 'failed'],
+    picked_up: ['delivered', 'failed'],
+    delivered: [],
+    cancelled: [],
+    failed: ['processing', 'returned', 'cancelled'],
+    returned: []
+};
+
+// Statuses an order may be created in. Admins may record deliveries already
+// made; a driver's own order goes through completion like any other, so its
+// earnings and cash are only credited by the delivery flow. A driver's order
+// is always their own, so it can't start out waiting for one.
+const INITIAL_STATUSES = ['pending', 'accepted', 'processing', 'delivered'];
+const DRIVER_INITIAL_STATUSES = ['accepted', 'processing'];
+
+function isValidStatus(status) {
+    return ORDER_STATUSES.includes(status);
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+function isFinalStatus(status) {
+    return isValidStatus(status) && TRANSITIONS[status].length === 0;
+}
+
+// Statuses an order can still move on from, i.e. the ones on a driver's list
+const ACTIVE_STATUSES = ORDER_STATUSES.filter(status => !isFinalStatus(status));
+
+// A new order waits for a driver only while it has none; from accepted on it
+// needs one. Null when status and driver_id agree.
+function describeInitialDriverError(status, driverId) {
+    if (status === 'pending' && driverId) {
+        return 'A pending order cannot have a driver yet';
+    }
+    if (status !== 'pending' && !driverId) {
+        return `A driver is required for ${status} orders`;
+    }
+    return null;
+}
+
+function describeTransitionError(from, to) {
+    if (!isValidStatus(to)) {
+        return `Unknown order status "${to}"`;
+    }
+    if (from === to) {
+        return `Order is already ${from}`;
+    }
+    if (isFinalStatus(from)) {
+        return `Order is already ${from} and can no longer change`;
+    }
+    const allowed = TRANSITIONS[from] || [];
+    return `Cannot change order status from ${from} to ${to}` +
+        (allowed.length ? ` (allowed: ${allowed.join(', ')})` : '');
+}
+
+// actor: the session user making the change
+function actorFromUser(user) {
+    if (!user) return { id: null, role: 'system', name: 'system' };
+    return { id: user.userId, role: user.role, name: user.username };
+}
+
+// onStatusChange - optional ({ order, from, to }) => Promise, run after each
+// successful change (e.g. crediting cash on delivery); must not throw
+function createOrderTransitions({ supabaseAdmin, logger, onStatusChange }) {
+    // Best-effort - a missing audit row must not undo the change itself.
+    // type: 'created', 'status_changed', or an event that keeps the status
+    // ('broadcast', 'transferred', 'edited', 'deleted')
+    async function recordOrderEvent({ orderId, type, from, to, actor, reason, details }) {
+        try {
+            const { error } = await supabaseAdmin
+                .from('order_events')
+                .insert({
+                    order_id: orderId,
+                    event_type: type || (from ? 'status_changed' : 'created'),
+                    from_status: from || null,
+                    to_status: to,
+                    actor_id: actor.id,
+                    actor_role: actor.role,
+                    actor_name: actor.name,
+                    reason: reason || null,
+                    details: details || null,
+                    created_at: new Date().toISOString()
+                });
+
+            if (error) {
+                logger.warn('⚠️ Failed to record order event:', error.message);
+            }
+        } catch (error) {
+            logger.warn('⚠️ Failed to record order event:', error?.message || error);
+        }
+    }
+
+    // Moves one order to a new status.
+    //   changes    - other columns to write together with the status
+    //   guard      - (order) => null | { httpStatus, message } for caller-specific rules
+    //   conditions - column values the row must still have when the update lands
+    //   details    - extra facts stored with the order event (e.g. the ETA)
+    // Returns { success: true, order, previousStatus } or
+    //         { success: false, httpStatus, message, currentStatus }
+    async function transitionOrder({ orderId, to, actor, reason, changes = {}, guard, conditions = {}, details }) {
+        // Deleted orders (deleted_at) are gone for every workflow
+        const { data: order, error: fetchError } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (fetchError) {
+            logger.error('❌ Error loading order for status change:', fetchError);
+            return { success: false, httpStatus: 500, message: 'Database error: ' + fetchError.message };
+        }
+
+        if (!order) {
+            return { success: false, httpStatus: 404, message: 'Order not found' };
+        }
+
+        const rejection = guard ? guard(order) : null;
+        if (rejection) {
+            return { success: false, currentStatus: order.status, ...rejection };
+        }
+
+        if (!canTransition(order.status, to)) {
+            logger.warn('⚠️ Illegal order transition rejected', { orderId, from: order.status, to, actor: actor.name });
+            return {
+                success: false,
+                httpStatus: 409,
+                message: describeTransitionError(order.status, to),
+                currentStatus: order.status
+            };
+        }
+
+        // Only lands if nobody moved the order since we read it
+        let query = supabaseAdmin
+            .from('orders')
+            .update({ ...changes, status: to, updated_at: new Date().toISOString() })
+            .eq('id', orderId)
+            .eq('status', order.status)
+            .is('deleted_at', null);
+
+        Object.entries(conditions).forEach(([column, value]) => {
+            query = value === null ? query.is(column, null) : query.eq(column, value);
+        });
+
+        const { data: updated, error: updateError } = await query.select();
+
+        if (updateError) {
+            logger.error('❌ Error updating order status:', updateError);
+            return { success: false, httpStatus: 500, message: 'Database error: ' + updateError.message };
+        }
+
+        if (!updated || updated.length === 0) {
+            return {
+                success: false,
+                httpStatus: 409,
+                message: 'The order was changed by someone else. Reload and try again.',
+                currentStatus: order.status
+            };
+        }
+
+        await recordOrderEvent({ orderId, from: order.status, to, actor, reason, details });
+
+        if (onStatusChange) {
+            await onStatusChange({ order: updated[0], from: order.status, to });
+        }
+
+        logger.info('🔄 Order status changed', { orderId, from: order.status, to, actor: actor.name, reason });
+        return { success: true, order: updated[0], previousStatus: order.status };
+    }
+
+    return { transitionOrder, recordOrderEvent };
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    TRANSITIONS,
+    INITIAL_STATUSES,
+    DRIVER_INITIAL_STATUSES,
+    ACTIVE_STATUSES,
+    isValidStatus,
+    canTransition,
+    isFinalStatus,
+    describeTransitionError,
+    describeInitialDriverError,
+    actorFromUser,
+    createOrderTransitions
+};
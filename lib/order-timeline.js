@@ -0,0 +1,175 @@
+// Order timeline - turns an order's order_events rows into the entries the
+// shop, driver and admin pages list under the order details
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Entries whose reason says something the label doesn't
+const KINDS_WITH_NOTES = ['cancel_requested', 'cancelled', 'failed', 'status_changed', 'edited', 'deleted'];
+const PASSTHROUGH_TYPES = ['broadcast', 'transferred', 'cancel_requested', 'edited', 'deleted'];
+
+// How admin corrections name the fields they changed
+const FIELD_LABELS = {
+    customer_name: 'customer name',
+    customer_phone: 'phone',
+    delivery_address: 'address',
+    notes: 'notes',
+    order_items: 'items',
+    product_name: 'products',
+    payment_method: 'payment method',
+    amount: 'amount',
+    category_id: 'category',
+    driver_id: 'driver'
+};
+
+// Events that keep the status carry their own type; status changes are told
+// apart by where the order went
+function eventKind(event) {
+    if (PASSTHROUGH_TYPES.includes(event.event_type)) {
+        return event.event_type;
+    }
+    if (event.event_type === 'created' || !event.from_status) {
+        return 'created';
+    }
+
+    switch (event.to_status) {
+        case 'accepted':
+        case 'picked_up':
+        case 'delivered':
+        case 'cancelled':
+        case 'failed':
+        case 'returned':
+            return event.to_status;
+        case 'processing':
+            if (event.from_status === 'failed') return 'retried';
+            return event.details && event.details.etaMinutes ? 'eta_set' : 'started';
+        default:
+            return 'status_changed';
+    }
+}
+
+// Users whose names the timeline needs: who acted, and who a transfer or an
+// admin correction moved the order between
+function timelineUserIds(events) {
+    const ids = new Set();
+    events.forEach(event => {
+        const details = event.details || {};
+        const driverChange = (details.changes && details.changes.driver_id) || {};
+        [event.actor_id, details.fromDriverId, details.toDriverId, driverChange.from, driverChange.to].forEach(id => {
+            if (id && UUID_PATTERN.test(id)) ids.add(id);
+        });
+    });
+    return [...ids];
+}
+
+function describeEvent(kind, event, names) {
+    const details = event.details || {};
+    const nameOf = (id, fallback) => (id && names.get(id)) || fallback || 'unknown';
+    const actor = nameOf(event.actor_id, event.actor_name);
+
+    switch (kind) {
+        case 'created':
+            return `Order created by ${actor}`;
+        case 'broadcast': {
+            const count = details.notifiedDrivers || 0;
+            return `Sent to ${count} online driver${count === 1 ? '' : 's'}`;
+        }
+        case 'accepted':
+            return `Accepted by ${actor}`;
+        case 'eta_set':
+            return `${actor} set the ETA to ${details.etaMinutes} minutes`;
+        case 'started':
+            return `Delivery started by ${actor}`;
+        case 'picked_up':
+            return `Picked up by ${actor}`;
+        case 'transferred':
+            return `Transferred from ${nameOf(details.fromDriverId, 'no driver')} to ${nameOf(details.toDriverId, 'another driver')}`;
+        case 'delivered':
+            return event.actor_role === 'driver' ? `Delivered by ${actor}` : `Marked delivered by ${actor}`;
+        case 'cancel_requested':
+            return `Cancellation requested by ${actor}`;
+        case 'cancelled':
+            return `Cancelled by ${actor}`;
+        case 'failed':
+            return details.outcome === 'return_to_shop'
+                ? `Delivery failed, ${actor} is returning it to the shop`
+                : `Delivery failed, ${actor} will retry later`;
+        case 'retried':
+            return `Delivery retried by ${actor}`;
+        case 'returned':
+            return `Returned to the shop by ${actor}`;
+        case 'edited': {
+            const changes = details.changes || {};
+            if (changes.driver_id) {
+                return `${actor} moved the order from ${nameOf(changes.driver_id.from, 'no driver')} to ${nameOf(changes.driver_id.to, 'another driver')}` +
+                    (Object.keys(changes).length > 1 ? ' and corrected other details' : '');
+            }
+            const fields = Object.keys(changes).map(field => FIELD_LABELS[field] || field);
+            return `${actor} corrected the ${fields.join(', ') || 'order'}`;
+        }
+        case 'deleted':
+            return `Deleted by ${actor}`;
+        default:
+            return `Status changed from ${event.from_status} to ${event.to_status} by ${actor}`;
+    }
+}
+
+// events: order_events rows oldest first; names: Map of user_id -> display name
+function buildTimeline(order, events, names = new Map()) {
+    const entries = events.map(event => {
+        const kind = eventKind(event);
+        const systemActor = !event.actor_id || event.actor_role === 'system';
+        return {
+            id: event.id,
+            type: kind,
+            label: describeEvent(kind, event, names),
+            at: event.created_at,
+            status: event.to_status,
+            previousStatus: event.from_status,
+            actor: systemActor ? null : {
+                id: event.actor_id,
+                role: event.actor_role,
+                name: names.get(event.actor_id) || event.actor_name
+            },
+            note: KINDS_WITH_NOTES.includes(kind) || (kind === 'delivered' && event.actor_role !== 'driver')
+                ? event.reason
+                : null,
+            details: event.details || null
+        };
+    });
+
+    // Orders from before the event log still get their starting point
+    if (!entries.some(entry => entry.type === 'created')) {
+        entries.unshift({
+            id: null,
+            type: 'created',
+            label: 'Order created',
+            at: order.created_at || order.order_date,
+            status: null,
+            previousStatus: null,
+            actor: null,
+            note: null,
+            details: null,
+            inferred: true
+        });
+    }
+
+    return entries;
+}
+
+// Shops see their own orders, drivers the ones they hold, held or can still take
+function canViewTimeline(user, order, events) {
+    if (user.role === 'admin') return true;
+    if (user.role === 'shop') return order.shop_id === user.userId;
+    if (user.role !== 'driver') return false;
+
+    if (order.driver_id === user.userId) return true;
+    if (order.status === 'pending' && !order.driver_id) return true;
+    return events.some(event =>
+        event.actor_id === user.userId || (event.details && event.details.fromDriverId === user.userId)
+    );
+}
+
+module.exports = {
+    buildTimeline,
+    timelineUserIds,
+    canViewTimeline
+};
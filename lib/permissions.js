@@ -0,0 +1,169 @@
+// Role-based access control - one table for every API route
+const PUBLIC = 'public';          // no session required
+const AUTHENTICATED = 'any';      // any logged-in role
+
+const ADMIN = ['admin'];
+const DRIVER = ['driver', 'admin'];
+const SHOP = ['shop', 'admin'];
+// Diagnostics are open while developing locally, admin-only everywhere else
+const DIAGNOSTICS = process.env.NODE_ENV === 'development' ? PUBLIC : ADMIN;
+
+// action: stable name the pages use to show/hide controls (GET /api/me/permissions)
+const ROUTE_PERMISSIONS = [
+    // Authentication & session
+    { action: 'auth.login', method: 'POST', path: '/api/login', roles: PUBLIC },
+    { action: 'auth.permissions', method: 'GET', path: '/api/me/permissions', roles: AUTHENTICATED },
+    { action: 'auth.passwordReset.request', method: 'POST', path: '/api/password-reset/request', roles: PUBLIC },
+    { action: 'auth.passwordReset.confirm', method: 'POST', path: '/api/password-reset/confirm', roles: PUBLIC },
+    { action: 'auth.lockouts.list', method: 'GET', path: '/api/auth/lockouts', roles: ADMIN },
+    { action: 'auth.lockouts.unlock', method: 'POST', path: '/api/auth/lockouts/:username/unlock', roles: ADMIN },
+    { action: 'sessions.list', method: 'GET', path: '/api/sessions', roles: ADMIN },
+    { action: 'sessions.revoke', method: 'DELETE', path: '/api/sessions/:sessionId', roles: ADMIN },
+    { action: 'system.health', method: 'GET', path: '/api/health', roles: PUBLIC },
+    { action: 'system.config', method: 'GET', path: '/api/config', roles: AUTHENTICATED },
+    { action: 'system.webhook', method: 'POST', path: '/api/webhook/supabase', roles: PUBLIC },
+
+    // Registrations
+    { action: 'registrations.create', method: 'POST', path: '/api/registrations', roles: PUBLIC },
+    { action: 'registrations.list', method: 'GET', path: '/api/registrations', roles: ADMIN },
+    { action: 'registrations.accept', method: 'PUT', path: '/api/registrations/:id/accept', roles: ADMIN },
+    { action: 'registrations.reject', method: 'PUT', path: '/api/registrations/:id/reject', roles: ADMIN },
+
+    // Users (drivers read the list to pick a shop when adding an order)
+    { action: 'users.list', method: 'GET', path: '/api/users', roles: DRIVER },
+    { action: 'users.view', method: 'GET', path: '/api/users/:id', roles: ADMIN },
+    { action: 'users.update', method: 'PUT', path: '/api/users/:id', roles: ADMIN },
+    { action: 'users.delete', method: 'DELETE', path: '/api/users/:id', roles: ADMIN },
+    { action: 'users.resetPassword', method: 'POST', path: '/api/users/:id/password-reset', roles: ADMIN },
+    { action: 'drivers.list', method: 'GET', path: '/api/drivers', roles: ['admin', 'shop'] },
+
+    // Categories
+    { action: 'categories.list', method: 'GET', path: '/api/categories', roles: AUTHENTICATED },
+    { action: 'categories.create', method: 'POST', path: '/api/categories', roles: ADMIN },
+    { action: 'categories.update', method: 'PUT', path: '/api/categories/:id', roles: ADMIN },
+    { action: 'categories.delete', method: 'DELETE', path: '/api/categories/:id', roles: ADMIN },
+
+    // Admin dashboard & orders
+    { action: 'dashboard.view', method: 'GET', path: '/api/dashboard', roles: ADMIN },
+    { action: 'dashboard.stats', method: 'GET', path: '/api/dashboard-stats', roles: ADMIN },
+    { action: 'dashboard.overview', method: 'GET', path: '/api/admin/overview', roles: ADMIN },
+    { action: 'orders.list', method: 'GET', path: '/api/orders', roles: ADMIN },
+    { action: 'orders.create', method: 'POST', path: '/api/orders', roles: DRIVER },
+    { action: 'orders.status', method: 'PUT', path: '/api/orders/:id/status', roles: ADMIN },
+    // Shops and drivers only get the orders they're involved in (checked in the handler)
+    { action: 'orders.timeline', method: 'GET', path: '/api/orders/:id/timeline', roles: AUTHENTICATED },
+    // Who may cancel at which stage is decided per order (lib/order-cancellation.js)
+    { action: 'orders.cancelReasons', method: 'GET', path: '/api/orders/cancel-reasons', roles: AUTHENTICATED },
+    { action: 'orders.cancel', method: 'POST', path: '/api/orders/:id/cancel', roles: AUTHENTICATED },
+    // After cancel-reasons, which the :id pattern would otherwise catch
+    { action: 'orders.view', method: 'GET', path: '/api/orders/:id', roles: ADMIN },
+    { action: 'orders.update', method: 'PATCH', path: '/api/orders/:id', roles: ADMIN },
+    { action: 'orders.delete', method: 'DELETE', path: '/api/orders/:id', roles: ADMIN },
+    { action: 'orders.transfer', method: 'POST', path: '/api/transfer-order', roles: ADMIN },
+    { action: 'schedules.list', method: 'GET', path: '/api/schedules', roles: ADMIN },
+    { action: 'schedules.create', method: 'POST', path: '/api/schedules', roles: ADMIN },
+    { action: 'schedules.update', method: 'PUT', path: '/api/schedules/:id', roles: ADMIN },
+    { action: 'schedules.delete', method: 'DELETE', path: '/api/schedules/:id', roles: ADMIN },
+    { action: 'cash.ledger', method: 'GET', path: '/api/cash-ledger', roles: ADMIN },
+    { action: 'cash.handIn', method: 'POST', path: '/api/cash-ledger/hand-ins', roles: ADMIN },
+    { action: 'cash.export', method: 'GET', path: '/api/cash-ledger/export', roles: ADMIN },
+    { action: 'fees.rules.view', method: 'GET', path: '/api/fee-rules', roles: ADMIN },
+    { action: 'fees.rules.update', method: 'PUT', path: '/api/fee-rules', roles: ADMIN },
+    { action: 'payouts.report', method: 'GET', path: '/api/payouts', roles: ADMIN },
+
+    // Driver
+    { action: 'driver.orders', method: 'GET', path: '/api/driver/orders', roles: DRIVER },
+    { action: 'driver.accept', method: 'POST', path: '/api/driver/orders/:orderId/accept', roles: DRIVER },
+    { action: 'driver.complete', method: 'POST', path: '/api/driver/orders/:orderId/complete', roles: DRIVER },
+    { action: 'driver.start', method: 'POST', path: '/api/driver/orders/:orderId/start', roles: DRIVER },
+    { action: 'driver.pickup', method: 'POST', path: '/api/driver/orders/:orderId/pickup', roles: DRIVER },
+    { action: 'driver.failureReasons', method: 'GET', path: '/api/driver/failure-reasons', roles: DRIVER },
+    { action: 'driver.fail', method: 'POST', path: '/api/driver/orders/:orderId/fail', roles: DRIVER },
+    { action: 'driver.return', method: 'POST', path: '/api/driver/orders/:orderId/return', roles: DRIVER },
+    { action: 'driver.history', method: 'GET', path: '/api/driver-orders', roles: DRIVER },
+    { action: 'driver.stats', method: 'GET', path: '/api/driver-stats', roles: DRIVER },
+    { action: 'driver.earnings', method: 'GET', path: '/api/driver-earnings', roles: DRIVER },
+    { action: 'driver.shifts', method: 'GET', path: '/api/driver/shifts', roles: DRIVER },
+
+    // Shop
+    { action: 'shop.orders.create', method: 'POST', path: '/api/shop/orders', roles: SHOP },
+    { action: 'shop.orders.list', method: 'GET', path: '/api/shop/orders', roles: SHOP },
+    { action: 'shop.orders.view', method: 'GET', path: '/api/shop/orders/:id', roles: SHOP },
+    { action: 'shop.orders.update', method: 'PATCH', path: '/api/shop/orders/:id', roles: SHOP },
+    { action: 'shop.orders.complete', method: 'POST', path: '/api/shop/orders/:id/complete', roles: SHOP },
+    { action: 'shop.products.list', method: 'GET', path: '/api/shop/products', roles: SHOP },
+    { action: 'shop.products.create', method: 'POST', path: '/api/shop/products', roles: SHOP },
+    { action: 'shop.products.update', method: 'PATCH', path: '/api/shop/products/:id', roles: SHOP },
+    { action: 'shop.products.delete', method: 'DELETE', path: '/api/shop/products/:id', roles: SHOP },
+    { action: 'shop.customers.lookup', method: 'GET', path: '/api/shop/customers', roles: SHOP },
+    { action: 'shop.customers.view', method: 'GET', path: '/api/shop/customers/:phone', roles: SHOP },
+    { action: 'shop.customers.update', method: 'PATCH', path: '/api/shop/customers/:phone', roles: SHOP },
+
+    // Development & diagnostics
+    { action: 'diagnostics.db', method: 'GET', path: '/api/diagnostics/db', roles: DIAGNOSTICS },
+    { action: 'diagnostics.orders', method: 'GET', path: '/api/diagnostics/orders', roles: DIAGNOSTICS },
+    { action: 'diagnostics.drivers', method: 'GET', path: '/api/diagnostics/drivers', roles: DIAGNOSTICS },
+    { action: 'diagnostics.user', method: 'GET', path: '/api/diagnostics/users/:username', roles: DIAGNOSTICS },
+    { action: 'diagnostics.orderFetch', method: 'GET', path: '/api/diagnostics/order-fetch', roles: DIAGNOSTICS },
+    { action: 'diagnostics.sampleOrders', method: 'POST', path: '/api/diagnostics/sample-orders', roles: DIAGNOSTICS }
+];
+
+// Compile '/api/users/:id' style paths into anchored regular expressions.
+// Express routing ignores case, so the patterns do too.
+const compiledRules = ROUTE_PERMISSIONS.map(rule => ({
+    ...rule,
+    pattern: new RegExp('^' + rule.path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:[A-Za-z]+/g, '[^/]+') + '/?$', 'i')
+}));
+
+function findRule(method, path) {
+    return compiledRules.find(rule => rule.method === method && rule.pattern.test(path)) || null;
+}
+
+function isAllowed(rule, role) {
+    if (rule.roles === PUBLIC) return true;
+    if (!role) return false;
+    if (rule.roles === AUTHENTICATED) return true;
+    return rule.roles.includes(role);
+}
+
+// Actions a role may perform, for the pages to hide everything else
+function allowedActions(role) {
+    return ROUTE_PERMISSIONS.filter(rule => isAllowed(rule, role)).map(rule => rule.action);
+}
+
+// Enforces the table for every /api/ request. Runs after the session
+// middleware so req.user is already resolved. Unlisted routes are denied.
+function createAuthorizer(logger) {
+    return (req, res, next) => {
+        // /API/users reaches the same handler as /api/users
+        if (!req.path.toLowerCase().startsWith('/api/')) {
+            return next();
+        }
+
+        const rule = findRule(req.method, req.path);
+
+        if (!rule) {
+            logger.warn('⚠️ No permission rule for API route, denying', { method: req.method, path: req.path });
+            return res.status(403).json({ success: false, message: 'This action is not permitted' });
+        }
+
+        if (rule.roles !== PUBLIC && !req.user) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+
+        if (!isAllowed(rule, req.user && req.user.role)) {
+            logger.warn('⚠️ Permission denied', { action: rule.action, role: req.user.role, userId: req.user.userId });
+            return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+        }
+
+        req.permission = rule.action;
+        next();
+    };
+}
+
+module.exports = {
+    ROUTE_PERMISSIONS,
+    findRule,
+    allowedActions,
+    createAuthorizer
+};
@@ -0,0 +1,59 @@
+// Shop products - the catalog a shop picks order line items from
+const MAX_NAME_LENGTH = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Columns a shop sets on its products; shop_id always comes from the session
+const PRODUCT_FIELDS = ['name', 'price', 'category_id', 'active'];
+
+const FIELD_VALIDATORS = {
+    name: input => {
+        const name = typeof input === 'string' ? input.trim() : '';
+        if (!name) return { error: 'Name is required' };
+        if (name.length > MAX_NAME_LENGTH) return { error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+        return { value: name };
+    },
+    price: input => {
+        const price = input === '' || input === null || input === undefined ? NaN : Number(input);
+        if (!Number.isFinite(price)) return { error: 'Price must be a number' };
+        if (price < 0) return { error: 'Price cannot be negative' };
+        return { value: Math.round(price * 100) / 100 };
+    },
+    category_id: input => {
+        if (input === '' || input === null || input === undefined) return { value: null };
+        return UUID_PATTERN.test(String(input)) ? { value: String(input) } : { error: 'Unknown category' };
+    },
+    active: input => typeof input === 'boolean' ? { value: input } : { error: 'Active must be true or false' }
+};
+
+// New products need a name and a price; edits may send any subset.
+// Returns { product } with normalized values, or { errors: { field: message } }
+function validateProduct(body, { partial = false } = {}) {
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const product = {};
+    const errors = {};
+
+    Object.keys(input).forEach(field => {
+        if (!PRODUCT_FIELDS.includes(field)) {
+            errors[field] = 'This field cannot be set';
+        }
+    });
+
+    PRODUCT_FIELDS.forEach(field => {
+        if (input[field] === undefined && (partial || field === 'category_id' || field === 'active')) {
+            return;
+        }
+        const result = FIELD_VALIDATORS[field](input[field]);
+        if (result.error) {
+            errors[field] = result.error;
+        } else {
+            product[field] = result.value;
+        }
+    });
+
+    return Object.keys(errors).length > 0 ? { errors } : { product };
+}
+
+module.exports = {
+    PRODUCT_FIELDS,
+    validateProduct
+};
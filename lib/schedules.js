@@ -0,0 +1,192 @@
+// Driver schedules - each row of the schedules table is one shift: a driver,
+// a day and a start/end time in the schedule's time zone, with an optional
+// zone and notes. A shift whose end is before its start runs past midnight.
+// A driver's shifts may not overlap.
+const { localTime } = require('./driver-earnings');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const MAX_ZONE_LENGTH = 60;
+const MAX_NOTES_LENGTH = 500;
+
+// Longest range one listing may cover
+const MAX_LIST_DAYS = 92;
+
+function addDays(day, count) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+function isDay(value) {
+    return DATE_PATTERN.test(value || '') && !Number.isNaN(Date.parse(value));
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = String(time).slice(0, 5).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function optionalText(value, label, maxLength) {
+    if (value === undefined || value === null) {
+        return { value: null };
+    }
+    if (typeof value !== 'string') {
+        return { error: `${label} must be text` };
+    }
+    const text = value.trim();
+    if (text.length > maxLength) {
+        return { error: `${label} must be at most ${maxLength} characters` };
+    }
+    return { value: text || null };
+}
+
+// Returns { shift } with normalized values, or { errors: { field: message } }
+function validateShift(body) {
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const errors = {};
+
+    if (!UUID_PATTERN.test(String(input.driver_id || ''))) {
+        errors.driver_id = 'Choose a driver';
+    }
+    if (!isDay(input.date)) {
+        errors.date = 'Choose a day (YYYY-MM-DD)';
+    }
+    if (!TIME_PATTERN.test(input.start_time || '')) {
+        errors.start_time = 'Start time must be HH:MM';
+    }
+    if (!TIME_PATTERN.test(input.end_time || '')) {
+        errors.end_time = 'End time must be HH:MM';
+    }
+    if (!errors.start_time && !errors.end_time && input.start_time === input.end_time) {
+        errors.end_time = 'A shift must end at a different time than it starts';
+    }
+
+    const zone = optionalText(input.zone, 'Zone', MAX_ZONE_LENGTH);
+    const notes = optionalText(input.notes, 'Notes', MAX_NOTES_LENGTH);
+    if (zone.error) errors.zone = zone.error;
+    if (notes.error) errors.notes = notes.error;
+
+    if (Object.keys(errors).length > 0) {
+        return { errors };
+    }
+    return {
+        shift: {
+            driver_id: String(input.driver_id),
+            date: input.date,
+            start_time: input.start_time,
+            end_time: input.end_time,
+            zone: zone.value,
+            notes: notes.value
+        }
+    };
+}
+
+// A listing range from ?from=&to= (both days included). Returns { from, to } or { error }
+function scheduleRange(query = {}, today) {
+    const from = query.from || today;
+    const to = query.to || addDays(from, 6);
+    if (!isDay(from) || !isDay(to)) {
+        return { error: 'Dates must be YYYY-MM-DD' };
+    }
+    if (to < from) {
+        return { error: 'The end date must not be before the start date' };
+    }
+    if (Date.parse(to) - Date.parse(from) > MAX_LIST_DAYS * DAY_MS) {
+        return { error: `At most ${MAX_LIST_DAYS} days can be listed at once` };
+    }
+    return { from, to };
+}
+
+// Minutes since 1970-01-01 00:00 in the schedule's time zone, so shifts on
+// different days and "now" compare directly
+function shiftInterval(shift) {
+    const dayStart = Date.parse(`${shift.date}T00:00:00Z`) / 60000;
+    const start = dayStart + toMinutes(shift.start_time);
+    let end = dayStart + toMinutes(shift.end_time);
+    if (end <= start) {
+        end += DAY_MINUTES;
+    }
+    return { start, end };
+}
+
+// The first of `others` the shift overlaps (shifts that only touch don't), or null
+function findOverlap(shift, others) {
+    const { start, end } = shiftInterval(shift);
+    return (others || []).find(other => {
+        if (other.id && other.id === shift.id) return false;
+        if (other.driver_id !== shift.driver_id) return false;
+        const interval = shiftInterval(other);
+        return start < interval.end && interval.start < end;
+    }) || null;
+}
+
+function nowMinutes(now, timezone) {
+    const local = localTime(now, timezone);
+    return Date.parse(`${local.day}T00:00:00Z`) / 60000 + local.minutes;
+}
+
+// Shifts still running or yet to start, soonest first, each marked active or not
+function upcomingShifts(shifts, { timezone, now = new Date() }) {
+    const current = nowMinutes(now, timezone);
+    return (shifts || [])
+        .map(shift => ({ shift, interval: shiftInterval(shift) }))
+        .filter(({ interval }) => interval.end > current)
+        .sort((a, b) => a.interval.start - b.interval.start)
+        .map(({ shift, interval }) => ({ ...shift, active: interval.start <= current }));
+}
+
+function createSchedules({ supabaseAdmin, timezone }) {
+    const today = (now = new Date()) => localTime(now, timezone).day;
+
+    // Shifts on the days from..to. Callers reaching for what is running now
+    // start a day early, for shifts that began before midnight.
+    async function loadShifts({ from, to, driverId }) {
+        let query = supabaseAdmin
+            .from('schedules')
+            .select('*')
+            .gte('date', from)
+            .lte('date', to)
+            .order('date', { ascending: true })
+            .order('start_time', { ascending: true });
+        if (driverId) {
+            query = query.eq('driver_id', driverId);
+        }
+
+        const { data, error } = await query;
+        if (error) {
+            throw new Error(error.message);
+        }
+        return data || [];
+    }
+
+    // The driver's shift that would clash with `shift`, or null
+    async function overlappingShift(shift) {
+        const nearby = await loadShifts({ from: addDays(shift.date, -1), to: addDays(shift.date, 1), driverId: shift.driver_id });
+        return findOverlap(shift, nearby);
+    }
+
+    async function upcomingFor(driverId, now = new Date()) {
+        const day = today(now);
+        const shifts = await loadShifts({ from: addDays(day, -1), to: addDays(day, MAX_LIST_DAYS), driverId });
+        return upcomingShifts(shifts, { timezone, now });
+    }
+
+    // Ids of the drivers whose shift is running right now
+    async function onShiftDriverIds(now = new Date()) {
+        const day = today(now);
+        const shifts = await loadShifts({ from: addDays(day, -1), to: day });
+        return new Set(upcomingShifts(shifts, { timezone, now }).filter(shift => shift.active).map(shift => shift.driver_id));
+    }
+
+    return { today, loadShifts, overlappingShift, upcomingFor, onShiftDriverIds };
+}
+
+module.exports = {
+    validateShift,
+    scheduleRange,
+    findOverlap,
+    upcomingShifts,
+    createSchedules
+};
@@ -0,0 +1,27 @@
+// Reading every row of a query. PostgREST answers at most `max-rows` rows per
+// request (1000 unless configured otherwise) and doesn't say when it cut a
+// result short, so queries that feed totals or balances read page by page.
+const PAGE_SIZE = 1000;
+
+// buildQuery: () => a fresh query builder, ordered on a unique key so the pages
+// neither overlap nor skip rows. Resolves like a query: { data, error }.
+// Moves on by the rows actually returned, in case the server caps pages lower.
+async function selectAll(buildQuery, pageSize = PAGE_SIZE) {
+    const rows = [];
+
+    for (;;) {
+        const { data, error } = await buildQuery().range(rows.length, rows.length + pageSize - 1);
+        if (error) {
+            return { data: null, error };
+        }
+        if (!data || data.length === 0) {
+            return { data: rows, error: null };
+        }
+        rows.push(...data);
+    }
+}
+
+module.exports = {
+    PAGE_SIZE,
+    selectAll
+};
@@ -0,0 +1,152 @@
+// Session tokens - HMAC-SHA256 signed, JWT compatible (HS256)
+const crypto = require('crypto');
+
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_HOURS || '12', 10) * 60 * 60;
+
+// Without a configured secret every restart invalidates existing sessions
+const usingEphemeralSecret = !process.env.SESSION_SECRET;
+const sessionSecret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=/g, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+// Revoked session IDs -> token expiry (ms). Kept in memory; a revoked token
+// only needs remembering until it would have expired anyway.
+const revokedSessions = new Map();
+
+// Account ID -> time (ms) all of its sessions were revoked, e.g. after a
+// password reset or a role change. Tokens issued before then stop working.
+const revokedAccounts = new Map();
+
+function sign(data) {
+    return base64url(crypto.createHmac('sha256', sessionSecret).update(data).digest());
+}
+
+// identity: { id, userId, role, username }. Each login gets its own session
+// ID (jti) so a single device can be revoked without touching the others.
+function issueSessionToken(identity, ttlSeconds = SESSION_TTL_SECONDS) {
+    const now = Math.floor(Date.now() / 1000);
+    const sessionId = crypto.randomUUID();
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        jti: sessionId,
+        sub: String(identity.userId),
+        uid: identity.id,
+        role: identity.role,
+        username: identity.username,
+        iat: now,
+        exp: now + ttlSeconds
+    }));
+    const signature = sign(`${header}.${payload}`);
+
+    return {
+        token: `${header}.${payload}.${signature}`,
+        sessionId,
+        expiresAt: (now + ttlSeconds) * 1000
+    };
+}
+
+// Returns the identity for a valid, unexpired token, otherwise null
+function verifySessionToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const provided = Buffer.from(signature);
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (!claims || typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+        return null;
+    }
+
+    if (claims.jti && revokedSessions.has(claims.jti)) {
+        return null;
+    }
+
+    // iat only has second precision, so a token from the same second as the
+    // revocation is treated as older; the user just logs in once more
+    const accountRevokedAt = claims.uid !== undefined ? revokedAccounts.get(String(claims.uid)) : undefined;
+    if (accountRevokedAt && (claims.iat || 0) * 1000 < accountRevokedAt) {
+        return null;
+    }
+
+    return {
+        sessionId: claims.jti || null,
+        id: claims.uid,
+        userId: claims.sub,
+        role: claims.role,
+        username: claims.username,
+        expiresAt: claims.exp * 1000
+    };
+}
+
+function revokeSession(sessionId, expiresAt) {
+    if (!sessionId) return;
+    revokedSessions.set(sessionId, expiresAt || Date.now() + SESSION_TTL_SECONDS * 1000);
+
+    // Drop entries whose tokens have expired by now
+    const now = Date.now();
+    for (const [id, expiry] of revokedSessions) {
+        if (expiry <= now) revokedSessions.delete(id);
+    }
+}
+
+function revokeAccountSessions(accountId) {
+    if (accountId === undefined || accountId === null) return;
+    const now = Date.now();
+    revokedAccounts.set(String(accountId), now);
+
+    // Every token issued before the oldest remembered revocation has expired by now
+    for (const [id, revokedAt] of revokedAccounts) {
+        if (revokedAt + SESSION_TTL_SECONDS * 1000 <= now) revokedAccounts.delete(id);
+    }
+}
+
+function extractToken(req) {
+    const header = req.headers['authorization'] || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return null;
+}
+
+// Attaches req.user when a valid session token is present; never rejects
+function authenticate(req, res, next) {
+    req.user = verifySessionToken(extractToken(req));
+    next();
+}
+
+// Whether a caller-supplied user ID refers to the session's own account
+function matchesIdentity(user, claimedId) {
+    if (!user || claimedId === undefined || claimedId === null || claimedId === '') return false;
+    const claimed = String(claimedId);
+    return claimed === String(user.userId) || claimed === String(user.id);
+}
+
+module.exports = {
+    issueSessionToken,
+    verifySessionToken,
+    extractToken,
+    authenticate,
+    matchesIdentity,
+    revokeSession,
+    revokeAccountSessions,
+    usingEphemeralSecret
+};
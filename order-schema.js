@@ -0,0 +1,355 @@
+// Order Schema - what each order field may hold and how it is normalized
+// before it reaches the database. The server checks every order-creating and
+// order-editing route with it; the shop and driver forms load the same file
+// so they flag the same problems before submitting.
+(function(root, factory) {
+    const schema = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = schema;
+    } else {
+        root.orderSchema = schema;
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    const PAYMENT_METHODS = ['cash', 'card'];
+    const MAX_ADDRESS_LENGTH = 300;
+    const MAX_NOTES_LENGTH = 1000;
+    const MAX_NAME_LENGTH = 100;
+    const MAX_LINE_QTY = 99;
+    const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    // Columns a shop may change on its own order. Status, driver, shop and
+    // timestamps only change through their own routes. line_items re-prices a
+    // catalog order from the shop's products (the route does the pricing).
+    const SHOP_EDITABLE_FIELDS = ['customer_phone', 'delivery_address', 'notes', 'order_items', 'line_items', 'payment_method', 'amount'];
+
+    // Admins can also correct the customer, category and driver. Status still
+    // only changes through the state machine.
+    const ADMIN_EDITABLE_FIELDS = [...SHOP_EDITABLE_FIELDS, 'customer_name', 'category_id', 'driver_id'];
+
+    // Each validator returns { value } with the normalized value, or { error }
+
+    // Stored as digits only; drivers dial the 10-digit number
+    function validatePhone(input) {
+        const digits = (input === undefined || input === null ? '' : String(input)).replace(/\D/g, '');
+        if (!digits) {
+            return { error: 'Phone number is required' };
+        }
+        if (digits.length !== 10) {
+            return { error: 'Phone number must be exactly 10 digits' };
+        }
+        return { value: digits };
+    }
+
+    function validateAddress(input) {
+        const address = typeof input === 'string' ? input.trim() : '';
+        if (!address) {
+            return { error: 'Delivery address is required' };
+        }
+        if (address.length < 5) {
+            return { error: 'Address must be at least 5 characters long' };
+        }
+        if (address.length > MAX_ADDRESS_LENGTH) {
+            return { error: `Address must be at most ${MAX_ADDRESS_LENGTH} characters` };
+        }
+        return { value: address };
+    }
+
+    // Empty means no charge (card orders); anything else must be a number
+    function validateAmount(input) {
+        if (input === undefined || input === null || input === '') {
+            return { value: 0 };
+        }
+        const amount = Number(input);
+        if (!Number.isFinite(amount)) {
+            return { error: 'Amount must be a number' };
+        }
+        if (amount < 0) {
+            return { error: 'Amount cannot be negative' };
+        }
+        return { value: Math.round(amount * 100) / 100 };
+    }
+
+    function validatePaymentMethod(input) {
+        return PAYMENT_METHODS.includes(input)
+            ? { value: input }
+            : { error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+    }
+
+    function validateNotes(input) {
+        if (input === undefined || input === null) {
+            return { value: '' };
+        }
+        if (typeof input !== 'string') {
+            return { error: 'Notes must be text' };
+        }
+        const notes = input.trim();
+        if (notes.length > MAX_NOTES_LENGTH) {
+            return { error: `Notes must be at most ${MAX_NOTES_LENGTH} characters` };
+        }
+        return { value: notes };
+    }
+
+    // Optional; shops usually only know the phone number
+    function validateCustomerName(input) {
+        if (input === undefined || input === null || input === '') {
+            return { value: null };
+        }
+        if (typeof input !== 'string') {
+            return { error: 'Customer name must be text' };
+        }
+        const name = input.trim();
+        if (name.length > MAX_NAME_LENGTH) {
+            return { error: `Customer name must be at most ${MAX_NAME_LENGTH} characters` };
+        }
+        return { value: name || null };
+    }
+
+    // Optional; whether the category exists is for the route to check
+    function validateCategoryId(input) {
+        if (input === undefined || input === null || input === '') {
+            return { value: null };
+        }
+        return UUID_PATTERN.test(String(input)) ? { value: String(input) } : { error: 'Unknown category' };
+    }
+
+    // Whether the user is an active driver is for the route to check
+    function validateDriverId(input) {
+        if (input === undefined || input === null || input === '') {
+            return { error: 'Choose a driver' };
+        }
+        return UUID_PATTERN.test(String(input)) ? { value: String(input) } : { error: 'Unknown driver' };
+    }
+
+    // A list of { name, qty, price }, sent as an array or as the JSON string the
+    // orders table keeps. These are typed by hand, so any product_id is dropped:
+    // only catalog pricing (priceLineItems) links an item to a product.
+    function validateOrderItems(input) {
+        let items = input;
+        if (typeof input === 'string') {
+            try {
+                items = JSON.parse(input || '[]');
+            } catch (error) {
+                return { error: 'Order items must be a list' };
+            }
+        }
+        if (!Array.isArray(items)) {
+            return { error: 'Order items must be a list' };
+        }
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i] || {};
+            if (typeof item.name !== 'string' || !item.name.trim()) {
+                return { error: `Item ${i + 1} needs a name` };
+            }
+            if (!Number.isInteger(Number(item.qty)) || Number(item.qty) < 1) {
+                return { error: `Item ${i + 1} needs a quantity of at least 1` };
+            }
+            if (item.price !== undefined && (!Number.isFinite(Number(item.price)) || Number(item.price) < 0)) {
+                return { error: `Item ${i + 1} has an invalid price` };
+            }
+        }
+
+        return {
+            value: JSON.stringify(items.map(item => ({
+                name: item.name.trim(),
+                qty: Number(item.qty),
+                price: item.price === undefined ? 0 : Number(item.price)
+            })))
+        };
+    }
+
+    // Products picked from the shop's catalog: [{ product_id, qty }]. Names and
+    // prices are looked up by priceLineItems, never taken from the request.
+    function validateLineItems(input) {
+        if (!Array.isArray(input) || input.length === 0) {
+            return { error: 'Pick at least one product' };
+        }
+
+        const quantities = new Map();
+        for (let i = 0; i < input.length; i++) {
+            const line = input[i] || {};
+            const qty = Number(line.qty);
+            if (!UUID_PATTERN.test(String(line.product_id || ''))) {
+                return { error: `Line ${i + 1} needs a product` };
+            }
+            if (!Number.isInteger(qty) || qty < 1 || qty > MAX_LINE_QTY) {
+                return { error: `Line ${i + 1} needs a quantity between 1 and ${MAX_LINE_QTY}` };
+            }
+            // The same product twice is one line
+            quantities.set(line.product_id, (quantities.get(line.product_id) || 0) + qty);
+        }
+
+        return { value: [...quantities].map(([product_id, qty]) => ({ product_id, qty })) };
+    }
+
+    // Turns validated line items into order items and their total using the
+    // shop's products ({ id, name, price, active }).
+    // Returns { items, total } or { error }
+    function priceLineItems(lineItems, products) {
+        const byId = new Map((products || []).map(product => [String(product.id), product]));
+        const items = [];
+        let cents = 0;
+
+        for (const line of lineItems) {
+            const product = byId.get(line.product_id);
+            if (!product || product.active === false) {
+                return { error: 'A product in this order is no longer available' };
+            }
+            const price = Number(product.price) || 0;
+            items.push({ product_id: line.product_id, name: product.name, qty: line.qty, price });
+            cents += Math.round(price * 100) * line.qty;
+        }
+
+        return { items, total: cents / 100 };
+    }
+
+    const FIELD_VALIDATORS = {
+        customer_name: validateCustomerName,
+        customer_phone: validatePhone,
+        line_items: validateLineItems,
+        delivery_address: validateAddress,
+        amount: validateAmount,
+        payment_method: validatePaymentMethod,
+        notes: validateNotes,
+        order_items: validateOrderItems,
+        category_id: validateCategoryId,
+        driver_id: validateDriverId
+    };
+
+    // Validates a shop's edit of an existing order.
+    // Returns { changes } with normalized values, or { errors: { field: message } }
+    function validateShopOrderUpdate(body, currentOrder) {
+        return validateOrderUpdate(body, currentOrder, SHOP_EDITABLE_FIELDS);
+    }
+
+    // Validates an admin's correction of an existing order, as above
+    function validateAdminOrderUpdate(body, currentOrder) {
+        return validateOrderUpdate(body, currentOrder, ADMIN_EDITABLE_FIELDS);
+    }
+
+    function validateOrderUpdate(body, currentOrder, editableFields) {
+        const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+        const changes = {};
+        const errors = {};
+
+        Object.keys(input).forEach(field => {
+            if (!editableFields.includes(field)) {
+                errors[field] = 'This field cannot be changed';
+                return;
+            }
+            const result = FIELD_VALIDATORS[field](input[field]);
+            if (result.error) {
+                errors[field] = result.error;
+            } else {
+                changes[field] = result.value;
+            }
+        });
+
+        // Catalog orders keep the amount and items their products add up to;
+        // they change through line_items only. Sending them back unchanged is
+        // fine, but isn't written: typed items carry no product link.
+        if (changes.line_items || isCatalogPriced(currentOrder)) {
+            const typed = changes.line_items ? 'together with products' : 'by hand on an order priced from products';
+            if (changes.amount !== undefined) {
+                if (changes.line_items || changes.amount !== Number(currentOrder.amount || 0)) {
+                    errors.amount = `The amount cannot be changed ${typed}`;
+                } else {
+                    delete changes.amount;
+                }
+            }
+            if (changes.order_items !== undefined) {
+                if (changes.line_items || changes.order_items !== validateOrderItems(currentOrder.order_items).value) {
+                    errors.order_items = `The items cannot be changed ${typed}`;
+                } else {
+                    delete changes.order_items;
+                }
+            }
+        }
+
+        // With line_items the route checks the catalog total instead
+        if (!changes.line_items) {
+            const paymentMethod = changes.payment_method || (currentOrder && currentOrder.payment_method);
+            const amount = changes.amount !== undefined ? changes.amount : Number(currentOrder && currentOrder.amount) || 0;
+            checkCashAmount(paymentMethod, amount, errors);
+        }
+
+        return Object.keys(errors).length > 0 ? { errors } : { changes };
+    }
+
+    // Whether the order's items were picked from the shop's catalog
+    function isCatalogPriced(order) {
+        if (!order || !order.order_items) return false;
+        let items = order.order_items;
+        if (typeof items === 'string') {
+            try {
+                items = JSON.parse(items);
+            } catch (error) {
+                return false;
+            }
+        }
+        return Array.isArray(items) && items.some(item => item && item.product_id);
+    }
+
+    // Cash orders are collected at the door, so they need a positive amount
+    function checkCashAmount(paymentMethod, amount, errors) {
+        if (!errors.amount && !errors.payment_method && paymentMethod === 'cash' && !(amount > 0)) {
+            errors.amount = 'An amount is required for cash payments';
+        }
+    }
+
+    // Fields every new order is checked for, whoever creates it
+    const NEW_ORDER_FIELDS = ['customer_name', 'customer_phone', 'delivery_address', 'amount', 'payment_method', 'notes', 'order_items', 'line_items', 'category_id'];
+    const REQUIRED_FIELDS = ['customer_phone', 'delivery_address'];
+
+    // Validates the order fields of a new order. Other keys in the input are
+    // left to the route. Payment defaults to cash. With line_items the amount
+    // is the catalog total the route works out, so a typed amount isn't needed.
+    // Returns { order } with normalized values, or { errors: { field: message } }
+    function validateNewOrder(body) {
+        const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+        const order = {};
+        const errors = {};
+
+        NEW_ORDER_FIELDS.forEach(field => {
+            const value = field === 'payment_method' && (input[field] === undefined || input[field] === null || input[field] === '')
+                ? 'cash'
+                : input[field];
+            if (value === undefined && !REQUIRED_FIELDS.includes(field)) {
+                return;
+            }
+            const result = FIELD_VALIDATORS[field](value);
+            if (result.error) {
+                errors[field] = result.error;
+            } else {
+                order[field] = result.value;
+            }
+        });
+
+        if (!order.line_items && !errors.line_items) {
+            checkCashAmount(order.payment_method, order.amount, errors);
+        }
+
+        return Object.keys(errors).length > 0 ? { errors } : { order };
+    }
+
+    return {
+        PAYMENT_METHODS,
+        SHOP_EDITABLE_FIELDS,
+        ADMIN_EDITABLE_FIELDS,
+        validatePhone,
+        validateAddress,
+        validateAmount,
+        validatePaymentMethod,
+        validateNotes,
+        validateCustomerName,
+        validateCategoryId,
+        validateDriverId,
+        validateOrderItems,
+        validateLineItems,
+        priceLineItems,
+        isCatalogPriced,
+        validateNewOrder,
+        validateShopOrderUpdate,
+        validateAdminOrderUpdate
+    };
+});
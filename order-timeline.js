@@ -0,0 +1,164 @@
+// Order Timeline - loads an order's event log and renders it as a vertical list.
+// Shared by the shop, driver and admin order details views.
+(function() {
+    const ICONS = {
+        created: 'fa-plus-circle',
+        broadcast: 'fa-broadcast-tower',
+        accepted: 'fa-handshake',
+        eta_set: 'fa-clock',
+        started: 'fa-motorcycle',
+        picked_up: 'fa-box',
+        transferred: 'fa-exchange-alt',
+        cancel_requested: 'fa-hand-paper',
+        delivered: 'fa-check-circle',
+        cancelled: 'fa-times-circle',
+        failed: 'fa-exclamation-triangle',
+        retried: 'fa-redo',
+        returned: 'fa-undo',
+        edited: 'fa-pen',
+        deleted: 'fa-trash',
+        status_changed: 'fa-sync-alt'
+    };
+
+    let stylesAdded = false;
+
+    function addStyles() {
+        if (stylesAdded) return;
+        stylesAdded = true;
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .order-timeline {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+
+            .order-timeline-entry {
+                position: relative;
+                display: flex;
+                gap: 12px;
+                padding-bottom: 14px;
+            }
+
+            .order-timeline-entry:not(:last-child)::before {
+                content: '';
+                position: absolute;
+                left: 13px;
+                top: 28px;
+                bottom: 0;
+                width: 2px;
+                background: #e5e7eb;
+            }
+
+            .order-timeline-icon {
+                flex: 0 0 28px;
+                height: 28px;
+                border-radius: 50%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-size: 12px;
+                background: #eef2ff;
+                color: #4f46e5;
+            }
+
+            .order-timeline-entry.delivered .order-timeline-icon { background: #dcfce7; color: #16a34a; }
+            .order-timeline-entry.cancelled .order-timeline-icon,
+            .order-timeline-entry.failed .order-timeline-icon,
+            .order-timeline-entry.deleted .order-timeline-icon { background: #fee2e2; color: #dc2626; }
+
+            .order-timeline-label {
+                font-size: 14px;
+                font-weight: 500;
+                color: #111827;
+            }
+
+            .order-timeline-time,
+            .order-timeline-note,
+            .order-timeline-message {
+                font-size: 12px;
+                color: #6b7280;
+            }
+
+            .order-timeline-note {
+                font-style: italic;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    function formatTime(at) {
+        if (!at) return '';
+        const date = new Date(at);
+        if (isNaN(date.getTime())) return '';
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    function showMessage(container, icon, text) {
+        container.innerHTML = `<div class="order-timeline-message"><i class="fas ${icon}"></i> ${escapeHtml(text)}</div>`;
+    }
+
+    function render(container, timeline) {
+        addStyles();
+
+        if (!timeline || timeline.length === 0) {
+            showMessage(container, 'fa-info-circle', 'No history recorded for this order yet');
+            return;
+        }
+
+        container.innerHTML = `<ul class="order-timeline">${timeline.map(entry => `
+            <li class="order-timeline-entry ${escapeHtml(entry.type)}">
+                <div class="order-timeline-icon"><i class="fas ${ICONS[entry.type] || ICONS.status_changed}"></i></div>
+                <div>
+                    <div class="order-timeline-label">${escapeHtml(entry.label)}</div>
+                    <div class="order-timeline-time">${formatTime(entry.at)}</div>
+                    ${entry.note ? `<div class="order-timeline-note">${escapeHtml(entry.note)}</div>` : ''}
+                </div>
+            </li>`).join('')}
+        </ul>`;
+    }
+
+    async function load(container, orderId) {
+        if (!container || !orderId) return;
+        addStyles();
+
+        // The modal may be reopened for another order before this one answers
+        container.dataset.timelineOrder = orderId;
+        showMessage(container, 'fa-spinner fa-spin', 'Loading timeline...');
+
+        try {
+            const response = await fetch(`/api/orders/${encodeURIComponent(orderId)}/timeline`);
+            const data = await response.json();
+            if (container.dataset.timelineOrder !== String(orderId)) return;
+
+            if (!response.ok || !data.success) {
+                showMessage(container, 'fa-exclamation-circle', data.message || 'Could not load the timeline');
+                return;
+            }
+
+            render(container, data.timeline);
+        } catch (error) {
+            console.error('Error loading order timeline:', error);
+            if (container.dataset.timelineOrder === String(orderId)) {
+                showMessage(container, 'fa-exclamation-circle', 'Could not load the timeline');
+            }
+        }
+    }
+
+    window.orderTimeline = {
+        load,
+        render
+    };
+})();
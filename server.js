@@ -9,11 +9,26 @@ const path = require('path');
 const winston = require('winston');
 const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
-
-// In-memory fallback store for categories when DB table is unavailable
-let memoryCategories = [
-    { id: 'cat-default', name: 'None', description: 'Uncategorized', created_at: new Date().toISOString(), updated_at: new Date().toISOString() }
-];
+const { hashPassword, verifyPassword, safeEqual, generateResetCode, hashResetCode } = require('./lib/credentials');
+const { issueSessionToken, verifySessionToken, authenticate, matchesIdentity, revokeSession, revokeAccountSessions, usingEphemeralSecret } = require('./lib/session');
+const { allowedActions, createAuthorizer } = require('./lib/permissions');
+const { beginLogin, listLockouts, unlockUsername } = require('./lib/login-throttle');
+const { createDiagnosticsRouter } = require('./lib/diagnostics');
+const { ORDER_STATUSES, INITIAL_STATUSES, DRIVER_INITIAL_STATUSES, ACTIVE_STATUSES, describeInitialDriverError, actorFromUser, createOrderTransitions } = require('./lib/order-state');
+const { buildTimeline, timelineUserIds, canViewTimeline } = require('./lib/order-timeline');
+const { CANCEL_REASONS, listCancelReasons, validateCancelReason, cleanCancelNote, describeCancelReason, cancellationDecision } = require('./lib/order-cancellation');
+const { FAILURE_REASONS, listFailureReasons, listFailureOutcomes, validateFailure, cleanFailureNote, describeFailure, retryAllowed } = require('./lib/delivery-failure');
+const { validateNewOrder, validateShopOrderUpdate, validateAdminOrderUpdate, validateDriverId, priceLineItems } = require('./order-schema');
+const { validateProduct } = require('./lib/products');
+const { validateCategory, categoryBreakdown } = require('./lib/categories');
+const { normalizePhone, lookupPrefix, rememberAddress, validateCustomerUpdate, customerTotals } = require('./lib/customers');
+const { validateHandIn, ledgerBalances, dailyBalances, reconciliationCsv, createCashLedger } = require('./lib/cash-ledger');
+const { validateFeeRules, earningsSummary, summaryStartDay, localTime, payoutReport, createDriverEarnings } = require('./lib/driver-earnings');
+const { createLastKnownGood, degradedEnvelope } = require('./lib/last-known-good');
+const { overviewRange, overviewChange, createAdminOverview } = require('./lib/admin-overview');
+const { parseOrderListing, createOrderListing } = require('./lib/order-listing');
+const { TRANSFERABLE_STATUSES, correctionDiff, correctionConflict, deletionConflict } = require('./lib/order-corrections');
+const { validateShift, scheduleRange, createSchedules } = require('./lib/schedules');
 
 // Configure Winston logger
 const logger = winston.createLogger({
@@ -67,6 +82,97 @@ if (!supabaseUrl || !supabaseKey || supabaseUrl === 'your-supabase-project-url'
 const supabase = createClient(supabaseUrl, supabaseKey);
 const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey);
 
+// Driver cash ledger (lib/cash-ledger.js) and per-delivery earnings (lib/driver-earnings.js)
+const cashLedger = createCashLedger({ supabaseAdmin, logger });
+const driverEarnings = createDriverEarnings({ supabaseAdmin, logger });
+
+// Both are written for every delivery, whichever route delivered it
+async function recordDelivery(order) {
+    await cashLedger.creditDelivery(order);
+    await driverEarnings.recordDelivery(order);
+}
+
+// Last payload each read endpoint served, for degraded replies (lib/last-known-good.js)
+const lastKnownGood = createLastKnownGood();
+
+// Reply for a read endpoint whose data can't be loaded: 503 with the
+// degraded envelope, never fabricated data
+function sendDegraded(res, { key, message, error }) {
+    const cached = lastKnownGood.recall(key);
+    logger.warn('⚠️ Serving degraded response', {
+        key,
+        error: error?.message || error,
+        cacheAgeSeconds: cached ? cached.ageSeconds : null
+    });
+    return res.status(503).json(degradedEnvelope(message, cached));
+}
+
+// Admin dashboard KPIs (lib/admin-overview.js)
+const adminOverview = createAdminOverview({ supabaseAdmin });
+
+// Paged order lists for admins, shops and drivers (lib/order-listing.js)
+const orderListing = createOrderListing({ supabaseAdmin });
+
+function sendListingErrors(res, errors) {
+    return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+}
+
+// Driver shifts (lib/schedules.js). Shift times are wall-clock times in
+// SCHEDULE_TIMEZONE. With BROADCAST_ON_SHIFT_ONLY=true new orders only go to
+// drivers whose shift is running.
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+const BROADCAST_ON_SHIFT_ONLY = process.env.BROADCAST_ON_SHIFT_ONLY === 'true';
+const schedules = createSchedules({ supabaseAdmin, timezone: SCHEDULE_TIMEZONE });
+
+// Admin audit log (best-effort, like order_events)
+async function logAdminAction(user, actionType, targetId, details) {
+    try {
+        const { error } = await supabaseAdmin
+            .from('admin_actions')
+            .insert({
+                action_type: actionType,
+                target_id: targetId,
+                details: { ...details, performedBy: user.username },
+                created_at: new Date().toISOString()
+            });
+        if (error) {
+            throw new Error(error.message);
+        }
+    } catch (logErr) {
+        logger.warn(`⚠️ Failed to log admin action for ${actionType}:`, logErr?.message || logErr);
+    }
+}
+
+// Admin dashboards reload their overview when an order is created or changes
+function notifyOverviewChanged(order, previousStatus) {
+    broadcastToRole('admin', { type: 'OVERVIEW_UPDATE', payload: overviewChange(order, previousStatus) });
+}
+
+// Order status changes (lib/order-state.js)
+const { transitionOrder, recordOrderEvent } = createOrderTransitions({
+    supabaseAdmin,
+    logger,
+    onStatusChange: async ({ order, from, to }) => {
+        if (to === 'delivered') {
+            await recordDelivery(order);
+        }
+        notifyOverviewChanged(order, from);
+    }
+});
+
+// Reply for a rejected status change
+function sendTransitionFailure(res, result) {
+    const { httpStatus, success, ...details } = result;
+    return res.status(httpStatus).json({ success: false, ...details });
+}
+
+// Transition guard: the order must belong to this driver
+function assignedTo(driverId) {
+    return order => order.driver_id === driverId
+        ? null
+        : { httpStatus: 403, message: 'This order is not assigned to you' };
+}
+
 // Initialize database tables
 async function initializeDatabase() {
     try {
@@ -111,17 +217,191 @@ async function checkSupabaseConnection() {
 // Enable CORS
 app.use(cors());
 
+// nginx proxies from localhost; trust its X-Forwarded-For so req.ip is the real client
+app.set('trust proxy', 'loopback');
+
 // Serve static files
 app.use(express.static('./'));
 app.use(express.json());
 
-// Store connected clients by role and user ID
+// Resolve the caller's identity from their session token (sets req.user)
+app.use(authenticate);
+
+// Enforce the route permission table (lib/permissions.js) for every API call
+app.use(createAuthorizer(logger));
+
+// Resolve which account a request acts for. Admins may act on behalf of any
+// user they name; everyone else is pinned to the identity in their token.
+// Sends a 403 and returns null when a caller names someone else's account.
+function resolveSubjectId(req, res, claimedId) {
+    if (req.user.role === 'admin') {
+        return claimedId || null;
+    }
+    if (claimedId && !matchesIdentity(req.user, claimedId)) {
+        logger.warn('⚠️ Identity mismatch rejected', { userId: req.user.userId, claimedId, path: req.path });
+        res.status(403).json({ success: false, message: 'You can only access your own account' });
+        return null;
+    }
+    return req.user.userId;
+}
+
+// Store connected clients by role and user ID. A driver or shop may be
+// connected from several devices, so each user maps to a set of sockets.
 const clients = {
-    drivers: new Map(), // Map of driver ID -> WebSocket
-    shops: new Map(),   // Map of shop ID -> WebSocket
+    drivers: new Map(), // Map of driver ID -> Set of WebSockets
+    shops: new Map(),   // Map of shop ID -> Set of WebSockets
     admin: new Set()    // Set of admin WebSockets
 };
 
+// Device policy per role: 'single' signs the previous device out when the
+// account logs in somewhere else, 'multi' keeps every device connected
+const DEVICE_POLICY = {
+    driver: process.env.DRIVER_DEVICE_POLICY === 'multi' ? 'multi' : 'single',
+    shop: process.env.SHOP_DEVICE_POLICY === 'single' ? 'single' : 'multi',
+    admin: 'multi'
+};
+
+// Sockets that have not authenticated within this window are closed
+const WS_AUTH_TIMEOUT_MS = parseInt(process.env.WS_AUTH_TIMEOUT_MS || '10000', 10);
+const WS_CLOSE_UNAUTHENTICATED = 4001;
+
+function clientMapFor(role) {
+    if (role === 'driver') return clients.drivers;
+    if (role === 'shop') return clients.shops;
+    return null;
+}
+
+// Visit every socket of a role map, across all users and their devices
+function forEachSocket(map, callback) {
+    map.forEach((sockets, userId) => {
+        sockets.forEach(ws => callback(ws, userId));
+    });
+}
+
+// Send a message to every open device of one driver or shop.
+// Returns how many sockets it was delivered to.
+function sendToUser(role, userId, message) {
+    const map = clientMapFor(role);
+    const sockets = map && map.get(userId);
+    if (!sockets) return 0;
+    
+    const messageStr = JSON.stringify(message);
+    let sentCount = 0;
+    sockets.forEach(ws => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(messageStr);
+            sentCount++;
+        }
+    });
+    return sentCount;
+}
+
+// Drop one socket; the user's entry goes once their last device has left
+function removeClient(ws) {
+    if (ws.role === 'admin') {
+        clients.admin.delete(ws);
+        return;
+    }
+    
+    const map = clientMapFor(ws.role);
+    const sockets = map && map.get(ws.userId);
+    if (!sockets) return;
+    
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+        map.delete(ws.userId);
+    }
+}
+
+function forceLogout(ws, reason) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({
+            type: 'FORCE_LOGOUT',
+            payload: { reason }
+        }));
+    }
+    ws.close();
+}
+
+// Revoke every session of one account and disconnect all of its devices.
+// Returns how many sockets were signed out.
+function signOutAccount(accountId, reason) {
+    revokeAccountSessions(accountId);
+    
+    const sockets = [];
+    const collect = (ws) => {
+        if (String(ws.accountId) === String(accountId)) sockets.push(ws);
+    };
+    forEachSocket(clients.drivers, collect);
+    forEachSocket(clients.shops, collect);
+    clients.admin.forEach(collect);
+    
+    sockets.forEach(ws => forceLogout(ws, reason));
+    return sockets.length;
+}
+
+// Register an authenticated socket under the identity from its session token
+function registerClient(ws, identity) {
+    const { role, userId, sessionId } = identity;
+    
+    switch (role) {
+        case 'driver':
+        case 'shop':
+            const map = clientMapFor(role);
+            
+            // Single-device roles: a new login signs out the account's other devices.
+            // Sockets from the same login (e.g. a second tab) share its session and stay.
+            if (DEVICE_POLICY[role] === 'single' && map.has(userId)) {
+                map.get(userId).forEach(existingWs => {
+                    if (existingWs !== ws && existingWs.sessionId !== sessionId) {
+                        revokeSession(existingWs.sessionId, existingWs.expiresAt);
+                        forceLogout(existingWs, 'Account logged in elsewhere');
+                    }
+                });
+            }
+            
+            if (!map.has(userId)) {
+                map.set(userId, new Set());
+            }
+            map.get(userId).add(ws);
+            logger.info(`${role === 'driver' ? '🚚 Driver' : '🏪 Shop'} ${userId} connected`, { devices: map.get(userId).size });
+            break;
+            
+        case 'admin':
+            clients.admin.add(ws);
+            logger.info(`👨‍💼 Admin connected`);
+            break;
+            
+        default:
+            logger.warn(`⚠️ Unknown role: ${role}`);
+            return false;
+    }
+    
+    ws.role = role;
+    ws.userId = userId;
+    ws.accountId = identity.id;
+    ws.username = identity.username;
+    ws.sessionId = sessionId;
+    ws.expiresAt = identity.expiresAt;
+    ws.connectedAt = new Date().toISOString();
+    ws.authenticated = true;
+    
+    // Send confirmation
+    ws.send(JSON.stringify({
+        type: 'IDENTIFIED',
+        payload: { role, userId }
+    }));
+    return true;
+}
+
+// Reject a socket whose token is missing, invalid or expired
+function rejectClient(ws, reason) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'AUTH_FAILED', payload: { reason } }));
+        ws.close(WS_CLOSE_UNAUTHENTICATED, reason);
+    }
+}
+
 // WebSocket connection handler
 wss.on('connection', (ws, req) => {
     const clientId = Math.random().toString(36).substr(2, 9);
@@ -131,80 +411,66 @@ wss.on('connection', (ws, req) => {
         ip: req.socket.remoteAddress,
         userAgent: req.headers['user-agent']
     });
+    
+    ws.authenticated = false;
+    ws.clientId = clientId;
+    ws.ip = req.socket.remoteAddress;
+    ws.userAgent = req.headers['user-agent'];
+    
+    // A token may be supplied on the upgrade request (?token=...) or in IDENTIFY
+    const upgradeToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (upgradeToken) {
+        const identity = verifySessionToken(upgradeToken);
+        if (!identity) {
+            rejectClient(ws, 'Invalid or expired session');
+            return;
+        }
+        registerClient(ws, identity);
+    }
+    
+    const authTimer = setTimeout(() => {
+        if (!ws.authenticated) {
+            logger.warn(`⏱️ Closing unauthenticated WebSocket client: ${clientId}`);
+            rejectClient(ws, 'Authentication timeout');
+        }
+    }, WS_AUTH_TIMEOUT_MS);
 
     // Wait for client to identify itself
     ws.on('message', (message) => {
         try {
             const data = JSON.parse(message);
             
-            // Handle client identification
+            // Handle client identification - the identity always comes from the token,
+            // never from the role/userId the client claims
             if (data.type === 'IDENTIFY') {
-                const { role, userId } = data.payload;
+                const identity = verifySessionToken(data.payload && data.payload.token);
                 
-                if (role && userId) {
-                    // Check if user is already connected and disconnect them
-                    switch (role) {
-                        case 'driver':
-                            const existingDriverWs = clients.drivers.get(userId);
-                            if (existingDriverWs && existingDriverWs !== ws) {
-                                // Send logout message to existing connection
-                                if (existingDriverWs.readyState === WebSocket.OPEN) {
-                                    existingDriverWs.send(JSON.stringify({
-                                        type: 'FORCE_LOGOUT',
-                                        payload: { reason: 'Account logged in elsewhere' }
-                                    }));
-                                }
-                                existingDriverWs.close();
-                            }
-                            clients.drivers.set(userId, ws);
-                            ws.role = 'driver';
-                            ws.userId = userId;
-                            logger.info(`🚚 Driver ${userId} connected`);
-                            break;
-                            
-                        case 'shop':
-                            const existingShopWs = clients.shops.get(userId);
-                            if (existingShopWs && existingShopWs !== ws) {
-                                // Send logout message to existing connection
-                                if (existingShopWs.readyState === WebSocket.OPEN) {
-                                    existingShopWs.send(JSON.stringify({
-                                        type: 'FORCE_LOGOUT',
-                                        payload: { reason: 'Account logged in elsewhere' }
-                                    }));
-                                }
-                                existingShopWs.close();
-                            }
-                            clients.shops.set(userId, ws);
-                            ws.role = 'shop';
-                            ws.userId = userId;
-                            logger.info(`🏪 Shop ${userId} connected`);
-                            break;
-                            
-                        case 'admin':
-                            clients.admin.add(ws);
-                            ws.role = 'admin';
-                            logger.info(`👨‍💼 Admin connected`);
-                            break;
-                            
-                        default:
-                            logger.warn(`⚠️ Unknown role: ${role}`);
-                    }
-                    
-                    // Send confirmation
-                    ws.send(JSON.stringify({
-                        type: 'IDENTIFIED',
-                        payload: { role, userId }
-                    }));
+                if (!identity) {
+                    logger.warn(`⚠️ WebSocket IDENTIFY rejected for client ${clientId}`);
+                    rejectClient(ws, 'Invalid or expired session');
+                    return;
+                }
+                
+                if (!ws.authenticated) {
+                    registerClient(ws, identity);
                 }
+                return;
+            }
+            
+            // Everything else requires an authenticated socket
+            if (!ws.authenticated) {
+                rejectClient(ws, 'Authentication required');
+                return;
             }
+            
             // Handle subscription to real-time updates
-            else if (data.type === 'SUBSCRIBE') {
+            if (data.type === 'SUBSCRIBE') {
                 const { channel } = data.payload;
                 ws.channel = channel;
                 logger.info(`📡 Client subscribed to channel: ${channel}`);
             }
-            // Handle countdown started message
-            else if (data.type === 'COUNTDOWN_STARTED') {
+            // Handle countdown started message (drivers and admins only)
+            else if (data.type === 'COUNTDOWN_STARTED' && ws.role !== 'shop') {
                 logger.info('⏰ Countdown started:', data.payload);
                 
                 // Broadcast countdown started to all shops
@@ -213,7 +479,7 @@ wss.on('connection', (ws, req) => {
                     payload: data.payload
                 };
                 
-                clients.shops.forEach((shopWs, shopId) => {
+                forEachSocket(clients.shops, (shopWs) => {
                     if (shopWs.readyState === WebSocket.OPEN) {
                         shopWs.send(JSON.stringify(countdownMessage));
                     }
@@ -221,8 +487,8 @@ wss.on('connection', (ws, req) => {
                 
                 logger.info(`📡 Countdown started broadcasted to ${clients.shops.size} shops`);
             }
-            // Handle countdown update message
-            else if (data.type === 'COUNTDOWN_UPDATE') {
+            // Handle countdown update message (drivers and admins only)
+            else if (data.type === 'COUNTDOWN_UPDATE' && ws.role !== 'shop') {
                 logger.info('⏰ Countdown update:', data.payload);
                 
                 // Broadcast countdown update to all shops
@@ -231,7 +497,7 @@ wss.on('connection', (ws, req) => {
                     payload: data.payload
                 };
                 
-                clients.shops.forEach((shopWs, shopId) => {
+                forEachSocket(clients.shops, (shopWs) => {
                     if (shopWs.readyState === WebSocket.OPEN) {
                         shopWs.send(JSON.stringify(countdownMessage));
                     }
@@ -244,18 +510,18 @@ wss.on('connection', (ws, req) => {
 
     // Handle client disconnect
     ws.on('close', () => {
+        clearTimeout(authTimer);
+        
         if (ws.role && ws.userId) {
+            removeClient(ws);
             switch (ws.role) {
                 case 'driver':
-                    clients.drivers.delete(ws.userId);
                     logger.info(`🚚 Driver ${ws.userId} disconnected`);
                     break;
                 case 'shop':
-                    clients.shops.delete(ws.userId);
                     logger.info(`🏪 Shop ${ws.userId} disconnected`);
                     break;
                 case 'admin':
-                    clients.admin.delete(ws);
                     logger.info(`👨‍💼 Admin disconnected`);
                     break;
             }
@@ -269,25 +535,31 @@ wss.on('connection', (ws, req) => {
         logger.error(`❌ WebSocket error for client ${clientId}:`, error);
         
         if (ws.role && ws.userId) {
-            switch (ws.role) {
-                case 'driver':
-                    clients.drivers.delete(ws.userId);
-                    break;
-                case 'shop':
-                    clients.shops.delete(ws.userId);
-                    break;
-                case 'admin':
-                    clients.admin.delete(ws);
-                    break;
-            }
+            removeClient(ws);
         }
     });
 });
 
-// Supabase Webhook handler for real-time events
+// Supabase Webhook handler for real-time events. The webhook is configured in
+// Supabase to send SUPABASE_WEBHOOK_SECRET in the x-webhook-secret header;
+// without a secret set here every call is refused.
+const SUPABASE_WEBHOOK_SECRET = process.env.SUPABASE_WEBHOOK_SECRET || '';
+
 app.post('/api/webhook/supabase', async (req, res) => {
+    if (!SUPABASE_WEBHOOK_SECRET) {
+        logger.warn('⚠️ Webhook call refused: SUPABASE_WEBHOOK_SECRET is not set');
+        return res.status(503).json({ success: false, message: 'Webhook is not configured' });
+    }
+    if (!safeEqual(req.get('x-webhook-secret') || '', SUPABASE_WEBHOOK_SECRET)) {
+        logger.warn('⚠️ Webhook call with a wrong secret', { ip: req.ip });
+        return res.status(401).json({ success: false, message: 'Invalid webhook secret' });
+    }
+    
     try {
-        const event = req.body;
+        const event = req.body || {};
+        if (['INSERT', 'UPDATE'].includes(event.type) && !(event.record && event.record.id)) {
+            return res.status(400).json({ success: false, message: 'Webhook event has no record' });
+        }
         logger.info('📡 Supabase webhook received:', { type: event.type });
         
         // Process different event types
@@ -314,27 +586,31 @@ app.post('/api/webhook/supabase', async (req, res) => {
     }
 });
 
-// Handle new order with improved error handling and retry logic
-async function handleNewOrder(order) {
-    logger.info('🆕 New order created:', { orderId: order.id });
+// Handle new order with improved error handling and retry logic. Only the
+// order's id is taken from the event; what is broadcast is the stored row.
+// notifyShop: false when the shop already knows the order (e.g. a driver handed it back)
+async function handleNewOrder(record, { notifyShop = true } = {}) {
+    logger.info('🆕 New order created:', { orderId: record.id });
     
     try {
         // Verify the order still exists and is available before notifying drivers
         const { data: orderCheck, error: orderError } = await supabaseAdmin
             .from('orders')
             .select('*')
-            .eq('id', order.id)
+            .eq('id', record.id)
             .eq('status', 'pending')
             .is('driver_id', null)
+            .is('deleted_at', null)
             .single();
         
         if (orderError || !orderCheck) {
-            logger.warn('⚠️ Order no longer available for drivers:', { orderId: order.id, error: orderError });
+            logger.warn('⚠️ Order no longer available for drivers:', { orderId: record.id, error: orderError });
             return;
         }
+        const order = orderCheck;
     
     // Notify all available drivers
-    const { data: drivers, error } = await supabaseAdmin
+    const { data: activeDrivers, error } = await supabaseAdmin
         .from('users')
         .select('user_id')
         .eq('role', 'driver')
@@ -345,13 +621,22 @@ async function handleNewOrder(order) {
         return;
     }
     
+    // Only drivers on shift right now, when so configured
+    let drivers = activeDrivers;
+    if (BROADCAST_ON_SHIFT_ONLY) {
+        const onShift = await schedules.onShiftDriverIds();
+        drivers = activeDrivers.filter(driver => onShift.has(driver.user_id));
+        if (drivers.length === 0) {
+            logger.warn('⚠️ No driver is on shift for the new order', { orderId: order.id });
+        }
+    }
+    
         // Send notification to all available drivers with retry logic
         let notificationCount = 0;
     drivers.forEach(driver => {
-        const ws = clients.drivers.get(driver.user_id);
-        if (ws && ws.readyState === WebSocket.OPEN) {
+        if (clients.drivers.has(driver.user_id)) {
                 try {
-            ws.send(JSON.stringify({
+            const delivered = sendToUser('driver', driver.user_id, {
                 type: 'NEW_ORDER_AVAILABLE',
                 payload: {
                     order_id: order.id,
@@ -359,11 +644,14 @@ async function handleNewOrder(order) {
                     customer_name: order.customer_name,
                     delivery_address: order.delivery_address,
                             amount: order.amount,
-                            shop_name: order.shop_name || 'Shop'
+                            shop_name: order.shop_name || 'Shop',
+                            category_id: order.category_id
                 }
-            }));
-                    notificationCount++;
-            logger.info(`📩 Sent new order notification to driver: ${driver.user_id}`);
+            });
+                    if (delivered > 0) {
+                        notificationCount++;
+            logger.info(`📩 Sent new order notification to driver: ${driver.user_id}`, { devices: delivered });
+                    }
                 } catch (sendError) {
                     logger.error(`❌ Error sending notification to driver ${driver.user_id}:`, sendError);
                 }
@@ -371,20 +659,28 @@ async function handleNewOrder(order) {
     });
         
         logger.info(`📡 Notified ${notificationCount} drivers about new order: ${order.id}`);
+        
+        await recordOrderEvent({
+            orderId: order.id,
+            type: 'broadcast',
+            from: orderCheck.status,
+            to: orderCheck.status,
+            actor: actorFromUser(null),
+            details: { notifiedDrivers: notificationCount, onShiftOnly: BROADCAST_ON_SHIFT_ONLY }
+        });
     
     // Notify shop that created the order
-        if (order.shop_id) {
-    const shopWs = clients.shops.get(order.shop_id);
-    if (shopWs && shopWs.readyState === WebSocket.OPEN) {
+        if (order.shop_id && notifyShop) {
+    if (clients.shops.has(order.shop_id)) {
                 try {
-        shopWs.send(JSON.stringify({
+        sendToUser('shop', order.shop_id, {
             type: 'ORDER_CREATED',
             payload: {
                 order_id: order.id,
                 order_number: order.order_id,
                 status: order.status
             }
-        }));
+        });
         logger.info(`📩 Sent order creation confirmation to shop: ${order.shop_id}`);
                 } catch (sendError) {
                     logger.error(`❌ Error sending confirmation to shop ${order.shop_id}:`, sendError);
@@ -399,7 +695,7 @@ async function handleNewOrder(order) {
         setTimeout(async () => {
             try {
                 logger.info('🔄 Retrying new order notification...');
-                await handleNewOrder(order);
+                await handleNewOrder(record, { notifyShop });
             } catch (retryError) {
                 logger.error('❌ Retry failed for new order notification:', retryError);
             }
@@ -407,27 +703,37 @@ async function handleNewOrder(order) {
     }
 }
 
-// Handle new notification
-async function handleNewNotification(notification) {
-    logger.info('🔔 New notification created:', { notificationId: notification.id });
+// Handle new notification - sends the stored row, not the event's copy
+async function handleNewNotification(record) {
+    logger.info('🔔 New notification created:', { notificationId: record.id });
     
-    // Send notification to the target user
-    const targetWs = clients.drivers.get(notification.user_id) || clients.shops.get(notification.user_id);
-    if (targetWs && targetWs.readyState === WebSocket.OPEN) {
-        targetWs.send(JSON.stringify({
-            type: 'NOTIFICATION',
-            payload: notification
-        }));
-        logger.info(`📩 Sent notification to user: ${notification.user_id}`);
+    const { data: notification, error } = await supabaseAdmin
+        .from('notifications')
+        .select('*')
+        .eq('id', record.id)
+        .maybeSingle();
+    
+    if (error || !notification) {
+        logger.warn('⚠️ Notification not found for webhook event:', { notificationId: record.id, error });
+        return;
+    }
+    
+    // Send notification to every device of the target user
+    const message = { type: 'NOTIFICATION', payload: notification };
+    const delivered = sendToUser('driver', notification.user_id, message) + sendToUser('shop', notification.user_id, message);
+    if (delivered > 0) {
+        logger.info(`📩 Sent notification to user: ${notification.user_id}`, { devices: delivered });
     }
 }
 
 // Handle order update with improved error handling and race condition prevention
-async function handleOrderUpdate(order, oldOrder) {
+// Only the order's id and previous status are taken from the event; what is
+// broadcast is the stored row
+async function handleOrderUpdate(record, oldRecord) {
+    const oldOrder = { status: ORDER_STATUSES.includes(oldRecord && oldRecord.status) ? oldRecord.status : null };
     logger.info('🔄 Order updated:', { 
-        orderId: order.id, 
-        oldStatus: oldOrder.status, 
-        newStatus: order.status 
+        orderId: record.id, 
+        oldStatus: oldOrder.status 
     });
     
     try {
@@ -435,20 +741,21 @@ async function handleOrderUpdate(order, oldOrder) {
         const { data: orderCheck, error: orderError } = await supabaseAdmin
             .from('orders')
             .select('*')
-            .eq('id', order.id)
+            .eq('id', record.id)
+            .is('deleted_at', null)
             .single();
         
         if (orderError || !orderCheck) {
-            logger.warn('⚠️ Order no longer exists for update notification:', { orderId: order.id, error: orderError });
+            logger.warn('⚠️ Order no longer exists for update notification:', { orderId: record.id, error: orderError });
             return;
         }
+        const order = orderCheck;
     
     // Notify the assigned driver
     if (order.driver_id) {
-        const driverWs = clients.drivers.get(order.driver_id);
-        if (driverWs && driverWs.readyState === WebSocket.OPEN) {
+        if (clients.drivers.has(order.driver_id)) {
                 try {
-            driverWs.send(JSON.stringify({
+            sendToUser('driver', order.driver_id, {
                 type: 'ORDER_UPDATED',
                 payload: {
                     order_id: order.id,
@@ -459,7 +766,7 @@ async function handleOrderUpdate(order, oldOrder) {
                             delivery_address: order.delivery_address,
                             amount: order.amount
                 }
-            }));
+            });
             logger.info(`📩 Sent order update to driver: ${order.driver_id}`);
                 } catch (sendError) {
                     logger.error(`❌ Error sending order update to driver ${order.driver_id}:`, sendError);
@@ -469,10 +776,9 @@ async function handleOrderUpdate(order, oldOrder) {
     
     // Notify the shop that created the order
     if (order.shop_id) {
-        const shopWs = clients.shops.get(order.shop_id);
-        if (shopWs && shopWs.readyState === WebSocket.OPEN) {
+        if (clients.shops.has(order.shop_id)) {
                 try {
-            shopWs.send(JSON.stringify({
+            sendToUser('shop', order.shop_id, {
                 type: 'ORDER_UPDATED',
                 payload: {
                     order_id: order.id,
@@ -484,7 +790,7 @@ async function handleOrderUpdate(order, oldOrder) {
                             delivery_address: order.delivery_address,
                             amount: order.amount
                 }
-            }));
+            });
             logger.info(`📩 Sent order update to shop: ${order.shop_id}`);
                 } catch (sendError) {
                     logger.error(`❌ Error sending order update to shop ${order.shop_id}:`, sendError);
@@ -495,8 +801,8 @@ async function handleOrderUpdate(order, oldOrder) {
         // If order status changed to 'delivered', notify all drivers about completion
         if (order.status === 'delivered' && oldOrder.status !== 'delivered') {
             logger.info('✅ Order delivered, notifying all drivers');
-            clients.drivers.forEach((ws, driverId) => {
-                if (ws && ws.readyState === WebSocket.OPEN) {
+            forEachSocket(clients.drivers, (ws, driverId) => {
+                if (ws.readyState === WebSocket.OPEN) {
                     try {
                         ws.send(JSON.stringify({
                             type: 'ORDER_DELIVERED',
@@ -531,7 +837,7 @@ async function handleOrderUpdate(order, oldOrder) {
                 }
             };
             
-            clients.shops.forEach((shopWs, shopId) => {
+            forEachSocket(clients.shops, (shopWs, shopId) => {
                 if (shopWs.readyState === WebSocket.OPEN) {
                     try {
                         shopWs.send(JSON.stringify(countdownMessage));
@@ -551,7 +857,7 @@ async function handleOrderUpdate(order, oldOrder) {
         setTimeout(async () => {
             try {
                 logger.info('🔄 Retrying order update notification...');
-                await handleOrderUpdate(order, oldOrder);
+                await handleOrderUpdate(record, oldRecord);
             } catch (retryError) {
                 logger.error('❌ Retry failed for order update notification:', retryError);
             }
@@ -559,26 +865,29 @@ async function handleOrderUpdate(order, oldOrder) {
     }
 }
 
-// Broadcast message to specific role
+// Broadcast message to specific role. Returns how many users were reached.
 function broadcastToRole(role, message) {
     const messageStr = JSON.stringify(message);
     let sentCount = 0;
+    const recipients = new Set();
     
     switch (role) {
         case 'driver':
-            clients.drivers.forEach((ws) => {
+            forEachSocket(clients.drivers, (ws, userId) => {
                 if (ws.readyState === WebSocket.OPEN) {
                     ws.send(messageStr);
                     sentCount++;
+                    recipients.add(userId);
                 }
             });
             break;
             
         case 'shop':
-            clients.shops.forEach((ws) => {
+            forEachSocket(clients.shops, (ws, userId) => {
                 if (ws.readyState === WebSocket.OPEN) {
                     ws.send(messageStr);
                     sentCount++;
+                    recipients.add(userId);
                 }
             });
             break;
@@ -588,6 +897,7 @@ function broadcastToRole(role, message) {
                 if (ws.readyState === WebSocket.OPEN) {
                     ws.send(messageStr);
                     sentCount++;
+                    recipients.add(ws.userId);
                 }
             });
             break;
@@ -597,616 +907,1273 @@ function broadcastToRole(role, message) {
         type: message.type,
         clientCount: sentCount
     });
+    
+    return recipients.size;
 }
 
-// Mock data for real-time updates
-let dashboardData = {
-    stats: {
-        totalUsers: 40689,
-        totalOrders: 10293,
-        totalSales: 89000,
-        pendingOrders: 2040
-    },
-    orders: [
-        {
-            id: 'ORD-001',
-            customer: 'John Doe',
-            product: 'Premium Package',
-            amount: '$299.99',
-            status: 'delivered',
-            date: '2024-01-15'
-        },
-        {
-            id: 'ORD-002',
-            customer: 'Jane Smith',
-            product: 'Express Delivery',
-            amount: '$149.99',
-            status: 'pending',
-            date: '2024-01-14'
-        },
-        {
-            id: 'ORD-003',
-            customer: 'Mike Johnson',
-            product: 'Standard Package',
-            amount: '$199.99',
-            status: 'processing',
-            date: '2024-01-13'
-        }
-    ],
-    notifications: []
-};
-
 // API Routes
-app.get('/api/dashboard', (req, res) => {
-    logger.info('📊 API: Dashboard data requested');
-    res.json(dashboardData);
+app.get('/api/dashboard', async (req, res) => {
+    try {
+        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
+        
+        const [usersResult, ordersResult] = await Promise.all([
+            serviceClient.from('users').select('id', { count: 'exact', head: true }),
+            serviceClient
+                .from('orders')
+                .select('id, order_id, customer_name, product_name, amount, status, order_date')
+                .is('deleted_at', null)
+                .order('order_date', { ascending: false })
+        ]);
+        
+        const error = usersResult.error || ordersResult.error;
+        if (error) {
+            return sendDegraded(res, { key: 'dashboard', message: 'Dashboard data is unavailable right now', error });
+        }
+        
+        const orders = ordersResult.data || [];
+        const payload = {
+            stats: {
+                totalUsers: usersResult.count || 0,
+                totalOrders: orders.length,
+                totalSales: Math.round(orders
+                    .filter(order => order.status === 'delivered')
+                    .reduce((sum, order) => sum + (Number(order.amount) || 0), 0) * 100) / 100,
+                pendingOrders: orders.filter(order => order.status === 'pending').length
+            },
+            // Latest orders, in the shape the dashboard's recent orders table reads
+            orders: orders.slice(0, 5).map(order => ({
+                id: order.order_id || order.id,
+                customer: order.customer_name || '',
+                product: order.product_name || '',
+                amount: Number(order.amount) || 0,
+                status: order.status,
+                date: String(order.order_date || '').split('T')[0]
+            }))
+        };
+        
+        lastKnownGood.remember('dashboard', payload);
+        logger.info('📊 API: Dashboard data fetched from database', payload.stats);
+        res.json({ success: true, ...payload });
+    } catch (error) {
+        logger.error('❌ Error in dashboard API:', error);
+        sendDegraded(res, { key: 'dashboard', message: 'Dashboard data is unavailable right now', error });
+    }
+});
+
+// Dashboard KPIs over ?range= (24h, 7d, 30d, 90d) or ?from=&to= (YYYY-MM-DD)
+app.get('/api/admin/overview', async (req, res) => {
+    const range = overviewRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ success: false, message: range.error });
+    }
+    
+    // Presets end now, so one cache entry per preset; custom ranges per dates
+    const key = range.range === 'custom' ? `admin-overview:${req.query.from}:${req.query.to || ''}` : `admin-overview:${range.range}`;
+    try {
+        const overview = await adminOverview.loadOverview(range);
+        const payload = { ...overview, onlineDrivers: clients.drivers.size };
+        
+        lastKnownGood.remember(key, payload);
+        logger.info('📊 API: Admin overview computed', { range: range.range, orders: payload.kpis.orders });
+        res.json({ success: true, ...payload });
+    } catch (error) {
+        logger.error('❌ Error in admin overview API:', error);
+        sendDegraded(res, { key, message: 'The overview is unavailable right now', error });
+    }
 });
 
 // NOTE: Removed legacy mock create-order endpoint to avoid shadowing the real DB-backed endpoint below.
 // The real handler that persists to Supabase is defined later ("Create order (driver-created)").
 
-app.put('/api/orders/:id/status', (req, res) => {
+// Admin status change - any transition the state machine allows
+app.put('/api/orders/:id/status', async (req, res) => {
     const { id } = req.params;
-    const { status } = req.body;
-    
-    logger.info('🔄 API: Order status updated', { orderId: id, newStatus: status });
+    const { status, reason } = req.body || {};
     
-    const updated = updateOrderStatus(id, status);
-    if (updated) {
-        res.json({ success: true, order: updated });
-    } else {
-        res.status(404).json({ success: false, message: 'Order not found' });
+    if (!status) {
+        return res.status(400).json({ success: false, message: 'Status is required' });
     }
-});
-
-// Registration Management API
-app.get('/api/registrations', async (req, res) => {
+    
     try {
-        const { data, error } = await supabase
-            .from('user_registrations')
-            .select('*')
-            .order('created_at', { ascending: false });
+        const result = await transitionOrder({
+            orderId: id,
+            to: status,
+            actor: actorFromUser(req.user),
+            reason: reason || 'Changed by admin',
+            // Back to pending means back up for any driver
+            changes: status === 'pending' ? { driver_id: null, assigned_at: null } : {}
+        });
         
-        if (error) {
-            logger.error('❌ Error fetching registrations:', error);
-            res.status(500).json({ success: false, message: 'Database error' });
-        } else {
-            logger.info('📋 API: Registrations fetched', { count: data.length });
-            res.json({ success: true, registrations: data });
+        if (!result.success) {
+            return sendTransitionFailure(res, result);
         }
+        
+        logger.info('🔄 API: Order status updated', { orderId: id, newStatus: status });
+        res.json({ success: true, order: result.order });
     } catch (error) {
-        logger.error('❌ Error in registrations API:', error);
+        logger.error('❌ Error in order status API:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-app.post('/api/registrations', async (req, res) => {
-    const { username, password, full_name, phone, role } = req.body;
+// Everything that happened to one order, oldest first
+app.get('/api/orders/:id/timeline', async (req, res) => {
+    const { id } = req.params;
     
     try {
-        // Insert into user_registrations table without user_id for now
-        const { data, error } = await supabase
-            .from('user_registrations')
-            .insert([{
-                username,
-                full_name,
-                phone,
-                role,
-                status: 'pending',
-                password_hash: password // Store password temporarily (will be hashed later)
-            }])
-            .select();
+        const { data: order, error: orderError } = await supabaseAdmin
+            .from('orders')
+            .select('id, order_id, status, shop_id, driver_id, created_at, order_date, delivery_date')
+            .eq('id', id)
+            .maybeSingle();
         
-        // If RLS error, try with service role
-        if (error && error.message.includes('row-level security policy')) {
-            logger.warn('RLS policy blocked insert, trying with service role...');
-            
-            // Create a new client with service role for this operation
-            const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
-            
-            const { data: serviceData, error: serviceError } = await serviceClient
-                .from('user_registrations')
-                .insert([{
-                    username,
-                    full_name,
-                    phone,
-                    role,
-                    status: 'pending',
-                    password_hash: password
-                }])
-                .select();
+        if (orderError) {
+            logger.error('❌ Error loading order for timeline:', orderError);
+            return res.status(500).json({ success: false, message: 'Database error: ' + orderError.message });
+        }
+        
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+        
+        const { data: events, error: eventsError } = await supabaseAdmin
+            .from('order_events')
+            .select('*')
+            .eq('order_id', id)
+            .order('created_at', { ascending: true });
+        
+        if (eventsError) {
+            logger.error('❌ Error loading order events:', eventsError);
+            return res.status(500).json({ success: false, message: 'Database error: ' + eventsError.message });
+        }
+        
+        if (!canViewTimeline(req.user, order, events || [])) {
+            return res.status(403).json({ success: false, message: 'You do not have access to this order' });
+        }
+        
+        // Show people by their full names where we have them
+        const names = new Map();
+        const userIds = timelineUserIds(events || []);
+        if (userIds.length > 0) {
+            const { data: users, error: usersError } = await supabaseAdmin
+                .from('users')
+                .select('user_id, full_name, username')
+                .in('user_id', userIds);
             
-            if (serviceError) {
-                logger.error('❌ Service role insert also failed:', serviceError);
-                res.status(500).json({ success: false, message: 'Registration creation error: ' + serviceError.message });
-                return;
+            if (usersError) {
+                logger.warn('⚠️ Could not resolve names for order timeline:', usersError.message);
             }
-            
-            logger.info('✅ API: New registration created with service role', { id: serviceData[0].id, username });
-            res.json({ success: true, id: serviceData[0].id });
-            return;
+            (users || []).forEach(user => names.set(user.user_id, user.full_name || user.username));
         }
         
-        if (error) {
-            logger.error('❌ Error creating registration:', error);
-            res.status(500).json({ success: false, message: 'Registration creation error: ' + error.message });
-        } else {
-            logger.info('✅ API: New registration created', { id: data[0].id, username });
-            res.json({ success: true, id: data[0].id });
-        }
-    } catch (error) {
-        logger.error('❌ Error in registration creation:', error);
-        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
+        res.json({
+            success: true,
+            order: { id: order.id, order_id: order.order_id, status: order.status },
+            timeline: buildTimeline(order, events || [], names)
+        });
+    } catch (error) {
+        logger.error('❌ Error in order timeline API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-app.put('/api/registrations/:id/accept', async (req, res) => {
-    const { id } = req.params;
+// Reason codes for the cancel dialogs
+app.get('/api/orders/cancel-reasons', (req, res) => {
+    res.json({ success: true, reasons: listCancelReasons() });
+});
+
+// Tell the people holding an order that it was cancelled
+function notifyOrderCancelled(order, previousStatus, actor, reasonCode) {
+    const message = {
+        type: 'ORDER_CANCELLED',
+        payload: {
+            order_id: order.id,
+            order_number: order.order_id,
+            previous_status: previousStatus,
+            reason_code: reasonCode,
+            reason: CANCEL_REASONS[reasonCode],
+            cancelled_by: { role: actor.role, name: actor.name }
+        }
+    };
     
-    console.log('Accepting registration with ID:', id);
+    // Nobody had taken it yet, so it is still on every driver's list
+    if (order.driver_id) {
+        sendToUser('driver', order.driver_id, message);
+    } else if (previousStatus === 'pending') {
+        broadcastToRole('driver', message);
+    }
+    
+    if (order.shop_id) {
+        sendToUser('shop', order.shop_id, message);
+    }
+    broadcastToRole('admin', message);
+}
+
+// A driver gave the order back: the shop and admins see it waiting again and
+// drivers are offered it as if it were new
+function notifyOrderReleased(order, previousStatus) {
+    const message = {
+        type: 'ORDER_UPDATED',
+        payload: {
+            order_id: order.id,
+            order_number: order.order_id,
+            status: order.status,
+            previous_status: previousStatus,
+            driver_id: null,
+            customer_name: order.customer_name,
+            delivery_address: order.delivery_address,
+            amount: order.amount
+        }
+    };
+    
+    if (order.shop_id) {
+        sendToUser('shop', order.shop_id, message);
+    }
+    broadcastToRole('admin', message);
+    handleNewOrder(order, { notifyShop: false });
+}
+
+// Cancel an order, keeping it in history. Who may cancel depends on the stage
+// (lib/order-cancellation.js); a shop cancelling an order a driver already has
+// only files a request the driver or an admin confirms by cancelling it. A
+// driver's own cancel hands the order back instead.
+app.post('/api/orders/:id/cancel', async (req, res) => {
+    const { id } = req.params;
+    const { reasonCode, note } = req.body || {};
     
     try {
-        // Create service client first
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
+        const invalidReason = validateCancelReason(reasonCode, note);
+        if (invalidReason) {
+            return res.status(400).json({ success: false, message: invalidReason });
+        }
         
-        // Get registration details
-        const { data: registration, error: fetchError } = await serviceClient
-            .from('user_registrations')
+        const { data: order, error: orderError } = await supabaseAdmin
+            .from('orders')
             .select('*')
             .eq('id', id)
-            .single();
+            .maybeSingle();
         
-        if (fetchError || !registration) {
-            logger.error('❌ Error fetching registration:', fetchError);
-            res.status(404).json({ success: false, message: 'Registration not found' });
-            return;
+        if (orderError) {
+            logger.error('❌ Error loading order for cancellation:', orderError);
+            return res.status(500).json({ success: false, message: 'Database error: ' + orderError.message });
         }
         
-        console.log('Found registration:', registration);
-        
-        // Check if user already exists
-        const { data: existingUser, error: existingUserError } = await serviceClient
-            .from('users')
-            .select('*')
-            .eq('username', registration.username)
-            .single();
-            
-        if (existingUser) {
-            logger.warn('⚠️ User already exists with this username:', registration.username);
-            
-            // Still update the registration status
-            await serviceClient
-                .from('user_registrations')
-                .update({ 
-                    status: 'accepted', 
-                    processed_at: new Date().toISOString() 
-                })
-                .eq('id', id);
-                
-            res.json({ 
-                success: true, 
-                message: 'Registration accepted (user already exists)',
-                userId: existingUser.id
-            });
-            return;
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
         }
         
-        // Update registration status to accepted using service role
-        const { error: updateError } = await serviceClient
-            .from('user_registrations')
-            .update({ 
-                status: 'accepted', 
-                processed_at: new Date().toISOString() 
-            })
-            .eq('id', id);
-        
-        if (updateError) {
-            logger.error('❌ Error updating registration status:', updateError);
-            res.status(500).json({ success: false, message: 'Status update error' });
-            return;
+        const decision = cancellationDecision(req.user, order);
+        if (!decision.action) {
+            return res.status(decision.httpStatus).json({ success: false, message: decision.message, currentStatus: order.status });
         }
         
-        // Create user with direct SQL to avoid any foreign key issues
-        console.log('Creating user for:', registration.username);
-        
-        const { data: userData, error: userError } = await serviceClient
-            .from('users')
-            .insert([{
-                username: registration.username,
-                full_name: registration.full_name,
-                phone: registration.phone,
-                role: registration.role,
-                status: 'active',
-                user_id: crypto.randomUUID() // Generate UUID for new users
-            }])
-            .select();
+        const actor = actorFromUser(req.user);
+        const reason = describeCancelReason(reasonCode, note);
+        const cleanNote = cleanCancelNote(note);
+        const now = new Date().toISOString();
         
-        if (userError) {
-            logger.error('❌ Error creating user account:', userError);
-            console.error('Detailed user creation error:', userError);
+        if (decision.action === 'request') {
+            const { data: updated, error: requestError } = await supabaseAdmin
+                .from('orders')
+                .update({
+                    cancellation_requested_at: now,
+                    cancellation_reason: reasonCode,
+                    cancellation_note: cleanNote,
+                    updated_at: now
+                })
+                .eq('id', id)
+                .eq('status', order.status)
+                .is('cancellation_requested_at', null)
+                .select();
             
-            // If it's a foreign key constraint error, try without user_id
-            if (userError.code === '23503') {
-                console.log('Foreign key constraint error, trying without user_id...');
-                const { data: userData2, error: userError2 } = await serviceClient
-                    .from('users')
-                    .insert([{
-                        username: registration.username,
-                        full_name: registration.full_name,
-                        phone: registration.phone,
-                        role: registration.role,
-                        status: 'active'
-                        // Don't include user_id to avoid FK constraint
-                    }])
-                    .select();
-                
-                if (userError2) {
-                    logger.error('❌ Second attempt also failed:', userError2);
-                    res.status(500).json({ success: false, message: 'User account creation error: ' + userError.message });
-                    return;
-                } else {
-                    logger.info('✅ User created without user_id (will be updated later)');
-                    res.json({ 
-                        success: true, 
-                        message: 'Registration accepted and user account created',
-                        userId: userData2[0].id,
-                        note: 'User ID will be assigned automatically'
-                    });
-                    return;
+            if (requestError) {
+                logger.error('❌ Error requesting cancellation:', requestError);
+                return res.status(500).json({ success: false, message: 'Database error: ' + requestError.message });
+            }
+            
+            if (!updated || updated.length === 0) {
+                return res.status(409).json({ success: false, message: 'The order was changed by someone else. Reload and try again.' });
+            }
+            
+            await recordOrderEvent({
+                orderId: id,
+                type: 'cancel_requested',
+                from: order.status,
+                to: order.status,
+                actor,
+                reason,
+                details: { reasonCode, note: cleanNote }
+            });
+            
+            const message = {
+                type: 'CANCEL_REQUESTED',
+                payload: {
+                    order_id: order.id,
+                    order_number: order.order_id,
+                    reason_code: reasonCode,
+                    reason: CANCEL_REASONS[reasonCode],
+                    note: cleanNote,
+                    requested_by: actor.name
                 }
+            };
+            if (order.driver_id) {
+                sendToUser('driver', order.driver_id, message);
             }
+            broadcastToRole('admin', message);
             
-            // Try a more direct approach with RPC
-            const { error: rpcError } = await serviceClient.rpc('create_user', {
-                p_username: registration.username,
-                p_full_name: registration.full_name,
-                p_phone: registration.phone,
-                p_role: registration.role
+            logger.info('🛑 API: Cancellation requested', { orderId: id, by: actor.name, reasonCode });
+            return res.status(202).json({
+                success: true,
+                pendingConfirmation: true,
+                message: 'Cancellation requested. The driver or an admin has to confirm it.',
+                order: updated[0]
+            });
+        }
+        
+        if (decision.action === 'release') {
+            const released = await transitionOrder({
+                orderId: id,
+                to: 'pending',
+                actor,
+                reason: `Handed back by driver: ${reason}`,
+                changes: { driver_id: null, assigned_at: null },
+                guard: current => {
+                    const recheck = cancellationDecision(req.user, current);
+                    return recheck.action === 'release'
+                        ? null
+                        : { httpStatus: recheck.httpStatus || 409, message: recheck.message || 'The order was changed by someone else. Reload and try again.' };
+                },
+                conditions: { driver_id: req.user.userId },
+                details: { reasonCode, note: cleanNote, releasedBy: req.user.userId }
             });
             
-            if (rpcError) {
-                logger.error('❌ RPC user creation also failed:', rpcError);
-                res.status(500).json({ success: false, message: 'User account creation error: ' + userError.message });
-                return;
+            if (!released.success) {
+                return sendTransitionFailure(res, released);
             }
             
-            logger.info('✅ User created via RPC');
+            notifyOrderReleased(released.order, released.previousStatus);
             
-            res.json({ 
-                success: true, 
-                message: 'Registration accepted and user account created via RPC'
+            logger.info('↩️ API: Order handed back by driver', { orderId: id, by: actor.name, reasonCode });
+            return res.json({
+                success: true,
+                released: true,
+                message: 'Order handed back. Another driver can take it now.',
+                order: released.order
             });
-            return;
         }
         
-        logger.info('✅ API: Registration accepted and user account created', { 
-            registrationId: id, 
-            userId: userData[0].id,
-            username: registration.username 
+        const result = await transitionOrder({
+            orderId: id,
+            to: 'cancelled',
+            actor,
+            reason,
+            changes: { cancelled_at: now, cancellation_reason: reasonCode, cancellation_note: cleanNote },
+            // Re-check against the order as it is now, not as it was a moment ago
+            guard: current => {
+                const recheck = cancellationDecision(req.user, current);
+                return recheck.action === 'cancel'
+                    ? null
+                    : { httpStatus: recheck.httpStatus || 409, message: recheck.message || 'The order was changed by someone else. Reload and try again.' };
+            },
+            details: { reasonCode, note: cleanNote, confirmsRequest: !!order.cancellation_requested_at }
         });
         
-        res.json({ 
-            success: true, 
-            message: 'Registration accepted and user account created',
-            userId: userData[0].id
-        });
+        if (!result.success) {
+            return sendTransitionFailure(res, result);
+        }
+        
+        notifyOrderCancelled(result.order, result.previousStatus, actor, reasonCode);
         
+        logger.info('🛑 API: Order cancelled', { orderId: id, by: actor.name, reasonCode });
+        res.json({ success: true, order: result.order });
     } catch (error) {
-        logger.error('❌ Error in registration acceptance:', error);
-        console.error('Detailed error:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Server error: ' + (error.message || 'Unknown error'),
-            error: error.toString()
-        });
+        logger.error('❌ Error in order cancel API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-app.put('/api/registrations/:id/reject', async (req, res) => {
+// One order with its shop, driver, category and items, for the admin order drawer.
+// The timeline comes from /api/orders/:id/timeline.
+app.get('/api/orders/:id', async (req, res) => {
     const { id } = req.params;
     
-    console.log('Rejecting registration with ID:', id);
-    
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
-        
-        const { error } = await serviceClient
-            .from('user_registrations')
-            .update({ 
-                status: 'rejected', 
-                processed_at: new Date().toISOString() 
-            })
-            .eq('id', id);
+        const { data: order, error } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .maybeSingle();
         
         if (error) {
-            logger.error('❌ Error rejecting registration:', error);
-            res.status(500).json({ success: false, message: 'Rejection error' });
-        } else {
-            logger.info('❌ API: Registration rejected', { registrationId: id });
-            res.json({ success: true, message: 'Registration rejected' });
+            logger.error('❌ Error loading order details:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+        }
+        
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+        
+        const userIds = [order.shop_id, order.driver_id].filter(Boolean);
+        const [usersResult, categoryResult] = await Promise.all([
+            userIds.length
+                ? supabaseAdmin.from('users').select('user_id, full_name, username, phone').in('user_id', userIds)
+                : { data: [] },
+            order.category_id
+                ? supabaseAdmin.from('categories').select('id, name').eq('id', order.category_id).maybeSingle()
+                : { data: null }
+        ]);
+        
+        if (usersResult.error || categoryResult.error) {
+            logger.warn('⚠️ Could not resolve people for order details:', (usersResult.error || categoryResult.error).message);
+        }
+        
+        const person = userId => {
+            if (!userId) return null;
+            const user = (usersResult.data || []).find(row => row.user_id === userId);
+            return { id: userId, name: user ? user.full_name || user.username : null, phone: (user && user.phone) || null };
+        };
+        
+        let items = [];
+        try {
+            items = typeof order.order_items === 'string' ? JSON.parse(order.order_items || '[]') : (order.order_items || []);
+        } catch (parseError) {
+            logger.warn('⚠️ Order has unreadable items:', { orderId: id });
         }
+        
+        res.json({
+            success: true,
+            order,
+            shop: person(order.shop_id),
+            driver: person(order.driver_id),
+            category: categoryResult.data || null,
+            items,
+            payment: {
+                method: order.payment_method || null,
+                amount: Number(order.amount) || 0,
+                collected: order.status === 'delivered' && order.payment_method === 'cash'
+            }
+        });
     } catch (error) {
-        logger.error('❌ Error in registration rejection:', error);
+        logger.error('❌ Error in order details API:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-// Users Management API
-app.get('/api/users', async (req, res) => {
+// Admin correction of any editable field (order-schema.js). Only what actually
+// changes is written, and the old and new values go to the order's timeline
+// and admin_actions. A reason is optional.
+app.patch('/api/orders/:id', async (req, res) => {
+    const { id } = req.params;
+    const { reason, ...fields } = req.body || {};
+    
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+        return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors: { reason: 'Reason must be text of at most 500 characters' } });
+    }
+    
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
+        const { data: order, error: orderError } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .maybeSingle();
         
-        // Debug the users table
-        console.log('Attempting to fetch users from the database...');
+        if (orderError) {
+            logger.error('❌ Error loading order for correction:', orderError);
+            return res.status(500).json({ success: false, message: 'Database error: ' + orderError.message });
+        }
         
-        const { data, error } = await serviceClient
-            .from('users')
-            .select('*')
-            .order('created_at', { ascending: false });
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
         
-        if (error) {
-            logger.error('❌ Error fetching users:', error);
-            console.error('Detailed error:', error);
-            res.status(500).json({ success: false, message: 'Database error: ' + error.message });
-        } else {
-            // If no users exist, check if we need to create a default admin
-            if (!data || data.length === 0) {
-                console.log('No users found, checking if we need to create default users...');
-                
-                // Create a default admin user if none exists
-                const { data: adminData, error: adminError } = await serviceClient
-                    .from('users')
-                    .insert([{
-                        username: 'admin',
-                        full_name: 'Admin User',
-                        phone: '1234567890',
-                        role: 'admin',
-                        status: 'active'
-                    }])
-                    .select();
-                
-                if (adminError) {
-                    logger.error('❌ Error creating default admin:', adminError);
-                } else {
-                    logger.info('✅ Created default admin user');
-                    data = adminData;
-                }
+        const { changes, errors } = validateAdminOrderUpdate(fields, order);
+        if (errors) {
+            return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+        }
+        
+        const pricingFailure = await priceLineItemChanges(changes, order);
+        if (pricingFailure) {
+            return res.status(pricingFailure.httpStatus).json({ success: false, message: pricingFailure.message, errors: pricingFailure.errors });
+        }
+        
+        const diff = correctionDiff(order, changes);
+        if (Object.keys(diff).length === 0) {
+            return res.status(400).json({ success: false, message: 'Nothing to update' });
+        }
+        
+        const conflict = correctionConflict(order, diff);
+        if (conflict) {
+            return res.status(conflict.httpStatus).json({ success: false, message: conflict.message, currentStatus: order.status });
+        }
+        
+        if (diff.category_id) {
+            const categoryFailure = await checkOrderCategory(diff.category_id.to);
+            if (categoryFailure) {
+                return res.status(categoryFailure.httpStatus).json({ success: false, message: categoryFailure.message, errors: { category_id: categoryFailure.message } });
             }
+        }
+        
+        if (diff.driver_id) {
+            const { data: driver, error: driverError } = await supabaseAdmin
+                .from('users')
+                .select('user_id')
+                .eq('user_id', diff.driver_id.to)
+                .eq('role', 'driver')
+                .eq('status', 'active')
+                .maybeSingle();
             
-            logger.info('📋 API: Users fetched', { count: data ? data.length : 0 });
-            res.json({ success: true, users: data || [] });
+            if (driverError) {
+                logger.error('❌ Error checking driver for correction:', driverError);
+                return res.status(500).json({ success: false, message: 'Database error: ' + driverError.message });
+            }
+            if (!driver) {
+                return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors: { driver_id: 'Choose an active driver' } });
+            }
+        }
+        
+        const now = new Date().toISOString();
+        const update = Object.fromEntries(Object.entries(diff).map(([field, change]) => [field, change.to]));
+        if (diff.driver_id) {
+            update.assigned_at = now;
+        }
+        
+        // Unless someone changed the status in the meantime
+        const { data: updated, error: updateError } = await supabaseAdmin
+            .from('orders')
+            .update({ ...update, updated_at: now })
+            .eq('id', id)
+            .eq('status', order.status)
+            .is('deleted_at', null)
+            .select();
+        
+        if (updateError) {
+            logger.error('❌ Error correcting order:', updateError);
+            return res.status(500).json({ success: false, message: 'Database error: ' + updateError.message });
         }
+        
+        if (!updated || updated.length === 0) {
+            return res.status(409).json({ success: false, message: 'The order was changed by someone else. Reload and try again.' });
+        }
+        
+        const cleanReason = reason && reason.trim() ? reason.trim() : null;
+        await recordOrderEvent({
+            orderId: id,
+            type: 'edited',
+            from: order.status,
+            to: order.status,
+            actor: actorFromUser(req.user),
+            reason: cleanReason || 'Corrected by admin',
+            details: { changes: diff }
+        });
+        await logAdminAction(req.user, 'order_edit', id, { changes: diff, reason: cleanReason });
+        
+        notifyOverviewChanged(updated[0], order.status);
+        logger.info('✏️ API: Order corrected by admin', { orderId: id, by: req.user.username, fields: Object.keys(diff) });
+        res.json({ success: true, order: updated[0], changes: diff });
     } catch (error) {
-        logger.error('❌ Error in users API:', error);
-        console.error('Detailed error:', error);
-        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
+        logger.error('❌ Error in order correction API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-app.get('/api/users/:id', async (req, res) => {
+// Soft delete - the order disappears from every list but keeps its row, events
+// and ledger lines. Only orders that are over can be deleted.
+app.delete('/api/orders/:id', async (req, res) => {
     const { id } = req.params;
+    const { reason } = req.body || {};
     
-    console.log('Fetching user details for ID:', id);
+    if (typeof reason !== 'string' || !reason.trim() || reason.length > 500) {
+        return res.status(400).json({ success: false, message: 'Please give a reason for deleting the order (at most 500 characters)' });
+    }
     
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
+        const { data: order, error: orderError } = await supabaseAdmin
+            .from('orders')
+            .select('id, order_id, status, order_date, delivery_date')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .maybeSingle();
         
-        const { data, error } = await serviceClient
-            .from('users')
-            .select('*')
+        if (orderError) {
+            logger.error('❌ Error loading order for deletion:', orderError);
+            return res.status(500).json({ success: false, message: 'Database error: ' + orderError.message });
+        }
+        
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+        
+        const conflict = deletionConflict(order);
+        if (conflict) {
+            return res.status(conflict.httpStatus).json({ success: false, message: conflict.message, currentStatus: order.status });
+        }
+        
+        const now = new Date().toISOString();
+        const { data: deleted, error: deleteError } = await supabaseAdmin
+            .from('orders')
+            .update({ deleted_at: now, deleted_by: req.user.userId, updated_at: now })
             .eq('id', id)
-            .single();
+            .is('deleted_at', null)
+            .select('id');
+        
+        if (deleteError) {
+            logger.error('❌ Error deleting order:', deleteError);
+            return res.status(500).json({ success: false, message: 'Database error: ' + deleteError.message });
+        }
+        
+        if (!deleted || deleted.length === 0) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+        
+        await recordOrderEvent({
+            orderId: id,
+            type: 'deleted',
+            from: order.status,
+            to: order.status,
+            actor: actorFromUser(req.user),
+            reason: reason.trim()
+        });
+        await logAdminAction(req.user, 'order_delete', id, { orderNumber: order.order_id, status: order.status, reason: reason.trim() });
+        
+        notifyOverviewChanged(order, order.status);
+        logger.info('🗑️ API: Order deleted by admin', { orderId: id, by: req.user.username });
+        res.json({ success: true, message: 'Order deleted' });
+    } catch (error) {
+        logger.error('❌ Error in order delete API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Registration Management API
+app.get('/api/registrations', async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('user_registrations')
+            .select('*')
+            .order('created_at', { ascending: false });
         
         if (error) {
-            logger.error('❌ Error fetching user:', error);
-            console.error('Detailed error:', error);
-            
-            // Try alternate query with different ID format
-            const { data: altData, error: altError } = await serviceClient
-                .from('users')
-                .select('*')
-                .eq('id', parseInt(id))
-                .single();
-                
-            if (altError || !altData) {
-                res.status(500).json({ success: false, message: 'Database error: ' + error.message });
-                return;
-            }
-            
-            logger.info('📋 API: User details fetched with alternate ID format', { userId: id });
-            res.json({ success: true, user: altData });
-            return;
-        } else if (!data) {
-            res.status(404).json({ success: false, message: 'User not found' });
+            logger.error('❌ Error fetching registrations:', error);
+            res.status(500).json({ success: false, message: 'Database error' });
         } else {
-            logger.info('📋 API: User details fetched', { userId: id });
-            res.json({ success: true, user: data });
+            logger.info('📋 API: Registrations fetched', { count: data.length });
+            res.json({ success: true, registrations: data.map(withoutCredentials) });
         }
     } catch (error) {
-        logger.error('❌ Error in user details API:', error);
-        console.error('Detailed error:', error);
-        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
+        logger.error('❌ Error in registrations API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-// Update user
-app.put('/api/users/:id', async (req, res) => {
-    const { id } = req.params;
-    const { full_name, username, phone, role, status, notes, category_id } = req.body;
+app.post('/api/registrations', async (req, res) => {
+    const { username, password, full_name, phone, role } = req.body;
     
-    console.log('Updating user with ID:', id);
+    if (!password) {
+        return res.status(400).json({ success: false, message: 'Password is required' });
+    }
     
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
-        
-        // Check if username is already taken by another user
-        if (username) {
-            const { data: existingUser, error: checkError } = await serviceClient
-                .from('users')
-                .select('id')
-                .eq('username', username)
-                .neq('id', id)
-                .single();
-                
-            if (existingUser) {
-                res.status(400).json({ success: false, message: 'Username is already taken' });
-                return;
-            }
-        }
+        // Hash the password before it is stored anywhere
+        const passwordHash = await hashPassword(password);
         
-        // Update the user
-        const updatePayload = {
-            full_name,
-            username,
-            phone,
-            role,
-            status,
-            notes,
-            updated_at: new Date().toISOString()
-        };
-        if (typeof category_id !== 'undefined') {
-            updatePayload.category_id = category_id; // may be null for non-shops
-        }
-
-        const { data, error } = await serviceClient
-            .from('users')
-            .update(updatePayload)
-            .eq('id', id)
+        // Insert into user_registrations table without user_id for now
+        const { data, error } = await supabase
+            .from('user_registrations')
+            .insert([{
+                username,
+                full_name,
+                phone,
+                role,
+                status: 'pending',
+                password_hash: passwordHash
+            }])
             .select();
         
-        if (error) {
-            logger.error('❌ Error updating user:', error);
-            console.error('Detailed error:', error);
+        // If RLS error, try with service role
+        if (error && error.message.includes('row-level security policy')) {
+            logger.warn('RLS policy blocked insert, trying with service role...');
             
-            // Try with parsed ID
-            const { data: altData, error: altError } = await serviceClient
-                .from('users')
-                .update(updatePayload)
-                .eq('id', parseInt(id))
+            // Create a new client with service role for this operation
+            const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
+            
+            const { data: serviceData, error: serviceError } = await serviceClient
+                .from('user_registrations')
+                .insert([{
+                    username,
+                    full_name,
+                    phone,
+                    role,
+                    status: 'pending',
+                    password_hash: passwordHash
+                }])
                 .select();
-                
-            if (altError) {
-                res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+            
+            if (serviceError) {
+                logger.error('❌ Service role insert also failed:', serviceError);
+                res.status(500).json({ success: false, message: 'Registration creation error: ' + serviceError.message });
                 return;
             }
             
-            logger.info('✅ API: User updated with alternate ID format', { userId: id });
-            res.json({ success: true, user: altData[0] });
+            logger.info('✅ API: New registration created with service role', { id: serviceData[0].id, username });
+            res.json({ success: true, id: serviceData[0].id });
             return;
         }
         
-        logger.info('✅ API: User updated', { userId: id });
-        res.json({ success: true, user: data[0] });
+        if (error) {
+            logger.error('❌ Error creating registration:', error);
+            res.status(500).json({ success: false, message: 'Registration creation error: ' + error.message });
+        } else {
+            logger.info('✅ API: New registration created', { id: data[0].id, username });
+            res.json({ success: true, id: data[0].id });
+        }
     } catch (error) {
-        logger.error('❌ Error in user update API:', error);
-        console.error('Detailed error:', error);
+        logger.error('❌ Error in registration creation:', error);
         res.status(500).json({ success: false, message: 'Server error: ' + error.message });
     }
 });
 
-// Delete user
-app.delete('/api/users/:id', async (req, res) => {
+app.put('/api/registrations/:id/accept', async (req, res) => {
     const { id } = req.params;
     
-    console.log('Deleting user with ID:', id);
+    console.log('Accepting registration with ID:', id);
     
     try {
+        // Create service client first
         const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
         
-        // Delete the user
-        const { data, error } = await serviceClient
-            .from('users')
-            .delete()
-            .eq('id', id);
+        // Get registration details
+        const { data: registration, error: fetchError } = await serviceClient
+            .from('user_registrations')
+            .select('*')
+            .eq('id', id)
+            .single();
         
-        if (error) {
-            logger.error('❌ Error deleting user:', error);
-            console.error('Detailed error:', error);
-            
-            // Try with parsed ID
-            const { error: altError } = await serviceClient
-                .from('users')
-                .delete()
-                .eq('id', parseInt(id));
-                
-            if (altError) {
-                res.status(500).json({ success: false, message: 'Database error: ' + error.message });
-                return;
-            }
+        if (fetchError || !registration) {
+            logger.error('❌ Error fetching registration:', fetchError);
+            res.status(404).json({ success: false, message: 'Registration not found' });
+            return;
         }
         
-        logger.info('✅ API: User deleted', { userId: id });
-        res.json({ success: true, message: 'User deleted successfully' });
-    } catch (error) {
-        logger.error('❌ Error in user delete API:', error);
-        console.error('Detailed error:', error);
-        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
-    }
-});
-
-// Categories API
-app.get('/api/categories', async (req, res) => {
-    try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
-        const { data, error } = await serviceClient
-            .from('categories')
+        console.log('Found registration:', registration);
+        
+        // Check if user already exists
+        const { data: existingUser, error: existingUserError } = await serviceClient
+            .from('users')
+            .select('*')
+            .eq('username', registration.username)
+            .single();
+            
+        if (existingUser) {
+            logger.warn('⚠️ User already exists with this username:', registration.username);
+            
+            // Carry the credential over if the existing account has none yet
+            if (!existingUser.password_hash && registration.password_hash) {
+                await serviceClient
+                    .from('users')
+                    .update({ password_hash: registration.password_hash })
+                    .eq('id', existingUser.id);
+            }
+            
+            // Still update the registration status
+            await serviceClient
+                .from('user_registrations')
+                .update({ 
+                    status: 'accepted', 
+                    processed_at: new Date().toISOString() 
+                })
+                .eq('id', id);
+                
+            res.json({ 
+                success: true, 
+                message: 'Registration accepted (user already exists)',
+                userId: existingUser.id
+            });
+            return;
+        }
+        
+        // Update registration status to accepted using service role
+        const { error: updateError } = await serviceClient
+            .from('user_registrations')
+            .update({ 
+                status: 'accepted', 
+                processed_at: new Date().toISOString() 
+            })
+            .eq('id', id);
+        
+        if (updateError) {
+            logger.error('❌ Error updating registration status:', updateError);
+            res.status(500).json({ success: false, message: 'Status update error' });
+            return;
+        }
+        
+        // Create user with direct SQL to avoid any foreign key issues
+        console.log('Creating user for:', registration.username);
+        
+        const { data: userData, error: userError } = await serviceClient
+            .from('users')
+            .insert([{
+                username: registration.username,
+                full_name: registration.full_name,
+                phone: registration.phone,
+                role: registration.role,
+                status: 'active',
+                password_hash: registration.password_hash,
+                user_id: crypto.randomUUID() // Generate UUID for new users
+            }])
+            .select();
+        
+        if (userError) {
+            logger.error('❌ Error creating user account:', userError);
+            console.error('Detailed user creation error:', userError);
+            
+            // If it's a foreign key constraint error, try without user_id
+            if (userError.code === '23503') {
+                console.log('Foreign key constraint error, trying without user_id...');
+                const { data: userData2, error: userError2 } = await serviceClient
+                    .from('users')
+                    .insert([{
+                        username: registration.username,
+                        full_name: registration.full_name,
+                        phone: registration.phone,
+                        role: registration.role,
+                        status: 'active',
+                        password_hash: registration.password_hash
+                        // Don't include user_id to avoid FK constraint
+                    }])
+                    .select();
+                
+                if (userError2) {
+                    logger.error('❌ Second attempt also failed:', userError2);
+                    res.status(500).json({ success: false, message: 'User account creation error: ' + userError.message });
+                    return;
+                } else {
+                    logger.info('✅ User created without user_id (will be updated later)');
+                    res.json({ 
+                        success: true, 
+                        message: 'Registration accepted and user account created',
+                        userId: userData2[0].id,
+                        note: 'User ID will be assigned automatically'
+                    });
+                    return;
+                }
+            }
+            
+            // Try a more direct approach with RPC
+            const { error: rpcError } = await serviceClient.rpc('create_user', {
+                p_username: registration.username,
+                p_full_name: registration.full_name,
+                p_phone: registration.phone,
+                p_role: registration.role
+            });
+            
+            if (rpcError) {
+                logger.error('❌ RPC user creation also failed:', rpcError);
+                res.status(500).json({ success: false, message: 'User account creation error: ' + userError.message });
+                return;
+            }
+            
+            // The RPC does not know about credentials, copy the hash afterwards
+            const { error: hashCopyError } = await serviceClient
+                .from('users')
+                .update({ password_hash: registration.password_hash })
+                .eq('username', registration.username);
+            
+            if (hashCopyError) {
+                logger.warn('⚠️ Could not copy password hash onto RPC-created user:', hashCopyError.message);
+            }
+            
+            logger.info('✅ User created via RPC');
+            
+            res.json({ 
+                success: true, 
+                message: 'Registration accepted and user account created via RPC'
+            });
+            return;
+        }
+        
+        logger.info('✅ API: Registration accepted and user account created', { 
+            registrationId: id, 
+            userId: userData[0].id,
+            username: registration.username 
+        });
+        
+        res.json({ 
+            success: true, 
+            message: 'Registration accepted and user account created',
+            userId: userData[0].id
+        });
+        
+    } catch (error) {
+        logger.error('❌ Error in registration acceptance:', error);
+        console.error('Detailed error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error: ' + (error.message || 'Unknown error'),
+            error: error.toString()
+        });
+    }
+});
+
+app.put('/api/registrations/:id/reject', async (req, res) => {
+    const { id } = req.params;
+    
+    console.log('Rejecting registration with ID:', id);
+    
+    try {
+        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
+        
+        const { error } = await serviceClient
+            .from('user_registrations')
+            .update({ 
+                status: 'rejected', 
+                processed_at: new Date().toISOString() 
+            })
+            .eq('id', id);
+        
+        if (error) {
+            logger.error('❌ Error rejecting registration:', error);
+            res.status(500).json({ success: false, message: 'Rejection error' });
+        } else {
+            logger.info('❌ API: Registration rejected', { registrationId: id });
+            res.json({ success: true, message: 'Registration rejected' });
+        }
+    } catch (error) {
+        logger.error('❌ Error in registration rejection:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Strip credential columns before a user row leaves the server
+function withoutCredentials(user) {
+    if (!user) return user;
+    const { password_hash, ...safeUser } = user;
+    return safeUser;
+}
+
+// Users Management API
+app.get('/api/users', async (req, res) => {
+    try {
+        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
+        
+        // Debug the users table
+        console.log('Attempting to fetch users from the database...');
+        
+        const { data, error } = await serviceClient
+            .from('users')
             .select('*')
             .order('created_at', { ascending: false });
+        
+        if (error) {
+            logger.error('❌ Error fetching users:', error);
+            console.error('Detailed error:', error);
+            res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+        } else {
+            // If no users exist, check if we need to create a default admin
+            if (!data || data.length === 0) {
+                console.log('No users found, checking if we need to create default users...');
+                
+                // Create a default admin user if none exists
+                const { data: adminData, error: adminError } = await serviceClient
+                    .from('users')
+                    .insert([{
+                        username: 'admin',
+                        full_name: 'Admin User',
+                        phone: '1234567890',
+                        role: 'admin',
+                        status: 'active'
+                    }])
+                    .select();
+                
+                if (adminError) {
+                    logger.error('❌ Error creating default admin:', adminError);
+                } else {
+                    logger.info('✅ Created default admin user');
+                    data = adminData;
+                }
+            }
+            
+            logger.info('📋 API: Users fetched', { count: data ? data.length : 0 });
+            res.json({ success: true, users: (data || []).map(withoutCredentials) });
+        }
+    } catch (error) {
+        logger.error('❌ Error in users API:', error);
+        console.error('Detailed error:', error);
+        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
+    }
+});
 
+app.get('/api/users/:id', async (req, res) => {
+    const { id } = req.params;
+    
+    console.log('Fetching user details for ID:', id);
+    
+    try {
+        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
+        
+        const { data, error } = await serviceClient
+            .from('users')
+            .select('*')
+            .eq('id', id)
+            .single();
+        
+        if (error) {
+            logger.error('❌ Error fetching user:', error);
+            console.error('Detailed error:', error);
+            
+            // Try alternate query with different ID format
+            const { data: altData, error: altError } = await serviceClient
+                .from('users')
+                .select('*')
+                .eq('id', parseInt(id))
+                .single();
+                
+            if (altError || !altData) {
+                res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+                return;
+            }
+            
+            logger.info('📋 API: User details fetched with alternate ID format', { userId: id });
+            res.json({ success: true, user: withoutCredentials(altData) });
+            return;
+        } else if (!data) {
+            res.status(404).json({ success: false, message: 'User not found' });
+        } else {
+            // Surface an open self-service reset request so the admin can act on it
+            const { data: pendingReset } = await serviceClient
+                .from('password_resets')
+                .select('requested_at')
+                .eq('user_id', data.id)
+                .is('used_at', null)
+                .is('code_hash', null)
+                .order('requested_at', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+            
+            logger.info('📋 API: User details fetched', { userId: id });
+            res.json({
+                success: true,
+                user: { ...withoutCredentials(data), password_reset_requested_at: pendingReset ? pendingReset.requested_at : null }
+            });
+        }
+    } catch (error) {
+        logger.error('❌ Error in user details API:', error);
+        console.error('Detailed error:', error);
+        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
+    }
+});
+
+// Update user
+app.put('/api/users/:id', async (req, res) => {
+    const { id } = req.params;
+    const { full_name, username, phone, role, status, notes, category_id } = req.body;
+    
+    console.log('Updating user with ID:', id);
+    
+    try {
+        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
+        
+        // Check if username is already taken by another user
+        if (username) {
+            const { data: existingUser, error: checkError } = await serviceClient
+                .from('users')
+                .select('id')
+                .eq('username', username)
+                .neq('id', id)
+                .single();
+                
+            if (existingUser) {
+                res.status(400).json({ success: false, message: 'Username is already taken' });
+                return;
+            }
+        }
+        
+        // Role and status as they were, to tell whether existing sessions still hold
+        const { data: previous } = await serviceClient
+            .from('users')
+            .select('id, role, status')
+            .eq('id', id)
+            .maybeSingle();
+        
+        // Sessions carry the role they were issued with, so a changed role or
+        // status only takes effect once the user signs in again
+        const signOutIfAccessChanged = (user) => {
+            if (!user || (role === undefined && status === undefined)) return;
+            const changed = !previous
+                || (role !== undefined && role !== previous.role)
+                || (status !== undefined && status !== previous.status);
+            if (changed) {
+                const signedOut = signOutAccount(user.id, 'Your account was changed by an administrator');
+                logger.info('🔌 User signed out after an access change', { userId: user.id, role, status, signedOut });
+            }
+        };
+        
+        // Update the user
+        const updatePayload = {
+            full_name,
+            username,
+            phone,
+            role,
+            status,
+            notes,
+            updated_at: new Date().toISOString()
+        };
+        if (typeof category_id !== 'undefined') {
+            updatePayload.category_id = category_id; // may be null for non-shops
+        }
+
+        const { data, error } = await serviceClient
+            .from('users')
+            .update(updatePayload)
+            .eq('id', id)
+            .select();
+        
+        if (error) {
+            logger.error('❌ Error updating user:', error);
+            console.error('Detailed error:', error);
+            
+            // Try with parsed ID
+            const { data: altData, error: altError } = await serviceClient
+                .from('users')
+                .update(updatePayload)
+                .eq('id', parseInt(id))
+                .select();
+                
+            if (altError) {
+                res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+                return;
+            }
+            
+            signOutIfAccessChanged(altData[0]);
+            logger.info('✅ API: User updated with alternate ID format', { userId: id });
+            res.json({ success: true, user: withoutCredentials(altData[0]) });
+            return;
+        }
+        
+        signOutIfAccessChanged(data[0]);
+        logger.info('✅ API: User updated', { userId: id });
+        res.json({ success: true, user: withoutCredentials(data[0]) });
+    } catch (error) {
+        logger.error('❌ Error in user update API:', error);
+        console.error('Detailed error:', error);
+        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
+    }
+});
+
+// Delete user
+app.delete('/api/users/:id', async (req, res) => {
+    const { id } = req.params;
+    
+    console.log('Deleting user with ID:', id);
+    
+    try {
+        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
+        
+        // Delete the user
+        const { data, error } = await serviceClient
+            .from('users')
+            .delete()
+            .eq('id', id);
+        
         if (error) {
-            logger.warn('⚠️ Categories table not available or error, using memory store:', error.message);
-            return res.json({ success: true, categories: memoryCategories });
+            logger.error('❌ Error deleting user:', error);
+            console.error('Detailed error:', error);
+            
+            // Try with parsed ID
+            const { error: altError } = await serviceClient
+                .from('users')
+                .delete()
+                .eq('id', parseInt(id));
+                
+            if (altError) {
+                res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+                return;
+            }
+        }
+        
+        // A deleted account's tokens must not outlive it
+        signOutAccount(id, 'Your account was removed');
+        logger.info('✅ API: User deleted', { userId: id });
+        res.json({ success: true, message: 'User deleted successfully' });
+    } catch (error) {
+        logger.error('❌ Error in user delete API:', error);
+        console.error('Detailed error:', error);
+        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
+    }
+});
+
+// Categories API
+// Categories live only in the categories table so they survive restarts; when
+// the table can't be reached the routes say so instead of answering from memory
+app.get('/api/categories', async (req, res) => {
+    try {
+        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
+        const { data, error } = await serviceClient
+            .from('categories')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            logger.error('❌ Error fetching categories:', error);
+            return res.status(500).json({ success: false, message: 'Failed to load categories' });
         }
         res.json({ success: true, categories: data });
     } catch (e) {
-        logger.warn('⚠️ Categories fallback due to exception:', e.message);
-        res.json({ success: true, categories: memoryCategories });
+        logger.error('❌ Error in categories API:', e);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
 app.post('/api/categories', async (req, res) => {
-    const { name, description } = req.body || {};
-    if (!name || !name.trim()) return res.status(400).json({ success: false, message: 'Name is required' });
+    const { category, errors } = validateCategory(req.body);
+    if (errors) {
+        return res.status(400).json({ success: false, message: errors.name || 'Please correct the highlighted fields', errors });
+    }
     try {
         const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
+        const now = new Date().toISOString();
         const { data, error } = await serviceClient
             .from('categories')
-            .insert([{ name, description: description || '', created_at: new Date().toISOString(), updated_at: new Date().toISOString() }])
+            .insert([{ ...category, created_at: now, updated_at: now }])
             .select();
         if (error) {
-            // memory fallback
-            const item = { id: crypto.randomUUID(), name, description: description || '', created_at: new Date().toISOString(), updated_at: new Date().toISOString() };
-            memoryCategories.unshift(item);
-            return res.json({ success: true, category: item, fallback: true });
+            logger.error('❌ Error creating category:', error);
+            return res.status(500).json({ success: false, message: 'Failed to create category' });
         }
+        logger.info('✅ API: Category created', { categoryId: data[0].id });
         res.json({ success: true, category: data[0] });
     } catch (e) {
-        const item = { id: crypto.randomUUID(), name, description: description || '', created_at: new Date().toISOString(), updated_at: new Date().toISOString() };
-        memoryCategories.unshift(item);
-        res.json({ success: true, category: item, fallback: true });
+        logger.error('❌ Error in create category API:', e);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
 app.put('/api/categories/:id', async (req, res) => {
     const { id } = req.params;
-    const { name, description } = req.body || {};
-    if (!name || !name.trim()) return res.status(400).json({ success: false, message: 'Name is required' });
+    const { category, errors } = validateCategory(req.body);
+    if (errors) {
+        return res.status(400).json({ success: false, message: errors.name || 'Please correct the highlighted fields', errors });
+    }
     try {
         const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
         const { data, error } = await serviceClient
             .from('categories')
-            .update({ name, description: description || '', updated_at: new Date().toISOString() })
+            .update({ ...category, updated_at: new Date().toISOString() })
             .eq('id', id)
             .select();
         if (error) {
-            // memory fallback
-            memoryCategories = memoryCategories.map(c => c.id === id ? { ...c, name, description, updated_at: new Date().toISOString() } : c);
-            return res.json({ success: true, category: memoryCategories.find(c => c.id === id) || null, fallback: true });
+            logger.error('❌ Error updating category:', error);
+            return res.status(500).json({ success: false, message: 'Failed to update category' });
         }
+        if (!data || data.length === 0) {
+            return res.status(404).json({ success: false, message: 'Category not found' });
+        }
+        logger.info('✅ API: Category updated', { categoryId: id });
         res.json({ success: true, category: data[0] });
     } catch (e) {
-        memoryCategories = memoryCategories.map(c => c.id === id ? { ...c, name, description, updated_at: new Date().toISOString() } : c);
-        res.json({ success: true, category: memoryCategories.find(c => c.id === id) || null, fallback: true });
+        logger.error('❌ Error in update category API:', e);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
@@ -1214,177 +2181,236 @@ app.delete('/api/categories/:id', async (req, res) => {
     const { id } = req.params;
     try {
         const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
-        const { error } = await serviceClient
+        
+        // Orders, products and shops in the category become uncategorized
+        for (const table of ['orders', 'products', 'users']) {
+            const { error: clearError } = await serviceClient
+                .from(table)
+                .update({ category_id: null })
+                .eq('category_id', id);
+            if (clearError) {
+                logger.error(`❌ Error clearing category from ${table}:`, clearError);
+                return res.status(500).json({ success: false, message: 'Failed to delete category' });
+            }
+        }
+        
+        const { data, error } = await serviceClient
             .from('categories')
             .delete()
-            .eq('id', id);
+            .eq('id', id)
+            .select('id');
         if (error) {
-            // memory fallback
-            memoryCategories = memoryCategories.filter(c => c.id !== id);
-            return res.json({ success: true, fallback: true });
+            logger.error('❌ Error deleting category:', error);
+            return res.status(500).json({ success: false, message: 'Failed to delete category' });
+        }
+        if (!data || data.length === 0) {
+            return res.status(404).json({ success: false, message: 'Category not found' });
         }
+        logger.info('✅ API: Category deleted', { categoryId: id });
         res.json({ success: true });
     } catch (e) {
-        memoryCategories = memoryCategories.filter(c => c.id !== id);
-        res.json({ success: true, fallback: true });
-    }
-});
-// Helper functions
-function addNewOrder() {
-    const newOrder = {
-        id: `ORD-${String(dashboardData.orders.length + 1).padStart(3, '0')}`,
-        customer: generateRandomCustomer(),
-        product: generateRandomProduct(),
-        amount: `$${(Math.random() * 500 + 50).toFixed(2)}`,
-        status: 'pending',
-        date: new Date().toISOString().split('T')[0]
-    };
+        logger.error('❌ Error in delete category API:', e);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
 
-    dashboardData.orders.unshift(newOrder);
-    
-    // Update stats
-    dashboardData.stats.totalOrders++;
-    dashboardData.stats.pendingOrders++;
-    
-    // Add notification
-    const notification = {
-        id: Date.now(),
-        title: 'New Order',
-        message: `Order ${newOrder.id} has been placed`,
-        time: 'Just now',
-        type: 'order'
-    };
-    dashboardData.notifications.unshift(notification);
-    
-    // Broadcast to all clients
-    broadcastToClients({
-        type: 'NEW_ORDER',
-        data: {
-            order: newOrder,
-            stats: dashboardData.stats,
-            notification: notification
-        }
-    });
+// Checks a category_id sent with a new order. Returns an { httpStatus, message }
+// failure, or null when the category exists (or none was given)
+async function checkOrderCategory(categoryId) {
+    if (!categoryId) return null;
+    const { data, error } = await supabaseAdmin
+        .from('categories')
+        .select('id')
+        .eq('id', categoryId)
+        .maybeSingle();
+    if (error) {
+        logger.error('❌ Error checking order category:', error);
+        return { httpStatus: 500, message: 'Failed to check the category' };
+    }
+    return data ? null : { httpStatus: 400, message: 'Unknown category' };
+}
 
-    logger.info('🆕 New order added:', newOrder);
-    return newOrder;
+// Order card title for catalog items, e.g. "Pizza x2, Cola"
+function lineItemsProductName(items) {
+    return items.map(item => item.qty > 1 ? `${item.name} x${item.qty}` : item.name).join(', ');
 }
 
-function updateOrderStatus(orderId, newStatus) {
-    const order = dashboardData.orders.find(o => o.id === orderId);
-    if (!order) {
-        logger.warn(`⚠️ Order not found: ${orderId}`);
-        return null;
+// An edit that picks products again is priced from the shop's own catalog, as
+// on creation: changes.line_items is replaced by order_items, amount and
+// product_name. Returns null, or an { httpStatus, message, errors } failure.
+async function priceLineItemChanges(changes, order) {
+    if (!changes.line_items) return null;
+    const lineItems = changes.line_items;
+    delete changes.line_items;
+    
+    const { data: products, error } = await supabaseAdmin
+        .from('products')
+        .select('id, name, price, active')
+        .eq('shop_id', order.shop_id)
+        .in('id', lineItems.map(line => line.product_id));
+    
+    if (error) {
+        logger.error('❌ Error loading products for order edit:', error);
+        return { httpStatus: 500, message: 'Database error: ' + error.message };
     }
-
-    const oldStatus = order.status;
-    order.status = newStatus;
-
-    // Update stats based on status change
-    if (oldStatus === 'pending' && newStatus !== 'pending') {
-        dashboardData.stats.pendingOrders--;
-    } else if (oldStatus !== 'pending' && newStatus === 'pending') {
-        dashboardData.stats.pendingOrders++;
+    
+    const priced = priceLineItems(lineItems, products);
+    if (priced.error) {
+        return { httpStatus: 400, message: priced.error, errors: { line_items: priced.error } };
     }
+    if ((changes.payment_method || order.payment_method) === 'cash' && priced.total <= 0) {
+        const message = 'Cash orders need a total above zero';
+        return { httpStatus: 400, message, errors: { line_items: message } };
+    }
+    
+    changes.order_items = JSON.stringify(priced.items);
+    changes.amount = priced.total;
+    changes.product_name = lineItemsProductName(priced.items);
+    return null;
+}
 
-    // Add notification
-    const notification = {
-        id: Date.now(),
-        title: 'Order Status Updated',
-        message: `Order ${orderId} status changed to ${newStatus}`,
-        time: 'Just now',
-        type: 'status'
-    };
-    dashboardData.notifications.unshift(notification);
-
-    // Broadcast to all clients
-    broadcastToClients({
-        type: 'ORDER_STATUS_UPDATED',
-        data: {
-            order: order,
-            stats: dashboardData.stats,
-            notification: notification
+// Replace a legacy plaintext credential with a hash and move it onto the user record
+async function upgradeStoredCredential(serviceClient, userData, password, existingHash) {
+    try {
+        const passwordHash = existingHash || await hashPassword(password);
+        
+        const { error: userUpdateError } = await serviceClient
+            .from('users')
+            .update({ password_hash: passwordHash })
+            .eq('id', userData.id);
+            
+        if (userUpdateError) {
+            logger.warn('⚠️ Could not store password hash on user record:', userUpdateError.message);
         }
-    });
+        
+        // Never leave plaintext behind on the registration row
+        if (!existingHash) {
+            const { error: regUpdateError } = await serviceClient
+                .from('user_registrations')
+                .update({ password_hash: passwordHash })
+                .eq('username', userData.username);
+                
+            if (regUpdateError) {
+                logger.warn('⚠️ Could not re-hash registration credential:', regUpdateError.message);
+            }
+        }
+        
+        logger.info('🔐 Upgraded stored credential', { username: userData.username });
+    } catch (error) {
+        logger.warn('⚠️ Credential upgrade failed:', error.message);
+    }
+}
 
-    logger.info('🔄 Order status updated:', { orderId, oldStatus, newStatus });
-    return order;
+// Record a security event (lockouts, unlocks) in auth_events (best-effort)
+async function recordAuthEvent(eventType, details) {
+    try {
+        const { error } = await supabaseAdmin
+            .from('auth_events')
+            .insert({
+                event_type: eventType,
+                username: details.username || null,
+                ip_address: details.ip || null,
+                details,
+                created_at: new Date().toISOString()
+            });
+            
+        if (error) {
+            logger.warn('⚠️ Failed to record auth event:', error.message);
+        }
+    } catch (error) {
+        logger.warn('⚠️ Failed to record auth event:', error?.message || error);
+    }
 }
 
-// Broadcast to all clients
-function broadcastToClients(message) {
-    const messageStr = JSON.stringify(message);
-    let sentCount = 0;
+// Locked accounts, for the admin users page
+app.get('/api/auth/lockouts', (req, res) => {
+    res.json({ success: true, lockouts: listLockouts() });
+});
 
-    // Broadcast to all drivers
-    clients.drivers.forEach((ws) => {
-        if (ws.readyState === WebSocket.OPEN) {
-            ws.send(messageStr);
-            sentCount++;
+// Lift a lockout before it runs out
+app.post('/api/auth/lockouts/:username/unlock', async (req, res) => {
+    const { username } = req.params;
+    
+    if (!unlockUsername(username)) {
+        return res.status(404).json({ success: false, message: 'This account is not locked' });
+    }
+    
+    await recordAuthEvent('unlock', { username: username.toLowerCase(), performedBy: req.user.username });
+    
+    logger.info('🔓 Account unlocked by admin', { username, performedBy: req.user.username });
+    res.json({ success: true, message: `Unlocked ${username}` });
+});
+
+// Connected devices grouped by login session
+function listActiveSessions() {
+    const sessions = new Map();
+    const collect = (ws) => {
+        if (!ws.authenticated) return;
+        
+        // Tokens issued before session IDs existed are listed per connection
+        const key = ws.sessionId || ws.clientId;
+        if (!sessions.has(key)) {
+            sessions.set(key, {
+                sessionId: key,
+                revocable: !!ws.sessionId,
+                role: ws.role,
+                userId: ws.userId,
+                username: ws.username,
+                ip: ws.ip,
+                userAgent: ws.userAgent,
+                connectedAt: ws.connectedAt,
+                expiresAt: ws.expiresAt ? new Date(ws.expiresAt).toISOString() : null,
+                connections: 0
+            });
         }
-    });
+        sessions.get(key).connections++;
+    };
     
-    // Broadcast to all shops
-    clients.shops.forEach((ws) => {
-        if (ws.readyState === WebSocket.OPEN) {
-            ws.send(messageStr);
-            sentCount++;
-        }
-    });
+    forEachSocket(clients.drivers, collect);
+    forEachSocket(clients.shops, collect);
+    clients.admin.forEach(collect);
     
-    // Broadcast to all admins
-    clients.admin.forEach((ws) => {
-        if (ws.readyState === WebSocket.OPEN) {
-            ws.send(messageStr);
-            sentCount++;
-        }
-    });
-
-    logger.info(`📡 Broadcasted message to ${sentCount} clients:`, {
-        type: message.type,
-        clientCount: sentCount
-    });
+    return [...sessions.values()].sort((a, b) => a.connectedAt.localeCompare(b.connectedAt));
 }
 
-// Utility functions
-function generateRandomCustomer() {
-    const customers = [
-        'Alice Johnson', 'Bob Smith', 'Carol Davis', 'David Wilson',
-        'Emma Brown', 'Frank Miller', 'Grace Lee', 'Henry Taylor',
-        'Ivy Chen', 'Jack Anderson', 'Kate Martinez', 'Liam O\'Connor'
-    ];
-    return customers[Math.floor(Math.random() * customers.length)];
-}
-
-function generateRandomProduct() {
-    const products = [
-        'Premium Package', 'Express Delivery', 'Standard Package',
-        'Overnight Service', 'Same Day Delivery', 'International Shipping',
-        'Bulk Order', 'Fragile Items', 'Temperature Controlled'
-    ];
-    return products[Math.floor(Math.random() * products.length)];
-}
+// Active sessions and the device policy per role, for the admin users page
+app.get('/api/sessions', (req, res) => {
+    res.json({ success: true, policy: DEVICE_POLICY, sessions: listActiveSessions() });
+});
 
-// Simulate real-time updates (DISABLED - using real orders now)
-/*
-setInterval(() => {
-    // Randomly add new orders
-    if (Math.random() < 0.3) { // 30% chance every 10 seconds
-        addNewOrder();
+// Sign one session out: its token stops working and its devices are disconnected
+app.delete('/api/sessions/:sessionId', async (req, res) => {
+    const { sessionId } = req.params;
+    
+    if (sessionId === req.user.sessionId) {
+        return res.status(400).json({ success: false, message: 'You cannot revoke your own session' });
     }
-
-    // Randomly update order statuses
-    if (Math.random() < 0.2) { // 20% chance every 10 seconds
-        const pendingOrders = dashboardData.orders.filter(o => o.status === 'pending');
-        if (pendingOrders.length > 0) {
-            const randomOrder = pendingOrders[Math.floor(Math.random() * pendingOrders.length)];
-            const newStatuses = ['processing', 'delivered'];
-            const newStatus = newStatuses[Math.floor(Math.random() * newStatuses.length)];
-            updateOrderStatus(randomOrder.id, newStatus);
-        }
+    
+    const sockets = [];
+    const collect = (ws) => {
+        if (ws.sessionId === sessionId) sockets.push(ws);
+    };
+    forEachSocket(clients.drivers, collect);
+    forEachSocket(clients.shops, collect);
+    clients.admin.forEach(collect);
+    
+    if (sockets.length === 0) {
+        return res.status(404).json({ success: false, message: 'Session not found or no longer connected' });
     }
-}, 10000); // Every 10 seconds
-*/
+    
+    revokeSession(sessionId, sockets[0].expiresAt);
+    sockets.forEach(ws => forceLogout(ws, 'Session revoked by an administrator'));
+    
+    await recordAuthEvent('session_revoked', {
+        username: sockets[0].username,
+        sessionId,
+        role: sockets[0].role,
+        performedBy: req.user.username
+    });
+    
+    logger.info('🔌 Session revoked by admin', { sessionId, username: sockets[0].username, performedBy: req.user.username });
+    res.json({ success: true, message: `Signed out ${sockets[0].username || 'session'} on ${sockets.length} connection(s)` });
+});
 
 // Login API Endpoint
 app.post('/api/login', async (req, res) => {
@@ -1397,7 +2423,72 @@ app.post('/api/login', async (req, res) => {
         return res.status(400).json({ success: false, message: 'Username, password, and role are required' });
     }
     
+    const clientIp = req.ip;
+    
+    // Refuse early while this account or address is backing off or locked out.
+    // The attempt is reserved now, before the slow password check, so parallel
+    // requests can't all slip past the throttle before the first failure counts.
+    const throttle = beginLogin(clientIp, username);
+    if (!throttle.allowed) {
+        const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+        logger.warn('⚠️ Login throttled', { username, ip: clientIp, scope: throttle.scope, locked: throttle.locked, retryAfter });
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            success: false,
+            locked: throttle.locked,
+            retryAfter,
+            message: throttle.locked
+                ? 'Too many failed attempts. This account is temporarily locked.'
+                : 'Too many failed attempts. Please wait before trying again.'
+        });
+    }
+    
+    const { attempt } = throttle;
+    
+    // Count a bad credential and tell the client how long to wait before the next try
+    const rejectCredentials = async () => {
+        const outcome = attempt.fail();
+        
+        if (outcome.usernameLocked) {
+            logger.warn('🔒 Account locked after repeated failed logins', { username, ip: clientIp });
+            await recordAuthEvent('lockout', { username: outcome.usernameLocked.username, ip: clientIp, lockedUntil: outcome.usernameLocked.lockedUntil, failures: outcome.failures });
+        }
+        if (outcome.ipLocked) {
+            logger.warn('🔒 Address locked after repeated failed logins', { ip: clientIp });
+            await recordAuthEvent('ip_lockout', { username, ip: clientIp, lockedUntil: outcome.ipLocked.lockedUntil });
+        }
+        
+        const retryAfter = Math.ceil(outcome.retryAfterMs / 1000);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+        }
+        return res.status(401).json({
+            success: false,
+            locked: !!outcome.usernameLocked || !!outcome.ipLocked,
+            retryAfter,
+            message: 'Invalid username or password'
+        });
+    };
+    
     try {
+        // The built-in administrator account is configured through the environment
+        if (role.toLowerCase() === 'admin' && process.env.ADMIN_USERNAME && username === process.env.ADMIN_USERNAME) {
+            const { valid } = await verifyPassword(password, process.env.ADMIN_PASSWORD || '');
+            
+            if (!valid) {
+                logger.error('❌ Login error: Invalid admin password', { username });
+                return rejectCredentials();
+            }
+            
+            attempt.succeed();
+            
+            const adminUser = { id: 'admin', user_id: 'admin', username, full_name: 'Admin User', role: 'admin', status: 'active' };
+            const session = issueSessionToken({ id: adminUser.id, userId: adminUser.user_id, role: 'admin', username });
+            
+            logger.info('✅ Admin logged in successfully', { username });
+            return res.json({ success: true, token: session.token, expiresAt: session.expiresAt, user: adminUser });
+        }
+        
         const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
         
         // Get user from database
@@ -1411,51 +2502,47 @@ app.post('/api/login', async (req, res) => {
         if (userError) {
             console.log('❌ User query error:', userError);
             logger.error('❌ Login error: User query error', { username, error: userError });
-            return res.status(401).json({ success: false, message: 'Invalid username or password' });
+            return rejectCredentials();
         }
         
         if (!userData) {
             console.log('❌ User not found:', username);
             logger.error('❌ Login error: User not found', { username });
-            return res.status(401).json({ success: false, message: 'Invalid username or password' });
+            return rejectCredentials();
         }
         
         console.log('✅ User found:', { id: userData.id, username: userData.username, role: userData.role });
         
-        // For now, we're using a simple password check since we don't have proper auth
-        // In a real app, we would use bcrypt to compare hashed passwords
-        // Get registration data to check password
-        console.log('🔍 Searching for registration data for:', username);
-        const { data: regData, error: regError } = await serviceClient
-            .from('user_registrations')
-            .select('password_hash, username')
-            .eq('username', username)
-            .single();
-            
-        if (regError) {
-            console.log('❌ Registration query error:', regError);
-            logger.error('❌ Login error: Registration query error', { username, error: regError });
-            return res.status(401).json({ success: false, message: 'Invalid username or password' });
-        }
+        // Prefer the credential on the user record; accounts created before
+        // hashing was introduced only have it on their registration row
+        let storedHash = userData.password_hash;
+        let fromRegistration = false;
         
-        if (!regData) {
-            console.log('❌ Registration data not found for:', username);
-            logger.error('❌ Login error: Registration data not found', { username });
-            return res.status(401).json({ success: false, message: 'Invalid username or password' });
+        if (!storedHash) {
+            const { data: regData, error: regError } = await serviceClient
+                .from('user_registrations')
+                .select('password_hash, username')
+                .eq('username', username)
+                .single();
+                
+            if (regError || !regData) {
+                logger.error('❌ Login error: Registration data not found', { username, error: regError });
+                return rejectCredentials();
+            }
+            
+            storedHash = regData.password_hash;
+            fromRegistration = true;
         }
         
-        console.log('✅ Registration data found:', { username: regData.username });
-        console.log('🔐 Password check:', { 
-            provided: password, 
-            stored: regData.password_hash,
-            match: regData.password_hash === password 
-        });
+        const { valid, needsRehash } = await verifyPassword(password, storedHash);
         
-        // Simple password check - this is NOT secure and should be replaced with proper auth
-        if (regData.password_hash !== password) {
-            console.log('❌ Password mismatch for user:', username);
+        if (!valid) {
             logger.error('❌ Login error: Invalid password', { username });
-            return res.status(401).json({ success: false, message: 'Invalid username or password' });
+            return rejectCredentials();
+        }
+        
+        if (needsRehash || fromRegistration) {
+            await upgradeStoredCredential(serviceClient, userData, password, needsRehash ? null : storedHash);
         }
         
         // Check if role matches
@@ -1475,6 +2562,7 @@ app.post('/api/login', async (req, res) => {
         }
         
         // Login successful
+        attempt.succeed();
         console.log('🎉 Login successful for:', username);
         logger.info('✅ User logged in successfully', { username, role: userData.role });
         
@@ -1489,8 +2577,17 @@ app.post('/api/login', async (req, res) => {
             console.log('Generated UUID for user:', userData.username, newUuid);
         }
         
+        const session = issueSessionToken({
+            id: userData.id,
+            userId: userData.user_id,
+            role: userData.role.toLowerCase(),
+            username: userData.username
+        });
+        
         res.json({
             success: true,
+            token: session.token,
+            expiresAt: session.expiresAt,
             user: {
                 id: userData.id,
                 user_id: userData.user_id, // Include the UUID
@@ -1505,12 +2602,227 @@ app.post('/api/login', async (req, res) => {
         console.error('❌ Unexpected login error:', error);
         logger.error('❌ Login error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
+    } finally {
+        // A role mismatch or server error is neither a failure nor a success
+        attempt.release();
+    }
+});
+
+// Password Reset API
+// Codes are single-use, expire, and are stored only as a SHA-256 digest in password_resets.
+// Users request a reset, an admin generates the code and hands it over, the user confirms.
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10);
+const PASSWORD_RESET_MAX_ATTEMPTS = 5;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Ask an admin for a reset code. Always answers the same way so usernames can't be probed.
+app.post('/api/password-reset/request', async (req, res) => {
+    const { username } = req.body || {};
+    
+    if (!username) {
+        return res.status(400).json({ success: false, message: 'Username is required' });
+    }
+    
+    try {
+        const { data: user } = await supabaseAdmin
+            .from('users')
+            .select('id, username')
+            .eq('username', username)
+            .maybeSingle();
+        
+        if (user) {
+            const { error } = await supabaseAdmin
+                .from('password_resets')
+                .insert({
+                    user_id: user.id,
+                    username: user.username,
+                    code_hash: null,
+                    requested_at: new Date().toISOString(),
+                    created_at: new Date().toISOString()
+                });
+            
+            if (error) {
+                logger.error('❌ Error recording password reset request:', error);
+            } else {
+                logger.info('🔑 Password reset requested', { username: user.username });
+            }
+        } else {
+            logger.warn('⚠️ Password reset requested for unknown username', { username });
+        }
+        
+        res.json({ success: true, message: 'Your request has been sent. An admin will give you a reset code.' });
+    } catch (error) {
+        logger.error('❌ Error in password reset request:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Admin generates a reset code for a user (replaces any outstanding code)
+app.post('/api/users/:id/password-reset', async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+        const { data: user, error: userError } = await supabaseAdmin
+            .from('users')
+            .select('id, username')
+            .eq('id', id)
+            .maybeSingle();
+        
+        if (userError || !user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        
+        // Invalidate earlier codes and open requests so only the new code works
+        await supabaseAdmin
+            .from('password_resets')
+            .update({ used_at: new Date().toISOString() })
+            .eq('user_id', user.id)
+            .is('used_at', null);
+        
+        const code = generateResetCode();
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString();
+        
+        const { error: insertError } = await supabaseAdmin
+            .from('password_resets')
+            .insert({
+                user_id: user.id,
+                username: user.username,
+                code_hash: hashResetCode(code),
+                expires_at: expiresAt,
+                attempts: 0,
+                created_by: req.user.username,
+                created_at: new Date().toISOString()
+            });
+        
+        if (insertError) {
+            logger.error('❌ Error creating password reset code:', insertError);
+            return res.status(500).json({ success: false, message: 'Database error: ' + insertError.message });
+        }
+        
+        logger.info('🔑 Password reset code generated', { username: user.username, by: req.user.username });
+        res.json({ success: true, code, expiresAt, username: user.username });
+    } catch (error) {
+        logger.error('❌ Error generating password reset code:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Exchange a valid reset code for a new password
+app.post('/api/password-reset/confirm', async (req, res) => {
+    const { username, code, newPassword } = req.body || {};
+    const invalidCode = { success: false, message: 'Invalid or expired reset code' };
+    
+    if (!username || !code || !newPassword) {
+        return res.status(400).json({ success: false, message: 'Username, reset code and new password are required' });
+    }
+    
+    // Checked before the code is touched so a bad password doesn't use it up
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    
+    try {
+        const { data: user } = await supabaseAdmin
+            .from('users')
+            .select('id, username')
+            .eq('username', username)
+            .maybeSingle();
+        
+        if (!user) {
+            return res.status(400).json(invalidCode);
+        }
+        
+        const { data: reset } = await supabaseAdmin
+            .from('password_resets')
+            .select('*')
+            .eq('user_id', user.id)
+            .is('used_at', null)
+            .not('code_hash', 'is', null)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        
+        if (!reset || new Date(reset.expires_at).getTime() <= Date.now() || (reset.attempts || 0) >= PASSWORD_RESET_MAX_ATTEMPTS) {
+            return res.status(400).json(invalidCode);
+        }
+        
+        // Count the guess before checking it. The update only applies while attempts
+        // still holds the value read above, so parallel guesses can't share one count.
+        const attempts = reset.attempts || 0;
+        let countAttempt = supabaseAdmin
+            .from('password_resets')
+            .update({ attempts: attempts + 1 })
+            .eq('id', reset.id)
+            .is('used_at', null);
+        countAttempt = reset.attempts === null || reset.attempts === undefined
+            ? countAttempt.is('attempts', null)
+            : countAttempt.eq('attempts', attempts);
+        const { data: counted, error: countError } = await countAttempt.select('id');
+        
+        if (countError || !counted || counted.length === 0) {
+            return res.status(400).json(invalidCode);
+        }
+        
+        if (!safeEqual(hashResetCode(code), reset.code_hash)) {
+            logger.warn('⚠️ Wrong password reset code', { username });
+            return res.status(400).json(invalidCode);
+        }
+        
+        const passwordHash = await hashPassword(newPassword);
+        
+        // Consume the code; the used_at guard keeps it single-use under concurrent requests
+        const { data: consumed } = await supabaseAdmin
+            .from('password_resets')
+            .update({ used_at: new Date().toISOString() })
+            .eq('id', reset.id)
+            .is('used_at', null)
+            .select('id');
+        
+        if (!consumed || consumed.length === 0) {
+            return res.status(400).json(invalidCode);
+        }
+        
+        const { error: updateError } = await supabaseAdmin
+            .from('users')
+            .update({ password_hash: passwordHash, updated_at: new Date().toISOString() })
+            .eq('id', user.id);
+        
+        if (updateError) {
+            logger.error('❌ Error saving new password:', updateError);
+            return res.status(500).json({ success: false, message: 'Could not update password' });
+        }
+        
+        // Keep the registration row from holding an older credential
+        await supabaseAdmin
+            .from('user_registrations')
+            .update({ password_hash: passwordHash })
+            .eq('username', user.username);
+        
+        // Whoever held the old password is signed out, and the account starts afresh
+        const signedOut = signOutAccount(user.id, 'Your password was reset');
+        unlockUsername(user.username);
+        
+        logger.info('✅ Password reset completed', { username: user.username, signedOut });
+        res.json({ success: true, message: 'Password updated. You can now log in.' });
+    } catch (error) {
+        logger.error('❌ Error confirming password reset:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
+// Actions the current user may perform, used by the pages to hide controls
+app.get('/api/me/permissions', (req, res) => {
+    res.json({
+        success: true,
+        role: req.user.role,
+        actions: allowedActions(req.user.role)
+    });
+});
+
 // Driver API Endpoints
 app.get('/api/driver/orders', async (req, res) => {
-    const { driverId } = req.query;
+    const driverId = resolveSubjectId(req, res, req.query.driverId);
+    if (res.headersSent) return;
     
     if (!driverId) {
         return res.status(400).json({ success: false, message: 'Driver ID is required' });
@@ -1519,12 +2831,13 @@ app.get('/api/driver/orders', async (req, res) => {
     try {
         const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
         
-        // Get driver's assigned orders
+        // Get driver's assigned orders that still need something from them
         const { data, error } = await serviceClient
             .from('orders')
             .select('*')
             .eq('driver_id', driverId)
-            .in('status', ['pending', 'processing'])
+            .in('status', ACTIVE_STATUSES)
+            .is('deleted_at', null)
             .order('order_date', { ascending: true });
         
         if (error) {
@@ -1541,30 +2854,108 @@ app.get('/api/driver/orders', async (req, res) => {
 });
 
 // New endpoint to accept an order
+// Name to show other users for a driver or shop account
+async function userDisplayName(userId, fallback) {
+    const { data } = await supabaseAdmin
+        .from('users')
+        .select('full_name, username')
+        .eq('user_id', userId)
+        .maybeSingle();
+    return (data && (data.full_name || data.username)) || fallback;
+}
+
+// A competing accept lost the race - tell the driver who has the order now
+async function sendClaimConflict(res, orderId, driverId, result) {
+    const { data: order } = await supabaseAdmin
+        .from('orders')
+        .select('status, driver_id')
+        .eq('id', orderId)
+        .maybeSingle();
+    
+    // Not claimed by anyone, e.g. cancelled - the transition message says why
+    if (!order || !order.driver_id) {
+        return sendTransitionFailure(res, result);
+    }
+    
+    if (order.driver_id === driverId) {
+        return res.status(409).json({
+            success: false,
+            message: 'You have already accepted this order',
+            currentStatus: order.status,
+            takenBy: { id: driverId }
+        });
+    }
+    
+    const winnerName = await userDisplayName(order.driver_id, 'another driver');
+    logger.info('⚠️ Order claim lost', { orderId, driverId, winnerId: order.driver_id });
+    return res.status(409).json({
+        success: false,
+        message: `Order was already accepted by ${winnerName}`,
+        currentStatus: order.status,
+        takenBy: { id: order.driver_id, name: winnerName }
+    });
+}
+
+// Drop a claimed order from every other driver's available list
+function notifyOrderTaken(order, winnerId, winnerName) {
+    const message = JSON.stringify({
+        type: 'ORDER_TAKEN',
+        payload: {
+            order_id: order.id,
+            order_number: order.order_id,
+            driver_id: winnerId,
+            driver_name: winnerName
+        }
+    });
+    
+    let notified = 0;
+    forEachSocket(clients.drivers, (ws, userId) => {
+        if (userId !== winnerId && ws.readyState === WebSocket.OPEN) {
+            ws.send(message);
+            notified++;
+        }
+    });
+    
+    logger.info(`📡 Told ${notified} driver devices that order ${order.id} was taken`);
+}
+
+// Claim a pending order. The update only lands while the order is still pending
+// and unassigned, so when two drivers accept at once exactly one of them wins.
 app.post('/api/driver/orders/:orderId/accept', async (req, res) => {
     const { orderId } = req.params;
-    const { driverId } = req.body;
+    const driverId = resolveSubjectId(req, res, req.body.driverId);
+    if (res.headersSent) return;
     
     if (!orderId || !driverId) {
         return res.status(400).json({ success: false, message: 'Order ID and Driver ID are required' });
     }
     
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
-        
-        // Call the RPC function to assign the order
-        const { data, error } = await serviceClient.rpc('assign_order_to_driver', {
-            order_id_param: orderId,
-            driver_id_param: driverId
+        const now = new Date().toISOString();
+        const result = await transitionOrder({
+            orderId,
+            to: 'accepted',
+            actor: actorFromUser(req.user),
+            reason: 'Accepted by driver',
+            changes: { driver_id: driverId, assigned_at: now },
+            guard: order => order.driver_id
+                ? { httpStatus: 409, message: 'Order was already accepted by another driver' }
+                : null,
+            conditions: { driver_id: null }
         });
         
-        if (error) {
-            logger.error('❌ Error accepting order:', error);
-            return res.status(500).json({ success: false, message: 'Database error' });
+        if (!result.success) {
+            return result.httpStatus === 409
+                ? sendClaimConflict(res, orderId, driverId, result)
+                : sendTransitionFailure(res, result);
         }
         
         logger.info('✅ API: Order accepted by driver', { orderId, driverId });
-        res.json({ success: true, notificationId: data });
+        
+        const winnerName = await userDisplayName(driverId, req.user.username);
+        notifyOrderTaken(result.order, driverId, winnerName);
+        
+        res.json({ success: true, order: result.order });
     } catch (error) {
         logger.error('❌ Error in order acceptance API:', error);
         res.status(500).json({ success: false, message: 'Server error' });
@@ -1574,75 +2965,333 @@ app.post('/api/driver/orders/:orderId/accept', async (req, res) => {
 // New endpoint to complete an order
 app.post('/api/driver/orders/:orderId/complete', async (req, res) => {
     const { orderId } = req.params;
-    const { driverId } = req.body;
+    const driverId = resolveSubjectId(req, res, req.body.driverId);
+    if (res.headersSent) return;
     
     if (!orderId || !driverId) {
         return res.status(400).json({ success: false, message: 'Order ID and Driver ID are required' });
     }
     
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
+        const result = await transitionOrder({
+            orderId,
+            to: 'delivered',
+            actor: actorFromUser(req.user),
+            reason: req.body.reason || 'Delivered by driver',
+            changes: { delivery_date: new Date().toISOString() },
+            guard: assignedTo(driverId),
+            conditions: { driver_id: driverId }
+        });
         
-        // Update the order status
-        const { data, error } = await serviceClient
-            .from('orders')
-            .update({ 
-                status: 'delivered',
-                delivery_date: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', orderId)
-            .eq('driver_id', driverId)
-            .select();
+        if (!result.success) {
+            return sendTransitionFailure(res, result);
+        }
+        
+        logger.info('✅ API: Order completed by driver', { orderId, driverId });
+        res.json({ success: true, order: result.order });
+    } catch (error) {
+        logger.error('❌ Error in order completion API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Start a delivery, optionally with an ETA in minutes that drives the countdowns.
+// Also restarts a failed delivery the driver chose to retry.
+app.post('/api/driver/orders/:orderId/start', async (req, res) => {
+    const { orderId } = req.params;
+    const driverId = resolveSubjectId(req, res, req.body.driverId);
+    if (res.headersSent) return;
+    
+    if (!orderId || !driverId) {
+        return res.status(400).json({ success: false, message: 'Order ID and Driver ID are required' });
+    }
+    
+    const minutes = req.body.minutes === undefined ? null : parseInt(req.body.minutes, 10);
+    if (minutes !== null && (isNaN(minutes) || minutes <= 0)) {
+        return res.status(400).json({ success: false, message: 'Minutes must be a positive number' });
+    }
+    
+    try {
+        const changes = minutes ? { delivery_date: new Date(Date.now() + minutes * 60000).toISOString() } : {};
+        const result = await transitionOrder({
+            orderId,
+            to: 'processing',
+            actor: actorFromUser(req.user),
+            reason: minutes ? `ETA ${minutes} minutes` : 'Delivery started',
+            changes,
+            details: minutes ? { etaMinutes: minutes, deliveryDate: changes.delivery_date } : null,
+            guard: order => assignedTo(driverId)(order) || retryAllowed(order),
+            conditions: { driver_id: driverId }
+        });
+        
+        if (!result.success) {
+            return sendTransitionFailure(res, result);
+        }
+        
+        logger.info('✅ API: Delivery started by driver', { orderId, driverId, minutes });
+        res.json({ success: true, order: result.order });
+    } catch (error) {
+        logger.error('❌ Error in start delivery API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Confirm the order has been collected from the shop
+app.post('/api/driver/orders/:orderId/pickup', async (req, res) => {
+    const { orderId } = req.params;
+    const driverId = resolveSubjectId(req, res, req.body.driverId);
+    if (res.headersSent) return;
+    
+    if (!orderId || !driverId) {
+        return res.status(400).json({ success: false, message: 'Order ID and Driver ID are required' });
+    }
+    
+    try {
+        const result = await transitionOrder({
+            orderId,
+            to: 'picked_up',
+            actor: actorFromUser(req.user),
+            reason: 'Picked up by driver',
+            guard: assignedTo(driverId),
+            conditions: { driver_id: driverId }
+        });
+        
+        if (!result.success) {
+            return sendTransitionFailure(res, result);
+        }
+        
+        logger.info('✅ API: Order picked up by driver', { orderId, driverId });
+        res.json({ success: true, order: result.order });
+    } catch (error) {
+        logger.error('❌ Error in order pickup API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Reason codes and outcomes for the failed delivery dialog
+app.get('/api/driver/failure-reasons', (req, res) => {
+    res.json({ success: true, reasons: listFailureReasons(), outcomes: listFailureOutcomes() });
+});
+
+// Tell the shop and admins a delivery failed or the order came back
+function notifyDeliveryFailure(type, order, actor) {
+    const message = {
+        type,
+        payload: {
+            order_id: order.id,
+            order_number: order.order_id,
+            reason_code: order.failure_reason,
+            reason: FAILURE_REASONS[order.failure_reason] || order.failure_reason,
+            note: order.failure_note,
+            outcome: order.failure_outcome,
+            driver_name: actor.name
+        }
+    };
+    
+    if (order.shop_id) {
+        sendToUser('shop', order.shop_id, message);
+    }
+    broadcastToRole('admin', message);
+}
+
+// Report a delivery that couldn't be made. The driver either keeps the order
+// to retry later (POST /start again) or takes it back to the shop (POST /return).
+app.post('/api/driver/orders/:orderId/fail', async (req, res) => {
+    const { orderId } = req.params;
+    const { reasonCode, note, outcome } = req.body;
+    const driverId = resolveSubjectId(req, res, req.body.driverId);
+    if (res.headersSent) return;
+    
+    if (!orderId || !driverId) {
+        return res.status(400).json({ success: false, message: 'Order ID and Driver ID are required' });
+    }
+    
+    try {
+        const invalidFailure = validateFailure(reasonCode, note, outcome);
+        if (invalidFailure) {
+            return res.status(400).json({ success: false, message: invalidFailure });
+        }
+        
+        const actor = actorFromUser(req.user);
+        const cleanNote = cleanFailureNote(note);
+        const result = await transitionOrder({
+            orderId,
+            to: 'failed',
+            actor,
+            reason: describeFailure(reasonCode, note),
+            changes: {
+                failed_at: new Date().toISOString(),
+                failure_reason: reasonCode,
+                failure_note: cleanNote,
+                failure_outcome: outcome
+            },
+            details: { reasonCode, note: cleanNote, outcome },
+            guard: assignedTo(driverId),
+            conditions: { driver_id: driverId }
+        });
+        
+        if (!result.success) {
+            return sendTransitionFailure(res, result);
+        }
+        
+        notifyDeliveryFailure('DELIVERY_FAILED', result.order, actor);
+        
+        logger.info('⚠️ API: Delivery failed', { orderId, driverId, reasonCode, outcome });
+        res.json({ success: true, order: result.order });
+    } catch (error) {
+        logger.error('❌ Error in failed delivery API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// The driver brought a failed order back to the shop
+app.post('/api/driver/orders/:orderId/return', async (req, res) => {
+    const { orderId } = req.params;
+    const driverId = resolveSubjectId(req, res, req.body.driverId);
+    if (res.headersSent) return;
+    
+    if (!orderId || !driverId) {
+        return res.status(400).json({ success: false, message: 'Order ID and Driver ID are required' });
+    }
+    
+    try {
+        const actor = actorFromUser(req.user);
+        const result = await transitionOrder({
+            orderId,
+            to: 'returned',
+            actor,
+            reason: 'Returned to shop',
+            // A driver who meant to retry may still give up and bring it back
+            changes: { returned_at: new Date().toISOString(), failure_outcome: 'return_to_shop' },
+            guard: assignedTo(driverId),
+            conditions: { driver_id: driverId }
+        });
         
-        if (error) {
-            logger.error('❌ Error completing order:', error);
-            return res.status(500).json({ success: false, message: 'Database error' });
+        if (!result.success) {
+            return sendTransitionFailure(res, result);
         }
         
-        logger.info('✅ API: Order completed by driver', { orderId, driverId });
-        res.json({ success: true, order: data[0] });
+        notifyDeliveryFailure('ORDER_RETURNED', result.order, actor);
+        
+        logger.info('✅ API: Order returned to shop', { orderId, driverId });
+        res.json({ success: true, order: result.order });
     } catch (error) {
-        logger.error('❌ Error in order completion API:', error);
+        logger.error('❌ Error in order return API:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
+// Saves the customer of a new shop order with its address at the top of their
+// address book. A failure here only costs the shop a suggestion next time, so
+// it is logged rather than failing the order.
+async function rememberCustomer(shopId, order) {
+    try {
+        const { data: existing, error: findError } = await supabaseAdmin
+            .from('customers')
+            .select('name, addresses')
+            .eq('shop_id', shopId)
+            .eq('phone', order.customer_phone)
+            .maybeSingle();
+        if (findError) throw findError;
+        
+        const now = new Date().toISOString();
+        const { error } = await supabaseAdmin
+            .from('customers')
+            .upsert({
+                shop_id: shopId,
+                phone: order.customer_phone,
+                name: order.customer_name || existing?.name || null,
+                addresses: rememberAddress(existing?.addresses, order.delivery_address),
+                last_order_at: now,
+                updated_at: now
+            }, { onConflict: 'shop_id,phone' });
+        if (error) throw error;
+    } catch (error) {
+        logger.warn('⚠️ Failed to save customer for order:', error.message);
+    }
+}
+
 // New endpoint to create an order
 app.post('/api/shop/orders', async (req, res) => {
-    const { 
-        customer_phone,
-        delivery_address,
-        amount,
-        payment_method,
-        notes,
-        order_items
-    } = req.body;
-    
-    const shopId = req.headers['x-user-id']; // Get shop ID from header
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
     
     if (!shopId) {
         return res.status(400).json({ success: false, message: 'Shop ID is required' });
     }
     
+    const { order: fields, errors } = validateNewOrder(req.body);
+    if (errors) {
+        return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+    }
+    
     try {
         const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
         
+        // Orders picked from the catalog are priced here from the shop's own
+        // products; the others keep the amount the shop typed
+        let orderItems = fields.order_items || '[]';
+        let amount = fields.amount || 0;
+        let productName = 'Custom Order';
+        
+        if (fields.line_items) {
+            const { data: products, error: productsError } = await serviceClient
+                .from('products')
+                .select('id, name, price, active')
+                .eq('shop_id', shopId)
+                .in('id', fields.line_items.map(line => line.product_id));
+            
+            if (productsError) {
+                logger.error('❌ Error loading products for order:', productsError);
+                return res.status(500).json({ success: false, message: 'Database error: ' + productsError.message });
+            }
+            
+            const priced = priceLineItems(fields.line_items, products);
+            if (priced.error) {
+                return res.status(400).json({ success: false, message: priced.error, errors: { line_items: priced.error } });
+            }
+            if (fields.payment_method === 'cash' && priced.total <= 0) {
+                const message = 'Cash orders need a total above zero';
+                return res.status(400).json({ success: false, message, errors: { line_items: message } });
+            }
+            
+            orderItems = JSON.stringify(priced.items);
+            amount = priced.total;
+            productName = lineItemsProductName(priced.items);
+        }
+        
+        // Orders go in the category the shop picked, or else the shop's own
+        let categoryId = fields.category_id;
+        if (categoryId) {
+            const categoryFailure = await checkOrderCategory(categoryId);
+            if (categoryFailure) {
+                return res.status(categoryFailure.httpStatus).json({ success: false, message: categoryFailure.message, errors: { category_id: categoryFailure.message } });
+            }
+        } else {
+            const { data: shop } = await serviceClient
+                .from('users')
+                .select('category_id')
+                .eq('user_id', shopId)
+                .maybeSingle();
+            categoryId = shop?.category_id || null;
+        }
+        
         // Create the order directly in the orders table
         const { data, error } = await serviceClient
             .from('orders')
             .insert([{
                 shop_id: shopId, // Keep as string (UUID)
-                customer_name: null, // Set to null since it's now optional
-                customer_phone: customer_phone,
-                delivery_address: delivery_address,
-                amount: parseFloat(amount),
-                payment_method: payment_method,
-                notes: notes || '',
-                order_items: order_items || '[]',
+                customer_name: fields.customer_name || null,
+                customer_phone: fields.customer_phone,
+                delivery_address: fields.delivery_address,
+                amount,
+                payment_method: fields.payment_method,
+                notes: fields.notes || '',
+                order_items: orderItems,
+                category_id: categoryId,
                 status: 'pending',
                 order_id: `ORD-${Date.now().toString().slice(-6)}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`,
-                product_name: 'Custom Order' // Add required product_name field
+                product_name: productName
             }])
             .select()
             .single();
@@ -1654,17 +3303,13 @@ app.post('/api/shop/orders', async (req, res) => {
         
         logger.info('✅ API: New order created by shop', { shopId, orderId: data.id });
         
-        // Broadcast the new order to all drivers
-        broadcastToRole('driver', {
-            type: 'NEW_ORDER_AVAILABLE',
-            payload: {
-                order_id: data.id,
-                order_number: data.order_id,
-                customer_name: data.customer_name || 'Customer',
-                delivery_address: data.delivery_address,
-                amount: data.amount
-            }
-        });
+        await recordOrderEvent({ orderId: data.id, from: null, to: data.status, actor: actorFromUser(req.user), reason: 'Created by shop' });
+        await rememberCustomer(shopId, data);
+        notifyOverviewChanged(data, null);
+        
+        // Offer it to the drivers (only those on shift, when so configured); the
+        // shop gets the order in this response
+        await handleNewOrder(data, { notifyShop: false });
         
         res.json({ success: true, orderId: data.id, order: data });
     } catch (error) {
@@ -1675,40 +3320,35 @@ app.post('/api/shop/orders', async (req, res) => {
 
 // Get orders for a shop
 app.get('/api/shop/orders', async (req, res) => {
-    const shopId = req.headers['x-user-id']; // Get shop ID from header
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
     
     if (!shopId) {
         return res.status(400).json({ success: false, message: 'Shop ID is required' });
     }
     
+    // A shop only ever sees its own orders, whatever shopId the query names
+    const { listing, errors } = parseOrderListing({ ...req.query, shopId: undefined });
+    if (errors) {
+        return sendListingErrors(res, errors);
+    }
+    
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
-        
-        // Get orders created by this shop
-        const { data: orders, error } = await serviceClient
-            .from('orders')
-            .select('*')
-            .eq('shop_id', shopId)
-            .order('created_at', { ascending: false });
-        
-        if (error) {
-            logger.error('❌ Error fetching shop orders:', error);
-            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
-        }
+        const page = await orderListing.loadOrderPage(listing, { shopId });
         
-        logger.info('✅ API: Fetched orders for shop', { shopId, orderCount: orders.length });
-        
-        res.json({ success: true, orders: orders });
+        logger.info('✅ API: Fetched orders for shop', { shopId, orderCount: page.orders.length, total: page.total });
+        res.json({ success: true, ...page });
     } catch (error) {
-        logger.error('❌ Error in shop orders API:', error);
-        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
+        logger.error('❌ Error fetching shop orders:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
     }
 });
 
 // Get a specific order
 app.get('/api/shop/orders/:id', async (req, res) => {
     const orderId = req.params.id;
-    const shopId = req.headers['x-user-id']; // Get shop ID from header
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
     
     if (!shopId) {
         return res.status(400).json({ success: false, message: 'Shop ID is required' });
@@ -1723,7 +3363,8 @@ app.get('/api/shop/orders/:id', async (req, res) => {
             .select('*')
             .eq('id', orderId)
             .eq('shop_id', shopId)
-            .single();
+            .is('deleted_at', null)
+            .maybeSingle();
         
         if (error) {
             logger.error('❌ Error fetching order details:', error);
@@ -1746,68 +3387,8 @@ app.get('/api/shop/orders/:id', async (req, res) => {
 // Update an order
 app.patch('/api/shop/orders/:id', async (req, res) => {
     const orderId = req.params.id;
-    const shopId = req.headers['x-user-id']; // Get shop ID from header
-    
-    if (!shopId) {
-        return res.status(400).json({ success: false, message: 'Shop ID is required' });
-    }
-    
-    try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
-        
-        // Check if order exists and belongs to this shop
-        const { data: existingOrder, error: checkError } = await serviceClient
-            .from('orders')
-            .select('status, driver_id')
-            .eq('id', orderId)
-            .eq('shop_id', shopId)
-            .single();
-        
-        if (checkError) {
-            logger.error('❌ Error checking order:', checkError);
-            return res.status(500).json({ success: false, message: 'Database error: ' + checkError.message });
-        }
-        
-        if (!existingOrder) {
-            return res.status(404).json({ success: false, message: 'Order not found' });
-        }
-        
-        // Check if order is still pending
-        if (existingOrder.status !== 'pending') {
-            return res.status(400).json({ success: false, message: 'Only pending orders can be updated' });
-        }
-        
-        // Check if order has been assigned to a driver
-        if (existingOrder.driver_id) {
-            return res.status(400).json({ success: false, message: 'Order has already been accepted by a driver and cannot be updated' });
-        }
-        
-        // Update the order
-        const { data, error } = await serviceClient
-            .from('orders')
-            .update(req.body)
-            .eq('id', orderId)
-            .eq('shop_id', shopId)
-            .select();
-        
-        if (error) {
-            logger.error('❌ Error updating order:', error);
-            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
-        }
-        
-        logger.info('✅ API: Updated order', { shopId, orderId });
-        
-        res.json({ success: true, order: data[0] });
-    } catch (error) {
-        logger.error('❌ Error in order update API:', error);
-        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
-    }
-});
-
-// Delete an order
-app.delete('/api/shop/orders/:id', async (req, res) => {
-    const orderId = req.params.id;
-    const shopId = req.headers['x-user-id']; // Get shop ID from header
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
     
     if (!shopId) {
         return res.status(400).json({ success: false, message: 'Shop ID is required' });
@@ -1819,10 +3400,11 @@ app.delete('/api/shop/orders/:id', async (req, res) => {
         // Check if order exists and belongs to this shop
         const { data: existingOrder, error: checkError } = await serviceClient
             .from('orders')
-            .select('status, driver_id')
+            .select('status, driver_id, payment_method, amount, order_items, shop_id')
             .eq('id', orderId)
             .eq('shop_id', shopId)
-            .single();
+            .is('deleted_at', null)
+            .maybeSingle();
         
         if (checkError) {
             logger.error('❌ Error checking order:', checkError);
@@ -1835,1061 +3417,711 @@ app.delete('/api/shop/orders/:id', async (req, res) => {
         
         // Check if order is still pending
         if (existingOrder.status !== 'pending') {
-            return res.status(400).json({ success: false, message: 'Only pending orders can be deleted' });
-        }
-        
-        // Check if order has been assigned to a driver
-        if (existingOrder.driver_id) {
-            return res.status(400).json({ success: false, message: 'Order has already been accepted by a driver and cannot be deleted' });
-        }
-        
-        // Delete the order
-        const { error } = await serviceClient
-            .from('orders')
-            .delete()
-            .eq('id', orderId)
-            .eq('shop_id', shopId);
-        
-        if (error) {
-            logger.error('❌ Error deleting order:', error);
-            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
-        }
-        
-        logger.info('✅ API: Deleted order', { shopId, orderId });
-        
-        res.json({ success: true, message: 'Order deleted successfully' });
-    } catch (error) {
-        logger.error('❌ Error in order delete API:', error);
-        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
-    }
-});
-
-// Debug endpoint for checking user credentials (ONLY FOR DEVELOPMENT)
-app.get('/api/debug/user/:username', async (req, res) => {
-    const { username } = req.params;
-    
-    if (!username) {
-        return res.status(400).json({ success: false, message: 'Username is required' });
-    }
-    
-    try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY);
-        
-        // Get user from database
-        const { data: userData, error: userError } = await serviceClient
-            .from('users')
-            .select('*')
-            .eq('username', username)
-            .single();
-            
-        // Get registration data
-        const { data: regData, error: regError } = await serviceClient
-            .from('user_registrations')
-            .select('*')
-            .eq('username', username)
-            .single();
-            
-        res.json({
-            success: true,
-            user: userData || null,
-            registration: regData ? {
-                ...regData,
-                password_hash: regData.password_hash ? `${regData.password_hash.substring(0, 3)}...` : null
-            } : null,
-            userError: userError ? userError.message : null,
-            regError: regError ? regError.message : null
-        });
-    } catch (error) {
-        console.error('Debug endpoint error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
-    }
-});
-
-// Serve the .env file for client-side initialization
-app.get('/.env', (req, res) => {
-    // Only expose the public variables
-    const publicEnv = `SUPABASE_URL=${process.env.SUPABASE_URL || ''}
-SUPABASE_ANON_KEY=${process.env.SUPABASE_ANON_KEY || ''}`;
-    res.type('text/plain').send(publicEnv);
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        connectedClients: {
-            drivers: clients.drivers.size,
-            shops: clients.shops.size,
-            admin: clients.admin.size,
-            total: clients.drivers.size + clients.shops.size + clients.admin.size
-        },
-        uptime: process.uptime()
-    });
-});
-
-// Start server
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, async () => {
-    logger.info('🚀 Team Delivery Server started successfully!', {
-        environment: process.env.NODE_ENV || 'development',
-        port: PORT,
-        service: 'team-delivery-server',
-        timestamp: new Date().toISOString()
-    });
-    
-    console.log('\n🎉 Team Delivery App is running!');
-    console.log(`📱 Login page: http://localhost:${PORT}/LoginPage/`);
-    console.log(`👨‍💼 Admin dashboard: http://localhost:${PORT}/AdminPage/`);
-    console.log(`🚚 Driver app: http://localhost:${PORT}/DriverPage/`);
-    console.log(`🏪 Shop app: http://localhost:${PORT}/ShopPage/`);
-    console.log(`🔌 WebSocket endpoint: ws://localhost:${PORT}`);
-    console.log(`📊 API endpoint: http://localhost:${PORT}/api/dashboard`);
-    console.log(`💚 Health check: http://localhost:${PORT}/health`);
-    console.log('\n📝 Logs are being written to logs/ directory');
-    console.log('🔄 Real-time updates are active\n');
-    
-    // Initialize database tables
-    await initializeDatabase();
-    
-    // Check Supabase connection
-    await checkSupabaseConnection();
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    logger.info('🛑 Received SIGTERM, shutting down gracefully...');
-    server.close(() => {
-        logger.info('✅ Server closed');
-        process.exit(0);
-    });
-});
-
-process.on('SIGINT', () => {
-    logger.info('🛑 Received SIGINT, shutting down gracefully...');
-    server.close(() => {
-        logger.info('✅ Server closed');
-        process.exit(0);
-    });
-}); 
-
-// Transfer Management API Endpoints
-
-// Get all drivers
-app.get('/api/drivers', async (req, res) => {
-    try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
-        
-        // Fetch drivers from users table where role is 'driver'
-        const { data, error } = await serviceClient
-            .from('users')
-            .select('*')
-            .eq('role', 'driver')
-            .eq('status', 'active')
-            .order('created_at', { ascending: false });
-        
-        if (error) {
-            logger.error('❌ Error fetching drivers:', error);
-            
-            // Fallback to mock data if database query fails
-            const mockDrivers = [
-                { id: 1, name: 'John Smith', role: 'Driver', phone: '+1234567890', status: 'Active', totalOrders: 45, completedOrders: 42, pendingOrders: 3, earnings: 1250.50 },
-                { id: 2, name: 'Mike Johnson', role: 'Driver', phone: '+1234567891', status: 'Active', totalOrders: 38, completedOrders: 35, pendingOrders: 3, earnings: 980.25 },
-                { id: 3, name: 'Alex Brown', role: 'Driver', phone: '+1234567892', status: 'Active', totalOrders: 52, completedOrders: 50, pendingOrders: 2, earnings: 1450.75 },
-                { id: 4, name: 'Sarah Wilson', role: 'Driver', phone: '+1234567893', status: 'Active', totalOrders: 29, completedOrders: 27, pendingOrders: 2, earnings: 720.00 },
-                { id: 5, name: 'Chris Davis', role: 'Driver', phone: '+1234567894', status: 'Active', totalOrders: 41, completedOrders: 39, pendingOrders: 2, earnings: 1100.30 }
-            ];
-            
-            logger.info('📋 API: Drivers fetched (mock data fallback)', { count: mockDrivers.length });
-            res.json({ success: true, drivers: mockDrivers });
-        } else {
-            // Transform data to match expected format
-            const drivers = data.map(driver => ({
-                id: driver.user_id || driver.id, // Prefer UUID for cross-table consistency
-                name: driver.full_name,
-                role: 'Driver',
-                phone: driver.phone || 'No phone',
-                status: driver.status === 'active' ? 'Active' : 'Inactive',
-                totalOrders: 0, // Will be calculated separately
-                completedOrders: 0, // Will be calculated separately
-                pendingOrders: 0, // Will be calculated separately
-                earnings: 0 // Will be calculated separately
-            }));
-            
-            logger.info('📋 API: Drivers fetched from database', { count: drivers.length });
-            res.json({ success: true, drivers: drivers });
+            return res.status(400).json({ success: false, message: 'Only pending orders can be updated' });
         }
-    } catch (error) {
-        logger.error('❌ Error in drivers API:', error);
         
-        // Fallback to mock data if an exception occurs
-        const mockDrivers = [
-            { id: 1, name: 'John Smith', role: 'Driver', phone: '+1234567890', status: 'Active', totalOrders: 45, completedOrders: 42, pendingOrders: 3, earnings: 1250.50 },
-            { id: 2, name: 'Mike Johnson', role: 'Driver', phone: '+1234567891', status: 'Active', totalOrders: 38, completedOrders: 35, pendingOrders: 3, earnings: 980.25 },
-            { id: 3, name: 'Alex Brown', role: 'Driver', phone: '+1234567892', status: 'Active', totalOrders: 52, completedOrders: 50, pendingOrders: 2, earnings: 1450.75 },
-            { id: 4, name: 'Sarah Wilson', role: 'Driver', phone: '+1234567893', status: 'Active', totalOrders: 29, completedOrders: 27, pendingOrders: 2, earnings: 720.00 },
-            { id: 5, name: 'Chris Davis', role: 'Driver', phone: '+1234567894', status: 'Active', totalOrders: 41, completedOrders: 39, pendingOrders: 2, earnings: 1100.30 }
-        ];
+        // Check if order has been assigned to a driver
+        if (existingOrder.driver_id) {
+            return res.status(400).json({ success: false, message: 'Order has already been accepted by a driver and cannot be updated' });
+        }
         
-        logger.info('📋 API: Drivers fetched (mock data fallback after exception)', { count: mockDrivers.length });
-        res.json({ success: true, drivers: mockDrivers });
-    }
-});
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
-// Test database connection and orders table
-app.get('/api/test-db', async (req, res) => {
-    try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
+        // Only the editable fields, normalized (order-schema.js). Status,
+        // driver and shop only change through their own routes.
+        const { changes, errors } = validateShopOrderUpdate(req.body, existingOrder);
+        if (errors) {
+            return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+        }
         
-        // Test orders table
-        const { data: ordersData, error: ordersError } = await serviceClient
-            .from('orders')
-            .select('count')
-            .limit(1);
-            
-        // Test users table
-        const { data: usersData, error: usersError } = await serviceClient
-            .from('users')
-            .select('count')
-            .limit(1);
-            
-        const result = {
-            orders: {
-                accessible: !ordersError,
-                error: ordersError?.message || null,
-                count: ordersData?.length || 0
-            },
-            users: {
-                accessible: !usersError,
-                error: usersError?.message || null,
-                count: usersData?.length || 0
-            },
-            timestamp: new Date().toISOString()
-        };
+        const pricingFailure = await priceLineItemChanges(changes, existingOrder);
+        if (pricingFailure) {
+            return res.status(pricingFailure.httpStatus).json({ success: false, message: pricingFailure.message, errors: pricingFailure.errors });
+        }
         
-        logger.info('🔍 Database test result:', result);
-        res.json(result);
-    } catch (error) {
-        logger.error('❌ Database test error:', error);
-        res.status(500).json({ 
-            error: error.message, 
-            timestamp: new Date().toISOString() 
-        });
-    }
-});
-
-// Debug endpoint to check orders and drivers
-app.get('/api/debug-orders', async (req, res) => {
-    try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ success: false, message: 'Nothing to update' });
+        }
         
-        // Get all orders with driver info
-        const { data: orders, error: ordersError } = await serviceClient
+        // Update the order, unless a driver took it in the meantime
+        const { data, error } = await serviceClient
             .from('orders')
-            .select('id, order_id, driver_id, order_date, customer_name, status')
-            .order('order_date', { ascending: false })
-            .limit(20);
-            
-        // Get all drivers
-        const { data: drivers, error: driversError } = await serviceClient
-            .from('users')
-            .select('id, user_id, full_name, username, role, status')
-            .eq('role', 'driver')
-            .eq('status', 'active');
-            
-        // Process orders to show date strings
-        const processedOrders = orders ? orders.map(order => ({
-            ...order,
-            order_date_string: order.order_date ? order.order_date.split('T')[0] : null,
-            order_date_full: order.order_date
-        })) : [];
-            
-        const result = {
-            orders: processedOrders,
-            drivers: drivers || [],
-            ordersError: ordersError?.message || null,
-            driversError: driversError?.message || null,
-            summary: {
-                totalOrders: orders?.length || 0,
-                totalDrivers: drivers?.length || 0,
-                ordersWithDrivers: orders?.filter(o => o.driver_id)?.length || 0,
-                ordersWithoutDrivers: orders?.filter(o => !o.driver_id)?.length || 0,
-                uniqueDates: [...new Set(processedOrders.map(o => o.order_date_string))].filter(Boolean)
-            }
-        };
+            .update({ ...changes, updated_at: new Date().toISOString() })
+            .eq('id', orderId)
+            .eq('shop_id', shopId)
+            .eq('status', 'pending')
+            .is('driver_id', null)
+            .is('deleted_at', null)
+            .select();
+        
+        if (error) {
+            logger.error('❌ Error updating order:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+        }
         
-        logger.info('🔍 Debug orders result:', result.summary);
-        res.json(result);
+        if (!data || data.length === 0) {
+            return res.status(409).json({ success: false, message: 'Order has already been accepted by a driver and cannot be updated' });
+        }
+        
+        logger.info('✅ API: Updated order', { shopId, orderId, fields: Object.keys(changes) });
+        
+        res.json({ success: true, order: data[0] });
     } catch (error) {
-        logger.error('❌ Debug orders error:', error);
-        res.status(500).json({ 
-            error: error.message, 
-            timestamp: new Date().toISOString() 
-        });
+        logger.error('❌ Error in order update API:', error);
+        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
     }
 });
 
-// Test database connection and orders table
-app.get('/api/test-db', async (req, res) => {
+// Mark an order delivered once the driver's ETA has run out (the shop's countdown)
+app.post('/api/shop/orders/:id/complete', async (req, res) => {
+    const orderId = req.params.id;
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
+    
+    if (!shopId) {
+        return res.status(400).json({ success: false, message: 'Shop ID is required' });
+    }
+    
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
-        
-        // Test orders table
-        const { data: ordersData, error: ordersError } = await serviceClient
-            .from('orders')
-            .select('count')
-            .limit(1);
-            
-        // Test users table
-        const { data: usersData, error: usersError } = await serviceClient
-            .from('users')
-            .select('count')
-            .limit(1);
-            
-        const result = {
-            orders: {
-                accessible: !ordersError,
-                error: ordersError?.message || null,
-                count: ordersData?.length || 0
-            },
-            users: {
-                accessible: !usersError,
-                error: usersError?.message || null,
-                count: usersData?.length || 0
+        const result = await transitionOrder({
+            orderId,
+            to: 'delivered',
+            actor: actorFromUser(req.user),
+            reason: 'ETA elapsed',
+            guard: order => {
+                if (order.shop_id !== shopId) {
+                    return { httpStatus: 404, message: 'Order not found' };
+                }
+                if (!order.delivery_date || new Date(order.delivery_date).getTime() > Date.now()) {
+                    return { httpStatus: 409, message: 'The delivery countdown has not finished yet' };
+                }
+                return null;
             },
-            timestamp: new Date().toISOString()
-        };
+            conditions: { shop_id: shopId }
+        });
+        
+        if (!result.success) {
+            return sendTransitionFailure(res, result);
+        }
         
-        logger.info('🔍 Database test result:', result);
-        res.json(result);
+        logger.info('✅ API: Order completed after ETA', { shopId, orderId });
+        res.json({ success: true, order: result.order });
     } catch (error) {
-        logger.error('❌ Database test error:', error);
-        res.status(500).json({ 
-            error: error.message, 
-            timestamp: new Date().toISOString() 
-        });
+        logger.error('❌ Error in shop order completion API:', error);
+        res.status(500).json({ success: false, message: 'Server error: ' + error.message });
     }
 });
 
-// List all drivers with their IDs
-app.get('/api/list-drivers', async (req, res) => {
+// Shop products - the catalog the order form picks line items from
+app.get('/api/shop/products', async (req, res) => {
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
+    
+    if (!shopId) {
+        return res.status(400).json({ success: false, message: 'Shop ID is required' });
+    }
+    
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
-        
-        // Get all drivers
-        const { data: allDrivers, error: driversError } = await serviceClient
-            .from('users')
+        let query = supabaseAdmin
+            .from('products')
             .select('*')
-            .eq('role', 'driver')
-            .eq('status', 'active');
-            
-        const result = {
-            totalDrivers: allDrivers?.length || 0,
-            driversError: driversError?.message || null,
-            drivers: allDrivers?.map(d => ({
-                id: d.id,
-                user_id: d.user_id,
-                full_name: d.full_name,
-                username: d.username,
-                phone: d.phone
-            })) || []
-        };
+            .eq('shop_id', shopId)
+            .order('name', { ascending: true });
+        
+        // The order form only offers what the shop still sells
+        if (req.query.active === 'true') {
+            query = query.eq('active', true);
+        }
+        
+        const { data, error } = await query;
+        
+        if (error) {
+            logger.error('❌ Error fetching products:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+        }
         
-        logger.info('🔍 List drivers result:', result);
-        res.json(result);
+        res.json({ success: true, products: data || [] });
     } catch (error) {
-        logger.error('❌ List drivers error:', error);
-        res.status(500).json({ 
-            error: error.message, 
-            timestamp: new Date().toISOString() 
-        });
+        logger.error('❌ Error in products API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-// Simple endpoint to check if there are any orders at all
-app.get('/api/check-orders', async (req, res) => {
+app.post('/api/shop/products', async (req, res) => {
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
+    
+    if (!shopId) {
+        return res.status(400).json({ success: false, message: 'Shop ID is required' });
+    }
+    
+    const { product, errors } = validateProduct(req.body);
+    if (errors) {
+        return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+    }
+    
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
+        const now = new Date().toISOString();
+        const { data, error } = await supabaseAdmin
+            .from('products')
+            .insert([{ active: true, ...product, shop_id: shopId, created_at: now, updated_at: now }])
+            .select()
+            .single();
         
-        // Get all orders
-        const { data: allOrders, error: allError } = await serviceClient
-            .from('orders')
-            .select('*')
-            .order('order_date', { ascending: false })
-            .limit(10);
-            
-        // Get all drivers
-        const { data: allDrivers, error: driversError } = await serviceClient
-            .from('users')
-            .select('*')
-            .eq('role', 'driver')
-            .eq('status', 'active');
-            
-        const result = {
-            totalOrders: allOrders?.length || 0,
-            totalDrivers: allDrivers?.length || 0,
-            ordersError: allError?.message || null,
-            driversError: driversError?.message || null,
-            sampleOrders: allOrders?.slice(0, 5).map(o => ({
-                id: o.id,
-                order_id: o.order_id,
-                driver_id: o.driver_id,
-                order_date: o.order_date,
-                customer_name: o.customer_name
-            })) || [],
-            sampleDrivers: allDrivers?.slice(0, 5).map(d => ({
-                id: d.id,
-                user_id: d.user_id,
-                full_name: d.full_name,
-                username: d.username
-            })) || []
-        };
+        if (error) {
+            logger.error('❌ Error creating product:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+        }
         
-        logger.info('🔍 Check orders result:', result);
-        res.json(result);
+        logger.info('✅ API: Product created', { shopId, productId: data.id });
+        res.json({ success: true, product: data });
     } catch (error) {
-        logger.error('❌ Check orders error:', error);
-        res.status(500).json({ 
-            error: error.message, 
-            timestamp: new Date().toISOString() 
-        });
+        logger.error('❌ Error in product create API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-// Test endpoint to debug order fetching
-app.get('/api/test-order-fetch', async (req, res) => {
+app.patch('/api/shop/products/:id', async (req, res) => {
+    const { id } = req.params;
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
+    
+    if (!shopId) {
+        return res.status(400).json({ success: false, message: 'Shop ID is required' });
+    }
+    
+    const { product, errors } = validateProduct(req.body, { partial: true });
+    if (errors) {
+        return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+    }
+    if (Object.keys(product).length === 0) {
+        return res.status(400).json({ success: false, message: 'Nothing to update' });
+    }
+    
     try {
-        const { driverId, date } = req.query;
+        // Orders keep the name and price they were placed with, so edits
+        // only affect new orders
+        const { data, error } = await supabaseAdmin
+            .from('products')
+            .update({ ...product, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .eq('shop_id', shopId)
+            .select();
         
-        if (!driverId || !date) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Driver ID and date are required',
-                example: '/api/test-order-fetch?driverId=5&date=2025-01-15'
-            });
+        if (error) {
+            logger.error('❌ Error updating product:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
         }
         
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
-        
-        // First, resolve the driver ID to get the correct UUID
-        let actualDriverId = driverId;
-        
-        // Try to find the driver by ID or user_id
-        const { data: driverData, error: driverError } = await serviceClient
-            .from('users')
-            .select('id, user_id')
-            .eq('role', 'driver')
-            .eq('status', 'active')
-            .or(`id.eq.${driverId},user_id.eq.${driverId}`);
-        
-        if (!driverError && driverData && driverData.length > 0) {
-            // Use the UUID (user_id) instead of the numeric ID
-            actualDriverId = driverData[0].user_id || driverData[0].id || driverId;
-            logger.info('✅ Found driver in users table for test:', { originalId: driverId, actualId: actualDriverId });
-        } else {
-            // If not found by ID, try to find by the driver's name or other fields
-            logger.info('🔍 Driver not found by ID for test, trying to find by name or other criteria');
-            
-            // Get all active drivers to see what's available
-            const { data: allDrivers, error: allDriversError } = await serviceClient
-                .from('users')
-                .select('id, user_id, full_name, username')
-                .eq('role', 'driver')
-                .eq('status', 'active');
-                
-            if (!allDriversError && allDrivers && allDrivers.length > 0) {
-                logger.info('📋 Available drivers for test:', allDrivers.map(d => ({ id: d.id, user_id: d.user_id, name: d.full_name || d.username })));
-                
-                // Use the UUID (user_id) as fallback, not the numeric ID
-                actualDriverId = allDrivers[0].user_id || allDrivers[0].id;
-                logger.info('🔄 Using first available driver UUID as fallback for test:', { fallbackId: actualDriverId });
-            }
+        if (!data || data.length === 0) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
         }
         
-        // Test 1: Get all orders for this driver
-        const { data: allDriverOrders, error: allError } = await serviceClient
-            .from('orders')
-            .select('*')
-            .eq('driver_id', actualDriverId)
-            .order('order_date', { ascending: false });
-            
-        // Test 2: Get all orders for this date
-        const { data: allDateOrders, error: dateError } = await serviceClient
-            .from('orders')
-            .select('*')
-            .gte('order_date', date + 'T00:00:00')
-            .lt('order_date', date + 'T23:59:59.999')
-            .order('order_date', { ascending: false });
-            
-        // Test 3: Get orders for this driver and date
-        const { data: specificOrders, error: specificError } = await serviceClient
-            .from('orders')
-            .select('*')
-            .eq('driver_id', actualDriverId)
-            .gte('order_date', date + 'T00:00:00')
-            .lt('order_date', date + 'T23:59:59.999')
-            .order('order_date', { ascending: false });
-            
-        const result = {
-            driverId,
-            actualDriverId,
-            date,
-            allDriverOrders: allDriverOrders?.length || 0,
-            allDateOrders: allDateOrders?.length || 0,
-            specificOrders: specificOrders?.length || 0,
-            errors: {
-                allDriver: allError?.message || null,
-                allDate: dateError?.message || null,
-                specific: specificError?.message || null
-            },
-            sampleDriverOrders: allDriverOrders?.slice(0, 3).map(o => ({
-                id: o.id,
-                driver_id: o.driver_id,
-                order_date: o.order_date,
-                order_date_string: o.order_date ? o.order_date.split('T')[0] : null
-            })) || [],
-            sampleDateOrders: allDateOrders?.slice(0, 3).map(o => ({
-                id: o.id,
-                driver_id: o.driver_id,
-                order_date: o.order_date,
-                order_date_string: o.order_date ? o.order_date.split('T')[0] : null
-            })) || []
-        };
-        
-        logger.info('🔍 Test order fetch result:', result);
-        res.json(result);
+        logger.info('✅ API: Product updated', { shopId, productId: id, fields: Object.keys(product) });
+        res.json({ success: true, product: data[0] });
     } catch (error) {
-        logger.error('❌ Test order fetch error:', error);
-        res.status(500).json({ 
-            error: error.message, 
-            timestamp: new Date().toISOString() 
-        });
+        logger.error('❌ Error in product update API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-// Get driver orders for a specific date
-app.get('/api/driver-orders', async (req, res) => {
+app.delete('/api/shop/products/:id', async (req, res) => {
+    const { id } = req.params;
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
+    
+    if (!shopId) {
+        return res.status(400).json({ success: false, message: 'Shop ID is required' });
+    }
+    
     try {
-        const { driverId, date } = req.query;
-        
-        if (!driverId || !date) {
-            return res.status(400).json({ success: false, message: 'Driver ID and date are required' });
-        }
-        
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
-        
-        // Parse the date to get start and end of day - try multiple approaches
-        const selectedDate = new Date(date + 'T00:00:00.000Z');
-        const startOfDay = new Date(selectedDate);
-        startOfDay.setUTCHours(0, 0, 0, 0);
-        const endOfDay = new Date(selectedDate);
-        endOfDay.setUTCHours(23, 59, 59, 999);
-        
-        // Also create date range using just the date string (YYYY-MM-DD)
-        const dateOnly = date; // e.g., "2025-01-15"
-        const nextDate = new Date(selectedDate);
-        nextDate.setUTCDate(nextDate.getUTCDate() + 1);
-        const nextDateString = nextDate.toISOString().split('T')[0]; // e.g., "2025-01-16"
-        
-        logger.info('🔍 Searching for orders with driver_id:', { driverId, date, startOfDay: startOfDay.toISOString(), endOfDay: endOfDay.toISOString() });
-        
-        // First, try to find the driver in the users table to get the correct ID format
-        let actualDriverId = driverId;
-        
-        // Try to find the driver by ID or user_id
-        const { data: driverData, error: driverError } = await serviceClient
-            .from('users')
-            .select('id, user_id')
-            .eq('role', 'driver')
-            .eq('status', 'active')
-            .or(`id.eq.${driverId},user_id.eq.${driverId}`);
-        
-        if (!driverError && driverData && driverData.length > 0) {
-            // Use the UUID (user_id) instead of the numeric ID
-            actualDriverId = driverData[0].user_id || driverData[0].id || driverId;
-            logger.info('✅ Found driver in users table:', { originalId: driverId, actualId: actualDriverId });
-        } else {
-            // If not found by ID, try to find by the driver's name or other fields
-            logger.info('🔍 Driver not found by ID, trying to find by name or other criteria');
-            
-            // Get all active drivers to see what's available
-            const { data: allDrivers, error: allDriversError } = await serviceClient
-                .from('users')
-                .select('id, user_id, full_name, username')
-                .eq('role', 'driver')
-                .eq('status', 'active');
-                
-            if (!allDriversError && allDrivers && allDrivers.length > 0) {
-                logger.info('📋 Available drivers:', allDrivers.map(d => ({ id: d.id, user_id: d.user_id, name: d.full_name || d.username })));
-                
-                // Use the UUID (user_id) as fallback, not the numeric ID
-                actualDriverId = allDrivers[0].user_id || allDrivers[0].id;
-                logger.info('🔄 Using first available driver UUID as fallback:', { fallbackId: actualDriverId });
-            }
-        }
-        
-        // Fetch orders for the driver on the specific date
-        let { data, error } = await serviceClient
-            .from('orders')
-            .select('*')
-            .eq('driver_id', actualDriverId)
-            .gte('order_date', startOfDay.toISOString())
-            .lt('order_date', endOfDay.toISOString())
-            .order('order_date', { ascending: false });
-            
-        // If no data found, try with a more flexible date range (same day in local timezone)
-        if ((!data || data.length === 0) && !error) {
-            logger.info('🔍 No orders found with UTC date range, trying local date range');
-            
-            // Create date range for the same day in local timezone
-            const localStartOfDay = new Date(date + 'T00:00:00');
-            const localEndOfDay = new Date(date + 'T23:59:59.999');
-            
-            const { data: localData, error: localError } = await serviceClient
-                .from('orders')
-                .select('*')
-                .eq('driver_id', actualDriverId)
-                .gte('order_date', localStartOfDay.toISOString())
-                .lt('order_date', localEndOfDay.toISOString())
-                .order('order_date', { ascending: false });
-                
-            logger.info('🔍 Local date range query result:', { 
-                driverId: actualDriverId, 
-                dataCount: localData?.length || 0, 
-                error: localError?.message || null,
-                dateRange: {
-                    start: localStartOfDay.toISOString(),
-                    end: localEndOfDay.toISOString(),
-                    selectedDate: date
-                }
-            });
-            
-            if (!localError && localData && localData.length > 0) {
-                data = localData;
-                error = null;
-                logger.info('✅ Found orders with local date range:', { count: data.length });
-            }
-        }
-            
-        logger.info('🔍 First query result:', { 
-            driverId: actualDriverId, 
-            dataCount: data?.length || 0, 
-            error: error?.message || null,
-            dateRange: {
-                start: startOfDay.toISOString(),
-                end: endOfDay.toISOString(),
-                selectedDate: date
-            }
-        });
-            
-        // If no data found, try with the original driverId as string
-        if ((!data || data.length === 0) && !error) {
-            logger.info('🔍 No orders found with actual ID, trying with original ID as string');
-            const { data: stringData, error: stringError } = await serviceClient
-                .from('orders')
-                .select('*')
-                .eq('driver_id', String(driverId))
-                .gte('order_date', startOfDay.toISOString())
-                .lt('order_date', endOfDay.toISOString())
-                .order('order_date', { ascending: false });
-                
-            logger.info('🔍 String ID query result:', { 
-                driverId: String(driverId), 
-                dataCount: stringData?.length || 0, 
-                error: stringError?.message || null 
-            });
-                
-            if (!stringError && stringData && stringData.length > 0) {
-                data = stringData;
-                error = null;
-                logger.info('✅ Found orders with string ID:', { count: data.length });
-            }
-        }
+        const { data, error } = await supabaseAdmin
+            .from('products')
+            .delete()
+            .eq('id', id)
+            .eq('shop_id', shopId)
+            .select('id');
         
-        // If still no data, try with string ID and local date range
-        if ((!data || data.length === 0) && !error) {
-            logger.info('🔍 No orders found with string ID and UTC range, trying local date range');
-            
-            const localStartOfDay = new Date(date + 'T00:00:00');
-            const localEndOfDay = new Date(date + 'T23:59:59.999');
-            
-            const { data: stringLocalData, error: stringLocalError } = await serviceClient
-                .from('orders')
-                .select('*')
-                .eq('driver_id', String(driverId))
-                .gte('order_date', localStartOfDay.toISOString())
-                .lt('order_date', localEndOfDay.toISOString())
-                .order('order_date', { ascending: false });
-                
-            logger.info('🔍 String ID with local date range result:', { 
-                driverId: String(driverId), 
-                dataCount: stringLocalData?.length || 0, 
-                error: stringLocalError?.message || null 
-            });
-                
-            if (!stringLocalError && stringLocalData && stringLocalData.length > 0) {
-                data = stringLocalData;
-                error = null;
-                logger.info('✅ Found orders with string ID and local date range:', { count: data.length });
-            }
+        if (error) {
+            logger.error('❌ Error deleting product:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
         }
         
-        // If still no data, try with string date filtering (YYYY-MM-DD format)
-        if ((!data || data.length === 0) && !error) {
-            logger.info('🔍 No orders found with time-based ranges, trying string date filtering');
-            
-            // Get all orders for the driver and filter by date string
-            const { data: allDriverOrders, error: allOrdersError } = await serviceClient
-                .from('orders')
-                .select('*')
-                .eq('driver_id', actualDriverId)
-                .order('order_date', { ascending: false });
-                
-            if (!allOrdersError && allDriverOrders && allDriverOrders.length > 0) {
-                // Filter orders by date string (YYYY-MM-DD)
-                const filteredOrders = allDriverOrders.filter(order => {
-                    if (!order.order_date) return false;
-                    const orderDateString = order.order_date.split('T')[0]; // Get YYYY-MM-DD part
-                    return orderDateString === date;
-                });
-                
-                logger.info('🔍 String date filtering result:', { 
-                    totalDriverOrders: allDriverOrders.length,
-                    filteredOrders: filteredOrders.length,
-                    selectedDate: date,
-                    sampleOrderDates: allDriverOrders.slice(0, 3).map(o => o.order_date?.split('T')[0])
-                });
-                
-                if (filteredOrders.length > 0) {
-                    data = filteredOrders;
-                    error = null;
-                    logger.info('✅ Found orders with string date filtering:', { count: data.length });
-                }
-            }
+        if (!data || data.length === 0) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
         }
         
-        // If still no data, try with string ID and string date filtering
-        if ((!data || data.length === 0) && !error) {
-            logger.info('🔍 No orders found with actual ID, trying string ID with string date filtering');
-            
-            // Get all orders for the driver using string ID and filter by date string
-            const { data: allDriverOrders, error: allOrdersError } = await serviceClient
-                .from('orders')
-                .select('*')
-                .eq('driver_id', String(driverId))
-                .order('order_date', { ascending: false });
-                
-            if (!allOrdersError && allDriverOrders && allDriverOrders.length > 0) {
-                // Filter orders by date string (YYYY-MM-DD)
-                const filteredOrders = allDriverOrders.filter(order => {
-                    if (!order.order_date) return false;
-                    const orderDateString = order.order_date.split('T')[0]; // Get YYYY-MM-DD part
-                    return orderDateString === date;
-                });
-                
-                logger.info('🔍 String ID with string date filtering result:', { 
-                    totalDriverOrders: allDriverOrders.length,
-                    filteredOrders: filteredOrders.length,
-                    selectedDate: date,
-                    sampleOrderDates: allDriverOrders.slice(0, 3).map(o => o.order_date?.split('T')[0])
-                });
-                
-                if (filteredOrders.length > 0) {
-                    data = filteredOrders;
-                    error = null;
-                    logger.info('✅ Found orders with string ID and string date filtering:', { count: data.length });
-                }
-            }
-        }
+        logger.info('✅ API: Product deleted', { shopId, productId: id });
+        res.json({ success: true, message: 'Product deleted' });
+    } catch (error) {
+        logger.error('❌ Error in product delete API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Shop customers API
+// Customers are keyed by phone number within a shop. Creating an order saves the
+// customer and its address (see rememberCustomer); these routes read them back.
+
+// Suggestions while the shop types a phone number in the order form
+app.get('/api/shop/customers', async (req, res) => {
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
+    
+    if (!shopId) {
+        return res.status(400).json({ success: false, message: 'Shop ID is required' });
+    }
+    
+    const prefix = lookupPrefix(req.query.phone);
+    if (!prefix) {
+        return res.json({ success: true, customers: [] });
+    }
+    
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('customers')
+            .select('phone, name, addresses, last_order_at')
+            .eq('shop_id', shopId)
+            .like('phone', `${prefix}%`)
+            .order('last_order_at', { ascending: false })
+            .limit(8);
         
-        // If still no data, try without date filtering to see if there are any orders for this driver
-        if ((!data || data.length === 0) && !error) {
-            logger.info('🔍 No orders found with date filter, checking if driver has any orders at all');
-            const { data: allDriverOrders, error: allOrdersError } = await serviceClient
-                .from('orders')
-                .select('*')
-                .eq('driver_id', actualDriverId)
-                .order('order_date', { ascending: false });
-                
-            if (!allOrdersError && allDriverOrders && allDriverOrders.length > 0) {
-                logger.info('✅ Driver has orders but none for the selected date:', { 
-                    totalOrders: allDriverOrders.length, 
-                    selectedDate: date,
-                    sampleOrderDates: allDriverOrders.slice(0, 3).map(o => o.order_date)
-                });
-                
-                // Don't return orders if they don't match the selected date
-                // Only return empty array to show "No Available Orders"
-                logger.info('❌ No orders found for the selected date, returning empty array');
-                data = [];
-                error = null;
-            } else {
-                logger.info('❌ Driver has no orders at all');
-            }
+        if (error) {
+            logger.error('❌ Error looking up customers:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
         }
         
-        // If still no data, try to get all orders for the date (without driver filter) to see if there are any orders at all
-        if ((!data || data.length === 0) && !error) {
-            logger.info('🔍 No orders found for driver, checking if there are any orders for this date at all');
-            const { data: allDateOrders, error: allDateError } = await serviceClient
-                .from('orders')
+        res.json({ success: true, customers: data || [] });
+    } catch (error) {
+        logger.error('❌ Error in customer lookup API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// One customer with their orders at this shop and the totals over them
+app.get('/api/shop/customers/:phone', async (req, res) => {
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
+    
+    if (!shopId) {
+        return res.status(400).json({ success: false, message: 'Shop ID is required' });
+    }
+    
+    const phone = normalizePhone(req.params.phone);
+    if (!phone) {
+        return res.status(400).json({ success: false, message: 'Phone number must be exactly 10 digits' });
+    }
+    
+    try {
+        const [customerResult, ordersResult] = await Promise.all([
+            supabaseAdmin
+                .from('customers')
                 .select('*')
-                .gte('order_date', startOfDay.toISOString())
-                .lt('order_date', endOfDay.toISOString())
-                .order('order_date', { ascending: false });
-                
-            if (!allDateError && allDateOrders && allDateOrders.length > 0) {
-                logger.info('✅ There are orders for this date but not for this driver:', { 
-                    totalOrders: allDateOrders.length, 
-                    selectedDate: date,
-                    sampleOrderDates: allDateOrders.slice(0, 3).map(o => o.order_date),
-                    sampleDriverIds: allDateOrders.slice(0, 3).map(o => o.driver_id)
-                });
-            } else {
-                logger.info('❌ No orders exist for this date at all');
-            }
+                .eq('shop_id', shopId)
+                .eq('phone', phone)
+                .maybeSingle(),
+            supabaseAdmin
+                .from('orders')
+                .select('id, order_id, status, amount, payment_method, delivery_address, product_name, created_at, delivery_date')
+                .eq('shop_id', shopId)
+                .eq('customer_phone', phone)
+                .is('deleted_at', null)
+                .order('created_at', { ascending: false })
+        ]);
+        
+        const error = customerResult.error || ordersResult.error;
+        if (error) {
+            logger.error('❌ Error fetching customer:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
         }
         
-        // Debug: Check all orders in database to see their driver_id values
-        if ((!data || data.length === 0) && !error) {
-            logger.info('🔍 Debug: Checking all orders in database to see driver_id values');
-            const { data: allOrders, error: allOrdersError } = await serviceClient
-                .from('orders')
-                .select('id, order_id, driver_id, order_date, customer_name')
-                .order('order_date', { ascending: false })
-                .limit(10);
-                
-            if (!allOrdersError && allOrders) {
-                logger.info('📋 Sample orders in database:', allOrders.map(o => ({
-                    id: o.id,
-                    order_id: o.order_id,
-                    driver_id: o.driver_id,
-                    order_date: o.order_date,
-                    order_date_string: o.order_date ? o.order_date.split('T')[0] : null,
-                    customer_name: o.customer_name
-                })));
-            }
+        const orders = ordersResult.data || [];
+        if (!customerResult.data && orders.length === 0) {
+            return res.status(404).json({ success: false, message: 'Customer not found' });
         }
         
+        // Customers from before records were kept only have their orders
+        const customer = customerResult.data || {
+            phone,
+            name: null,
+            addresses: orders.reduceRight((saved, order) => rememberAddress(saved, order.delivery_address), [])
+        };
+        
+        res.json({ success: true, customer, orders, totals: customerTotals(orders) });
+    } catch (error) {
+        logger.error('❌ Error in customer details API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+app.patch('/api/shop/customers/:phone', async (req, res) => {
+    const shopId = resolveSubjectId(req, res, req.headers['x-user-id']);
+    if (res.headersSent) return;
+    
+    if (!shopId) {
+        return res.status(400).json({ success: false, message: 'Shop ID is required' });
+    }
+    
+    const phone = normalizePhone(req.params.phone);
+    if (!phone) {
+        return res.status(400).json({ success: false, message: 'Phone number must be exactly 10 digits' });
+    }
+    
+    const { changes, errors } = validateCustomerUpdate(req.body);
+    if (errors) {
+        return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ success: false, message: 'Nothing to update' });
+    }
+    
+    try {
+        const now = new Date().toISOString();
+        const { data, error } = await supabaseAdmin
+            .from('customers')
+            .upsert({ shop_id: shopId, phone, ...changes, updated_at: now }, { onConflict: 'shop_id,phone' })
+            .select();
+        
         if (error) {
-            logger.error('❌ Error fetching driver orders:', error);
-            
-            // Return empty array with a special flag for no orders
-            res.json({ 
-                success: true, 
-                orders: [], 
-                message: 'Error fetching orders from database',
-                noOrders: true 
-            });
-        } else if (!data || data.length === 0) {
-            logger.info('📋 API: No orders found for driver on date', { driverId, date });
-            
-            // Return empty array with a special flag for no orders
-            res.json({ 
-                success: true, 
-                orders: [], 
-                message: 'No orders found for this date',
-                noOrders: true 
-            });
-        } else {
-            logger.info('📋 API: Driver orders fetched from database', { driverId, date, count: data.length });
-            res.json({ success: true, orders: data });
+            logger.error('❌ Error updating customer:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
         }
-    } catch (error) {
-        logger.error('❌ Error in driver orders API:', error);
         
-        // Return empty array with a special flag for no orders
-        res.json({ 
-            success: true, 
-            orders: [], 
-            message: 'Error loading orders. Please try again.',
-            noOrders: true 
-        });
+        logger.info('✅ API: Customer updated', { shopId, fields: Object.keys(changes) });
+        res.json({ success: true, customer: data[0] });
+    } catch (error) {
+        logger.error('❌ Error in customer update API:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        connectedClients: {
+            drivers: clients.drivers.size,
+            shops: clients.shops.size,
+            admin: clients.admin.size,
+            total: clients.drivers.size + clients.shops.size + clients.admin.size
+        },
+        uptime: process.uptime()
+    });
+});
+
+// Start server
+const PORT = process.env.PORT || 3000;
+server.listen(PORT, async () => {
+    logger.info('🚀 Team Delivery Server started successfully!', {
+        environment: process.env.NODE_ENV || 'development',
+        port: PORT,
+        service: 'team-delivery-server',
+        timestamp: new Date().toISOString()
+    });
+    
+    console.log('\n🎉 Team Delivery App is running!');
+    console.log(`📱 Login page: http://localhost:${PORT}/LoginPage/`);
+    console.log(`👨‍💼 Admin dashboard: http://localhost:${PORT}/AdminPage/`);
+    console.log(`🚚 Driver app: http://localhost:${PORT}/DriverPage/`);
+    console.log(`🏪 Shop app: http://localhost:${PORT}/ShopPage/`);
+    console.log(`🔌 WebSocket endpoint: ws://localhost:${PORT}`);
+    console.log(`📊 API endpoint: http://localhost:${PORT}/api/dashboard`);
+    console.log(`💚 Health check: http://localhost:${PORT}/health`);
+    console.log('\n📝 Logs are being written to logs/ directory');
+    console.log('🔄 Real-time updates are active\n');
+    
+    if (usingEphemeralSecret) {
+        logger.warn('⚠️ SESSION_SECRET is not set; using a random secret, sessions will not survive a restart');
     }
+    
+    // Initialize database tables
+    await initializeDatabase();
+    
+    // Check Supabase connection
+    await checkSupabaseConnection();
+});
+
+// Graceful shutdown
+process.on('SIGTERM', () => {
+    logger.info('🛑 Received SIGTERM, shutting down gracefully...');
+    server.close(() => {
+        logger.info('✅ Server closed');
+        process.exit(0);
+    });
 });
 
-// Insert sample orders for testing (only for development)
-app.post('/api/insert-sample-orders', async (req, res) => {
+process.on('SIGINT', () => {
+    logger.info('🛑 Received SIGINT, shutting down gracefully...');
+    server.close(() => {
+        logger.info('✅ Server closed');
+        process.exit(0);
+    });
+}); 
+
+// Transfer Management API Endpoints
+
+// Get all drivers
+app.get('/api/drivers', async (req, res) => {
     try {
         const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
         
-        // Get today's date
-        const today = new Date();
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        
-        // First, get a real driver ID from the database
-        const { data: drivers, error: driversError } = await serviceClient
+        // Fetch drivers from users table where role is 'driver'
+        const { data, error } = await serviceClient
             .from('users')
-            .select('id, user_id')
+            .select('*')
             .eq('role', 'driver')
             .eq('status', 'active')
-            .limit(2);
-            
-        if (driversError || !drivers || drivers.length === 0) {
-            logger.error('❌ No drivers found in database');
-            return res.status(400).json({ success: false, message: 'No drivers found in database' });
-        }
-        
-        const driverId1 = drivers[0].user_id || drivers[0].id;
-        const driverId2 = drivers.length > 1 ? (drivers[1].user_id || drivers[1].id) : driverId1;
-        
-        logger.info('✅ Using driver IDs for sample orders:', { driverId1, driverId2 });
-        
-        // Sample orders for testing
-        const sampleOrders = [
-            {
-                order_id: 'ORD-001',
-                customer_name: 'John Doe',
-                customer_phone: '1234567890',
-                product_name: 'Pizza',
-                amount: 25.50,
-                status: 'pending',
-                order_date: today.toISOString(),
-                delivery_date: tomorrow.toISOString(),
-                driver_id: driverId1,
-                delivery_address: '123 Main St, City, State',
-                payment_method: 'cash'
-            },
-            {
-                order_id: 'ORD-002',
-                customer_name: 'Jane Smith',
-                customer_phone: '0987654321',
-                product_name: 'Burger',
-                amount: 18.75,
-                status: 'delivered',
-                order_date: today.toISOString(),
-                delivery_date: today.toISOString(),
-                driver_id: driverId1,
-                delivery_address: '456 Oak Ave, City, State',
-                payment_method: 'card'
-            },
-            {
-                order_id: 'ORD-003',
-                customer_name: 'Mike Johnson',
-                customer_phone: '5551234567',
-                product_name: 'Sushi',
-                amount: 32.00,
-                status: 'processing',
-                order_date: today.toISOString(),
-                delivery_date: tomorrow.toISOString(),
-                driver_id: driverId2,
-                delivery_address: '789 Pine Rd, City, State',
-                payment_method: 'cash'
-            }
-        ];
+            .order('created_at', { ascending: false });
         
-        const { data, error } = await serviceClient
-            .from('orders')
-            .insert(sampleOrders)
-            .select();
-            
         if (error) {
-            logger.error('❌ Error inserting sample orders:', error);
-            res.status(500).json({ success: false, message: 'Failed to insert sample orders', error: error.message });
+            logger.error('❌ Error fetching drivers:', error);
+            sendDegraded(res, { key: 'drivers', message: 'Drivers are unavailable right now', error });
         } else {
-            logger.info('✅ Sample orders inserted successfully:', { count: data.length });
-            res.json({ success: true, message: 'Sample orders inserted successfully', orders: data });
+            // Transform data to match expected format
+            const drivers = data.map(driver => ({
+                id: driver.user_id || driver.id, // Prefer UUID for cross-table consistency
+                name: driver.full_name,
+                role: 'Driver',
+                phone: driver.phone || 'No phone',
+                status: driver.status === 'active' ? 'Active' : 'Inactive',
+                totalOrders: 0, // Will be calculated separately
+                completedOrders: 0, // Will be calculated separately
+                pendingOrders: 0, // Will be calculated separately
+                earnings: 0 // Will be calculated separately
+            }));
+            
+            lastKnownGood.remember('drivers', { drivers });
+            logger.info('📋 API: Drivers fetched from database', { count: drivers.length });
+            res.json({ success: true, drivers: drivers });
+        }
+    } catch (error) {
+        logger.error('❌ Error in drivers API:', error);
+        sendDegraded(res, { key: 'drivers', message: 'Drivers are unavailable right now', error });
+    }
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Troubleshooting views of orders, drivers and accounts (lib/diagnostics.js)
+app.use('/api/diagnostics', createDiagnosticsRouter({ supabaseAdmin, logger }));
+
+// A driver's orders, a page at a time. `date` (YYYY-MM-DD) is short for
+// from=date&to=date; the other filters are as in lib/order-listing.js.
+app.get('/api/driver-orders', async (req, res) => {
+    const driverId = resolveSubjectId(req, res, req.query.driverId);
+    if (res.headersSent) return;
+    
+    if (!driverId) {
+        return res.status(400).json({ success: false, message: 'Driver ID is required' });
+    }
+    
+    const { date, ...query } = req.query;
+    const { listing, errors } = parseOrderListing({
+        ...query,
+        driverId: undefined,
+        from: query.from || date,
+        to: query.to || date
+    });
+    if (errors) {
+        return sendListingErrors(res, errors);
+    }
+    
+    try {
+        // Orders carry the driver's UUID; admin screens may still pass the numeric users.id
+        let actualDriverId = String(driverId);
+        if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(actualDriverId)) {
+            const { data: driver, error: driverError } = await supabaseAdmin
+                .from('users')
+                .select('user_id')
+                .eq('role', 'driver')
+                .eq('id', actualDriverId)
+                .maybeSingle();
+            
+            if (driverError) {
+                throw new Error(driverError.message);
+            }
+            if (!driver || !driver.user_id) {
+                return res.status(404).json({ success: false, message: 'Driver not found' });
+            }
+            actualDriverId = driver.user_id;
         }
+        
+        const page = await orderListing.loadOrderPage(listing, { driverId: actualDriverId });
+        
+        logger.info('📋 API: Driver orders fetched from database', { driverId: actualDriverId, count: page.orders.length, total: page.total });
+        res.json({ success: true, ...page });
     } catch (error) {
-        logger.error('❌ Error in insert sample orders API:', error);
-        res.status(500).json({ success: false, message: 'Error inserting sample orders' });
+        logger.error('❌ Error in driver orders API:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
     }
 });
 
 // Get driver statistics
 app.get('/api/driver-stats', async (req, res) => {
     try {
-        const { driverId } = req.query;
+        const driverId = resolveSubjectId(req, res, req.query.driverId);
+        if (res.headersSent) return;
         
         if (!driverId) {
             return res.status(400).json({ success: false, message: 'Driver ID is required' });
         }
         
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
-        
-        // First, try to find the driver in the users table to get the correct ID format
-        let actualDriverId = driverId;
-        
-        // Try to find the driver by ID or user_id
-        const { data: driverData, error: driverError } = await serviceClient
-            .from('users')
-            .select('id, user_id')
-            .eq('role', 'driver')
-            .eq('status', 'active')
-            .or(`id.eq.${driverId},user_id.eq.${driverId}`);
+        const driver = validateDriverId(driverId);
+        if (driver.error) {
+            return res.status(400).json({ success: false, message: driver.error });
+        }
         
-        if (!driverError && driverData && driverData.length > 0) {
-            // Use the UUID (user_id) instead of the numeric ID
-            actualDriverId = driverData[0].user_id || driverData[0].id || driverId;
-            logger.info('✅ Found driver in users table for stats:', { originalId: driverId, actualId: actualDriverId });
-        } else {
-            // If not found by ID, try to find by the driver's name or other fields
-            logger.info('🔍 Driver not found by ID for stats, trying to find by name or other criteria');
-            
-            // Get all active drivers to see what's available
-            const { data: allDrivers, error: allDriversError } = await serviceClient
-                .from('users')
-                .select('id, user_id, full_name, username')
-                .eq('role', 'driver')
-                .eq('status', 'active');
-                
-            if (!allDriversError && allDrivers && allDrivers.length > 0) {
-                logger.info('📋 Available drivers for stats:', allDrivers.map(d => ({ id: d.id, user_id: d.user_id, name: d.full_name || d.username })));
-                
-                // Use the UUID (user_id) as fallback, not the numeric ID
-                actualDriverId = allDrivers[0].user_id || allDrivers[0].id;
-                logger.info('🔄 Using first available driver UUID as fallback for stats:', { fallbackId: actualDriverId });
-            }
+        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
+        
+        // Stats are only ever for the driver asked about; no row means no stats
+        const { data: driverData, error: driverError } = await serviceClient
+            .from('users')
+            .select('user_id')
+            .eq('role', 'driver')
+            .eq('user_id', driver.value)
+            .maybeSingle();
+        
+        if (driverError) {
+            logger.error('❌ Error looking up driver for stats:', driverError);
+            return sendDegraded(res, { key: `driver-stats:${driver.value}`, message: 'Driver stats are unavailable right now', error: driverError });
         }
+        if (!driverData) {
+            return res.status(404).json({ success: false, message: 'Driver not found' });
+        }
+        const actualDriverId = driverData.user_id;
         
         // Fetch driver statistics from the database using the resolved driver ID
         const { data: totalOrders, error: totalError } = await serviceClient
             .from('orders')
             .select('id, status')
-            .eq('driver_id', actualDriverId);
-        
-        logger.info('🔍 Fetching driver stats with resolved ID:', { originalId: driverId, actualId: actualDriverId });
+            .eq('driver_id', actualDriverId)
+            .is('deleted_at', null);
         
         if (totalError) {
             logger.error('❌ Error fetching driver stats:', totalError);
-            
-            // Return mock data
-            const mockStats = {
-                totalOrders: Math.floor(5 + Math.random() * 20),
-                completedOrders: Math.floor(3 + Math.random() * 15)
-            };
-            
-            logger.info('📊 API: Driver stats fetched (mock data)', { driverId, actualDriverId, stats: mockStats });
-            res.json({ success: true, ...mockStats });
+            sendDegraded(res, { key: `driver-stats:${actualDriverId}`, message: 'Driver stats are unavailable right now', error: totalError });
         } else {
             const totalOrdersCount = totalOrders ? totalOrders.length : 0;
             const completedOrdersCount = totalOrders ? totalOrders.filter(order => order.status === 'delivered').length : 0;
+            const returnedOrdersCount = totalOrders ? totalOrders.filter(order => order.status === 'returned').length : 0;
+            
+            // Every failed attempt counts, including ones delivered on a retry
+            const { count: failedDeliveriesCount, error: failedError } = await serviceClient
+                .from('order_events')
+                .select('id', { count: 'exact', head: true })
+                .eq('actor_id', actualDriverId)
+                .eq('to_status', 'failed');
+            
+            if (failedError) {
+                logger.warn('⚠️ Could not count failed deliveries:', failedError.message);
+            }
             
             const stats = {
                 totalOrders: totalOrdersCount,
-                completedOrders: completedOrdersCount
+                completedOrders: completedOrdersCount,
+                failedDeliveries: failedDeliveriesCount || 0,
+                returnedOrders: returnedOrdersCount
             };
             
-            logger.info('📊 API: Driver stats fetched from database', { driverId, actualDriverId, stats });
+            lastKnownGood.remember(`driver-stats:${actualDriverId}`, stats);
+            logger.info('📊 API: Driver stats fetched from database', { driverId: actualDriverId, stats });
             res.json({ success: true, ...stats });
         }
     } catch (error) {
         logger.error('❌ Error in driver stats API:', error);
+        sendDegraded(res, { key: `driver-stats:${req.query.driverId}`, message: 'Driver stats are unavailable right now', error });
+    }
+});
+
+// A driver's earnings today, this week and over the last seven days
+app.get('/api/driver-earnings', async (req, res) => {
+    const driverId = resolveSubjectId(req, res, req.query.driverId);
+    if (res.headersSent) return;
+    
+    if (!driverId) {
+        return res.status(400).json({ success: false, message: 'Driver ID is required' });
+    }
+    
+    try {
+        const { rules } = await driverEarnings.loadRules();
+        const today = localTime(new Date(), rules.timezone).day;
+        const lines = await driverEarnings.loadLines({ driverId, from: summaryStartDay(rules.timezone), to: today, rules });
         
-        // Return mock data as fallback
-        const mockStats = {
-            totalOrders: Math.floor(5 + Math.random() * 20),
-            completedOrders: Math.floor(3 + Math.random() * 15)
-        };
+        logger.info('💰 API: Driver earnings fetched', { driverId, lines: lines.length });
+        res.json({
+            success: true,
+            ...earningsSummary(lines, { timezone: rules.timezone }),
+            lines: lines.slice(0, 20)
+        });
+    } catch (error) {
+        logger.error('❌ Error in driver earnings API:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+    }
+});
+
+// Fee rules the earnings lines are worked out from
+app.get('/api/fee-rules', async (req, res) => {
+    try {
+        const { rules, updatedAt, updatedBy } = await driverEarnings.loadRules();
+        res.json({ success: true, rules, updatedAt, updatedBy });
+    } catch (error) {
+        logger.error('❌ Error in fee rules API:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+    }
+});
+
+// New rules apply to deliveries from now on; lines already recorded keep their amounts
+app.put('/api/fee-rules', async (req, res) => {
+    const { rules, errors } = validateFeeRules(req.body);
+    if (errors) {
+        return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+    }
+    
+    try {
+        await driverEarnings.saveRules(rules, actorFromUser(req.user));
+        logger.info('✅ API: Fee rules updated', { by: req.user.username, baseFee: rules.baseFee, overrides: rules.shopOverrides.length, surcharges: rules.surcharges.length });
+        res.json({ success: true, rules });
+    } catch (error) {
+        logger.error('❌ Error updating fee rules:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+    }
+});
+
+// What each driver earned between two days (YYYY-MM-DD, both included)
+app.get('/api/payouts', async (req, res) => {
+    const day = /^\d{4}-\d{2}-\d{2}$/;
+    const { from, to, driverId } = req.query;
+    if (!day.test(from || '') || !day.test(to || '')) {
+        return res.status(400).json({ success: false, message: 'Choose a date range (YYYY-MM-DD)' });
+    }
+    if (from > to) {
+        return res.status(400).json({ success: false, message: 'The start date must be before the end date' });
+    }
+    
+    try {
+        const { rules } = await driverEarnings.loadRules();
+        const [lines, driversResult] = await Promise.all([
+            driverEarnings.loadLines({ driverId: driverId || null, from, to, rules }),
+            supabaseAdmin
+                .from('users')
+                .select('user_id, full_name, username')
+                .eq('role', 'driver')
+        ]);
+        
+        if (driversResult.error) {
+            logger.warn('⚠️ Failed to load driver names for payouts:', driversResult.error.message);
+        }
+        const driverNames = new Map((driversResult.data || []).map(driver => [driver.user_id, driver.full_name || driver.username]));
+        const drivers = payoutReport(lines).map(row => ({ ...row, driver_name: driverNames.get(row.driver_id) || null }));
+        const total = Math.round(drivers.reduce((sum, row) => sum + row.total, 0) * 100) / 100;
         
-        logger.info('📊 API: Driver stats fetched (mock data fallback)', { driverId: req.query.driverId, stats: mockStats });
-        res.json({ success: true, ...mockStats });
+        logger.info('💰 API: Payout report generated', { from, to, drivers: drivers.length });
+        res.json({ success: true, from, to, drivers, totals: { deliveries: lines.length, total } });
+    } catch (error) {
+        logger.error('❌ Error in payouts API:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
     }
 });
 
@@ -2901,13 +4133,54 @@ app.post('/api/transfer-order', async (req, res) => {
             return res.status(400).json({ success: false, message: 'orderId and toDriverId are required' });
         }
 
+        const toDriver = validateDriverId(toDriverId);
+        if (toDriver.error) {
+            return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors: { toDriverId: toDriver.error } });
+        }
+
         const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
 
-        // Update the order's driver_id only
+        // Orders only go to drivers who can work them, as with an admin correction
+        const { data: driver, error: driverError } = await serviceClient
+            .from('users')
+            .select('user_id')
+            .eq('user_id', toDriver.value)
+            .eq('role', 'driver')
+            .eq('status', 'active')
+            .maybeSingle();
+
+        if (driverError) {
+            logger.error('❌ Error checking driver for transfer:', driverError);
+            return res.status(500).json({ success: false, message: 'Failed to transfer order' });
+        }
+        if (!driver) {
+            return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors: { toDriverId: 'Choose an active driver' } });
+        }
+
+        const { data: current, error: currentError } = await serviceClient
+            .from('orders')
+            .select('status')
+            .eq('id', orderId)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (currentError) {
+            logger.error('❌ Transfer lookup error:', currentError);
+            return res.status(500).json({ success: false, message: 'Failed to transfer order' });
+        }
+
+        // Only orders a driver is still working on can change hands
+        if (current && !TRANSFERABLE_STATUSES.includes(current.status)) {
+            return res.status(409).json({ success: false, message: `A ${current.status} order cannot be transferred`, currentStatus: current.status });
+        }
+
+        // Update the order's driver_id only; the status stays as it was
         const { data: updated, error: updateError } = await serviceClient
             .from('orders')
-            .update({ driver_id: toDriverId, updated_at: new Date().toISOString(), assigned_at: new Date().toISOString() })
+            .update({ driver_id: driver.user_id, updated_at: new Date().toISOString(), assigned_at: new Date().toISOString() })
             .eq('id', orderId)
+            .in('status', TRANSFERABLE_STATUSES)
+            .is('deleted_at', null)
             .select();
 
         if (updateError) {
@@ -2920,20 +4193,19 @@ app.post('/api/transfer-order', async (req, res) => {
             return res.status(404).json({ success: false, message: 'Order not found' });
         }
 
-        // Log action to admin_actions (best-effort)
-        try {
-            await serviceClient
-                .from('admin_actions')
-                .insert({
-                    action_type: 'transfer',
-                    target_id: orderId,
-                    details: { fromDriverId, toDriverId },
-                    created_at: new Date().toISOString()
-                });
-        } catch (logErr) {
-            logger.warn('⚠️ Failed to log admin action for transfer:', logErr?.message || logErr);
-        }
+        await logAdminAction(req.user, 'transfer', orderId, { fromDriverId, toDriverId });
+
+        await recordOrderEvent({
+            orderId,
+            type: 'transferred',
+            from: updated[0].status,
+            to: updated[0].status,
+            actor: actorFromUser(req.user),
+            reason: 'Transferred to another driver',
+            details: { fromDriverId, toDriverId }
+        });
 
+        notifyOverviewChanged(updated[0], updated[0].status);
         logger.info('✅ Order transferred', { orderId, fromDriverId, toDriverId });
         res.json({ success: true, order: updated[0] });
     } catch (error) {
@@ -2942,61 +4214,27 @@ app.post('/api/transfer-order', async (req, res) => {
     }
 });
 
-// Get all orders
+// Orders, a page at a time - filters and cursor as in lib/order-listing.js
 app.get('/api/orders', async (req, res) => {
+    const { listing, errors } = parseOrderListing(req.query);
+    if (errors) {
+        return sendListingErrors(res, errors);
+    }
+    
+    // Only the plain first page is kept - searches, filters and later pages
+    // would add an entry each
+    const key = Object.keys(req.query).length === 0 ? 'orders' : null;
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
-        
-        // Fetch all orders from the database
-        const { data, error } = await serviceClient
-            .from('orders')
-            .select('*')
-            .order('order_date', { ascending: false });
+        const page = await orderListing.loadOrderPage(listing);
         
-        if (error) {
-            logger.error('❌ Error fetching orders:', error);
-            
-            // Fallback to mock data
-            const mockOrders = [];
-            for (let i = 0; i < 10; i++) {
-                mockOrders.push({
-                    id: `mock-order-${i+1}`,
-                    order_id: `ORD-${Math.floor(1000 + Math.random() * 9000)}`,
-                    customer_name: getRandomName(),
-                    driver_name: `Driver ${i+1}`,
-                    amount: (10 + Math.random() * 90).toFixed(2),
-                    status: getRandomOrderStatus(),
-                    order_date: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000).toISOString(),
-                    driver_id: `driver-${i+1}`
-                });
-            }
-            
-            logger.info('📋 API: Orders fetched (mock data fallback)', { count: mockOrders.length });
-            res.json({ success: true, orders: mockOrders });
-        } else {
-            logger.info('📋 API: Orders fetched from database', { count: data.length });
-            res.json({ success: true, orders: data });
+        if (key) {
+            lastKnownGood.remember(key, page);
         }
+        logger.info('📋 API: Orders fetched from database', { count: page.orders.length, total: page.total });
+        res.json({ success: true, ...page });
     } catch (error) {
         logger.error('❌ Error in orders API:', error);
-        
-        // Fallback to mock data
-        const mockOrders = [];
-        for (let i = 0; i < 10; i++) {
-            mockOrders.push({
-                id: `mock-order-${i+1}`,
-                order_id: `ORD-${Math.floor(1000 + Math.random() * 9000)}`,
-                customer_name: getRandomName(),
-                driver_name: `Driver ${i+1}`,
-                amount: (10 + Math.random() * 90).toFixed(2),
-                status: getRandomOrderStatus(),
-                order_date: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000).toISOString(),
-                driver_id: `driver-${i+1}`
-            });
-        }
-        
-        logger.info('📋 API: Orders fetched (mock data fallback after exception)', { count: mockOrders.length });
-        res.json({ success: true, orders: mockOrders });
+        sendDegraded(res, { key, message: 'Orders are unavailable right now', error });
     }
 });
 
@@ -3008,29 +4246,54 @@ app.post('/api/orders', async (req, res) => {
             return res.status(500).json({ success: false, message: 'Server missing service role key' });
         }
         const payload = req.body || {};
-        // Normalize values
-        const driverId = payload.driver_id || (req.headers['x-user-id'] || null);
-        const amountNum = payload.amount === undefined || payload.amount === null || payload.amount === ''
-            ? 0
-            : Number(payload.amount);
-        // Normalize phone: keep only digits; ensure 10 digits for NOT NULL constraint
-        let phone = (payload.customer_phone || '').toString().replace(/\D/g, '').slice(0, 10);
-        if (phone.length !== 10) phone = '0000000000';
+        const driverId = resolveSubjectId(req, res, payload.driver_id || req.headers['x-user-id']);
+        if (res.headersSent) return;
+        
+        // Only admins may record an order as already delivered, or date it
+        const isAdmin = req.user.role === 'admin';
+        const initialStatus = payload.status || 'processing';
+        if (!(isAdmin ? INITIAL_STATUSES : DRIVER_INITIAL_STATUSES).includes(initialStatus)) {
+            return res.status(400).json({ success: false, message: `Orders cannot be created as ${initialStatus}`, errors: { status: `Orders cannot be created as ${initialStatus}` } });
+        }
+        const driverError = describeInitialDriverError(initialStatus, driverId);
+        if (driverError) {
+            return res.status(400).json({ success: false, message: driverError, errors: { driver_id: driverError } });
+        }
+        
+        // Catalog products are priced on the shop's own order route; here the
+        // amount is typed, so it has to pass the cash check
+        if (payload.line_items !== undefined) {
+            const message = 'Products can only be picked when the shop creates the order';
+            return res.status(400).json({ success: false, message, errors: { line_items: message } });
+        }
+        
+        const { order: fields, errors } = validateNewOrder(payload);
+        if (errors) {
+            return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+        }
+        
+        const categoryFailure = await checkOrderCategory(fields.category_id);
+        if (categoryFailure) {
+            return res.status(categoryFailure.httpStatus).json({ success: false, message: categoryFailure.message, errors: { category_id: categoryFailure.message } });
+        }
+        
         const insertPayload = {
             order_id: payload.order_id || `DRV-${Date.now()}`,
-            customer_name: payload.customer_name || null,
-            customer_phone: phone,
-            amount: isNaN(amountNum) ? 0 : amountNum,
-            status: payload.status || 'processing',
-            order_date: payload.order_date || new Date().toISOString(),
-            delivery_date: payload.delivery_date || null,
-            driver_id: driverId,
+            customer_name: fields.customer_name || null,
+            customer_phone: fields.customer_phone,
+            amount: fields.amount || 0,
+            payment_method: fields.payment_method,
+            status: initialStatus,
+            order_date: (isAdmin && payload.order_date) || new Date().toISOString(),
+            delivery_date: (isAdmin && payload.delivery_date) || null,
+            driver_id: driverId || null,
             // orders.shop_id is uuid; if client sent a numeric id, drop it
             shop_id: (payload.shop_id && /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(payload.shop_id)) ? payload.shop_id : null,
-            delivery_address: payload.delivery_address || '',
-            notes: payload.notes || null,
-            assigned_at: payload.assigned_at || new Date().toISOString(),
-            // Note: orders table does not have category_id in this schema, so we ignore it.
+            delivery_address: fields.delivery_address,
+            notes: fields.notes || null,
+            order_items: fields.order_items || '[]',
+            assigned_at: driverId ? ((isAdmin && payload.assigned_at) || new Date().toISOString()) : null,
+            category_id: fields.category_id || null
         };
 
         const { data, error } = await supabaseAdmin.from('orders').insert([insertPayload]).select();
@@ -3039,6 +4302,15 @@ app.post('/api/orders', async (req, res) => {
             return res.status(500).json({ success: false, message: error?.message || 'Failed to create order' });
         }
         const created = data[0];
+        
+        await recordOrderEvent({ orderId: created.id, from: null, to: created.status, actor: actorFromUser(req.user), reason: 'Created by driver' });
+        if (created.status === 'delivered') {
+            await recordDelivery(created);
+        }
+        notifyOverviewChanged(created, null);
+        if (created.status === 'pending') {
+            await handleNewOrder(created);
+        }
 
         // Optionally create a driver_history row so history renders immediately
         try {
@@ -3076,57 +4348,277 @@ app.post('/api/orders', async (req, res) => {
     }
 });
 
+// Driver cash ledger - balances per driver and per day, hand-ins, CSV export.
+// from/to are YYYY-MM-DD days; driver balances are as of the end of `to`.
+function cashLedgerFilters(query) {
+    const day = /^\d{4}-\d{2}-\d{2}$/;
+    const from = query.from || null;
+    const to = query.to || null;
+    if ((from && !day.test(from)) || (to && !day.test(to))) {
+        return { error: 'Dates must be YYYY-MM-DD' };
+    }
+    if (from && to && from > to) {
+        return { error: 'The start date must be before the end date' };
+    }
+    return { from, to, driverId: query.driverId || null };
+}
+
+async function loadCashReconciliation({ from, to, driverId }) {
+    const [entries, driversResult] = await Promise.all([
+        cashLedger.loadEntries({ driverId, to }),
+        supabaseAdmin
+            .from('users')
+            .select('user_id, full_name, username')
+            .eq('role', 'driver')
+    ]);
+    
+    if (driversResult.error) {
+        logger.warn('⚠️ Failed to load driver names for the cash ledger:', driversResult.error.message);
+    }
+    const driverNames = new Map((driversResult.data || []).map(driver => [driver.user_id, driver.full_name || driver.username]));
+    
+    const drivers = ledgerBalances(entries).map(row => ({ ...row, driver_name: driverNames.get(row.driver_id) || null }));
+    const days = dailyBalances(entries, { from });
+    const totals = {
+        collected: Math.round(days.reduce((sum, row) => sum + row.collected, 0) * 100) / 100,
+        handedIn: Math.round(days.reduce((sum, row) => sum + row.handedIn, 0) * 100) / 100,
+        outstanding: Math.round(drivers.reduce((sum, row) => sum + row.outstanding, 0) * 100) / 100
+    };
+    
+    return { drivers, days, totals, driverNames };
+}
+
+app.get('/api/cash-ledger', async (req, res) => {
+    const filters = cashLedgerFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ success: false, message: filters.error });
+    }
+    
+    try {
+        const { drivers, days, totals } = await loadCashReconciliation(filters);
+        logger.info('💶 API: Cash ledger fetched', { drivers: drivers.length, days: days.length });
+        res.json({ success: true, drivers, days, totals });
+    } catch (error) {
+        logger.error('❌ Error in cash ledger API:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+    }
+});
+
+app.post('/api/cash-ledger/hand-ins', async (req, res) => {
+    const { handIn, errors } = validateHandIn(req.body);
+    if (errors) {
+        return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+    }
+    
+    try {
+        const result = await cashLedger.recordHandIn({ handIn, actor: actorFromUser(req.user) });
+        if (!result.success) {
+            return res.status(result.httpStatus).json({ success: false, message: result.message, errors: { amount: result.message } });
+        }
+        
+        logger.info('✅ API: Cash hand-in recorded', { driverId: handIn.driver_id, amount: handIn.amount, by: req.user.username });
+        res.json({ success: true, entry: result.entry, outstanding: result.outstanding });
+    } catch (error) {
+        logger.error('❌ Error in cash hand-in API:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+    }
+});
+
+app.get('/api/cash-ledger/export', async (req, res) => {
+    const filters = cashLedgerFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ success: false, message: filters.error });
+    }
+    
+    try {
+        const { days, driverNames } = await loadCashReconciliation(filters);
+        const name = `cash_reconciliation_${filters.from || 'start'}_${filters.to || new Date().toISOString().split('T')[0]}.csv`;
+        
+        logger.info('💶 API: Cash reconciliation exported', { rows: days.length });
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+        res.send(reconciliationCsv(days, driverNames));
+    } catch (error) {
+        logger.error('❌ Error in cash reconciliation export API:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+    }
+});
+
 // Get all schedules
+// Driver names for shift rows, from the users table
+async function withDriverNames(shifts) {
+    const ids = [...new Set(shifts.map(shift => shift.driver_id))];
+    if (ids.length === 0) {
+        return shifts;
+    }
+    
+    const { data, error } = await supabaseAdmin
+        .from('users')
+        .select('user_id, full_name, username')
+        .in('user_id', ids);
+    
+    if (error) {
+        logger.warn('⚠️ Could not resolve driver names for schedules:', error.message);
+    }
+    const names = new Map((data || []).map(user => [user.user_id, user.full_name || user.username]));
+    return shifts.map(shift => ({ ...shift, driver_name: names.get(shift.driver_id) || null }));
+}
+
+// Checks a shift before it is saved. Returns an { httpStatus, body } failure, or null
+async function checkShift(shift) {
+    const { data: driver, error } = await supabaseAdmin
+        .from('users')
+        .select('user_id')
+        .eq('user_id', shift.driver_id)
+        .eq('role', 'driver')
+        .maybeSingle();
+    
+    if (error) {
+        throw new Error(error.message);
+    }
+    if (!driver) {
+        return { httpStatus: 400, body: { success: false, message: 'Please correct the highlighted fields', errors: { driver_id: 'Unknown driver' } } };
+    }
+    
+    const overlap = await schedules.overlappingShift(shift);
+    if (overlap) {
+        const message = `This driver already has a shift on ${overlap.date} from ${overlap.start_time.slice(0, 5)} to ${overlap.end_time.slice(0, 5)}`;
+        return { httpStatus: 409, body: { success: false, message, conflict: overlap } };
+    }
+    return null;
+}
+
+// Shifts between two days (default: the week from today), optionally one driver's
 app.get('/api/schedules', async (req, res) => {
+    const range = scheduleRange(req.query, schedules.today());
+    if (range.error) {
+        return res.status(400).json({ success: false, message: range.error });
+    }
+    
+    const key = `schedules:${range.from}:${range.to}:${req.query.driverId || ''}`;
     try {
-        const serviceClient = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
+        const shifts = await withDriverNames(await schedules.loadShifts({ ...range, driverId: req.query.driverId || null }));
+        const payload = { from: range.from, to: range.to, timezone: SCHEDULE_TIMEZONE, schedules: shifts };
         
-        // Fetch all schedules from the database (if schedule table exists)
-        const { data, error } = await serviceClient
+        lastKnownGood.remember(key, payload);
+        logger.info('📅 API: Schedules fetched from database', { count: shifts.length, from: range.from, to: range.to });
+        res.json({ success: true, ...payload });
+    } catch (error) {
+        logger.error('❌ Error in schedules API:', error);
+        sendDegraded(res, { key, message: 'Schedules are unavailable right now', error });
+    }
+});
+
+app.post('/api/schedules', async (req, res) => {
+    const { shift, errors } = validateShift(req.body);
+    if (errors) {
+        return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+    }
+    
+    try {
+        const failure = await checkShift(shift);
+        if (failure) {
+            return res.status(failure.httpStatus).json(failure.body);
+        }
+        
+        const now = new Date().toISOString();
+        const { data, error } = await supabaseAdmin
             .from('schedules')
-            .select('*')
-            .order('date', { ascending: false });
+            .insert({ ...shift, created_by: req.user.userId, created_at: now, updated_at: now })
+            .select()
+            .single();
         
         if (error) {
-            logger.error('❌ Error fetching schedules:', error);
-            
-            // Fallback to mock data
-            const mockSchedules = [];
-            for (let i = 0; i < 5; i++) {
-                mockSchedules.push({
-                    id: `mock-schedule-${i+1}`,
-                    date: new Date(Date.now() + i * 24 * 60 * 60 * 1000).toISOString(),
-                    driver_name: `Driver ${i+1}`,
-                    driver_id: `driver-${i+1}`,
-                    order_count: Math.floor(3 + Math.random() * 8),
-                    status: ['Active', 'Pending', 'Completed'][Math.floor(Math.random() * 3)]
-                });
-            }
-            
-            logger.info('📅 API: Schedules fetched (mock data fallback)', { count: mockSchedules.length });
-            res.json({ success: true, schedules: mockSchedules });
-        } else {
-            logger.info('📅 API: Schedules fetched from database', { count: data.length });
-            res.json({ success: true, schedules: data });
+            logger.error('❌ Error creating shift:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
         }
+        
+        const [schedule] = await withDriverNames([data]);
+        logger.info('📅 API: Shift created', { scheduleId: data.id, driverId: shift.driver_id, date: shift.date });
+        res.status(201).json({ success: true, schedule });
     } catch (error) {
-        logger.error('❌ Error in schedules API:', error);
+        logger.error('❌ Error in create shift API:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+    }
+});
+
+app.put('/api/schedules/:id', async (req, res) => {
+    const { id } = req.params;
+    const { shift, errors } = validateShift(req.body);
+    if (errors) {
+        return res.status(400).json({ success: false, message: 'Please correct the highlighted fields', errors });
+    }
+    
+    try {
+        const failure = await checkShift({ ...shift, id });
+        if (failure) {
+            return res.status(failure.httpStatus).json(failure.body);
+        }
         
-        // Fallback to mock data
-        const mockSchedules = [];
-        for (let i = 0; i < 5; i++) {
-            mockSchedules.push({
-                id: `mock-schedule-${i+1}`,
-                date: new Date(Date.now() + i * 24 * 60 * 60 * 1000).toISOString(),
-                driver_name: `Driver ${i+1}`,
-                driver_id: `driver-${i+1}`,
-                order_count: Math.floor(3 + Math.random() * 8),
-                status: ['Active', 'Pending', 'Completed'][Math.floor(Math.random() * 3)]
-            });
+        const { data, error } = await supabaseAdmin
+            .from('schedules')
+            .update({ ...shift, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select();
+        
+        if (error) {
+            logger.error('❌ Error updating shift:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+        }
+        if (!data || data.length === 0) {
+            return res.status(404).json({ success: false, message: 'Shift not found' });
+        }
+        
+        const [schedule] = await withDriverNames(data);
+        logger.info('📅 API: Shift updated', { scheduleId: id, driverId: shift.driver_id, date: shift.date });
+        res.json({ success: true, schedule });
+    } catch (error) {
+        logger.error('❌ Error in update shift API:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+    }
+});
+
+app.delete('/api/schedules/:id', async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('schedules')
+            .delete()
+            .eq('id', id)
+            .select('id');
+        
+        if (error) {
+            logger.error('❌ Error deleting shift:', error);
+            return res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+        }
+        if (!data || data.length === 0) {
+            return res.status(404).json({ success: false, message: 'Shift not found' });
         }
         
-        logger.info('📅 API: Schedules fetched (mock data fallback after exception)', { count: mockSchedules.length });
-        res.json({ success: true, schedules: mockSchedules });
+        logger.info('📅 API: Shift deleted', { scheduleId: id });
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('❌ Error in delete shift API:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
+    }
+});
+
+// A driver's shifts that are running or still to come, soonest first
+app.get('/api/driver/shifts', async (req, res) => {
+    const driverId = resolveSubjectId(req, res, req.query.driverId);
+    if (res.headersSent) return;
+    
+    if (!driverId) {
+        return res.status(400).json({ success: false, message: 'Driver ID is required' });
+    }
+    
+    try {
+        const shifts = await schedules.upcomingFor(driverId);
+        res.json({ success: true, timezone: SCHEDULE_TIMEZONE, shifts });
+    } catch (error) {
+        logger.error('❌ Error in driver shifts API:', error);
+        res.status(500).json({ success: false, message: 'Database error: ' + error.message });
     }
 });
 
@@ -3142,10 +4634,15 @@ app.get('/api/dashboard-stats', async (req, res) => {
             .eq('role', 'driver')
             .eq('status', 'active');
         
-        // Get total orders
+        // Get total orders, with what the per-category breakdown needs
         const { data: orders, error: ordersError } = await serviceClient
             .from('orders')
-            .select('id', { count: 'exact' });
+            .select('id, category_id, status, amount', { count: 'exact' })
+            .is('deleted_at', null);
+        
+        const { data: categories, error: categoriesError } = await serviceClient
+            .from('categories')
+            .select('id, name');
         
         // Get transfers today (from admin_actions table)
         const today = new Date();
@@ -3159,79 +4656,31 @@ app.get('/api/dashboard-stats', async (req, res) => {
             .gte('created_at', startOfDay.toISOString())
             .lt('created_at', endOfDay.toISOString());
         
-        if (driversError || ordersError || transfersError) {
-            logger.error('❌ Error fetching dashboard stats:', { driversError, ordersError, transfersError });
-            
-            // Fallback to mock data
-            const mockStats = {
-                totalDrivers: 5,
-                totalOrders: 205,
-                totalTransfers: 3
-            };
-            
-            logger.info('📊 API: Dashboard stats fetched (mock data fallback)', mockStats);
-            res.json({ success: true, ...mockStats });
+        if (driversError || ordersError || transfersError || categoriesError) {
+            logger.error('❌ Error fetching dashboard stats:', { driversError, ordersError, transfersError, categoriesError });
+            sendDegraded(res, {
+                key: 'dashboard-stats',
+                message: 'Dashboard stats are unavailable right now',
+                error: driversError || ordersError || transfersError || categoriesError
+            });
         } else {
             const stats = {
                 totalDrivers: drivers?.length || 0,
                 totalOrders: orders?.length || 0,
-                totalTransfers: transfers?.length || 0
+                totalTransfers: transfers?.length || 0,
+                categoryBreakdown: categoryBreakdown(orders, categories)
             };
             
-            logger.info('📊 API: Dashboard stats fetched from database', stats);
+            lastKnownGood.remember('dashboard-stats', stats);
+            logger.info('📊 API: Dashboard stats fetched from database', { ...stats, categoryBreakdown: stats.categoryBreakdown.length });
             res.json({ success: true, ...stats });
         }
     } catch (error) {
         logger.error('❌ Error in dashboard stats API:', error);
-        
-        // Fallback to mock data
-        const mockStats = {
-            totalDrivers: 5,
-            totalOrders: 205,
-            totalTransfers: 3
-        };
-        
-        logger.info('📊 API: Dashboard stats fetched (mock data fallback after exception)', mockStats);
-        res.json({ success: true, ...mockStats });
+        sendDegraded(res, { key: 'dashboard-stats', message: 'Dashboard stats are unavailable right now', error });
     }
 });
 
-// Helper functions for generating mock data
-function getRandomName() {
-    const firstNames = ['John', 'Jane', 'Michael', 'Emily', 'David', 'Sarah', 'Robert', 'Lisa'];
-    const lastNames = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Miller', 'Davis', 'Wilson'];
-    
-    return `${firstNames[Math.floor(Math.random() * firstNames.length)]} ${lastNames[Math.floor(Math.random() * lastNames.length)]}`;
-}
-
-function getRandomAddress() {
-    const streets = ['Main St', 'Oak Ave', 'Maple Rd', 'Park Blvd', 'Cedar Ln', 'Pine Dr', 'Elm St', 'Washington Ave'];
-    const cities = ['Springfield', 'Riverdale', 'Oakwood', 'Maplewood', 'Fairview', 'Lakeside'];
-    
-    const streetNum = Math.floor(100 + Math.random() * 900);
-    const street = streets[Math.floor(Math.random() * streets.length)];
-    const city = cities[Math.floor(Math.random() * cities.length)];
-    
-    return `${streetNum} ${street}, ${city}`;
-}
-
-function getRandomOrderStatus() {
-    const statuses = ['Pending', 'Processing', 'Completed'];
-    const weights = [0.3, 0.3, 0.4]; // Weighted probability
-    
-    const random = Math.random();
-    let sum = 0;
-    
-    for (let i = 0; i < statuses.length; i++) {
-        sum += weights[i];
-        if (random <= sum) {
-            return statuses[i];
-        }
-    }
-    
-    return statuses[0];
-}
-
 // Get Supabase configuration
 app.get('/api/config', (req, res) => {
     try {
@@ -1,20 +1,18 @@
 // Supabase Initialization Script
 (function() {
-    // Read .env file and set up Supabase credentials
+    // Load the public Supabase settings from the server
     async function loadSupabaseCredentials() {
         try {
-            // Try to fetch from .env file
-            const response = await fetch('/.env');
+            const response = await fetch('/api/config');
             if (!response.ok) {
-                throw new Error('Failed to load .env file');
+                throw new Error('Failed to load Supabase configuration');
             }
             
-            const envContent = await response.text();
-            const envVars = parseEnvFile(envContent);
+            const data = await response.json();
             
             // Store Supabase credentials in localStorage for client-side access
-            localStorage.setItem('SUPABASE_URL', envVars.SUPABASE_URL);
-            localStorage.setItem('SUPABASE_ANON_KEY', envVars.SUPABASE_ANON_KEY);
+            localStorage.setItem('SUPABASE_URL', data.config.supabaseUrl);
+            localStorage.setItem('SUPABASE_ANON_KEY', data.config.supabaseAnonKey);
             
             console.log('Supabase credentials loaded successfully');
             return true;
@@ -28,33 +26,6 @@
         }
     }
     
-    // Parse .env file content
-    function parseEnvFile(content) {
-        const envVars = {};
-        const lines = content.split('\n');
-        
-        lines.forEach(line => {
-            // Skip empty lines and comments
-            if (!line || line.startsWith('#')) return;
-            
-            // Parse key=value pairs
-            const match = line.match(/^\s*([\w.-]+)\s*=\s*(.*)?\s*$/);
-            if (match) {
-                const key = match[1];
-                let value = match[2] || '';
-                
-                // Remove quotes if present
-                if (value.startsWith('"') && value.endsWith('"')) {
-                    value = value.slice(1, -1);
-                }
-                
-                envVars[key] = value;
-            }
-        });
-        
-        return envVars;
-    }
-    
     // Use default credentials for demo
     function useDefaultCredentials() {
         console.warn('Using default Supabase credentials for demo purposes');
@@ -11,6 +11,10 @@ const STATIC_FILES = [
     '/websocket-client.js',
     '/supabase-init.js',
     '/pwa-manager.js',
+    '/auth-session.js',
+    '/order-timeline.js',
+    '/order-schema.js',
+    '/escape-html.js',
     
     // Login Page
     '/LoginPage/index.html',
@@ -31,10 +35,16 @@ const STATIC_FILES = [
     '/AdminPage/registrations.html',
     '/AdminPage/users.html',
     '/AdminPage/transfer.html',
+    '/AdminPage/cash.html',
+    '/AdminPage/payouts.html',
+    '/AdminPage/data-status.js',
     '/AdminPage/src/css/styles.css',
     '/AdminPage/src/css/categories.css',
+    '/AdminPage/src/css/orders.css',
     '/AdminPage/src/css/registrations.css',
     '/AdminPage/src/css/transfer.css',
+    '/AdminPage/src/css/cash.css',
+    '/AdminPage/src/css/payouts.css',
     '/AdminPage/src/css/users.css',
     '/AdminPage/src/js/dashboard.js',
     '/AdminPage/src/js/categories.js',
@@ -43,17 +53,23 @@ const STATIC_FILES = [
     '/AdminPage/src/js/registrations.js',
     '/AdminPage/src/js/users.js',
     '/AdminPage/src/js/transfer.js',
+    '/AdminPage/src/js/cash.js',
+    '/AdminPage/src/js/payouts.js',
     
     // Driver Page
     '/DriverPage/index.html',
     '/DriverPage/src/css/styles.css',
     '/DriverPage/src/js/driver-app.js',
+    '/DriverPage/src/js/driver-earnings.js',
+    '/DriverPage/src/js/driver-shifts.js',
     '/DriverPage/src/js/driver-protection.js',
     
     // Shop Page
     '/ShopPage/index.html',
     '/ShopPage/src/css/styles.css',
     '/ShopPage/src/js/shop-app.js',
+    '/ShopPage/src/js/shop-products.js',
+    '/ShopPage/src/js/shop-customers.js',
     '/ShopPage/src/js/shop-protection.js',
     
     // External libraries
@@ -0,0 +1,101 @@
+// Cash ledger (lib/cash-ledger.js) and paged reads (lib/select-all.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { selectAll } = require('../lib/select-all');
+const { ledgerBalances, createCashLedger } = require('../lib/cash-ledger');
+
+const DRIVER = '22222222-2222-4222-8222-222222222222';
+const silentLogger = { info() {}, warn() {} };
+
+// Just enough of the Supabase client for the ledger: one table, eq/lte
+// filters, ordering, ranges capped at maxRows, insert and delete by id
+function fakeSupabase(rows, { maxRows = 1000 } = {}) {
+    let nextId = rows.length + 1;
+
+    function query(kind, payload) {
+        const filters = [];
+        let range = null;
+        const builder = {
+            select() { return builder; },
+            order() { return builder; },
+            eq(column, value) { filters.push(row => row[column] === value); return builder; },
+            lte(column, value) { filters.push(row => row[column] <= value); return builder; },
+            range(from, to) { range = [from, to]; return builder; },
+            then(resolve, reject) {
+                return Promise.resolve().then(() => {
+                    if (kind === 'insert') {
+                        const row = { id: nextId++, ...payload };
+                        rows.push(row);
+                        return { data: [row], error: null };
+                    }
+                    const matches = rows.filter(row => filters.every(filter => filter(row)));
+                    if (kind === 'delete') {
+                        matches.forEach(row => rows.splice(rows.indexOf(row), 1));
+                        return { data: null, error: null };
+                    }
+                    const [from, to] = range || [0, Infinity];
+                    return { data: matches.slice(from, Math.min(to + 1, from + maxRows)), error: null };
+                }).then(resolve, reject);
+            }
+        };
+        return builder;
+    }
+
+    return {
+        from() {
+            return {
+                select: () => query('select'),
+                insert: payload => query('insert', payload),
+                delete: () => query('delete')
+            };
+        }
+    };
+}
+
+function deliveries(count, amount) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        driver_id: DRIVER,
+        entry_type: 'delivery',
+        amount,
+        created_at: new Date(Date.UTC(2026, 0, 1) + i * 1000).toISOString()
+    }));
+}
+
+test('selectAll reads past the server row cap', async () => {
+    const supabaseAdmin = fakeSupabase(deliveries(2500, 1), { maxRows: 700 });
+    const { data, error } = await selectAll(() => supabaseAdmin.from('cash_ledger').select('*'));
+    assert.equal(error, null);
+    assert.equal(data.length, 2500);
+    assert.equal(new Set(data.map(row => row.id)).size, 2500);
+});
+
+test('balances count every entry, not just the first page', async () => {
+    const ledger = createCashLedger({ supabaseAdmin: fakeSupabase(deliveries(1500, 2)), logger: silentLogger });
+    const [balance] = ledgerBalances(await ledger.loadEntries({ driverId: DRIVER }));
+    assert.equal(balance.collected, 3000);
+    assert.equal(balance.deliveries, 1500);
+});
+
+test('a hand-in above the outstanding cash is refused', async () => {
+    const ledger = createCashLedger({ supabaseAdmin: fakeSupabase(deliveries(1, 10)), logger: silentLogger });
+    const result = await ledger.recordHandIn({ handIn: { driver_id: DRIVER, amount: 12, note: null }, actor: { name: 'admin' } });
+    assert.equal(result.success, false);
+    assert.equal(result.httpStatus, 409);
+});
+
+test('hand-ins racing each other cannot overdraw the driver', async () => {
+    const rows = deliveries(1, 10);
+    const ledger = createCashLedger({ supabaseAdmin: fakeSupabase(rows), logger: silentLogger });
+    const handIn = { driver_id: DRIVER, amount: 8, note: null };
+
+    const results = await Promise.all([
+        ledger.recordHandIn({ handIn, actor: { name: 'a' } }),
+        ledger.recordHandIn({ handIn, actor: { name: 'b' } })
+    ]);
+
+    assert.ok(results.filter(result => result.success).length <= 1);
+    const [balance] = ledgerBalances(rows);
+    assert.ok(balance.outstanding >= 0);
+});
@@ -0,0 +1,31 @@
+// Failed delivery reports (lib/delivery-failure.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateFailure, cleanFailureNote, describeFailure } = require('../lib/delivery-failure');
+
+test('accepts a known reason and outcome', () => {
+    assert.equal(validateFailure('customer_not_home', undefined, 'retry'), null);
+    assert.equal(validateFailure('other', 'Gate locked', 'return_to_shop'), null);
+});
+
+test('rejects a note that is not text instead of throwing', () => {
+    assert.equal(validateFailure('other', 5, 'retry'), 'The note must be text');
+    assert.equal(validateFailure('damaged', { text: 'x' }, 'retry'), 'The note must be text');
+    assert.equal(describeFailure('other', 5), 'Other');
+    assert.equal(cleanFailureNote(['x']), null);
+});
+
+test('inherited object keys are not reasons or outcomes', () => {
+    assert.equal(validateFailure('constructor', undefined, 'retry'), 'Unknown failure reason "constructor"');
+    assert.match(validateFailure('damaged', undefined, 'toString'), /retry later or return/);
+    assert.match(validateFailure(['other'], 'x', 'retry'), /Unknown failure reason/);
+});
+
+test('other needs a note', () => {
+    assert.equal(validateFailure('other', '   ', 'retry'), 'Please describe what happened in a note');
+});
+
+test('the stored reason includes the trimmed note', () => {
+    assert.equal(describeFailure('wrong_address', '  no flat number '), 'Wrong or incomplete address: no flat number');
+});
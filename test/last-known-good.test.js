@@ -0,0 +1,26 @@
+// Last-known-good responses (lib/last-known-good.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLastKnownGood } = require('../lib/last-known-good');
+
+test('recalls the last payload with its age', () => {
+    let clock = 0;
+    const cache = createLastKnownGood({ now: () => clock });
+    cache.remember('drivers', { drivers: [] });
+    clock = 5000;
+    assert.deepEqual(cache.recall('drivers').value, { drivers: [] });
+    assert.equal(cache.recall('drivers').ageSeconds, 5);
+    assert.equal(cache.recall('orders'), null);
+});
+
+test('forgets the oldest key once full', () => {
+    const cache = createLastKnownGood({ maxEntries: 2 });
+    cache.remember('a', 1);
+    cache.remember('b', 2);
+    cache.remember('a', 3);
+    cache.remember('c', 4);
+    assert.equal(cache.recall('b'), null);
+    assert.equal(cache.recall('a').value, 3);
+    assert.equal(cache.recall('c').value, 4);
+});
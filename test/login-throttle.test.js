@@ -0,0 +1,114 @@
+// Login throttling (lib/login-throttle.js). Each test uses its own username
+// and address, since the module keeps its counters for the whole process.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { beginLogin, listLockouts, unlockUsername, normalizeUsername } = require('../lib/login-throttle');
+
+// Fails n attempts in a row at the given time
+function failTimes(ip, username, n, now) {
+    let outcome = null;
+    for (let i = 0; i < n; i++) {
+        const started = beginLogin(ip, username, now);
+        assert.ok(started.allowed, `attempt ${i + 1} should be allowed`);
+        outcome = started.attempt.fail(now);
+    }
+    return outcome;
+}
+
+test('the first few failures are free', () => {
+    const now = Date.now();
+    const outcome = failTimes('10.0.0.1', 'free', 3, now);
+    assert.equal(outcome.retryAfterMs, 0);
+    assert.ok(beginLogin('10.0.0.1', 'free', now).allowed);
+});
+
+test('failures past the free ones back off', () => {
+    const now = Date.now();
+    const outcome = failTimes('10.0.0.2', 'backoff', 4, now);
+    assert.equal(outcome.retryAfterMs, 1000);
+
+    const refused = beginLogin('10.0.0.2', 'backoff', now + 500);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.scope, 'username');
+    assert.equal(refused.locked, false);
+    assert.equal(refused.retryAfterMs, 500);
+
+    assert.ok(beginLogin('10.0.0.2', 'backoff', now + 1000).allowed);
+});
+
+test('attempts in flight count before the password is checked', () => {
+    const now = Date.now();
+    const started = [];
+    for (let i = 0; i < 10; i++) {
+        started.push(beginLogin('10.0.0.3', 'parallel', now));
+    }
+    // Three free attempts may run side by side; the rest wait for them to settle
+    assert.equal(started.filter(result => result.allowed).length, 3);
+
+    started.filter(result => result.allowed).forEach(result => result.attempt.fail(now));
+    assert.ok(beginLogin('10.0.0.3', 'parallel', now).allowed);
+});
+
+test('past the free attempts only one runs at a time', () => {
+    const now = Date.now();
+    failTimes('10.0.0.4', 'serial', 2, now);
+
+    const first = beginLogin('10.0.0.4', 'serial', now);
+    assert.ok(first.allowed);
+    assert.equal(beginLogin('10.0.0.4', 'serial', now).allowed, false);
+
+    first.attempt.release();
+    assert.ok(beginLogin('10.0.0.4', 'serial', now).allowed);
+});
+
+test('repeated failures lock the account', () => {
+    const now = Date.now();
+    let outcome = null;
+    let at = now;
+    for (let i = 0; i < 5; i++) {
+        if (outcome) at += outcome.retryAfterMs;
+        const started = beginLogin('10.0.0.5', 'Locked', at);
+        assert.ok(started.allowed);
+        outcome = started.attempt.fail(at);
+    }
+    assert.equal(outcome.usernameLocked.username, 'locked');
+    assert.ok(outcome.usernameLocked.lockedUntil > at);
+
+    const refused = beginLogin('10.0.0.99', 'LOCKED', at);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.locked, true);
+    assert.ok(listLockouts(at).some(lockout => lockout.username === 'locked'));
+
+    assert.ok(unlockUsername('locked'));
+    assert.ok(beginLogin('10.0.0.5', 'locked', at).allowed);
+    assert.equal(unlockUsername('never-failed'), false);
+});
+
+test('a successful login clears the account history', () => {
+    const now = Date.now();
+    failTimes('10.0.0.6', 'recovers', 3, now);
+
+    const started = beginLogin('10.0.0.6', 'recovers', now);
+    started.attempt.succeed();
+
+    const next = beginLogin('10.0.0.7', 'recovers', now);
+    assert.ok(next.allowed);
+    assert.equal(next.attempt.fail(now).failures, 1);
+});
+
+test('an attempt settles only once', () => {
+    const now = Date.now();
+    const started = beginLogin('10.0.0.8', 'once', now);
+    assert.ok(started.attempt.fail(now));
+    assert.equal(started.attempt.fail(now), null);
+    started.attempt.release();
+
+    const next = beginLogin('10.0.0.8', 'once', now);
+    assert.equal(next.attempt.fail(now).failures, 2);
+});
+
+test('usernames are compared without case or surrounding spaces', () => {
+    assert.equal(normalizeUsername('  Alice '), 'alice');
+    assert.equal(normalizeUsername(undefined), '');
+});
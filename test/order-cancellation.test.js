@@ -0,0 +1,44 @@
+// Order cancellation (lib/order-cancellation.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateCancelReason, cleanCancelNote, describeCancelReason, cancellationDecision } = require('../lib/order-cancellation');
+
+test('accepts a known reason', () => {
+    assert.equal(validateCancelReason('duplicate'), null);
+    assert.equal(validateCancelReason('other', 'Shop closed early'), null);
+});
+
+test('rejects a note that is not text instead of throwing', () => {
+    assert.equal(validateCancelReason('other', 5), 'The note must be text');
+    assert.equal(validateCancelReason('duplicate', { text: 'x' }), 'The note must be text');
+    assert.equal(describeCancelReason('other', 5), 'Other');
+    assert.equal(cleanCancelNote(['x']), null);
+});
+
+test('inherited object keys are not reasons', () => {
+    assert.equal(validateCancelReason('constructor'), 'Unknown cancellation reason "constructor"');
+    assert.equal(validateCancelReason('toString'), 'Unknown cancellation reason "toString"');
+    assert.match(validateCancelReason(['duplicate']), /Unknown cancellation reason/);
+});
+
+test('other needs a note', () => {
+    assert.equal(validateCancelReason('other', '  '), 'Please describe the reason in a note');
+});
+
+test('a driver hands their own order back unless the shop asked to cancel', () => {
+    const driver = { role: 'driver', userId: 'd1' };
+    assert.deepEqual(cancellationDecision(driver, { status: 'accepted', driver_id: 'd1' }), { action: 'release' });
+    assert.deepEqual(
+        cancellationDecision(driver, { status: 'processing', driver_id: 'd1', cancellation_requested_at: '2026-01-01T00:00:00Z' }),
+        { action: 'cancel' }
+    );
+    assert.equal(cancellationDecision(driver, { status: 'accepted', driver_id: 'd2' }).httpStatus, 403);
+});
+
+test('a shop cancels alone only before a driver takes the order', () => {
+    const shop = { role: 'shop', userId: 's1' };
+    assert.deepEqual(cancellationDecision(shop, { status: 'pending', shop_id: 's1' }), { action: 'cancel' });
+    assert.deepEqual(cancellationDecision(shop, { status: 'accepted', shop_id: 's1', driver_id: 'd1' }), { action: 'request' });
+    assert.equal(cancellationDecision(shop, { status: 'picked_up', shop_id: 's1' }).httpStatus, 409);
+});
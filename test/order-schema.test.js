@@ -0,0 +1,48 @@
+// Order field validation (order-schema.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateOrderItems, validateLineItems, validateNewOrder, validateShopOrderUpdate, isCatalogPriced } = require('../order-schema');
+
+const PRODUCT_ID = '11111111-1111-4111-8111-111111111111';
+const catalogOrder = {
+    amount: 10,
+    payment_method: 'cash',
+    order_items: JSON.stringify([{ product_id: PRODUCT_ID, name: 'Bread', qty: 2, price: 5 }])
+};
+
+test('typed items never carry a product link', () => {
+    const { value } = validateOrderItems([{ product_id: 'x', name: 'Milk', qty: 1, price: 2 }]);
+    assert.deepEqual(JSON.parse(value), [{ name: 'Milk', qty: 1, price: 2 }]);
+    assert.equal(isCatalogPriced({ order_items: value }), false);
+});
+
+test('line items need a product UUID', () => {
+    assert.deepEqual(validateLineItems([{ product_id: 'x', qty: 1 }]), { error: 'Line 1 needs a product' });
+    assert.deepEqual(validateLineItems([{ product_id: PRODUCT_ID, qty: 1 }, { product_id: PRODUCT_ID, qty: 2 }]).value, [{ product_id: PRODUCT_ID, qty: 3 }]);
+});
+
+test('a new cash order needs an amount unless priced from line items', () => {
+    const base = { customer_phone: '0123456789', delivery_address: '1 Main Street' };
+    assert.equal(validateNewOrder(base).errors.amount, 'An amount is required for cash payments');
+    assert.ok(validateNewOrder({ ...base, line_items: [{ product_id: PRODUCT_ID, qty: 1 }] }).order);
+});
+
+test('a catalog order cannot be re-priced by hand', () => {
+    assert.ok(validateShopOrderUpdate({ amount: 12 }, catalogOrder).errors.amount);
+    assert.ok(validateShopOrderUpdate({ order_items: [{ name: 'Bread', qty: 3, price: 5 }] }, catalogOrder).errors.order_items);
+});
+
+test('sending a catalog order back unchanged keeps its product links', () => {
+    const { changes } = validateShopOrderUpdate({
+        amount: 10,
+        order_items: [{ name: 'Bread', qty: 2, price: 5 }],
+        notes: 'Ring twice'
+    }, catalogOrder);
+    assert.deepEqual(changes, { notes: 'Ring twice' });
+});
+
+test('a hand-priced order can change its amount', () => {
+    const { changes } = validateShopOrderUpdate({ amount: 7 }, { amount: 5, payment_method: 'cash', order_items: '[]' });
+    assert.deepEqual(changes, { amount: 7 });
+});
@@ -0,0 +1,89 @@
+// Order state machine (lib/order-state.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    ORDER_STATUSES,
+    TRANSITIONS,
+    ACTIVE_STATUSES,
+    INITIAL_STATUSES,
+    DRIVER_INITIAL_STATUSES,
+    describeInitialDriverError,
+    canTransition,
+    isFinalStatus,
+    describeTransitionError
+} = require('../lib/order-state');
+
+test('every transition leads to a known status', () => {
+    Object.entries(TRANSITIONS).forEach(([from, targets]) => {
+        assert.ok(ORDER_STATUSES.includes(from), from);
+        targets.forEach(to => assert.ok(ORDER_STATUSES.includes(to), `${from} -> ${to}`));
+    });
+    assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...ORDER_STATUSES].sort());
+});
+
+test('the delivery path is allowed step by step', () => {
+    assert.ok(canTransition('pending', 'accepted'));
+    assert.ok(canTransition('accepted', 'processing'));
+    assert.ok(canTransition('processing', 'picked_up'));
+    assert.ok(canTransition('picked_up', 'delivered'));
+    assert.ok(canTransition('processing', 'delivered'));
+});
+
+test('steps cannot be skipped or undone', () => {
+    assert.ok(!canTransition('pending', 'delivered'));
+    assert.ok(!canTransition('accepted', 'delivered'));
+    assert.ok(!canTransition('picked_up', 'processing'));
+    assert.ok(!canTransition('delivered', 'pending'));
+});
+
+test('a picked up order fails instead of being cancelled', () => {
+    assert.ok(!canTransition('picked_up', 'cancelled'));
+    assert.ok(canTransition('picked_up', 'failed'));
+});
+
+test('a failed delivery is retried, returned or cancelled', () => {
+    assert.deepEqual([...TRANSITIONS.failed].sort(), ['cancelled', 'processing', 'returned']);
+});
+
+test('a driver can hand an order back before collecting it', () => {
+    assert.ok(canTransition('accepted', 'pending'));
+    assert.ok(canTransition('processing', 'pending'));
+    assert.ok(!canTransition('picked_up', 'pending'));
+    assert.ok(!canTransition('failed', 'pending'));
+});
+
+test('delivered, cancelled and returned are final', () => {
+    ['delivered', 'cancelled', 'returned'].forEach(status => assert.ok(isFinalStatus(status), status));
+    ['pending', 'accepted', 'processing', 'picked_up', 'failed'].forEach(status => assert.ok(!isFinalStatus(status), status));
+    assert.ok(!isFinalStatus('unknown'));
+});
+
+test('active statuses are the ones that can still move', () => {
+    assert.deepEqual(ACTIVE_STATUSES, ['pending', 'accepted', 'processing', 'picked_up', 'failed']);
+});
+
+test('drivers cannot create orders as delivered', () => {
+    assert.ok(INITIAL_STATUSES.includes('delivered'));
+    assert.ok(!DRIVER_INITIAL_STATUSES.includes('delivered'));
+    DRIVER_INITIAL_STATUSES.forEach(status => assert.ok(INITIAL_STATUSES.includes(status), status));
+});
+
+test('a new order has a driver exactly when it is past pending', () => {
+    assert.ok(!DRIVER_INITIAL_STATUSES.includes('pending'));
+    assert.equal(describeInitialDriverError('pending', null), null);
+    assert.equal(describeInitialDriverError('accepted', 'd1'), null);
+    assert.equal(describeInitialDriverError('pending', 'd1'), 'A pending order cannot have a driver yet');
+    assert.equal(describeInitialDriverError('processing', null), 'A driver is required for processing orders');
+    assert.equal(describeInitialDriverError('delivered', undefined), 'A driver is required for delivered orders');
+});
+
+test('transition errors explain what went wrong', () => {
+    assert.equal(describeTransitionError('pending', 'shipped'), 'Unknown order status "shipped"');
+    assert.equal(describeTransitionError('accepted', 'accepted'), 'Order is already accepted');
+    assert.equal(describeTransitionError('delivered', 'failed'), 'Order is already delivered and can no longer change');
+    assert.equal(
+        describeTransitionError('pending', 'delivered'),
+        'Cannot change order status from pending to delivered (allowed: accepted, cancelled)'
+    );
+});
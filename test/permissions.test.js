@@ -0,0 +1,86 @@
+// Route permission table (lib/permissions.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findRule, allowedActions, createAuthorizer } = require('../lib/permissions');
+
+const silentLogger = { warn() {} };
+
+// Runs the authorizer for one request; resolves with the status it answered, or 'next'
+function authorize(method, path, user) {
+    const req = { method, path, user };
+    let outcome = null;
+    const res = {
+        status(code) {
+            outcome = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    createAuthorizer(silentLogger)(req, res, () => {
+        outcome = 'next';
+    });
+    return { outcome, req };
+}
+
+test('finds the rule for a path with parameters', () => {
+    const rule = findRule('POST', '/api/driver/orders/42/pickup');
+    assert.equal(rule.action, 'driver.pickup');
+});
+
+test('matches paths regardless of case, as Express routes do', () => {
+    assert.equal(findRule('GET', '/API/Users').action, 'users.list');
+    assert.equal(findRule('DELETE', '/Api/USERS/7').action, 'users.delete');
+});
+
+test('the literal cancel-reasons route wins over the :id pattern', () => {
+    assert.equal(findRule('GET', '/api/orders/cancel-reasons').action, 'orders.cancelReasons');
+    assert.equal(findRule('GET', '/api/orders/17').action, 'orders.view');
+});
+
+test('an unlisted method or path has no rule', () => {
+    assert.equal(findRule('GET', '/api/nothing-here'), null);
+    assert.equal(findRule('PUT', '/api/login'), null);
+});
+
+test('public routes need no session', () => {
+    assert.equal(authorize('POST', '/api/login', null).outcome, 'next');
+});
+
+test('protected routes ask for a session, whatever the case of the path', () => {
+    assert.equal(authorize('GET', '/api/users', null).outcome, 401);
+    assert.equal(authorize('GET', '/API/users', null).outcome, 401);
+    assert.equal(authorize('GET', '/Api/Users', null).outcome, 401);
+});
+
+test('unlisted API routes are denied, whatever the case of the path', () => {
+    const admin = { role: 'admin', userId: 'a' };
+    assert.equal(authorize('GET', '/api/nothing', admin).outcome, 403);
+    assert.equal(authorize('GET', '/API/nothing', admin).outcome, 403);
+});
+
+test('a role outside the rule is refused', () => {
+    const shop = { role: 'shop', userId: 's' };
+    assert.equal(authorize('DELETE', '/api/users/7', shop).outcome, 403);
+    assert.equal(authorize('POST', '/API/Transfer-Order', shop).outcome, 403);
+});
+
+test('an allowed request is passed on with its action', () => {
+    const { outcome, req } = authorize('PATCH', '/api/shop/orders/9', { role: 'shop', userId: 's' });
+    assert.equal(outcome, 'next');
+    assert.equal(req.permission, 'shop.orders.update');
+});
+
+test('non-API paths are left to the static pages', () => {
+    assert.equal(authorize('GET', '/AdminPage/index.html', null).outcome, 'next');
+});
+
+test('allowedActions lists what a role may do', () => {
+    const driver = allowedActions('driver');
+    assert.ok(driver.includes('driver.pickup'));
+    assert.ok(!driver.includes('users.delete'));
+    assert.ok(allowedActions('admin').includes('users.delete'));
+    assert.deepEqual(allowedActions(null).filter(action => action === 'users.list'), []);
+});
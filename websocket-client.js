@@ -42,10 +42,11 @@ class WebSocketClient {
             this.reconnectAttempts = 0;
             this.reconnectDelay = 2000;
 
-            // Identify the client
+            // Identify the client with the session token (read fresh on every
+            // connect so reconnects pick up the current session)
             this.send({
                 type: 'IDENTIFY',
-                payload: { userId, role }
+                payload: { userId, role, token: this._getSessionToken() }
             });
 
             // Process any queued messages
@@ -72,6 +73,15 @@ class WebSocketClient {
             // Call user handler
             this.handlers.onClose(event);
 
+            // The server rejected our session - reconnecting would not help
+            if (event.code === 4001) {
+                console.error('WebSocket authentication failed:', event.reason);
+                if (window.authSession) {
+                    window.authSession.redirectToLogin();
+                }
+                return;
+            }
+
             // Attempt to reconnect
             if (this.reconnectAttempts < this.maxReconnectAttempts) {
                 this._reconnect();
@@ -151,6 +161,16 @@ class WebSocketClient {
         }
     }
 
+    // Session token issued by /api/login
+    _getSessionToken() {
+        try {
+            const user = JSON.parse(localStorage.getItem('currentUser') || 'null');
+            return user && user.token ? user.token : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     // Process queued messages
     _processQueue() {
         if (this.messageQueue.length > 0 && this.isConnected) {